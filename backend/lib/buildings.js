@@ -0,0 +1,165 @@
+const { geometryArea, geometryCentroid } = require('./geometry');
+const { tileBounds, countTiles, tilesForBounds } = require('./tiles');
+const { resolveBuildingHeight } = require('../models/buildingHeight');
+
+// BUILDING SERVICE - OSM footprints fetched per slippy-map tile, converted to
+// GeoJSON with geodesic area/centroid, and cached tile by tile so panning only
+// downloads tiles that haven't been seen before.
+
+const BUILDING_TILE_ZOOM = 16;      // ~600 m tiles at the equator
+const MAX_TILES_PER_REQUEST = 150;  // roughly a zoom-15 viewport
+
+const FEET_TO_METRES = 0.3048;
+
+function parseNumber(value) {
+  if (value === undefined || value === null) return null;
+  const number = parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+// OSM height values: "12", "12 m", "12.5m", "40'", "40 ft"
+function parseHeight(value) {
+  const number = parseNumber(value);
+  if (number === null) return null;
+  return /ft|'/.test(String(value)) ? parseFloat((number * FEET_TO_METRES).toFixed(1)) : number;
+}
+
+function toFeature(element) {
+  const ring = element.geometry.map(n => [n.lon, n.lat]);
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+
+  const geometry = { type: 'Polygon', coordinates: [ring] };
+  const lngs = ring.map(p => p[0]);
+  const lats = ring.map(p => p[1]);
+  const { tags } = element;
+  const { height, minHeight, levels, source: heightSource } = resolveBuildingHeight({
+    height: parseHeight(tags.height),
+    levels: parseNumber(tags['building:levels']),
+    minHeight: parseHeight(tags.min_height)
+  });
+
+  return {
+    type: 'Feature',
+    id: element.id,
+    bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)],
+    geometry,
+    properties: {
+      osmId: element.id,
+      name: tags.name || null,
+      building: tags.building || 'yes',
+      height,
+      minHeight,
+      levels,
+      heightSource,
+      roofShape: tags['roof:shape'] || null,
+      area: parseFloat(geometryArea(geometry).toFixed(1)),
+      centroid: geometryCentroid(geometry)
+    }
+  };
+}
+
+function intersects(bbox, { west, south, east, north }) {
+  return bbox[0] <= east && bbox[2] >= west && bbox[1] <= north && bbox[3] >= south;
+}
+
+function createBuildingService({ provider, cache }) {
+  // Tiles are cached under their centre point; at zoom 16 tile centres are
+  // always more than 0.001° apart, so the cache's 3-decimal keys stay unique.
+  function tileCentre({ x, y, zoom }) {
+    const b = tileBounds(x, y, zoom);
+    return { lat: (b.north + b.south) / 2, lng: (b.east + b.west) / 2 };
+  }
+
+  // Features per tile; uncached tiles are fetched with one upstream query over their union
+  async function loadTiles(tiles) {
+    const byTile = new Map();
+    const missing = [];
+
+    tiles.forEach(tile => {
+      const { lat, lng } = tileCentre(tile);
+      const cached = cache.get('buildings', lat, lng);
+      if (cached) {
+        byTile.set(tile, cached);
+      } else {
+        missing.push(tile);
+      }
+    });
+
+    if (missing.length > 0) {
+      const bounds = missing.map(t => tileBounds(t.x, t.y, t.zoom));
+      const union = {
+        west: Math.min(...bounds.map(b => b.west)),
+        south: Math.min(...bounds.map(b => b.south)),
+        east: Math.max(...bounds.map(b => b.east)),
+        north: Math.max(...bounds.map(b => b.north))
+      };
+
+      console.log(`Fetching buildings for ${missing.length} tiles (${provider.name})`);
+      const features = (await provider.getBuildingElements(union))
+        .filter(element => element.geometry.length >= 3)
+        .map(toFeature);
+
+      missing.forEach((tile, i) => {
+        const tileFeatures = features.filter(f => intersects(f.bbox, bounds[i]));
+        const { lat, lng } = tileCentre(tile);
+        cache.set('buildings', lat, lng, tileFeatures);
+        byTile.set(tile, tileFeatures);
+      });
+    }
+
+    return { byTile, fetchedTiles: missing.length };
+  }
+
+  function featureCollection(features, extra) {
+    return {
+      type: 'FeatureCollection',
+      features,
+      metadata: {
+        count: features.length,
+        source: provider.source,
+        tileZoom: BUILDING_TILE_ZOOM,
+        ...extra,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  async function getTile(x, y) {
+    const tile = { x, y, zoom: BUILDING_TILE_ZOOM };
+    const { byTile, fetchedTiles } = await loadTiles([tile]);
+    return featureCollection(byTile.get(tile), { tile: { x, y }, cachedTiles: 1 - fetchedTiles });
+  }
+
+  // Buildings intersecting the bounds, deduplicated across tile edges
+  async function getBuildingsInBounds(bounds) {
+    const tileCount = countTiles(bounds, BUILDING_TILE_ZOOM);
+    if (tileCount > MAX_TILES_PER_REQUEST) {
+      const error = new Error(`Area too large: ${tileCount} tiles (max ${MAX_TILES_PER_REQUEST}), zoom in`);
+      error.code = 'BBOX_TOO_LARGE';
+      throw error;
+    }
+
+    const tiles = tilesForBounds(bounds, BUILDING_TILE_ZOOM);
+    const { byTile, fetchedTiles } = await loadTiles(tiles);
+    const seen = new Set();
+    const features = [];
+    byTile.forEach(tileFeatures => {
+      tileFeatures.forEach(feature => {
+        if (seen.has(feature.id) || !intersects(feature.bbox, bounds)) return;
+        seen.add(feature.id);
+        features.push(feature);
+      });
+    });
+
+    return featureCollection(features, {
+      tiles: tiles.length,
+      cachedTiles: tiles.length - fetchedTiles
+    });
+  }
+
+  return { getTile, getBuildingsInBounds };
+}
+
+module.exports = { createBuildingService, toFeature, BUILDING_TILE_ZOOM, MAX_TILES_PER_REQUEST };
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+
+// PERSISTENT CACHE - survives restarts so deploys don't re-hit NASA POWER.
+// Entries live in memory (Map kept in LRU order) and are written through to one
+// JSON file each under the cache directory, which is reloaded on startup.
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+// Time-to-live per cache type; anything not listed uses `default`
+const DEFAULT_TTLS = {
+  solar: 30 * DAY,       // NASA POWER year of daily values - fixed date window
+  temp: 30 * DAY,
+  precip: 30 * DAY,      // multi-year climatology
+  forecast: 1 * HOUR,
+  airquality: 30 * 60000,
+  airqualityhistory: 6 * HOUR, // hourly series up to the latest completed hour
+  buildings: 7 * DAY,    // OSM footprints per tile
+  default: DAY
+};
+
+function createCache({ dir, maxEntries = 1000, ttls = {} } = {}) {
+  const entries = new Map();
+  const effectiveTtls = { ...DEFAULT_TTLS, ...ttls };
+  const stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, byType: {} };
+
+  function typeStats(type) {
+    if (!stats.byType[type]) stats.byType[type] = { hits: 0, misses: 0, sets: 0 };
+    return stats.byType[type];
+  }
+
+  function getTtl(type) {
+    return effectiveTtls[type] ?? effectiveTtls.default;
+  }
+
+  // `variant` separates entries of one type at the same spot (e.g. a station's time window)
+  function buildKey(type, lat, lng, variant) {
+    const key = `${type}_${lat.toFixed(3)}_${lng.toFixed(3)}`;
+    return variant ? `${key}_${variant}` : key;
+  }
+
+  function filePath(key) {
+    return path.join(dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  // File writes and deletes run one after another per key, so a delete that
+  // follows a write can't finish first and bring the entry back on restart
+  const pendingFiles = new Map(); // key -> promise of the last queued operation
+
+  function queueFile(key, operation) {
+    const queued = (pendingFiles.get(key) || Promise.resolve()).then(operation);
+    pendingFiles.set(key, queued);
+    queued.then(() => {
+      if (pendingFiles.get(key) === queued) pendingFiles.delete(key);
+    });
+  }
+
+  function persist(entry) {
+    if (!dir) return;
+    const json = JSON.stringify(entry);
+    queueFile(entry.key, () => fs.promises.writeFile(filePath(entry.key), json)
+      .catch(error => console.error(`Cache write failed for ${entry.key}:`, error.message)));
+  }
+
+  function unlink(key) {
+    if (!dir) return;
+    queueFile(key, () => fs.promises.unlink(filePath(key)).catch(() => {}));
+  }
+
+  // Resolves once every queued file operation has finished
+  async function flush() {
+    while (pendingFiles.size > 0) {
+      await Promise.all(pendingFiles.values());
+    }
+  }
+
+  function remove(key) {
+    entries.delete(key);
+    unlink(key);
+  }
+
+  // Evict least recently used entries
+  function evictOverflow() {
+    while (entries.size > maxEntries) {
+      const oldestKey = entries.keys().next().value;
+      remove(oldestKey);
+      stats.evictions++;
+    }
+  }
+
+  // Reload persisted entries, oldest access first so Map order stays LRU, and
+  // trim them to maxEntries in case it was lowered since they were written.
+  // Hits only update lastAccess in memory (rewriting the file on every hit would
+  // cost more than the cache saves), so after a restart entries rank by when
+  // they were last set.
+  function load() {
+    if (!dir) return;
+    fs.mkdirSync(dir, { recursive: true });
+
+    const now = Date.now();
+    const loaded = [];
+    fs.readdirSync(dir).filter(f => f.endsWith('.json')).forEach(file => {
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        if (entry.expiresAt > now) {
+          loaded.push(entry);
+        } else {
+          fs.unlinkSync(path.join(dir, file));
+        }
+      } catch (error) {
+        console.error(`Skipping unreadable cache file ${file}:`, error.message);
+      }
+    });
+
+    loaded.sort((a, b) => a.lastAccess - b.lastAccess).forEach(entry => entries.set(entry.key, entry));
+    evictOverflow();
+    console.log(`Cache: loaded ${entries.size} persisted entries from ${dir}`);
+  }
+
+  function get(type, lat, lng, variant) {
+    const key = buildKey(type, lat, lng, variant);
+    const entry = entries.get(key);
+
+    if (!entry) {
+      stats.misses++;
+      typeStats(type).misses++;
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      stats.misses++;
+      stats.expirations++;
+      typeStats(type).misses++;
+      remove(key);
+      return null;
+    }
+
+    // Move to the back of the Map = most recently used
+    entries.delete(key);
+    entry.lastAccess = Date.now();
+    entry.hits++;
+    entries.set(key, entry);
+
+    stats.hits++;
+    typeStats(type).hits++;
+    console.log(`Cache hit: ${key}`);
+    return entry.data;
+  }
+
+  function set(type, lat, lng, data, variant) {
+    const key = buildKey(type, lat, lng, variant);
+    const now = Date.now();
+    const entry = {
+      key,
+      type,
+      latitude: lat,
+      longitude: lng,
+      createdAt: now,
+      lastAccess: now,
+      expiresAt: now + getTtl(type),
+      hits: 0,
+      size: Buffer.byteLength(JSON.stringify(data)),
+      data
+    };
+
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.sets++;
+    typeStats(type).sets++;
+    persist(entry);
+    evictOverflow();
+  }
+
+  // Entries matching { type, bbox: { west, south, east, north } }
+  function matching({ type, bbox } = {}) {
+    return Array.from(entries.values()).filter(entry =>
+      (!type || entry.type === type) &&
+      (!bbox || (
+        entry.latitude >= bbox.south && entry.latitude <= bbox.north &&
+        entry.longitude >= bbox.west && entry.longitude <= bbox.east
+      ))
+    );
+  }
+
+  // Metadata only - the cached payload is returned by inspect()
+  function describe(entry) {
+    const { data, ...meta } = entry;
+    return {
+      ...meta,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      lastAccess: new Date(entry.lastAccess).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      expired: entry.expiresAt <= Date.now()
+    };
+  }
+
+  function list(filter) {
+    return matching(filter).map(describe);
+  }
+
+  function inspect(key) {
+    const entry = entries.get(key);
+    return entry ? { ...describe(entry), data: entry.data } : null;
+  }
+
+  function purge(filter) {
+    const purged = matching(filter);
+    purged.forEach(entry => remove(entry.key));
+    return purged.length;
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses;
+    const entriesByType = {};
+    entries.forEach(entry => {
+      entriesByType[entry.type] = (entriesByType[entry.type] || 0) + 1;
+    });
+
+    return {
+      ...stats,
+      hitRatio: lookups > 0 ? parseFloat((stats.hits / lookups).toFixed(3)) : null,
+      size: entries.size,
+      maxEntries,
+      entriesByType,
+      ttls: effectiveTtls,
+      persistent: Boolean(dir)
+    };
+  }
+
+  load();
+
+  return {
+    get,
+    set,
+    list,
+    inspect,
+    remove,
+    purge,
+    getStats,
+    flush,
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = { createCache, DEFAULT_TTLS };
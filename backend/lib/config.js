@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+
+// CONFIGURATION - every tunable and secret in one validated object.
+// Sources, lowest precedence first:
+//   1. schema defaults (below)
+//   2. the built-in profile for APP_ENV / NODE_ENV (development, test, production)
+//   3. an optional JSON config file (CONFIG_FILE, default backend/config.json):
+//      top-level keys, then its `environments.<env>` section
+//   4. environment variables named in the schema
+// Invalid or missing values stop the server at startup with one line per problem.
+// Secrets (OPENAQ_API_KEY, ADMIN_TOKEN) belong in the environment; config.json is
+// git-ignored, config.example.json shows the layout.
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const ENVIRONMENTS = ['development', 'test', 'production'];
+const PROVIDER_KINDS = ['http', 'fixture'];
+const PROVIDER_DOMAINS = ['solar', 'temperature', 'precipitation', 'forecast', 'airQuality', 'buildings'];
+const UPSTREAM_NAMES = ['nasaPower', 'openMeteoArchive', 'openMeteoForecast', 'openMeteoAirQuality', 'openAQ', 'overpass'];
+
+// Leaf: { env, type, default, ... }. Types: string, int, boolean, enum, date (YYYYMMDD), path
+const SCHEMA = {
+  server: {
+    port: { env: 'PORT', type: 'int', min: 1, max: 65535, default: 3001 },
+    adminToken: { env: 'ADMIN_TOKEN', type: 'string', secret: true },
+    // Without ADMIN_TOKEN the admin, upload and delete routes refuse every request;
+    // this opts a local or test server into leaving them open instead
+    openAdminRoutes: { env: 'OPEN_ADMIN_ROUTES', type: 'boolean', default: false }
+  },
+  openAQ: {
+    apiKey: { env: 'OPENAQ_API_KEY', type: 'string', secret: true }
+  },
+  providers: {
+    default: { env: 'DATA_PROVIDER', type: 'enum', values: PROVIDER_KINDS, default: 'http' },
+    ...Object.fromEntries(PROVIDER_DOMAINS.map(domain => [domain, {
+      env: `${domain.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}_PROVIDER`,
+      type: 'enum',
+      values: PROVIDER_KINDS
+    }])),
+    fixturesDir: { env: 'FIXTURES_DIR', type: 'string', default: 'fixtures' },
+    osmExtractFile: { env: 'OSM_EXTRACT_FILE', type: 'string', default: 'buildings-dhaka.osm' }
+  },
+  nasaPower: {
+    // Rolling window ending `endLagDays` before today (POWER daily data lags a few days),
+    // unless a fixed start/end pair is configured
+    windowDays: { env: 'NASA_POWER_WINDOW_DAYS', type: 'int', min: 30, max: 3660, default: 365 },
+    endLagDays: { env: 'NASA_POWER_END_LAG_DAYS', type: 'int', min: 0, max: 365, default: 7 },
+    start: { env: 'NASA_POWER_START', type: 'date' },
+    end: { env: 'NASA_POWER_END', type: 'date' }
+  },
+  precipitation: {
+    years: { env: 'PRECIPITATION_YEARS', type: 'int', min: 1, max: 40, default: 10 }
+  },
+  upstream: {
+    // Retry and circuit-breaker policy shared by every upstream client (providers/upstream.js)
+    maxRetries: { env: 'UPSTREAM_MAX_RETRIES', type: 'int', min: 0, max: 10, default: 3 },
+    retryBaseMs: { env: 'UPSTREAM_RETRY_BASE_MS', type: 'int', min: 0, max: 60000, default: 500 },
+    retryMaxMs: { env: 'UPSTREAM_RETRY_MAX_MS', type: 'int', min: 0, max: 300000, default: 8000 },
+    failureThreshold: { env: 'UPSTREAM_FAILURE_THRESHOLD', type: 'int', min: 1, max: 1000, default: 5 },
+    cooldownMs: { env: 'UPSTREAM_COOLDOWN_MS', type: 'int', min: 0, max: 3600000, default: 30000 },
+    // Per-upstream quotas; unset values keep the built-in limits in providers/upstream.js
+    limits: Object.fromEntries(UPSTREAM_NAMES.map(name => {
+      const prefix = `UPSTREAM_${name.replace(/[A-Z]+/g, c => `_${c}`).toUpperCase()}`;
+      return [name, {
+        minIntervalMs: { env: `${prefix}_INTERVAL_MS`, type: 'int', min: 0, max: 60000 },
+        maxConcurrent: { env: `${prefix}_CONCURRENCY`, type: 'int', min: 1, max: 64 }
+      }];
+    }))
+  },
+  health: {
+    // Readiness probes (lib/health.js): per-provider timeout, and how long a result is reused
+    probeTimeoutMs: { env: 'HEALTH_PROBE_TIMEOUT_MS', type: 'int', min: 100, max: 60000, default: 5000 },
+    readinessTtlMs: { env: 'HEALTH_READINESS_TTL_MS', type: 'int', min: 0, max: 3600000, default: 30000 }
+  },
+  cache: {
+    dir: { env: 'CACHE_DIR', type: 'path', default: '.cache' },
+    maxEntries: { env: 'CACHE_MAX_ENTRIES', type: 'int', min: 1, max: 1000000, default: 1000 },
+    // Seconds; unset types keep lib/cache.js defaults
+    ttlSeconds: Object.fromEntries(
+      ['solar', 'temp', 'precip', 'forecast', 'airquality', 'airqualityhistory', 'buildings', 'default']
+        .map(type => [type, { env: `CACHE_TTL_${type.toUpperCase()}`, type: 'int', min: 0, max: 31536000 }])
+    )
+  },
+  sensors: {
+    dir: { env: 'SENSOR_DATA_DIR', type: 'path', default: '.data' },
+    maxAgeHours: { env: 'SENSOR_MAX_AGE_HOURS', type: 'int', min: 1, max: 8760, default: 24 }
+  },
+  lst: {
+    // Uploaded land-surface-temperature GeoTIFFs (lib/lstStore.js); decoded rasters stay in memory
+    dir: { env: 'LST_DATA_DIR', type: 'path', default: '.data/lst' },
+    maxUploadMb: { env: 'LST_MAX_UPLOAD_MB', type: 'int', min: 1, max: 1024, default: 100 }
+  },
+  priority: {
+    // Saved priority-zone weight presets (lib/presetStore.js)
+    dir: { env: 'PRIORITY_PRESET_DIR', type: 'path', default: '.data' }
+  }
+};
+
+// Built-in per-environment overrides of the schema defaults
+const PROFILES = {
+  development: {},
+  test: {
+    server: { openAdminRoutes: true },
+    providers: { default: 'fixture' },
+    cache: { dir: null },
+    sensors: { dir: null },
+    lst: { dir: null },
+    priority: { dir: null }
+  },
+  production: {
+    cache: { maxEntries: 5000 }
+  }
+};
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isLeaf(spec) {
+  return typeof spec.type === 'string';
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep-merge plain objects; later sources win, arrays and scalars replace
+function merge(target, source) {
+  Object.entries(source || {}).forEach(([key, value]) => {
+    target[key] = isObject(value) && isObject(target[key]) ? merge({ ...target[key] }, value) : value;
+  });
+  return target;
+}
+
+function readConfigFile(filePath, explicit) {
+  if (!fs.existsSync(filePath)) {
+    if (explicit) throw new ConfigError([`CONFIG_FILE ${filePath} does not exist`]);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`${filePath} is not valid JSON: ${error.message}`]);
+  }
+}
+
+// Coerce (env values are strings) and check one leaf; returns [value, problem]
+function coerce(spec, value, name) {
+  if (value === undefined || value === null || value === '') return [value === '' ? undefined : value, null];
+
+  switch (spec.type) {
+    case 'int': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(number) || number < spec.min || number > spec.max) {
+        return [null, `${name} must be an integer between ${spec.min} and ${spec.max} (got "${value}")`];
+      }
+      return [number, null];
+    }
+    case 'boolean': {
+      const text = String(value).trim().toLowerCase();
+      if (value === true || text === 'true' || text === '1') return [true, null];
+      if (value === false || text === 'false' || text === '0') return [false, null];
+      return [null, `${name} must be true or false (got "${value}")`];
+    }
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        return [null, `${name} must be one of ${spec.values.join(', ')} (got "${value}")`];
+      }
+      return [value, null];
+    case 'date': {
+      const text = String(value);
+      const match = /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+      const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+      if (!date || date.getUTCDate() !== +match[3]) {
+        return [null, `${name} must be a date as YYYYMMDD (got "${value}")`];
+      }
+      return [text, null];
+    }
+    case 'path':
+    case 'string':
+      if (typeof value !== 'string') return [null, `${name} must be a string`];
+      return [value, null];
+    default:
+      return [null, `${name} has unknown schema type ${spec.type}`];
+  }
+}
+
+// Walk schema and merged values together, reading env vars for each leaf
+function resolve(schema, values, env, prefix, problems) {
+  const result = {};
+  Object.entries(schema).forEach(([key, spec]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const supplied = values ? values[key] : undefined;
+
+    if (!isLeaf(spec)) {
+      if (supplied !== undefined && !isObject(supplied)) {
+        problems.push(`${keyPath} must be an object`);
+      }
+      result[key] = resolve(spec, isObject(supplied) ? supplied : {}, env, keyPath, problems);
+      return;
+    }
+
+    const fromEnv = spec.env && env[spec.env] !== undefined && env[spec.env] !== '';
+    const raw = fromEnv ? env[spec.env] : supplied;
+    const name = fromEnv ? spec.env : keyPath;
+    const [value, problem] = coerce(spec, raw, name);
+    if (problem) problems.push(problem);
+    result[key] = value === undefined ? null : value;
+  });
+
+  // Keys in the file that the schema doesn't know are almost always typos
+  Object.keys(values || {}).forEach(key => {
+    if (!(key in schema)) problems.push(`${prefix ? `${prefix}.` : ''}${key} is not a known setting`);
+  });
+  return result;
+}
+
+function schemaDefaults(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([key, spec]) => [
+    key,
+    isLeaf(spec) ? spec.default : schemaDefaults(spec)
+  ]));
+}
+
+// Checks spanning several settings
+function crossValidate(config, problems) {
+  const { providers, nasaPower } = config;
+  const airQualityKind = providers.airQuality || providers.default;
+  if (airQualityKind === 'http' && !config.openAQ.apiKey) {
+    problems.push('OPENAQ_API_KEY is required for the OpenAQ provider (get one at https://explore.openaq.org/, or set AIR_QUALITY_PROVIDER=fixture)');
+  }
+  if (Boolean(nasaPower.start) !== Boolean(nasaPower.end)) {
+    problems.push('NASA_POWER_START and NASA_POWER_END must be set together (or neither, for a rolling window)');
+  } else if (nasaPower.start && nasaPower.start >= nasaPower.end) {
+    problems.push(`NASA_POWER_START (${nasaPower.start}) must be before NASA_POWER_END (${nasaPower.end})`);
+  }
+  if (config.env === 'production' && !config.server.adminToken) {
+    problems.push('ADMIN_TOKEN is required in production (cache admin, uploads and deletes are refused without it)');
+  }
+  if (config.env === 'production' && config.server.openAdminRoutes) {
+    problems.push('OPEN_ADMIN_ROUTES is for local development and can\'t be used in production');
+  }
+}
+
+function loadConfig(env = process.env) {
+  const environment = env.APP_ENV || env.NODE_ENV || 'development';
+  if (!ENVIRONMENTS.includes(environment)) {
+    throw new ConfigError([`APP_ENV/NODE_ENV must be one of ${ENVIRONMENTS.join(', ')} (got "${environment}")`]);
+  }
+
+  const configFile = env.CONFIG_FILE
+    ? path.resolve(BACKEND_DIR, env.CONFIG_FILE)
+    : path.join(BACKEND_DIR, 'config.json');
+  const file = readConfigFile(configFile, Boolean(env.CONFIG_FILE));
+  const { environments = {}, ...fileSettings } = file;
+
+  const merged = merge(
+    merge(merge(schemaDefaults(SCHEMA), PROFILES[environment]), fileSettings),
+    environments[environment] || {}
+  );
+
+  const problems = [];
+  const config = resolve(SCHEMA, merged, env, '', problems);
+  config.env = environment;
+  config.configFile = fs.existsSync(configFile) ? configFile : null;
+
+  // Relative directories are relative to backend/; null disables persistence
+  ['cache', 'sensors', 'lst', 'priority'].forEach(section => {
+    if (config[section].dir) config[section].dir = path.resolve(BACKEND_DIR, config[section].dir);
+  });
+
+  crossValidate(config, problems);
+  if (problems.length > 0) throw new ConfigError(problems);
+  return config;
+}
+
+// NASA POWER { start, end } as YYYYMMDD: the configured pair, or a rolling window
+function nasaPowerRange(nasaPower, now = new Date()) {
+  if (nasaPower.start && nasaPower.end) return { start: nasaPower.start, end: nasaPower.end };
+
+  const format = date => date.toISOString().slice(0, 10).replace(/-/g, '');
+  const end = new Date(now.getTime() - nasaPower.endLagDays * 86400000);
+  const start = new Date(end.getTime() - nasaPower.windowDays * 86400000);
+  return { start: format(start), end: format(end) };
+}
+
+// Cache TTL overrides in milliseconds for lib/cache.js
+function cacheTtls(cacheConfig) {
+  return Object.fromEntries(Object.entries(cacheConfig.ttlSeconds)
+    .filter(([, seconds]) => seconds !== null)
+    .map(([type, seconds]) => [type, seconds * 1000]));
+}
+
+// Config with secrets masked, for health output and logs
+function redactConfig(config, schema = SCHEMA) {
+  return Object.fromEntries(Object.entries(config).map(([key, value]) => {
+    const spec = schema[key];
+    if (spec && isLeaf(spec) && spec.secret) return [key, value ? '***' : null];
+    if (spec && !isLeaf(spec) && isObject(value)) return [key, redactConfig(value, spec)];
+    return [key, value];
+  }));
+}
+
+module.exports = { loadConfig, nasaPowerRange, cacheTtls, redactConfig, ConfigError, SCHEMA, PROFILES };
@@ -0,0 +1,120 @@
+// GEOMETRY HELPERS - geodesic area, centroids and distances for GeoJSON footprints
+
+const EARTH_RADIUS = 6378137; // WGS84 semi-major axis, metres
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Area of a closed [lng, lat] ring on the sphere (Chamberlain & Duquette 2007)
+function ringArea(ring) {
+  if (ring.length < 3) return 0;
+
+  let total = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[(i + 1) % ring.length];
+    total += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+// Outer ring minus holes, in m²
+function polygonArea(rings) {
+  if (!rings || rings.length === 0) return 0;
+  const [outer, ...holes] = rings;
+  return Math.max(ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0), 0);
+}
+
+function geometryArea(geometry) {
+  if (!geometry) return 0;
+  if (geometry.type === 'Polygon') return polygonArea(geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.reduce((sum, polygon) => sum + polygonArea(polygon), 0);
+  }
+  return 0;
+}
+
+// Area-weighted centroid of a ring, falling back to the vertex mean for degenerate rings
+function ringCentroid(ring) {
+  const points = ring.length > 1 &&
+    ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+    ? ring.slice(0, -1)
+    : ring;
+
+  // Work relative to the first vertex to avoid cancellation at large coordinates
+  const [x0, y0] = points[0];
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < points.length; i++) {
+    const x1 = points[i][0] - x0;
+    const y1 = points[i][1] - y0;
+    const x2 = points[(i + 1) % points.length][0] - x0;
+    const y2 = points[(i + 1) % points.length][1] - y0;
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+
+  if (Math.abs(area) < 1e-14) {
+    return {
+      lat: points.reduce((sum, p) => sum + p[1], 0) / points.length,
+      lng: points.reduce((sum, p) => sum + p[0], 0) / points.length
+    };
+  }
+  return { lat: y0 + cy / (3 * area), lng: x0 + cx / (3 * area) };
+}
+
+function geometryCentroid(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') {
+    return { lat: geometry.coordinates[1], lng: geometry.coordinates[0] };
+  }
+  if (geometry.type === 'Polygon') return ringCentroid(geometry.coordinates[0]);
+  if (geometry.type === 'MultiPolygon') {
+    // Weight each part's centroid by its area
+    let totalArea = 0;
+    let lat = 0;
+    let lng = 0;
+    geometry.coordinates.forEach(polygon => {
+      const area = polygonArea(polygon);
+      const c = ringCentroid(polygon[0]);
+      totalArea += area;
+      lat += c.lat * area;
+      lng += c.lng * area;
+    });
+    return totalArea > 0
+      ? { lat: lat / totalArea, lng: lng / totalArea }
+      : ringCentroid(geometry.coordinates[0][0]);
+  }
+  return null;
+}
+
+// Great-circle distance in metres
+function haversineDistance(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+// "west,south,east,north" query string -> { west, south, east, north }
+function parseBbox(value) {
+  const [west, south, east, north] = String(value).split(',').map(Number);
+  if ([west, south, east, north].some(v => !Number.isFinite(v)) || west > east || south > north) {
+    throw new Error('bbox must be west,south,east,north in decimal degrees');
+  }
+  return { west, south, east, north };
+}
+
+module.exports = {
+  parseBbox,
+  ringArea,
+  polygonArea,
+  geometryArea,
+  geometryCentroid,
+  haversineDistance
+};
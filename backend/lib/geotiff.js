@@ -0,0 +1,400 @@
+const zlib = require('zlib');
+
+// GEOTIFF READER - the first band of a single-image GeoTIFF, which is what GDAL,
+// QGIS and the USGS Landsat Collection 2 products write for a processed
+// land-surface-temperature layer. Strips or tiles; uncompressed, LZW, Deflate or
+// PackBits; horizontal (2) and floating-point (3) predictors; 8-64 bit integer or
+// float samples; north-up georeferencing from ModelPixelScale + ModelTiepoint or
+// ModelTransformation. BigTIFF, JPEG and rotated rasters are rejected.
+
+const TAG = {
+  imageWidth: 256,
+  imageLength: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  planarConfiguration: 284,
+  predictor: 317,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  modelPixelScale: 33550,
+  modelTiepoint: 33922,
+  modelTransformation: 34264,
+  geoKeyDirectory: 34735,
+  gdalNoData: 42113
+};
+
+const GEO_KEY = { modelType: 1024, rasterType: 1025, geographicType: 2048, projectedType: 3072 };
+const MODEL_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_POINT = 2;
+const USER_DEFINED = 32767;
+
+// Decoded band limit: a full Landsat scene (~7800 × 7900) fits, and the Float32
+// values stay under 256 MB. Checked before anything is allocated or inflated.
+const MAX_PIXELS = 64000000;
+
+// Field type -> byte size (TIFF 6.0 section 2)
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8, 17: 8 };
+
+const COMPRESSION = { none: 1, lzw: 5, jpeg: 7, deflate: 8, packBits: 32773, deflateLegacy: 32946 };
+
+class GeoTiffError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GeoTiffError';
+  }
+}
+
+function readValue(view, type, offset, little) {
+  switch (type) {
+    case 3: return view.getUint16(offset, little);
+    case 4: return view.getUint32(offset, little);
+    case 5: return view.getUint32(offset, little) / view.getUint32(offset + 4, little);
+    case 6: return view.getInt8(offset);
+    case 8: return view.getInt16(offset, little);
+    case 9: return view.getInt32(offset, little);
+    case 10: return view.getInt32(offset, little) / view.getInt32(offset + 4, little);
+    case 11: return view.getFloat32(offset, little);
+    case 12: return view.getFloat64(offset, little);
+    default: return view.getUint8(offset);
+  }
+}
+
+// First IFD -> Map(tag -> array of values, or a string for ASCII fields)
+function readIfd(view, little) {
+  const offset = view.getUint32(4, little);
+  if (offset + 2 > view.byteLength) throw new GeoTiffError('TIFF directory offset is outside the file');
+
+  const tags = new Map();
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const valueCount = view.getUint32(entry + 4, little);
+    const size = TYPE_SIZES[type];
+    if (!size) continue;
+
+    // Values that fit in four bytes are stored inline
+    const valueOffset = size * valueCount > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+    if (valueOffset + size * valueCount > view.byteLength) {
+      throw new GeoTiffError(`TIFF tag ${tag} points outside the file`);
+    }
+
+    if (type === 2) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + valueOffset, valueCount);
+      tags.set(tag, Buffer.from(bytes).toString('latin1').replace(/\0+$/, ''));
+    } else {
+      const values = [];
+      for (let v = 0; v < valueCount; v++) values.push(readValue(view, type, valueOffset + v * size, little));
+      tags.set(tag, values);
+    }
+  }
+  return tags;
+}
+
+// TIFF LZW: MSB-first codes, 9-12 bits, code width grows one code early
+function decodeLzw(input, expectedLength) {
+  const output = new Uint8Array(expectedLength);
+  const prefix = new Int32Array(4096).fill(-1);
+  const suffix = new Uint8Array(4096);
+  const lengths = new Int32Array(4096);
+  for (let i = 0; i < 256; i++) {
+    suffix[i] = i;
+    lengths[i] = 1;
+  }
+
+  let outPos = 0;
+  let bitPos = 0;
+  let width = 9;
+  let next = 258;
+  let previous = -1;
+  const totalBits = input.length * 8;
+
+  const firstByte = code => {
+    while (prefix[code] !== -1) code = prefix[code];
+    return suffix[code];
+  };
+  const write = code => {
+    const length = lengths[code];
+    for (let pos = outPos + length - 1, c = code; c !== -1; pos--, c = prefix[c]) {
+      if (pos < expectedLength) output[pos] = suffix[c];
+    }
+    outPos += length;
+  };
+  const add = (code, byte) => {
+    if (next >= 4096) return;
+    prefix[next] = code;
+    suffix[next] = byte;
+    lengths[next] = lengths[code] + 1;
+    next++;
+  };
+
+  while (bitPos + width <= totalBits && outPos < expectedLength) {
+    let code = 0;
+    for (let i = 0; i < width; i++, bitPos++) {
+      code = (code << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+    }
+
+    if (code === 257) break;
+    if (code === 256) {
+      width = 9;
+      next = 258;
+      previous = -1;
+      continue;
+    }
+    // Codes past the next free entry only appear in corrupt data (and could loop the table)
+    if (code > next || (previous === -1 && code > 255)) throw new GeoTiffError('Corrupt LZW data');
+    if (previous === -1) {
+      write(code);
+    } else if (code < next) {
+      add(previous, firstByte(code));
+      write(code);
+    } else {
+      add(previous, firstByte(previous));
+      write(next - 1);
+    }
+    previous = code;
+    if (next >= (1 << width) - 1 && width < 12) width++;
+  }
+  return output;
+}
+
+function decodePackBits(input, expectedLength) {
+  const output = new Uint8Array(expectedLength);
+  let outPos = 0;
+  for (let i = 0; i < input.length && outPos < expectedLength;) {
+    const header = (input[i++] << 24) >> 24;
+    if (header >= 0) {
+      for (let n = 0; n <= header; n++) output[outPos++] = input[i++];
+    } else if (header !== -128) {
+      const value = input[i++];
+      for (let n = 0; n <= -header; n++) output[outPos++] = value;
+    }
+  }
+  return output;
+}
+
+// maxLength: the chunk's full decoded size, which a padded last strip may use
+function decompress(bytes, compression, expectedLength, maxLength) {
+  switch (compression) {
+    case COMPRESSION.none: return bytes;
+    case COMPRESSION.lzw: return decodeLzw(bytes, expectedLength);
+    case COMPRESSION.deflate:
+    case COMPRESSION.deflateLegacy: {
+      // A chunk never inflates past its own size; anything larger is corrupt or a zip bomb
+      try {
+        return new Uint8Array(zlib.inflateSync(bytes, { maxOutputLength: Math.max(maxLength, 1) }));
+      } catch (error) {
+        throw new GeoTiffError(error.code === 'ERR_BUFFER_TOO_LARGE'
+          ? `Deflate data expands past the ${maxLength}-byte chunk size`
+          : `Invalid Deflate data: ${error.message}`);
+      }
+    }
+    case COMPRESSION.packBits: return decodePackBits(bytes, expectedLength);
+    default:
+      throw new GeoTiffError(`Unsupported TIFF compression ${compression}` +
+        (compression === COMPRESSION.jpeg ? ' (JPEG is lossy; export with COMPRESS=DEFLATE or LZW)' : ''));
+  }
+}
+
+// Floating-point predictor (Adobe TIFF Technote 3): undo the byte differencing,
+// then re-interleave the byte planes into big-endian samples
+function undoFloatPredictor(bytes, rowSamples, rows, bytesPerSample, samplesPerPixel) {
+  const rowBytes = rowSamples * bytesPerSample;
+  const output = new Uint8Array(bytes.length);
+  for (let row = 0; row < rows; row++) {
+    const start = row * rowBytes;
+    const shuffled = bytes.slice(start, start + rowBytes);
+    for (let i = samplesPerPixel; i < rowBytes; i++) shuffled[i] = (shuffled[i] + shuffled[i - samplesPerPixel]) & 0xff;
+    for (let s = 0; s < rowSamples; s++) {
+      for (let b = 0; b < bytesPerSample; b++) output[start + s * bytesPerSample + b] = shuffled[b * rowSamples + s];
+    }
+  }
+  return output;
+}
+
+function typedArrayFor(sampleFormat, bits) {
+  const classes = {
+    1: { 8: Uint8Array, 16: Uint16Array, 32: Uint32Array },
+    2: { 8: Int8Array, 16: Int16Array, 32: Int32Array },
+    3: { 32: Float32Array, 64: Float64Array }
+  };
+  const TypedArray = classes[sampleFormat]?.[bits];
+  if (!TypedArray) throw new GeoTiffError(`Unsupported sample type: ${bits}-bit ${['', 'unsigned', 'signed', 'float'][sampleFormat] || `format ${sampleFormat}`}`);
+  return TypedArray;
+}
+
+// Decoded chunk bytes -> typed samples in host order
+function toSamples(bytes, TypedArray, count, little) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const size = TypedArray.BYTES_PER_ELEMENT;
+  const samples = new TypedArray(count);
+  const getter = {
+    Uint8Array: o => view.getUint8(o),
+    Int8Array: o => view.getInt8(o),
+    Uint16Array: o => view.getUint16(o, little),
+    Int16Array: o => view.getInt16(o, little),
+    Uint32Array: o => view.getUint32(o, little),
+    Int32Array: o => view.getInt32(o, little),
+    Float32Array: o => view.getFloat32(o, little),
+    Float64Array: o => view.getFloat64(o, little)
+  }[TypedArray.name];
+  const available = Math.min(count, Math.floor(bytes.byteLength / size));
+  for (let i = 0; i < available; i++) samples[i] = getter(i * size);
+  return samples;
+}
+
+function parseGeoKeys(directory) {
+  const keys = {};
+  if (!directory) return keys;
+  const count = directory[3];
+  for (let i = 0; i < count; i++) {
+    const [id, location, , value] = directory.slice(4 + i * 4, 8 + i * 4);
+    if (location === 0) keys[id] = value;
+  }
+  return keys;
+}
+
+// Pixel (column, row) -> model coordinates: x = originX + col * pixelWidth, y = originY - row * pixelHeight
+function readTransform(tags, pixelIsPoint) {
+  let transform;
+  const transformation = tags.get(TAG.modelTransformation);
+  if (transformation) {
+    const [a, b, , d, e, f, , h] = transformation;
+    if (b !== 0 || e !== 0) throw new GeoTiffError('Rotated rasters are not supported; warp to a north-up grid first');
+    transform = { originX: d, originY: h, pixelWidth: a, pixelHeight: -f };
+  } else {
+    const scale = tags.get(TAG.modelPixelScale);
+    const tiepoint = tags.get(TAG.modelTiepoint);
+    if (!scale || !tiepoint) throw new GeoTiffError('Not a GeoTIFF: no ModelPixelScale/ModelTiepoint or ModelTransformation tag');
+    const [i, j, , x, y] = tiepoint;
+    transform = { originX: x - i * scale[0], originY: y + j * scale[1], pixelWidth: scale[0], pixelHeight: scale[1] };
+  }
+
+  if (!(transform.pixelWidth > 0) || !(transform.pixelHeight > 0)) {
+    throw new GeoTiffError('Raster must be north-up with positive pixel sizes');
+  }
+  // PixelIsPoint tiepoints refer to pixel centres
+  if (pixelIsPoint) {
+    transform.originX -= transform.pixelWidth / 2;
+    transform.originY += transform.pixelHeight / 2;
+  }
+  return transform;
+}
+
+// buffer: the whole file. Returns { width, height, values (Float32Array, row-major),
+// noData, epsg, transform, bitsPerSample, sampleFormat, compression }
+function readGeoTiff(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (bytes.length < 8) throw new GeoTiffError('File is too small to be a TIFF');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const order = String.fromCharCode(bytes[0], bytes[1]);
+  if (order !== 'II' && order !== 'MM') throw new GeoTiffError('Not a TIFF file');
+  const little = order === 'II';
+  const magic = view.getUint16(2, little);
+  if (magic === 43) throw new GeoTiffError('BigTIFF is not supported; export as classic TIFF (GDAL -co BIGTIFF=NO)');
+  if (magic !== 42) throw new GeoTiffError('Not a TIFF file');
+
+  const tags = readIfd(view, little);
+  const first = tag => tags.get(tag)?.[0];
+
+  const width = first(TAG.imageWidth);
+  const height = first(TAG.imageLength);
+  if (!width || !height) throw new GeoTiffError('TIFF has no image dimensions');
+  if (width * height > MAX_PIXELS) {
+    throw new GeoTiffError(`Raster is ${width} × ${height} pixels; clip or resample it to at most ${MAX_PIXELS / 1e6} million`);
+  }
+
+  const samplesPerPixel = first(TAG.samplesPerPixel) || 1;
+  const bits = first(TAG.bitsPerSample) || 1;
+  const sampleFormat = first(TAG.sampleFormat) || 1;
+  const compression = first(TAG.compression) || COMPRESSION.none;
+  const predictor = first(TAG.predictor) || 1;
+  const planar = first(TAG.planarConfiguration) || 1;
+  const TypedArray = typedArrayFor(sampleFormat, bits);
+  const bytesPerSample = bits / 8;
+
+  const geoKeys = parseGeoKeys(tags.get(TAG.geoKeyDirectory));
+  const geographic = geoKeys[GEO_KEY.modelType] === MODEL_GEOGRAPHIC;
+  const epsg = geographic ? geoKeys[GEO_KEY.geographicType] : geoKeys[GEO_KEY.projectedType];
+  if (!epsg || epsg === USER_DEFINED) {
+    throw new GeoTiffError('GeoTIFF has no EPSG code; assign one (gdal_edit.py -a_srs EPSG:xxxx) or warp to EPSG:4326');
+  }
+  const transform = readTransform(tags, geoKeys[GEO_KEY.rasterType] === RASTER_PIXEL_IS_POINT);
+
+  const tiled = tags.has(TAG.tileOffsets);
+  const chunkWidth = tiled ? first(TAG.tileWidth) : width;
+  const chunkHeight = tiled ? first(TAG.tileLength) : Math.min(first(TAG.rowsPerStrip) || height, height);
+  const offsets = tags.get(tiled ? TAG.tileOffsets : TAG.stripOffsets);
+  const byteCounts = tags.get(tiled ? TAG.tileByteCounts : TAG.stripByteCounts);
+  if (!offsets || !byteCounts) throw new GeoTiffError('TIFF has no strip or tile offsets');
+
+  // Band 1 only: interleaved chunks hold every sample, planar chunks one band each
+  const chunkSamples = planar === 1 ? samplesPerPixel : 1;
+  if (!chunkWidth || !chunkHeight || chunkWidth * chunkHeight * chunkSamples > MAX_PIXELS) {
+    throw new GeoTiffError(`TIFF ${tiled ? 'tile' : 'strip'} size ${chunkWidth} × ${chunkHeight} × ${chunkSamples} samples is too large`);
+  }
+  const chunksAcross = Math.ceil(width / chunkWidth);
+  const chunksPerBand = chunksAcross * Math.ceil(height / chunkHeight);
+  const values = new Float32Array(width * height);
+
+  for (let chunk = 0; chunk < chunksPerBand; chunk++) {
+    const x0 = (chunk % chunksAcross) * chunkWidth;
+    const y0 = Math.floor(chunk / chunksAcross) * chunkHeight;
+    // Tiles are always full size; the last strip may be short
+    const rows = tiled ? chunkHeight : Math.min(chunkHeight, height - y0);
+    const rowSamples = chunkWidth * chunkSamples;
+    const expectedLength = rows * rowSamples * bytesPerSample;
+
+    if (offsets[chunk] + byteCounts[chunk] > bytes.length) {
+      throw new GeoTiffError(`TIFF ${tiled ? 'tile' : 'strip'} ${chunk} is truncated`);
+    }
+    const maxLength = chunkHeight * rowSamples * bytesPerSample;
+    let data = decompress(bytes.subarray(offsets[chunk], offsets[chunk] + byteCounts[chunk]), compression, expectedLength, maxLength);
+    let chunkLittle = little;
+    if (predictor === 3) {
+      data = undoFloatPredictor(data, rowSamples, rows, bytesPerSample, chunkSamples);
+      chunkLittle = false;
+    }
+    const samples = toSamples(data, TypedArray, rows * rowSamples, chunkLittle);
+    if (predictor === 2) {
+      // Typed-array arithmetic wraps exactly like the encoder's
+      for (let row = 0; row < rows; row++) {
+        for (let i = row * rowSamples + chunkSamples; i < (row + 1) * rowSamples; i++) {
+          samples[i] += samples[i - chunkSamples];
+        }
+      }
+    }
+
+    for (let row = 0; row < rows && y0 + row < height; row++) {
+      for (let col = 0; col < chunkWidth && x0 + col < width; col++) {
+        values[(y0 + row) * width + x0 + col] = samples[(row * chunkWidth + col) * chunkSamples];
+      }
+    }
+  }
+
+  const noDataText = tags.get(TAG.gdalNoData);
+  const noData = typeof noDataText === 'string' && noDataText.trim() !== '' ? Number(noDataText) : null;
+
+  return {
+    width,
+    height,
+    values,
+    noData: Number.isNaN(noData) ? null : noData,
+    epsg,
+    transform,
+    bitsPerSample: bits,
+    sampleFormat,
+    compression
+  };
+}
+
+module.exports = { readGeoTiff, GeoTiffError, COMPRESSION };
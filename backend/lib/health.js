@@ -0,0 +1,75 @@
+// READINESS - probes every data provider (the upstream API, or the fixture file
+// standing in for it) and reports latency, last success and circuit-breaker
+// state per domain. Results are reused for `ttlMs` so orchestrator probes and
+// dashboards polling /api/health/ready don't turn into upstream traffic; a
+// provider that doesn't answer within `timeoutMs` counts as down.
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Probe timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// providers: from providers/index.js; upstreamStatus(name): breaker status from providers/upstream.js
+function createReadinessChecker(providers, { upstreamStatus, timeoutMs = 5000, ttlMs = 30000, now = Date.now } = {}) {
+  const lastSuccess = {};
+  let latest = null;
+  let checkedAt = 0;
+  let running = null;
+
+  async function probeDomain(domain, provider) {
+    const started = now();
+    let error = null;
+    try {
+      await withTimeout(Promise.resolve().then(() => provider.probe()), timeoutMs);
+      lastSuccess[domain] = new Date(now()).toISOString();
+    } catch (probeError) {
+      error = probeError.response ? `HTTP ${probeError.response.status}` : probeError.message;
+    }
+
+    const breakers = Object.fromEntries(provider.upstreams.map(name => [name, upstreamStatus(name).state]));
+    return {
+      status: error ? 'down' : 'up',
+      provider: provider.name,
+      upstreams: breakers,
+      latencyMs: now() - started,
+      lastSuccess: lastSuccess[domain] || null,
+      ...(error ? { error } : {})
+    };
+  }
+
+  async function runChecks() {
+    const entries = await Promise.all(Object.entries(providers)
+      .map(async ([domain, provider]) => [domain, await probeDomain(domain, provider)]));
+    const checks = Object.fromEntries(entries);
+    const down = entries.filter(([, check]) => check.status === 'down').map(([domain]) => domain);
+
+    latest = {
+      status: down.length > 0 ? 'NOT_READY' : 'READY',
+      down,
+      checks,
+      checkedAt: new Date(now()).toISOString()
+    };
+    checkedAt = now();
+    return latest;
+  }
+
+  // Concurrent callers share one round of probes
+  async function check({ force = false } = {}) {
+    if (!force && latest && now() - checkedAt < ttlMs) return latest;
+    if (!running) running = runChecks().finally(() => { running = null; });
+    return running;
+  }
+
+  return {
+    check,
+    // Last result without probing (null before the first check)
+    get latest() {
+      return latest;
+    }
+  };
+}
+
+module.exports = { createReadinessChecker };
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { readGeoTiff } = require('./geotiff');
+const { createRaster } = require('./raster');
+
+// LST STORE - uploaded land-surface-temperature GeoTIFFs (e.g. a processed
+// Landsat 8/9 thermal band). The original file is kept next to an index of its
+// metadata so rasters survive restarts; decoded bands stay in memory.
+// Stored values become °C as value * scale + offset, minus 273.15 for Kelvin
+// (Landsat Collection 2 ST_B10: scale 0.00341802, offset 149, Kelvin, nodata 0).
+
+const INDEX_FILE = 'rasters.json';
+const KELVIN = 273.15;
+const PLAUSIBLE_LST = [-60, 90]; // °C; a mean outside this means wrong units or scale
+const PERIODS = ['day', 'night'];
+const UNITS = ['celsius', 'kelvin'];
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+function round(value, digits = 2) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function toCelsius({ scale, offset, units }) {
+  const kelvin = units === 'kelvin' ? KELVIN : 0;
+  return value => value * scale + offset - kelvin;
+}
+
+// Whole-raster statistics in °C, and the share of pixels with data
+function rasterStats(image, convert) {
+  const noData = image.noData === null ? null : Math.fround(image.noData);
+  let sum = 0;
+  let count = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  image.values.forEach(raw => {
+    if (!Number.isFinite(raw) || raw === noData) return;
+    const value = convert(raw);
+    sum += value;
+    count++;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  if (count === 0) return null;
+  return { min: round(min), max: round(max), mean: round(sum / count), validFraction: round(count / image.values.length, 3) };
+}
+
+function createLstStore({ dir } = {}) {
+  const rasters = new Map(); // id -> { meta, raster }
+
+  function decode(buffer, meta) {
+    const image = readGeoTiff(buffer);
+    if (meta.noData !== null && meta.noData !== undefined) image.noData = meta.noData;
+    const convert = toCelsius(meta);
+    return { image, convert, raster: createRaster(image, { convert }) };
+  }
+
+  function load() {
+    if (!dir) return;
+    fs.mkdirSync(dir, { recursive: true });
+    const indexPath = path.join(dir, INDEX_FILE);
+    if (!fs.existsSync(indexPath)) return;
+    try {
+      JSON.parse(fs.readFileSync(indexPath, 'utf8')).rasters.forEach(meta => {
+        try {
+          const { raster } = decode(fs.readFileSync(path.join(dir, `${meta.id}.tif`)), meta);
+          rasters.set(meta.id, { meta, raster });
+        } catch (error) {
+          console.error(`Skipping unreadable LST raster ${meta.id}:`, error.message);
+        }
+      });
+      console.log(`LST: loaded ${rasters.size} rasters from ${dir}`);
+    } catch (error) {
+      console.error(`Skipping unreadable LST index ${indexPath}:`, error.message);
+    }
+  }
+
+  function persist() {
+    if (!dir) return;
+    const metas = Array.from(rasters.values()).map(entry => entry.meta);
+    fs.writeFileSync(path.join(dir, INDEX_FILE), JSON.stringify({ rasters: metas }, null, 2));
+  }
+
+  // buffer: GeoTIFF bytes. options: { name, acquired, period, units, scale, offset, noData, source }.
+  // Throws on unreadable or implausible rasters; an upload with an existing name replaces it.
+  function add(buffer, options = {}) {
+    const meta = {
+      name: options.name || `LST ${options.acquired || new Date().toISOString().slice(0, 10)}`,
+      acquired: options.acquired || null,
+      period: options.period || 'day',
+      source: options.source || null,
+      units: options.units || 'celsius',
+      scale: options.scale ?? 1,
+      offset: options.offset ?? 0,
+      noData: options.noData ?? null
+    };
+    meta.id = slugify(meta.name);
+    if (!meta.id) throw new Error('name must contain letters or digits');
+    if (!PERIODS.includes(meta.period)) throw new Error(`period must be one of ${PERIODS.join(', ')}`);
+    if (!UNITS.includes(meta.units)) throw new Error(`units must be one of ${UNITS.join(', ')}`);
+
+    const { image, convert, raster } = decode(buffer, meta);
+    meta.noData = image.noData;
+    const stats = rasterStats(image, convert);
+    if (!stats) throw new Error('Raster has no valid pixels (everything is nodata)');
+    if (stats.mean < PLAUSIBLE_LST[0] || stats.mean > PLAUSIBLE_LST[1]) {
+      throw new Error(`Mean surface temperature would be ${stats.mean} °C; check units, scale and offset ` +
+        '(Landsat Collection 2 ST_B10: units=kelvin&scale=0.00341802&offset=149&noData=0)');
+    }
+
+    const replaced = rasters.has(meta.id);
+    Object.assign(meta, {
+      epsg: image.epsg,
+      crs: raster.projection.name,
+      width: image.width,
+      height: image.height,
+      pixelSize: round(raster.pixelSizeMetres, 1),
+      bounds: Object.fromEntries(Object.entries(raster.bounds).map(([key, value]) => [key, round(value, 6)])),
+      stats,
+      bytes: buffer.length,
+      uploadedAt: new Date().toISOString()
+    });
+
+    if (dir) fs.writeFileSync(path.join(dir, `${meta.id}.tif`), buffer);
+    rasters.set(meta.id, { meta, raster });
+    persist();
+    return { ...meta, replaced };
+  }
+
+  function list() {
+    return Array.from(rasters.values()).map(entry => entry.meta);
+  }
+
+  function remove(id) {
+    const existed = rasters.delete(id);
+    if (existed) {
+      if (dir) fs.rmSync(path.join(dir, `${id}.tif`), { force: true });
+      persist();
+    }
+    return existed;
+  }
+
+  // The raster for `period` that covers most of the bounds; the most recent
+  // acquisition wins ties. Returns { meta, raster, overlap } or null.
+  function select(bounds, period) {
+    return Array.from(rasters.values())
+      .filter(entry => entry.meta.period === period)
+      .map(entry => ({ ...entry, overlap: entry.raster.overlap(bounds) }))
+      .filter(entry => entry.overlap > 0)
+      .sort((a, b) => b.overlap - a.overlap ||
+        String(b.meta.acquired || b.meta.uploadedAt).localeCompare(String(a.meta.acquired || a.meta.uploadedAt)))[0] || null;
+  }
+
+  // Per-cell and per-footprint LST over bounds.
+  // buildings: [{ id, footprint: [[lng, lat], ...] }]. Below `minCoverage`
+  // (share of grid cells with data) the area counts as uncovered.
+  function sample({ bounds, period = 'day', gridSize = 20, buildings = [], minCoverage = 0.5 }) {
+    const selected = select(bounds, period);
+    const grid = selected ? selected.raster.sampleGrid(bounds, gridSize) : { cells: [], coverage: 0 };
+    if (!selected || grid.coverage < minCoverage) {
+      return { covered: false, coverage: round(grid.coverage, 3), raster: selected?.meta || null, cells: [], buildings: [] };
+    }
+
+    const cells = grid.cells.map(cell => ({
+      lat: round(cell.lat, 6),
+      lng: round(cell.lng, 6),
+      temperature: round(cell.mean, 1),
+      min: round(cell.min, 1),
+      max: round(cell.max, 1),
+      pixels: cell.pixels
+    }));
+    const sampledBuildings = buildings
+      .map(building => {
+        const stats = selected.raster.sampleFootprint(building.footprint);
+        return stats && {
+          id: building.id,
+          temperature: round(stats.mean, 1),
+          min: round(stats.min, 1),
+          max: round(stats.max, 1),
+          pixels: stats.pixels,
+          method: stats.method
+        };
+      })
+      .filter(Boolean);
+
+    return { covered: true, coverage: round(grid.coverage, 3), raster: selected.meta, cells, buildings: sampledBuildings };
+  }
+
+  load();
+
+  return {
+    add,
+    list,
+    remove,
+    sample,
+    get size() {
+      return rasters.size;
+    }
+  };
+}
+
+module.exports = { createLstStore, PERIODS, UNITS };
@@ -0,0 +1,159 @@
+// METRICS - Prometheus text exposition for GET /metrics.
+// HTTP request counts and latency histograms are collected by the middleware;
+// cache, upstream and readiness figures are read from their owners at scrape
+// time, so there is nothing to keep in sync. Upstream error rate in PromQL:
+//   rate(roofharvest_upstream_failures_total[5m]) / rate(roofharvest_upstream_attempts_total[5m])
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// One metric family: HELP/TYPE header and its samples ([labels, value])
+function family(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  samples.forEach(([labels, value, suffix = '']) => {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+  });
+  return lines.join('\n');
+}
+
+// /api/sensors + / -> /api/sensors; unmatched paths share one label
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  return req.route.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+}
+
+function timestampSeconds(iso) {
+  return iso ? Date.parse(iso) / 1000 : null;
+}
+
+function createMetrics({ prefix = 'roofharvest', version } = {}) {
+  const startedAt = Date.now();
+  const requests = new Map();  // JSON [method, route, status] -> count
+  const latencies = new Map(); // JSON [method, route] -> { buckets, sum, count }
+
+  function observeRequest(method, route, status, seconds) {
+    const countKey = JSON.stringify([method, route, String(status)]);
+    requests.set(countKey, (requests.get(countKey) || 0) + 1);
+
+    const latencyKey = JSON.stringify([method, route]);
+    if (!latencies.has(latencyKey)) {
+      latencies.set(latencyKey, { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+    }
+    const histogram = latencies.get(latencyKey);
+    LATENCY_BUCKETS.forEach((bound, i) => {
+      if (seconds <= bound) histogram.buckets[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  // Labels by the matched route pattern (/api/sensors/:id), never the raw URL,
+  // so the series count stays bounded
+  function middleware() {
+    return (req, res, next) => {
+      const started = process.hrtime.bigint();
+      res.on('finish', () => {
+        observeRequest(req.method, routeLabel(req), res.statusCode, Number(process.hrtime.bigint() - started) / 1e9);
+      });
+      next();
+    };
+  }
+
+  function httpFamilies() {
+    const counts = Array.from(requests.entries()).map(([key, count]) => {
+      const [method, route, status] = JSON.parse(key);
+      return [{ method, route, status }, count];
+    });
+
+    const histogramSamples = [];
+    latencies.forEach((histogram, key) => {
+      const [method, route] = JSON.parse(key);
+      LATENCY_BUCKETS.forEach((bound, i) => {
+        histogramSamples.push([{ method, route, le: bound }, histogram.buckets[i], '_bucket']);
+      });
+      histogramSamples.push([{ method, route, le: '+Inf' }, histogram.count, '_bucket']);
+      histogramSamples.push([{ method, route }, histogram.sum.toFixed(6), '_sum']);
+      histogramSamples.push([{ method, route }, histogram.count, '_count']);
+    });
+
+    return [
+      family(`${prefix}_http_requests_total`, 'counter', 'HTTP requests by method, route and status', counts),
+      family(`${prefix}_http_request_duration_seconds`, 'histogram', 'HTTP request latency by method and route', histogramSamples)
+    ];
+  }
+
+  function cacheFamilies(stats) {
+    const lookups = [];
+    Object.entries(stats.byType || {}).forEach(([type, byType]) => {
+      lookups.push([{ type, result: 'hit' }, byType.hits]);
+      lookups.push([{ type, result: 'miss' }, byType.misses]);
+    });
+    return [
+      family(`${prefix}_cache_lookups_total`, 'counter', 'Cache lookups by data type and result', lookups),
+      family(`${prefix}_cache_hit_ratio`, 'gauge', 'Cache hits / lookups since start (NaN before the first lookup)',
+        [[{}, stats.hitRatio ?? 'NaN']]),
+      family(`${prefix}_cache_entries`, 'gauge', 'Cached entries by data type',
+        Object.entries(stats.entriesByType || {}).map(([type, count]) => [{ type }, count])),
+      family(`${prefix}_cache_evictions_total`, 'counter', 'Entries evicted by the LRU limit', [[{}, stats.evictions || 0]])
+    ];
+  }
+
+  function upstreamFamilies(upstreams) {
+    const entries = Object.entries(upstreams);
+    const counter = (key, help) => family(`${prefix}_upstream_${key}_total`, 'counter', help,
+      entries.map(([upstream, status]) => [{ upstream }, status[key]]));
+    return [
+      counter('requests', 'Upstream requests made by providers'),
+      counter('attempts', 'Upstream HTTP calls including retries'),
+      counter('failures', 'Upstream calls that failed with a network error, timeout, 429 or 5xx'),
+      counter('retries', 'Upstream calls retried after a transient failure'),
+      counter('rejected', 'Requests refused by an open circuit breaker'),
+      family(`${prefix}_upstream_circuit_state`, 'gauge', 'Circuit breaker state (0 closed, 1 half-open, 2 open)',
+        entries.map(([upstream, status]) => [{ upstream }, CIRCUIT_STATES[status.state]])),
+      family(`${prefix}_upstream_in_flight`, 'gauge', 'Upstream calls in progress',
+        entries.map(([upstream, status]) => [{ upstream }, status.inFlight])),
+      family(`${prefix}_upstream_queued`, 'gauge', 'Upstream calls waiting for a concurrency slot',
+        entries.map(([upstream, status]) => [{ upstream }, status.queued])),
+      family(`${prefix}_upstream_last_success_timestamp_seconds`, 'gauge', 'Unix time of the last successful upstream call',
+        entries.filter(([, status]) => status.lastSuccessAt)
+          .map(([upstream, status]) => [{ upstream }, timestampSeconds(status.lastSuccessAt)]))
+    ];
+  }
+
+  function readinessFamilies(readiness) {
+    const checks = Object.entries(readiness?.checks || {});
+    return [
+      family(`${prefix}_provider_up`, 'gauge', 'Last readiness probe result per data domain (1 up, 0 down)',
+        checks.map(([domain, check]) => [{ domain, provider: check.provider }, check.status === 'up' ? 1 : 0])),
+      family(`${prefix}_provider_probe_duration_seconds`, 'gauge', 'Latency of the last readiness probe per data domain',
+        checks.map(([domain, check]) => [{ domain, provider: check.provider }, check.latencyMs / 1000]))
+    ];
+  }
+
+  // cacheStats: cache.getStats(); upstreams: getUpstreamStatus().upstreams; readiness: last check or null
+  function render({ cacheStats, upstreams = {}, readiness = null }) {
+    return [
+      family(`${prefix}_build_info`, 'gauge', 'Build information', [[{ version }, 1]]),
+      family(`${prefix}_process_uptime_seconds`, 'gauge', 'Seconds since the server started',
+        [[{}, ((Date.now() - startedAt) / 1000).toFixed(3)]]),
+      family(`${prefix}_process_resident_memory_bytes`, 'gauge', 'Resident set size', [[{}, process.memoryUsage().rss]]),
+      ...httpFamilies(),
+      ...(cacheStats ? cacheFamilies(cacheStats) : []),
+      ...upstreamFamilies(upstreams),
+      ...readinessFamilies(readiness)
+    ].join('\n\n') + '\n';
+  }
+
+  return { middleware, observeRequest, render };
+}
+
+module.exports = { createMetrics, LATENCY_BUCKETS };
@@ -0,0 +1,235 @@
+// OPENAPI - the OpenAPI 3.1 document for /api/openapi.json, generated from the
+// route schemas in routes/schemas.js so the docs can't drift from validation.
+// Schema keywords that only lib/validation.js understands (errorMessage) are
+// dropped; everything else is already JSON Schema.
+
+const VALIDATOR_ONLY_KEYWORDS = ['errorMessage'];
+
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const result = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (VALIDATOR_ONLY_KEYWORDS.includes(key)) return;
+    if (key === 'properties') {
+      result[key] = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toJsonSchema(property)]));
+    } else if (key === 'items') {
+      result[key] = toJsonSchema(value);
+    } else if (key === 'anyOf') {
+      result[key] = value.map(toJsonSchema);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+// /api/sensors/:id -> /api/sensors/{id}
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function parameters(objectSchema, location, example = {}) {
+  if (!objectSchema) return [];
+  const required = objectSchema.required || [];
+  return Object.entries(objectSchema.properties || {}).map(([name, schema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: toJsonSchema(schema),
+    ...(example[name] !== undefined ? { example: example[name] } : {})
+  }));
+}
+
+function operation(id, route) {
+  const examples = route.examples || {};
+  const status = String(route.status || 200);
+  const op = {
+    operationId: id,
+    summary: route.summary,
+    tags: [route.tag],
+    parameters: [
+      ...parameters(route.params, 'path', examples.params),
+      ...parameters(route.query, 'query', examples.query)
+    ],
+    responses: {
+      [status]: {
+        description: route.summary,
+        content: {
+          'application/json': {
+            schema: toJsonSchema(route.response),
+            ...(examples.response ? { example: examples.response } : {})
+          }
+        }
+      },
+      ...(route.params || route.query || route.body ? { 400: { $ref: '#/components/responses/ValidationFailed' } } : {}),
+      ...(route.adminToken ? { 401: { $ref: '#/components/responses/Unauthorized' } } : {}),
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+
+  if (route.body) {
+    op.requestBody = {
+      required: true,
+      content: {
+        'application/json': {
+          schema: toJsonSchema(route.body),
+          ...(examples.body !== undefined ? { example: examples.body } : {})
+        },
+        ...route.alternativeContent
+      }
+    };
+  }
+  // Raw file uploads: { contentType: { schema } }, not checked by lib/validation.js
+  if (route.upload) op.requestBody = { required: true, content: route.upload };
+  if (route.adminToken) op.security = [{ adminToken: [] }];
+  if (op.parameters.length === 0) delete op.parameters;
+  return op;
+}
+
+function errorResponse(description, example) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' }, example } }
+  };
+}
+
+function buildOpenApiDocument(routes, { errorSchema, version, serverUrl } = {}) {
+  const paths = {};
+  Object.entries(routes).forEach(([id, route]) => {
+    const path = openApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = operation(id, route);
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'RoofHarvest API',
+      version,
+      description: 'Rooftop solar and rainwater potential, urban heat, building footprints and air quality ' +
+        'from NASA POWER, Open-Meteo, OpenAQ, CAMS and OpenStreetMap. Every failure returns ' +
+        '{ error: { code, message, details } }; codes are listed on the Error schema.'
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    tags: [...new Set(Object.values(routes).map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: { Error: toJsonSchema(errorSchema) },
+      responses: {
+        ValidationFailed: errorResponse('Request failed schema validation', {
+          error: {
+            code: 'VALIDATION_FAILED',
+            message: 'Invalid request: body.latitude must be at most 90',
+            details: [{ path: 'body.latitude', message: 'must be at most 90' }]
+          }
+        }),
+        Unauthorized: errorResponse('X-Admin-Token is missing or wrong, or the server has no ADMIN_TOKEN configured', {
+          error: { code: 'UNAUTHORIZED', message: 'Invalid or missing X-Admin-Token', details: [] }
+        }),
+        Error: errorResponse('Any other failure (NOT_FOUND, BBOX_TOO_LARGE, PAYLOAD_TOO_LARGE, UPSTREAM_*, INTERNAL_ERROR)', {
+          error: {
+            code: 'UPSTREAM_UNAVAILABLE',
+            message: 'Unable to fetch real NASA solar data',
+            details: [{ message: 'NASA POWER API unavailable' }]
+          }
+        })
+      },
+      securitySchemes: {
+        adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' }
+      }
+    }
+  };
+}
+
+// Browsable docs for /api/docs: one static page that loads openapi.json and
+// renders each operation with its schemas, examples and a "Send" button that
+// calls the API from the browser. No external assets, so it works offline.
+function renderDocsPage() {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>RoofHarvest API</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 0; color: #1f2937; background: #f9fafb; }
+  header { background: #065f46; color: #fff; padding: 16px 24px; }
+  main { max-width: 960px; margin: 0 auto; padding: 16px 24px; }
+  h2 { margin-top: 32px; border-bottom: 1px solid #d1d5db; }
+  details { background: #fff; border: 1px solid #e5e7eb; border-radius: 6px; margin: 8px 0; }
+  summary { cursor: pointer; padding: 8px 12px; }
+  .method { display: inline-block; width: 64px; font-weight: 700; text-transform: uppercase; }
+  .get { color: #2563eb; } .post { color: #059669; } .delete { color: #dc2626; }
+  .body { padding: 0 12px 12px; }
+  pre, textarea { font: 12px/1.4 ui-monospace, monospace; background: #f3f4f6; padding: 8px; border-radius: 4px; overflow: auto; max-height: 320px; }
+  textarea { width: 100%; box-sizing: border-box; min-height: 120px; border: 1px solid #d1d5db; }
+  input { font: inherit; padding: 2px 6px; }
+  button { background: #065f46; color: #fff; border: 0; border-radius: 4px; padding: 6px 14px; cursor: pointer; }
+</style>
+</head>
+<body>
+<header><strong>RoofHarvest API</strong> &middot; <a href="openapi.json" style="color:#a7f3d0">openapi.json</a></header>
+<main id="docs">Loading&hellip;</main>
+<script>
+const escape = value => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const json = value => escape(JSON.stringify(value, null, 2));
+
+function renderOperation(path, method, op) {
+  const params = op.parameters || [];
+  const body = op.requestBody && op.requestBody.content['application/json'];
+  const ok = Object.entries(op.responses).find(([status]) => /^2/.test(status));
+  const okContent = ok && ok[1].content && ok[1].content['application/json'];
+  return '<details><summary><span class="method ' + method + '">' + method + '</span><code>' + escape(path) + '</code> &mdash; ' + escape(op.summary) + '</summary><div class="body" data-path="' + escape(path) + '" data-method="' + method + '">' +
+    (params.length ? '<h4>Parameters</h4>' + params.map(p => '<div><label><code>' + escape(p.name) + '</code> (' + p.in + (p.required ? ', required' : '') + ') <input data-param="' + escape(p.name) + '" data-in="' + p.in + '" value="' + escape(p.example ?? '') + '"></label></div>').join('') : '') +
+    (body ? '<h4>Request body</h4><textarea>' + json(body.example ?? {}) + '</textarea><details><summary>Schema</summary><pre>' + json(body.schema) + '</pre></details>' : '') +
+    (op.security ? '<div><label>X-Admin-Token <input data-token type="password"></label></div>' : '') +
+    '<p><button>Send</button></p><pre class="result" hidden></pre>' +
+    (okContent ? '<h4>Response ' + ok[0] + '</h4><pre>' + json(okContent.example ?? {}) + '</pre><details><summary>Schema</summary><pre>' + json(okContent.schema) + '</pre></details>' : '') +
+    '</div></details>';
+}
+
+async function send(panel) {
+  let path = panel.dataset.path;
+  const query = new URLSearchParams();
+  panel.querySelectorAll('input[data-param]').forEach(input => {
+    if (input.value === '') return;
+    if (input.dataset.in === 'path') path = path.replace('{' + input.dataset.param + '}', encodeURIComponent(input.value));
+    else query.set(input.dataset.param, input.value);
+  });
+  const token = panel.querySelector('input[data-token]');
+  const textarea = panel.querySelector(':scope > textarea');
+  const headers = { 'Content-Type': 'application/json' };
+  if (token && token.value) headers['X-Admin-Token'] = token.value;
+  const result = panel.querySelector('.result');
+  result.hidden = false;
+  result.textContent = 'Sending…';
+  try {
+    const response = await fetch(path + (query.toString() ? '?' + query : ''), {
+      method: panel.dataset.method.toUpperCase(),
+      headers,
+      body: textarea ? textarea.value : undefined
+    });
+    const text = await response.text();
+    let pretty = text;
+    try { pretty = JSON.stringify(JSON.parse(text), null, 2); } catch (e) { /* not JSON */ }
+    result.textContent = response.status + ' ' + response.statusText + '\\n' + pretty;
+  } catch (error) {
+    result.textContent = error.message;
+  }
+}
+
+fetch('openapi.json').then(r => r.json()).then(spec => {
+  const byTag = {};
+  Object.entries(spec.paths).forEach(([path, methods]) => Object.entries(methods).forEach(([method, op]) => {
+    (byTag[op.tags[0]] = byTag[op.tags[0]] || []).push(renderOperation(path, method, op));
+  }));
+  document.getElementById('docs').innerHTML = '<p>' + escape(spec.info.description) + '</p>' +
+    Object.entries(byTag).map(([tag, ops]) => '<h2>' + escape(tag) + '</h2>' + ops.join('')).join('');
+  document.querySelectorAll('button').forEach(button => button.addEventListener('click', () => send(button.closest('.body'))));
+}).catch(error => { document.getElementById('docs').textContent = 'Failed to load openapi.json: ' + error.message; });
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { buildOpenApiDocument, openApiPath, renderDocsPage };
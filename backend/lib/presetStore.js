@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PRESETS, resolveScoringConfig } = require('../models/priorityScoring');
+
+// PRESET STORE - named priority-zone weightings saved by users, next to the
+// built-in PRESETS from models/priorityScoring.js. Saved presets never change:
+// the id is the name's slug plus a hash of the weights and ranges, so a shared
+// link always scores the same way and saving identical settings returns the
+// existing preset.
+
+const STORE_FILE = 'priority-presets.json';
+const MAX_PRESETS = 1000;
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+}
+
+const BUILT_IN = Object.entries(PRESETS).map(([id, preset]) => ({
+  id,
+  ...preset,
+  criteria: resolveScoringConfig(preset.criteria),
+  builtIn: true
+}));
+
+function createPresetStore({ dir } = {}) {
+  const presets = new Map();
+  const filePath = dir ? path.join(dir, STORE_FILE) : null;
+
+  function load() {
+    if (!filePath) return;
+    fs.mkdirSync(dir, { recursive: true });
+    if (!fs.existsSync(filePath)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      (stored.presets || []).forEach(preset => presets.set(preset.id, preset));
+      console.log(`Priority presets: loaded ${presets.size} presets from ${filePath}`);
+    } catch (error) {
+      console.error(`Skipping unreadable preset store ${filePath}:`, error.message);
+    }
+  }
+
+  function persist() {
+    if (!filePath) return;
+    fs.writeFileSync(filePath, JSON.stringify({ presets: Array.from(presets.values()) }, null, 2));
+  }
+
+  // { name, description, criteria } -> { preset, created }. Throws on invalid criteria.
+  function save({ name, description = null, criteria }) {
+    const resolved = resolveScoringConfig(criteria);
+    const slug = slugify(name);
+    if (!slug) throw new Error('name must contain letters or digits');
+
+    const hash = crypto.createHash('sha1').update(JSON.stringify(resolved)).digest('hex').slice(0, 8);
+    const id = `${slug}-${hash}`;
+    if (presets.has(id)) return { preset: presets.get(id), created: false };
+    if (presets.size >= MAX_PRESETS) throw new Error(`Preset limit of ${MAX_PRESETS} reached; delete unused presets first`);
+
+    const preset = { id, name, description, criteria: resolved, builtIn: false, createdAt: new Date().toISOString() };
+    presets.set(id, preset);
+    persist();
+    return { preset, created: true };
+  }
+
+  function get(id) {
+    return BUILT_IN.find(preset => preset.id === id) || presets.get(id) || null;
+  }
+
+  // Built-in presets first, then saved ones oldest first
+  function list() {
+    return [...BUILT_IN, ...presets.values()];
+  }
+
+  // Built-in presets can't be removed
+  function remove(id) {
+    const existed = presets.delete(id);
+    if (existed) persist();
+    return existed;
+  }
+
+  load();
+
+  return {
+    save,
+    get,
+    list,
+    remove,
+    get size() {
+      return presets.size;
+    }
+  };
+}
+
+module.exports = { createPresetStore };
@@ -0,0 +1,109 @@
+// PROJECTIONS - WGS84 longitude/latitude to and from the coordinate systems
+// uploaded rasters come in: EPSG:4326, Web Mercator (EPSG:3857) and WGS84 UTM
+// zones (EPSG:326xx north, 327xx south - what Landsat and Sentinel ship in).
+// UTM follows Snyder, "Map Projections - A Working Manual" (1987), pp. 61-64;
+// sub-millimetre within a zone, which is plenty for 30 m thermal pixels.
+
+const A = 6378137;
+const F = 1 / 298.257223563;
+const E2 = F * (2 - F);
+const EP2 = E2 / (1 - E2);
+const K0 = 0.9996;
+const FALSE_EASTING = 500000;
+const FALSE_NORTHING_SOUTH = 10000000;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Meridional arc length from the equator
+function meridionalArc(phi) {
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  return A * (
+    (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+    (3 * E2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+    (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+    (35 * e6 / 3072) * Math.sin(6 * phi)
+  );
+}
+
+function utm(zone, south) {
+  const lambda0 = toRadians((zone - 1) * 6 - 180 + 3);
+  const falseNorthing = south ? FALSE_NORTHING_SOUTH : 0;
+
+  function forward([lng, lat]) {
+    const phi = toRadians(lat);
+    const sin = Math.sin(phi);
+    const cos = Math.cos(phi);
+    const n = A / Math.sqrt(1 - E2 * sin * sin);
+    const t = Math.tan(phi) ** 2;
+    const c = EP2 * cos * cos;
+    const a = cos * (toRadians(lng) - lambda0);
+
+    const x = K0 * n * (a + (1 - t + c) * a ** 3 / 6 + (5 - 18 * t + t * t + 72 * c - 58 * EP2) * a ** 5 / 120);
+    const y = K0 * (meridionalArc(phi) + n * Math.tan(phi) * (
+      a * a / 2 +
+      (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24 +
+      (61 - 58 * t + t * t + 600 * c - 330 * EP2) * a ** 6 / 720
+    ));
+    return [x + FALSE_EASTING, y + falseNorthing];
+  }
+
+  function inverse([x, y]) {
+    const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+    const mu = (y - falseNorthing) / K0 / (A * (1 - E2 / 4 - 3 * E2 * E2 / 64 - 5 * E2 ** 3 / 256));
+    const phi1 = mu +
+      (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+      (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+      (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+      (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sin = Math.sin(phi1);
+    const cos = Math.cos(phi1);
+    const c1 = EP2 * cos * cos;
+    const t1 = Math.tan(phi1) ** 2;
+    const n1 = A / Math.sqrt(1 - E2 * sin * sin);
+    const r1 = A * (1 - E2) / (1 - E2 * sin * sin) ** 1.5;
+    const d = (x - FALSE_EASTING) / (n1 * K0);
+
+    const phi = phi1 - (n1 * Math.tan(phi1) / r1) * (
+      d * d / 2 -
+      (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * EP2) * d ** 4 / 24 +
+      (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * EP2 - 3 * c1 * c1) * d ** 6 / 720
+    );
+    const lambda = lambda0 + (
+      d -
+      (1 + 2 * t1 + c1) * d ** 3 / 6 +
+      (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * EP2 + 24 * t1 * t1) * d ** 5 / 120
+    ) / cos;
+    return [toDegrees(lambda), toDegrees(phi)];
+  }
+
+  return { name: `WGS 84 / UTM zone ${zone}${south ? 'S' : 'N'}`, units: 'metre', forward, inverse };
+}
+
+const webMercator = {
+  name: 'WGS 84 / Pseudo-Mercator',
+  units: 'metre',
+  forward: ([lng, lat]) => [A * toRadians(lng), A * Math.log(Math.tan(Math.PI / 4 + toRadians(lat) / 2))],
+  inverse: ([x, y]) => [toDegrees(x / A), toDegrees(2 * Math.atan(Math.exp(y / A)) - Math.PI / 2)]
+};
+
+const geographic = {
+  name: 'WGS 84',
+  units: 'degree',
+  forward: ([lng, lat]) => [lng, lat],
+  inverse: ([x, y]) => [x, y]
+};
+
+// EPSG code -> { epsg, name, units, forward([lng, lat]) -> [x, y], inverse([x, y]) -> [lng, lat] }
+function getProjection(epsg) {
+  if (epsg === 4326) return { epsg, ...geographic };
+  if (epsg === 3857) return { epsg, ...webMercator };
+  if ((epsg > 32600 && epsg <= 32660) || (epsg > 32700 && epsg <= 32760)) {
+    return { epsg, ...utm(epsg % 100, epsg > 32700) };
+  }
+  throw new Error(`EPSG:${epsg} is not supported; warp to EPSG:4326 or a WGS 84 UTM zone (gdalwarp -t_srs EPSG:4326)`);
+}
+
+module.exports = { getProjection };
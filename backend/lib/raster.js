@@ -0,0 +1,184 @@
+const { getProjection } = require('./projection');
+
+// RASTER SAMPLING - point, footprint and grid-cell statistics from a decoded
+// GeoTIFF band (lib/geotiff.js) in any CRS lib/projection.js knows.
+// `convert` turns stored values into the unit callers want (e.g. scaled Kelvin
+// -> °C); nodata and non-finite pixels are skipped.
+
+const METRES_PER_DEGREE = 111320;
+const MAX_GRID_PIXELS = 4000000; // larger windows are sampled with a stride
+
+function pointInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function summarise(values) {
+  if (values.length === 0) return null;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    sum += value;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  return { mean: sum / values.length, min, max, pixels: values.length };
+}
+
+// image: readGeoTiff() result; convert: stored value -> output value
+function createRaster(image, { convert = value => value } = {}) {
+  const { width, height, values, transform } = image;
+  const projection = getProjection(image.epsg);
+  const noData = image.noData === null ? null : Math.fround(image.noData);
+
+  function valueAtPixel(col, row) {
+    if (col < 0 || row < 0 || col >= width || row >= height) return null;
+    const raw = values[row * width + col];
+    if (!Number.isFinite(raw) || raw === noData) return null;
+    return convert(raw);
+  }
+
+  const toPixel = ([x, y]) => [(x - transform.originX) / transform.pixelWidth, (transform.originY - y) / transform.pixelHeight];
+  const pixelCentre = (col, row) => [
+    transform.originX + (col + 0.5) * transform.pixelWidth,
+    transform.originY - (row + 0.5) * transform.pixelHeight
+  ];
+
+  // Pixel window covering projected points, clamped to the raster
+  function windowOf(points) {
+    const pixels = points.map(toPixel);
+    const cols = pixels.map(p => p[0]);
+    const rows = pixels.map(p => p[1]);
+    return {
+      col0: Math.max(Math.floor(Math.min(...cols)), 0),
+      col1: Math.min(Math.ceil(Math.max(...cols)), width - 1),
+      row0: Math.max(Math.floor(Math.min(...rows)), 0),
+      row1: Math.min(Math.ceil(Math.max(...rows)), height - 1)
+    };
+  }
+
+  // WGS84 bounds of the raster, from its edges (UTM edges are not straight in lon/lat)
+  function geographicBounds() {
+    const edge = [];
+    for (let i = 0; i <= 8; i++) {
+      const f = i / 8;
+      edge.push([f * width, 0], [f * width, height], [0, f * height], [width, f * height]);
+    }
+    const corners = edge.map(([col, row]) => projection.inverse([
+      transform.originX + col * transform.pixelWidth,
+      transform.originY - row * transform.pixelHeight
+    ]));
+    return {
+      north: Math.max(...corners.map(c => c[1])),
+      south: Math.min(...corners.map(c => c[1])),
+      east: Math.max(...corners.map(c => c[0])),
+      west: Math.min(...corners.map(c => c[0]))
+    };
+  }
+
+  const bounds = geographicBounds();
+  const centreLatitude = (bounds.north + bounds.south) / 2;
+  const metresPerUnit = projection.units === 'degree'
+    ? METRES_PER_DEGREE * Math.cos(centreLatitude * Math.PI / 180)
+    : projection.epsg === 3857 ? Math.cos(centreLatitude * Math.PI / 180) : 1;
+
+  function valueAt(lng, lat) {
+    const [col, row] = toPixel(projection.forward([lng, lat]));
+    return valueAtPixel(Math.floor(col), Math.floor(row));
+  }
+
+  // ring: [[lng, lat], ...]. Mean/min/max of pixels whose centre is inside; footprints
+  // smaller than a pixel take the pixel under their vertex mean ('nearest')
+  function sampleFootprint(ring) {
+    const projected = ring.map(point => projection.forward(point));
+    const window = windowOf(projected);
+    const inside = [];
+    for (let row = window.row0; row <= window.row1; row++) {
+      for (let col = window.col0; col <= window.col1; col++) {
+        const [x, y] = pixelCentre(col, row);
+        if (!pointInRing(x, y, projected)) continue;
+        const value = valueAtPixel(col, row);
+        if (value !== null) inside.push(value);
+      }
+    }
+    if (inside.length > 0) return { ...summarise(inside), method: 'footprint' };
+
+    const lng = ring.reduce((sum, p) => sum + p[0], 0) / ring.length;
+    const lat = ring.reduce((sum, p) => sum + p[1], 0) / ring.length;
+    const value = valueAt(lng, lat);
+    return value === null ? null : { mean: value, min: value, max: value, pixels: 1, method: 'nearest' };
+  }
+
+  // gridSize x gridSize cells over WGS84 bounds; each cell gets the statistics of
+  // the pixels whose centre falls inside it. Cells without pixels are omitted.
+  function sampleGrid(area, gridSize) {
+    const latStep = (area.north - area.south) / gridSize;
+    const lngStep = (area.east - area.west) / gridSize;
+    const midLng = (area.west + area.east) / 2;
+    const midLat = (area.south + area.north) / 2;
+    const corners = [
+      [area.west, area.south], [area.west, area.north], [area.east, area.south], [area.east, area.north],
+      [midLng, area.south], [midLng, area.north], [area.west, midLat], [area.east, midLat]
+    ];
+    const window = windowOf(corners.map(point => projection.forward(point)));
+    const cells = new Map();
+    if (window.col0 > window.col1 || window.row0 > window.row1) return { cells: [], coverage: 0 };
+
+    const windowPixels = (window.col1 - window.col0 + 1) * (window.row1 - window.row0 + 1);
+    const stride = Math.max(Math.ceil(Math.sqrt(windowPixels / MAX_GRID_PIXELS)), 1);
+
+    for (let row = window.row0; row <= window.row1; row += stride) {
+      for (let col = window.col0; col <= window.col1; col += stride) {
+        const value = valueAtPixel(col, row);
+        if (value === null) continue;
+        const [lng, lat] = projection.inverse(pixelCentre(col, row));
+        if (lat < area.south || lat >= area.north || lng < area.west || lng >= area.east) continue;
+
+        const key = Math.floor((lat - area.south) / latStep) * gridSize + Math.floor((lng - area.west) / lngStep);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(value);
+      }
+    }
+
+    const sampled = Array.from(cells.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([key, cellValues]) => {
+        const row = Math.floor(key / gridSize);
+        const col = key % gridSize;
+        return {
+          lat: area.south + (row + 0.5) * latStep,
+          lng: area.west + (col + 0.5) * lngStep,
+          ...summarise(cellValues)
+        };
+      });
+    return { cells: sampled, coverage: sampled.length / (gridSize * gridSize) };
+  }
+
+  // Share of the bounds' area inside the raster extent (cheap pre-check before sampling)
+  function overlap(area) {
+    const west = Math.max(area.west, bounds.west);
+    const east = Math.min(area.east, bounds.east);
+    const south = Math.max(area.south, bounds.south);
+    const north = Math.min(area.north, bounds.north);
+    if (west >= east || south >= north) return 0;
+    return ((east - west) * (north - south)) / ((area.east - area.west) * (area.north - area.south));
+  }
+
+  return {
+    projection,
+    bounds,
+    pixelSizeMetres: transform.pixelWidth * metresPerUnit,
+    valueAt,
+    sampleFootprint,
+    sampleGrid,
+    overlap
+  };
+}
+
+module.exports = { createRaster };
@@ -0,0 +1,177 @@
+// SENSOR IMPORT - CSV or JSON sensor readings -> normalised readings.
+// Column names are matched case-insensitively against the aliases below, so
+// exports from PurpleAir, AirGradient or a spreadsheet work without renaming.
+// Concentrations are taken as µg/m³.
+
+const COLUMN_ALIASES = {
+  id: ['id', 'sensor_id', 'sensorid', 'sensor', 'device_id', 'device'],
+  name: ['name', 'label', 'sensor_name'],
+  latitude: ['lat', 'latitude'],
+  longitude: ['lon', 'lng', 'long', 'longitude'],
+  timestamp: ['timestamp', 'time', 'datetime', 'date', 'created_at', 'time_stamp'],
+  humidity: ['humidity', 'rh', 'relative_humidity'],
+  pm25: ['pm25', 'pm2_5', 'pm2.5', 'pm25_atm', 'pm2.5_atm', 'pm2_5_atm'],
+  pm10: ['pm10', 'pm10_atm', 'pm10.0', 'pm10_0_atm'],
+  no2: ['no2'],
+  o3: ['o3', 'ozone'],
+  so2: ['so2'],
+  co: ['co']
+};
+
+const POLLUTANT_FIELDS = ['pm25', 'pm10', 'no2', 'o3', 'so2', 'co'];
+const MAX_ERRORS_REPORTED = 50;
+
+// Ids and names end up in map popups; keep them short and free of markup
+const SENSOR_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const MAX_NAME_LENGTH = 80;
+const SENSOR_NAME_PATTERN = /^[\p{L}\p{N} _.,:;()#'/&+-]+$/u;
+
+// Field name -> canonical key, or undefined
+function canonicalField(name) {
+  const normalised = String(name).trim().toLowerCase();
+  return Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalised));
+}
+
+// One CSV line -> fields, honouring double-quoted values with "" escapes
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+// Raw record with arbitrary field names -> { reading } or { error }
+function normaliseRecord(record) {
+  const fields = {};
+  Object.entries(record).forEach(([key, value]) => {
+    const canonical = canonicalField(key);
+    if (canonical && fields[canonical] === undefined) fields[canonical] = value;
+  });
+
+  if (fields.id === undefined || fields.id === null || String(fields.id).trim() === '') {
+    return { error: 'missing sensor id' };
+  }
+  const sensorId = String(fields.id).trim();
+  if (!SENSOR_ID_PATTERN.test(sensorId)) {
+    return { error: 'sensor id must be 1-64 letters, digits or _ . : -' };
+  }
+  const name = fields.name ? String(fields.name).trim() : '';
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (name && !SENSOR_NAME_PATTERN.test(name)) {
+    return { error: "name may only contain letters, digits, spaces and _ . , : ; ( ) # ' / & + -" };
+  }
+
+  const latitude = toNumber(fields.latitude);
+  const longitude = toNumber(fields.longitude);
+  if (latitude === null || Number.isNaN(latitude) || latitude < -90 || latitude > 90) {
+    return { error: 'latitude must be between -90 and 90' };
+  }
+  if (longitude === null || Number.isNaN(longitude) || longitude < -180 || longitude > 180) {
+    return { error: 'longitude must be between -180 and 180' };
+  }
+
+  const time = new Date(fields.timestamp);
+  if (fields.timestamp === undefined || Number.isNaN(time.getTime())) {
+    return { error: 'timestamp must be an ISO 8601 date' };
+  }
+
+  const values = {};
+  for (const pollutant of POLLUTANT_FIELDS) {
+    const value = toNumber(fields[pollutant]);
+    if (value === null) continue;
+    if (Number.isNaN(value) || value < 0) return { error: `${pollutant} must be a non-negative number` };
+    values[pollutant] = value;
+  }
+  if (Object.keys(values).length === 0) {
+    return { error: `no pollutant values (expected one of ${POLLUTANT_FIELDS.join(', ')})` };
+  }
+
+  const humidity = toNumber(fields.humidity);
+  if (Number.isNaN(humidity) || (humidity !== null && (humidity < 0 || humidity > 100))) {
+    return { error: 'humidity must be between 0 and 100' };
+  }
+
+  return {
+    reading: {
+      sensorId,
+      name: name || null,
+      latitude,
+      longitude,
+      timestamp: time.toISOString(),
+      humidity,
+      values
+    }
+  };
+}
+
+function collect(records, lineOffset) {
+  const readings = [];
+  const errors = [];
+  let rejected = 0;
+  records.forEach((record, i) => {
+    const { reading, error } = normaliseRecord(record);
+    if (reading) {
+      readings.push(reading);
+      return;
+    }
+    rejected++;
+    if (errors.length < MAX_ERRORS_REPORTED) errors.push({ line: i + lineOffset, error });
+  });
+  return { readings, rejected, errors };
+}
+
+function parseSensorCsv(text) {
+  const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length < 2) throw new Error('CSV needs a header row and at least one reading');
+
+  const header = splitCsvLine(lines[0]);
+  if (!header.some(h => canonicalField(h) === 'id')) {
+    throw new Error(`CSV header needs a sensor id column (${COLUMN_ALIASES.id.join(', ')})`);
+  }
+
+  const records = lines.slice(1).map(line => {
+    const values = splitCsvLine(line);
+    return Object.fromEntries(header.map((h, i) => [h, values[i]]));
+  });
+  return collect(records, 2); // line numbers as seen in the file, after the header
+}
+
+// [...] or { readings: [...] }
+function parseSensorJson(body) {
+  const records = Array.isArray(body) ? body : body?.readings;
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error('JSON upload must be an array of readings or { readings: [...] }');
+  }
+  return collect(records, 1); // 1-based array positions
+}
+
+module.exports = { parseSensorCsv, parseSensorJson, COLUMN_ALIASES };
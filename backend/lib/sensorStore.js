@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { haversineDistance } = require('./geometry');
+const { resolveCalibration, applyCalibration, DEFAULT_CALIBRATION } = require('../models/sensorCalibration');
+
+// SENSOR STORE - uploaded low-cost sensor readings, kept raw per sensor and
+// written through to a single JSON file so they survive restarts.
+// Calibration is stored per sensor and applied when readings are read back.
+
+const STORE_FILE = 'sensors.json';
+const MAX_READINGS_PER_SENSOR = 5000;
+const HOUR = 3600000;
+
+function createSensorStore({ dir, maxAgeHours = 24 } = {}) {
+  const sensors = new Map();
+  const filePath = dir ? path.join(dir, STORE_FILE) : null;
+
+  function load() {
+    if (!filePath) return;
+    fs.mkdirSync(dir, { recursive: true });
+    if (!fs.existsSync(filePath)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      (stored.sensors || []).forEach(sensor => sensors.set(sensor.id, sensor));
+      console.log(`Sensors: loaded ${sensors.size} sensors from ${filePath}`);
+    } catch (error) {
+      console.error(`Skipping unreadable sensor store ${filePath}:`, error.message);
+    }
+  }
+
+  function persist() {
+    if (!filePath) return;
+    fs.writeFileSync(filePath, JSON.stringify({ sensors: Array.from(sensors.values()) }));
+  }
+
+  // Merge readings; a sensor's latest name/position wins, duplicates (same
+  // sensor and timestamp) are replaced by the newer upload
+  function addReadings(readings, calibration) {
+    const resolved = calibration !== undefined ? resolveCalibration(calibration) : null;
+    let added = 0;
+    let replaced = 0;
+    const touched = new Set();
+
+    readings.forEach(reading => {
+      if (!sensors.has(reading.sensorId)) {
+        sensors.set(reading.sensorId, {
+          id: reading.sensorId,
+          name: reading.name || `Sensor ${reading.sensorId}`,
+          latitude: reading.latitude,
+          longitude: reading.longitude,
+          calibration: resolveCalibration(DEFAULT_CALIBRATION),
+          readings: []
+        });
+      }
+      const sensor = sensors.get(reading.sensorId);
+      touched.add(sensor.id);
+
+      const entry = { timestamp: reading.timestamp, humidity: reading.humidity, values: reading.values };
+      const existing = sensor.readings.findIndex(r => r.timestamp === reading.timestamp);
+      if (existing !== -1) {
+        sensor.readings[existing] = entry;
+        replaced++;
+      } else {
+        sensor.readings.push(entry);
+        added++;
+      }
+
+      if (!sensor.lastReading || reading.timestamp >= sensor.lastReading) {
+        sensor.lastReading = reading.timestamp;
+        sensor.latitude = reading.latitude;
+        sensor.longitude = reading.longitude;
+        if (reading.name) sensor.name = reading.name;
+      }
+    });
+
+    touched.forEach(id => {
+      const sensor = sensors.get(id);
+      if (resolved) sensor.calibration = resolved;
+      sensor.readings.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      if (sensor.readings.length > MAX_READINGS_PER_SENSOR) {
+        sensor.readings = sensor.readings.slice(-MAX_READINGS_PER_SENSOR);
+      }
+    });
+
+    persist();
+    return { added, replaced, sensors: Array.from(touched) };
+  }
+
+  function describe(sensor) {
+    const latest = sensor.readings[sensor.readings.length - 1];
+    return {
+      id: sensor.id,
+      name: sensor.name,
+      latitude: sensor.latitude,
+      longitude: sensor.longitude,
+      calibration: sensor.calibration,
+      readings: sensor.readings.length,
+      firstReading: sensor.readings[0]?.timestamp || null,
+      lastReading: latest?.timestamp || null
+    };
+  }
+
+  function list() {
+    return Array.from(sensors.values()).map(describe);
+  }
+
+  function remove(id) {
+    const existed = sensors.delete(id);
+    if (existed) persist();
+    return existed;
+  }
+
+  // Latest calibrated reading per sensor, in the location shape used by
+  // /api/getAirQuality. Area: { bounds } or { latitude, longitude, radiusKm }.
+  function getLatest({ bounds, latitude, longitude, radiusKm = 50 }, now = Date.now()) {
+    const cutoff = new Date(now - maxAgeHours * HOUR).toISOString();
+
+    return Array.from(sensors.values())
+      .filter(sensor => {
+        if (bounds) {
+          return sensor.latitude >= bounds.south && sensor.latitude <= bounds.north &&
+            sensor.longitude >= bounds.west && sensor.longitude <= bounds.east;
+        }
+        return haversineDistance(latitude, longitude, sensor.latitude, sensor.longitude) <= radiusKm * 1000;
+      })
+      .map(sensor => ({ sensor, latest: sensor.readings[sensor.readings.length - 1] }))
+      .filter(({ latest }) => latest && latest.timestamp >= cutoff)
+      .map(({ sensor, latest }) => {
+        const corrected = applyCalibration(latest.values, latest.humidity, sensor.calibration);
+        const measurements = {};
+        Object.entries(corrected).forEach(([pollutant, { value, raw }]) => {
+          measurements[pollutant] = { value, raw, unit: 'µg/m³', lastUpdated: latest.timestamp };
+        });
+
+        return {
+          id: `sensor:${sensor.id}`,
+          name: sensor.name,
+          latitude: sensor.latitude,
+          longitude: sensor.longitude,
+          measurements,
+          humidity: latest.humidity,
+          calibration: sensor.calibration.name,
+          sourceType: 'sensor',
+          lastUpdate: latest.timestamp
+        };
+      });
+  }
+
+  load();
+
+  return {
+    addReadings,
+    list,
+    remove,
+    getLatest,
+    get size() {
+      return sensors.size;
+    }
+  };
+}
+
+module.exports = { createSensorStore };
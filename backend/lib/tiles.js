@@ -0,0 +1,56 @@
+// SLIPPY-MAP TILE MATH (Web Mercator, same scheme as the basemap tiles)
+
+function lngToTileX(lng, zoom) {
+  return Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
+}
+
+function latToTileY(lat, zoom) {
+  const rad = lat * Math.PI / 180;
+  return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, zoom));
+}
+
+function tileToLng(x, zoom) {
+  return x / Math.pow(2, zoom) * 360 - 180;
+}
+
+function tileToLat(y, zoom) {
+  const n = Math.PI - 2 * Math.PI * y / Math.pow(2, zoom);
+  return 180 / Math.PI * Math.atan(Math.sinh(n));
+}
+
+function tileBounds(x, y, zoom) {
+  return {
+    west: tileToLng(x, zoom),
+    east: tileToLng(x + 1, zoom),
+    north: tileToLat(y, zoom),
+    south: tileToLat(y + 1, zoom)
+  };
+}
+
+function tileRange({ west, south, east, north }, zoom) {
+  return {
+    minX: lngToTileX(west, zoom),
+    maxX: lngToTileX(east, zoom),
+    minY: latToTileY(north, zoom),
+    maxY: latToTileY(south, zoom)
+  };
+}
+
+function countTiles(bounds, zoom) {
+  const { minX, maxX, minY, maxY } = tileRange(bounds, zoom);
+  return (maxX - minX + 1) * (maxY - minY + 1);
+}
+
+// Every tile at `zoom` touching the bounding box
+function tilesForBounds(bounds, zoom) {
+  const tiles = [];
+  const { minX, maxX, minY, maxY } = tileRange(bounds, zoom);
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      tiles.push({ x, y, zoom });
+    }
+  }
+  return tiles;
+}
+
+module.exports = { lngToTileX, latToTileY, tileBounds, countTiles, tilesForBounds };
@@ -0,0 +1,265 @@
+// VALIDATION - request/response checking against the declarative route schemas
+// in routes/schemas.js, and the one error envelope every /api route returns:
+//   { error: { code, message, details: [{ path, message }] } }
+// Schemas are a JSON Schema subset: type (string or array), enum, const,
+// minimum/maximum/exclusiveMinimum, minLength/maxLength/pattern, format
+// (date-time), items/minItems/maxItems, properties/required/
+// additionalProperties, anyOf (with an optional errorMessage) and default.
+
+const ERROR_CODES = {
+  VALIDATION_FAILED: 400,
+  INVALID_JSON: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  BBOX_TOO_LARGE: 422,
+  PAYLOAD_TOO_LARGE: 413,
+  UPSTREAM_FAILED: 502,
+  UPSTREAM_UNAVAILABLE: 503,
+  INTERNAL_ERROR: 500
+};
+
+const MAX_DETAILS = 50;
+
+class ApiError extends Error {
+  // details: [{ path, message }] or a cause message string
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code] || 500;
+    this.details = typeof details === 'string' ? [{ message: details }] : details;
+  }
+}
+
+let checkResponses = false;
+
+// Response checking is a development aid: mismatches are logged, never sent
+function configureValidation(options = {}) {
+  checkResponses = Boolean(options.checkResponses);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+// Query strings and path params arrive as strings
+function coerceString(types, value) {
+  if (typeof value !== 'string' || types.includes('string')) return value;
+  if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+// Returns the checked value (a copy with defaults applied and, with `coerce`,
+// strings converted); problems are pushed as { path, message }
+function check(schema, value, path, problems, options) {
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(alternative => {
+      const attempt = [];
+      check(alternative, value, path, attempt, options);
+      return attempt.length === 0;
+    });
+    if (!matched) {
+      problems.push({ path, message: schema.errorMessage || 'does not match any of the allowed forms' });
+      return value;
+    }
+  }
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (options.coerce && types) value = coerceString(types, value);
+
+  if (types && !types.some(type => matchesType(type, value))) {
+    problems.push({ path, message: `must be ${types.join(' or ')}` });
+    return value;
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    problems.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      problems.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push({ path, message: schema.errorMessage || `must match ${schema.pattern}` });
+    }
+    if (schema.format === 'date-time' && Number.isNaN(new Date(value).getTime())) {
+      problems.push({ path, message: 'must be an ISO 8601 date' });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push({ path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push({ path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      return value.map((item, i) => check(schema.items, item, `${path}[${i}]`, problems, options));
+    }
+    return value;
+  }
+
+  if (isObject(value) && (schema.properties || schema.required || schema.additionalProperties === false)) {
+    const result = { ...value };
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) problems.push({ path: join(path, key), message: 'is required' });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        result[key] = check(propertySchema, value[key], join(path, key), problems, options);
+      } else if (options.defaults && propertySchema.default !== undefined) {
+        result[key] = propertySchema.default;
+      }
+    });
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter(key => !(key in (schema.properties || {})))
+        .forEach(key => problems.push({ path: join(path, key), message: 'is not a known field' }));
+    }
+    return result;
+  }
+
+  return value;
+}
+
+function validate(schema, value, { path = '', coerce = false, defaults = false } = {}) {
+  const problems = [];
+  const checked = check(schema, value, path, problems, { coerce, defaults });
+  return { value: checked, problems };
+}
+
+function validationError(problems) {
+  const summary = problems.slice(0, 3).map(p => `${p.path} ${p.message}`).join('; ');
+  const more = problems.length > 3 ? ` (and ${problems.length - 3} more)` : '';
+  return new ApiError('VALIDATION_FAILED', `Invalid request: ${summary}${more}`, problems.slice(0, MAX_DETAILS));
+}
+
+// Middleware for one route schema: checks params, query and JSON body (the
+// body is replaced by the checked copy, so schema defaults reach the handler)
+// and, when enabled, checks successful JSON responses.
+function validateRequest(route) {
+  return (req, res, next) => {
+    const problems = [];
+
+    if (route.params) {
+      problems.push(...validate(route.params, req.params, { path: 'params', coerce: true }).problems);
+    }
+    if (route.query) {
+      problems.push(...validate(route.query, req.query, { path: 'query', coerce: true }).problems);
+    }
+    if (route.body && typeof req.body !== 'string') {
+      const body = validate(route.body, req.body ?? {}, { path: 'body', defaults: true });
+      problems.push(...body.problems);
+      req.body = body.value;
+    }
+    if (problems.length > 0) return next(validationError(problems));
+
+    if (checkResponses && route.response) {
+      const json = res.json.bind(res);
+      res.json = (payload) => {
+        if (res.statusCode < 400) {
+          const { problems: mismatches } = validate(route.response, JSON.parse(JSON.stringify(payload)));
+          if (mismatches.length > 0) {
+            console.warn(`✗ ${route.method.toUpperCase()} ${route.path} response does not match its schema:`,
+              mismatches.slice(0, 5).map(p => `${p.path || 'body'} ${p.message}`).join('; '));
+          }
+        }
+        return json(payload);
+      };
+    }
+    next();
+  };
+}
+
+// Guard for routes marked `adminToken: true` in routes/schemas.js: the request
+// must carry ADMIN_TOKEN in X-Admin-Token. Fails closed when no token is
+// configured, unless `openAdminRoutes` (OPEN_ADMIN_ROUTES) opts in.
+function requireAdminToken({ adminToken, openAdminRoutes = false } = {}) {
+  return (req, res, next) => {
+    if (adminToken) {
+      if (req.get('X-Admin-Token') !== adminToken) {
+        throw new ApiError('UNAUTHORIZED', 'Invalid or missing X-Admin-Token');
+      }
+    } else if (!openAdminRoutes) {
+      throw new ApiError('UNAUTHORIZED', 'Admin routes are disabled: set ADMIN_TOKEN (or OPEN_ADMIN_ROUTES=true for local development)');
+    }
+    next();
+  };
+}
+
+// Unknown /api paths
+function notFound(req, res, next) {
+  next(new ApiError('NOT_FOUND', `No route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+}
+
+// Last middleware: everything thrown or passed to next() leaves as the envelope
+function errorHandler(error, req, res, next) {
+  let apiError = error;
+  if (!(error instanceof ApiError)) {
+    if (error.type === 'entity.parse.failed') {
+      apiError = new ApiError('INVALID_JSON', 'Request body is not valid JSON', error.message);
+    } else if (error.type === 'entity.too.large' || error.status === 413) {
+      apiError = new ApiError('PAYLOAD_TOO_LARGE', error.type === 'entity.too.large' ? 'Request body is too large' : error.message);
+    } else {
+      console.error(`✗ Unhandled error in ${req.method} ${req.originalUrl}:`, error.message);
+      apiError = new ApiError('INTERNAL_ERROR', 'Internal server error', error.message);
+    }
+  }
+
+  if (res.headersSent) return next(error);
+  res.status(apiError.status).json({
+    error: {
+      code: apiError.code,
+      message: apiError.message,
+      details: apiError.details
+    }
+  });
+}
+
+module.exports = {
+  ApiError,
+  ERROR_CODES,
+  configureValidation,
+  validate,
+  validateRequest,
+  requireAdminToken,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,129 @@
+// AIR QUALITY HISTORY - daily means, annual mean, guideline exceedance days and
+// trend from a station's hourly series.
+// Days are calendar days in the station's time zone and count only with at least
+// 75% hourly coverage (18 h), the completeness rule WHO and most national
+// networks use for 24-hour means. Trend is the Theil-Sen slope of daily means
+// with a Mann-Kendall test; over a single year it mostly reflects seasonality.
+
+const GUIDELINES = {
+  // WHO Global Air Quality Guidelines 2021; Bangladesh Air Pollution (Control) Rules 2022
+  pm25: { who24h: 15, whoAnnual: 5, national24h: 65, nationalAnnual: 35 },
+  pm10: { who24h: 45, whoAnnual: 15, national24h: 150, nationalAnnual: 50 }
+};
+
+const MIN_HOURS_PER_DAY = 18;
+const ANNUAL_DAYS = 365;
+const MIN_ANNUAL_COVERAGE = 0.75;
+const MIN_TREND_DAYS = 10;
+const TREND_Z_CRITICAL = 1.96; // two-sided, 95%
+const DAY = 86400000;
+
+function round(value, digits = 1) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// [{ time, value }] hourly -> [{ date, mean, max, hours, valid }] per local day
+function dailyMeans(hourly, timezone = 'UTC') {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit'
+  });
+
+  const days = new Map();
+  hourly.forEach(({ time, value }) => {
+    const date = formatter.format(new Date(time));
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(value);
+  });
+
+  return Array.from(days.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, values]) => ({
+      date,
+      mean: round(mean(values)),
+      max: round(Math.max(...values)),
+      hours: values.length,
+      valid: values.length >= MIN_HOURS_PER_DAY
+    }));
+}
+
+// Mann-Kendall S statistic and Z score, with Sen's slope in units per day
+function theilSenTrend(points) {
+  const slopes = [];
+  let s = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const dy = points[j].y - points[i].y;
+      slopes.push(dy / (points[j].x - points[i].x));
+      s += Math.sign(dy);
+    }
+  }
+  slopes.sort((a, b) => a - b);
+  const mid = Math.floor(slopes.length / 2);
+  const slope = slopes.length % 2 ? slopes[mid] : (slopes[mid - 1] + slopes[mid]) / 2;
+
+  const n = points.length;
+  const variance = n * (n - 1) * (2 * n + 5) / 18;
+  const z = s > 0 ? (s - 1) / Math.sqrt(variance) : s < 0 ? (s + 1) / Math.sqrt(variance) : 0;
+  return { slope, z };
+}
+
+function exceedances(validDays, limit) {
+  const days = validDays.filter(d => d.mean > limit).length;
+  return {
+    limit,
+    days,
+    percentOfValidDays: validDays.length > 0 ? round(days / validDays.length * 100) : null
+  };
+}
+
+// history: { parameter, unit, hourly: [{ time, value }], location: { timezone } }
+function summariseHistory(history, window) {
+  const guidelines = GUIDELINES[history.parameter];
+  const daily = dailyMeans(history.hourly, history.location?.timezone);
+  const validDays = daily.filter(d => d.valid);
+
+  // Annual mean over the last 365 days of the window
+  const annualStart = new Date(window.to.getTime() - ANNUAL_DAYS * DAY).toISOString().slice(0, 10);
+  const annualDays = validDays.filter(d => d.date > annualStart);
+  const annualValue = annualDays.length > 0 ? round(mean(annualDays.map(d => d.mean))) : null;
+  const annualCoverage = annualDays.length / ANNUAL_DAYS;
+
+  let trend = { direction: 'insufficient data', slopePerYear: null, z: null };
+  if (validDays.length >= MIN_TREND_DAYS) {
+    const origin = Date.parse(validDays[0].date);
+    const { slope, z } = theilSenTrend(validDays.map(d => ({ x: (Date.parse(d.date) - origin) / DAY, y: d.mean })));
+    trend = {
+      direction: Math.abs(z) < TREND_Z_CRITICAL ? 'stable' : z > 0 ? 'rising' : 'falling',
+      slopePerYear: round(slope * ANNUAL_DAYS, 2),
+      z: round(z, 2)
+    };
+  }
+
+  return {
+    hours: history.hourly.length,
+    days: daily.length,
+    validDays: validDays.length,
+    mean: validDays.length > 0 ? round(mean(validDays.map(d => d.mean))) : null,
+    annualMean: {
+      value: annualValue,
+      validDays: annualDays.length,
+      coverage: round(annualCoverage, 2),
+      representative: annualCoverage >= MIN_ANNUAL_COVERAGE,
+      exceedsWho: guidelines && annualValue !== null ? annualValue > guidelines.whoAnnual : null,
+      exceedsNational: guidelines && annualValue !== null ? annualValue > guidelines.nationalAnnual : null
+    },
+    exceedances: guidelines ? {
+      who24h: exceedances(validDays, guidelines.who24h),
+      bangladesh24h: exceedances(validDays, guidelines.national24h)
+    } : null,
+    guidelines: guidelines || null,
+    trend,
+    daily
+  };
+}
+
+module.exports = { summariseHistory, GUIDELINES };
@@ -0,0 +1,322 @@
+// AIR QUALITY INDEX - per-pollutant sub-indices and the overall index under a
+// selectable national standard. Each standard's index is the highest sub-index;
+// the pollutant that sets it is reported as dominant.
+//
+// Latest readings are hourly, while most breakpoints are defined for 24 h (PM,
+// SO2, NO2 in India/Bangladesh) or 8 h (O3, CO) means. We apply them to the
+// latest concentration, so the result is an indicative "now" index rather than
+// the regulatory daily value.
+
+const POLLUTANTS = ['pm25', 'pm10', 'o3', 'no2', 'so2', 'co'];
+
+const POLLUTANT_LABELS = {
+  pm25: 'PM2.5', pm10: 'PM10', o3: 'O₃', no2: 'NO₂', so2: 'SO₂', co: 'CO'
+};
+
+// g/mol, for ppb <-> µg/m³ at 25 °C and 1 atm (molar volume 24.45 L)
+const MOLECULAR_WEIGHTS = { o3: 48.00, no2: 46.01, so2: 64.07, co: 28.01 };
+const MOLAR_VOLUME = 24.45;
+
+// Breakpoint rows: [concentration low, concentration high, index low, index high]
+const STANDARDS = {
+  'us-epa': {
+    name: 'US EPA AQI',
+    reference: 'US EPA Technical Assistance Document (2024 PM2.5 revision)',
+    scale: [
+      { max: 50, label: 'Good', color: '#00e400' },
+      { max: 100, label: 'Moderate', color: '#ffff00' },
+      { max: 150, label: 'Unhealthy for Sensitive Groups', color: '#ff7e00' },
+      { max: 200, label: 'Unhealthy', color: '#ff0000' },
+      { max: 300, label: 'Very Unhealthy', color: '#8f3f97' },
+      { max: 500, label: 'Hazardous', color: '#7e0023' }
+    ],
+    pollutants: {
+      pm25: { unit: 'µg/m³', averaging: '24h', breakpoints: [
+        [0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150],
+        [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]
+      ] },
+      pm10: { unit: 'µg/m³', averaging: '24h', breakpoints: [
+        [0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150],
+        [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]
+      ] },
+      o3: { unit: 'ppb', averaging: '8h', breakpoints: [
+        [0, 54, 0, 50], [55, 70, 51, 100], [71, 85, 101, 150],
+        // 8-hour O3 stops at 200 ppb; EPA switches to 1-hour O3 above that
+        [86, 105, 151, 200], [106, 200, 201, 300]
+      ] },
+      no2: { unit: 'ppb', averaging: '1h', breakpoints: [
+        [0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150],
+        [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]
+      ] },
+      so2: { unit: 'ppb', averaging: '1h', breakpoints: [
+        [0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150],
+        [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]
+      ] },
+      co: { unit: 'ppm', averaging: '8h', breakpoints: [
+        [0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150],
+        [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]
+      ] }
+    }
+  },
+
+  'in-naqi': {
+    name: 'India National AQI (CPCB)',
+    reference: 'CPCB National Air Quality Index (2014)',
+    scale: [
+      { max: 50, label: 'Good', color: '#009865' },
+      { max: 100, label: 'Satisfactory', color: '#98c64b' },
+      { max: 200, label: 'Moderate', color: '#fff200' },
+      { max: 300, label: 'Poor', color: '#f7941d' },
+      { max: 400, label: 'Very Poor', color: '#ed1c24' },
+      { max: 500, label: 'Severe', color: '#a3171c' }
+    ],
+    // CPCB requires at least three pollutants, one of them PM, for a valid index
+    minPollutants: 3,
+    pollutants: {
+      pm25: { unit: 'µg/m³', averaging: '24h', breakpoints: [
+        [0, 30, 0, 50], [31, 60, 51, 100], [61, 90, 101, 200],
+        [91, 120, 201, 300], [121, 250, 301, 400], [251, 380, 401, 500]
+      ] },
+      pm10: { unit: 'µg/m³', averaging: '24h', breakpoints: [
+        [0, 50, 0, 50], [51, 100, 51, 100], [101, 250, 101, 200],
+        [251, 350, 201, 300], [351, 430, 301, 400], [431, 510, 401, 500]
+      ] },
+      o3: { unit: 'µg/m³', averaging: '8h', breakpoints: [
+        [0, 50, 0, 50], [51, 100, 51, 100], [101, 168, 101, 200],
+        [169, 208, 201, 300], [209, 748, 301, 400], [749, 1000, 401, 500]
+      ] },
+      no2: { unit: 'µg/m³', averaging: '24h', breakpoints: [
+        [0, 40, 0, 50], [41, 80, 51, 100], [81, 180, 101, 200],
+        [181, 280, 201, 300], [281, 400, 301, 400], [401, 520, 401, 500]
+      ] },
+      so2: { unit: 'µg/m³', averaging: '24h', breakpoints: [
+        [0, 40, 0, 50], [41, 80, 51, 100], [81, 380, 101, 200],
+        [381, 800, 201, 300], [801, 1600, 301, 400], [1601, 2100, 401, 500]
+      ] },
+      co: { unit: 'mg/m³', averaging: '8h', breakpoints: [
+        [0, 1.0, 0, 50], [1.1, 2.0, 51, 100], [2.1, 10, 101, 200],
+        [10.1, 17, 201, 300], [17.1, 34, 301, 400], [34.1, 46, 401, 500]
+      ] }
+    }
+  },
+
+  'bd-doe': {
+    name: 'Bangladesh DoE AQI',
+    reference: 'Department of Environment, Bangladesh AQI (CASE project)',
+    scale: [
+      { max: 50, label: 'Good', color: '#00e400' },
+      { max: 100, label: 'Moderate', color: '#ffff00' },
+      { max: 150, label: 'Caution', color: '#ff7e00' },
+      { max: 200, label: 'Unhealthy', color: '#ff0000' },
+      { max: 300, label: 'Very Unhealthy', color: '#8f3f97' },
+      { max: 500, label: 'Extremely Unhealthy', color: '#7e0023' }
+    ],
+    pollutants: {
+      pm25: { unit: 'µg/m³', averaging: '24h', breakpoints: [
+        [0, 15.4, 0, 50], [15.5, 65.4, 51, 100], [65.5, 150.4, 101, 150],
+        [150.5, 250.4, 151, 200], [250.5, 350.4, 201, 300], [350.5, 500.4, 301, 500]
+      ] },
+      pm10: { unit: 'µg/m³', averaging: '24h', breakpoints: [
+        [0, 50, 0, 50], [51, 150, 51, 100], [151, 250, 101, 150],
+        [251, 350, 151, 200], [351, 430, 201, 300], [431, 600, 301, 500]
+      ] },
+      o3: { unit: 'ppb', averaging: '8h', breakpoints: [
+        [0, 59, 0, 50], [60, 75, 51, 100], [76, 95, 101, 150],
+        [96, 115, 151, 200], [116, 374, 201, 300], [375, 604, 301, 500]
+      ] },
+      no2: { unit: 'ppb', averaging: '24h', breakpoints: [
+        [0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150],
+        [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]
+      ] },
+      so2: { unit: 'ppb', averaging: '24h', breakpoints: [
+        [0, 34, 0, 50], [35, 144, 51, 100], [145, 224, 101, 150],
+        [225, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]
+      ] },
+      co: { unit: 'ppm', averaging: '8h', breakpoints: [
+        [0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150],
+        [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]
+      ] }
+    }
+  },
+
+  'eu-caqi': {
+    name: 'EU Common Air Quality Index (CAQI)',
+    reference: 'CITEAIR hourly background CAQI',
+    // Index above 100 is open-ended; sub-indices extrapolate the last grid step
+    openEnded: true,
+    scale: [
+      { max: 25, label: 'Very Low', color: '#79bc6a' },
+      { max: 50, label: 'Low', color: '#bbcf4c' },
+      { max: 75, label: 'Medium', color: '#eec20b' },
+      { max: 100, label: 'High', color: '#f29305' },
+      { max: Infinity, label: 'Very High', color: '#e8416f' }
+    ],
+    pollutants: {
+      pm25: { unit: 'µg/m³', averaging: '1h', breakpoints: [
+        [0, 15, 0, 25], [15, 30, 25, 50], [30, 55, 50, 75], [55, 110, 75, 100]
+      ] },
+      pm10: { unit: 'µg/m³', averaging: '1h', breakpoints: [
+        [0, 25, 0, 25], [25, 50, 25, 50], [50, 90, 50, 75], [90, 180, 75, 100]
+      ] },
+      o3: { unit: 'µg/m³', averaging: '1h', breakpoints: [
+        [0, 60, 0, 25], [60, 120, 25, 50], [120, 180, 50, 75], [180, 240, 75, 100]
+      ] },
+      no2: { unit: 'µg/m³', averaging: '1h', breakpoints: [
+        [0, 50, 0, 25], [50, 100, 25, 50], [100, 200, 50, 75], [200, 400, 75, 100]
+      ] },
+      so2: { unit: 'µg/m³', averaging: '1h', breakpoints: [
+        [0, 50, 0, 25], [50, 100, 25, 50], [100, 350, 50, 75], [350, 500, 75, 100]
+      ] },
+      co: { unit: 'µg/m³', averaging: '1h', breakpoints: [
+        [0, 5000, 0, 25], [5000, 7500, 25, 50], [7500, 10000, 50, 75], [10000, 20000, 75, 100]
+      ] }
+    }
+  }
+};
+
+const DEFAULT_STANDARD = 'us-epa';
+
+function normaliseUnit(unit) {
+  return String(unit || 'µg/m³').toLowerCase().replace('μ', 'µ').replace('ug', 'µg').replace(/\s/g, '');
+}
+
+// Any supported unit -> µg/m³
+function toMicrograms(pollutant, value, unit) {
+  const u = normaliseUnit(unit);
+  if (u === 'µg/m³' || u === 'µg/m3') return value;
+  if (u === 'mg/m³' || u === 'mg/m3') return value * 1000;
+  const mw = MOLECULAR_WEIGHTS[pollutant];
+  if (!mw) return null; // ppb/ppm for particulates makes no sense
+  if (u === 'ppb') return value * mw / MOLAR_VOLUME;
+  if (u === 'ppm') return value * 1000 * mw / MOLAR_VOLUME;
+  return null;
+}
+
+// µg/m³ -> the unit a standard's breakpoints use
+function fromMicrograms(pollutant, value, unit) {
+  if (unit === 'µg/m³') return value;
+  if (unit === 'mg/m³') return value / 1000;
+  const mw = MOLECULAR_WEIGHTS[pollutant];
+  if (unit === 'ppb') return value * MOLAR_VOLUME / mw;
+  if (unit === 'ppm') return value * MOLAR_VOLUME / mw / 1000;
+  return null;
+}
+
+// Linear interpolation within the breakpoint row; values falling in the gap
+// between rows (rounding) take the upper row's low index
+function subIndex(concentration, breakpoints, openEnded) {
+  if (concentration < 0) return null;
+  for (const [cLow, cHigh, iLow, iHigh] of breakpoints) {
+    if (concentration <= cHigh) {
+      if (concentration < cLow) return iLow;
+      return Math.round((iHigh - iLow) / (cHigh - cLow) * (concentration - cLow) + iLow);
+    }
+  }
+  const [cLow, cHigh, iLow, iHigh] = breakpoints[breakpoints.length - 1];
+  return openEnded
+    ? Math.round((iHigh - iLow) / (cHigh - cLow) * (concentration - cLow) + iLow)
+    : iHigh;
+}
+
+function getStandard(standardId) {
+  return STANDARDS[standardId] ? standardId : null;
+}
+
+function describeStandard(standardId) {
+  const standard = STANDARDS[standardId];
+  return {
+    id: standardId,
+    name: standard.name,
+    reference: standard.reference,
+    scale: standard.scale.map(s => ({ ...s, max: Number.isFinite(s.max) ? s.max : null }))
+  };
+}
+
+function categorise(aqi, standard) {
+  const index = standard.scale.findIndex(s => aqi <= s.max);
+  const level = index === -1 ? standard.scale.length - 1 : index;
+  return {
+    category: standard.scale[level].label,
+    color: standard.scale[level].color,
+    // 0..1 position on the scale, for heatmaps that must work across standards
+    severity: parseFloat((level / (standard.scale.length - 1)).toFixed(2))
+  };
+}
+
+// measurements: { pm25: { value, unit }, no2: { value, unit }, ... }
+function calculateAQI(measurements, standardId = DEFAULT_STANDARD) {
+  const standard = STANDARDS[standardId];
+  const subIndices = {};
+
+  POLLUTANTS.forEach(pollutant => {
+    const measurement = measurements[pollutant];
+    const spec = standard.pollutants[pollutant];
+    if (!measurement || measurement.value == null || !spec) return;
+
+    const micrograms = toMicrograms(pollutant, measurement.value, measurement.unit);
+    if (micrograms === null) return;
+    const concentration = fromMicrograms(pollutant, micrograms, spec.unit);
+    const index = subIndex(concentration, spec.breakpoints, standard.openEnded);
+    if (index === null) return;
+
+    subIndices[pollutant] = {
+      aqi: index,
+      concentration: parseFloat(concentration.toFixed(spec.unit === 'ppm' || spec.unit === 'mg/m³' ? 2 : 1)),
+      unit: spec.unit,
+      averaging: spec.averaging
+    };
+  });
+
+  const entries = Object.entries(subIndices);
+  if (entries.length === 0) return null;
+
+  const [dominantPollutant, dominant] = entries.reduce((max, entry) => entry[1].aqi > max[1].aqi ? entry : max);
+  const notes = [];
+  if (standard.minPollutants) {
+    if (entries.length < standard.minPollutants) {
+      notes.push(`${standard.name} needs at least ${standard.minPollutants} pollutants; only ${entries.length} measured`);
+    }
+    if (!subIndices.pm25 && !subIndices.pm10) {
+      notes.push(`${standard.name} needs PM2.5 or PM10; neither measured`);
+    }
+  }
+
+  return {
+    standard: standardId,
+    aqi: dominant.aqi,
+    ...categorise(dominant.aqi, standard),
+    dominantPollutant,
+    dominantPollutantLabel: POLLUTANT_LABELS[dominantPollutant],
+    subIndices,
+    notes
+  };
+}
+
+// Concentrations where a pollutant moves into each higher category of a standard,
+// in the standard's units: the low end of every breakpoint row after the first,
+// plus the top of the grid for open-ended indices
+function categoryThresholds(standardId, pollutant) {
+  const standard = STANDARDS[standardId];
+  const spec = standard.pollutants[pollutant];
+  const values = spec.breakpoints.slice(1).map(row => row[0]);
+  if (standard.openEnded) values.push(spec.breakpoints[spec.breakpoints.length - 1][1]);
+
+  return values.map((value, k) => ({
+    value,
+    unit: spec.unit,
+    category: standard.scale[k + 1].label,
+    color: standard.scale[k + 1].color
+  }));
+}
+
+module.exports = {
+  STANDARDS,
+  DEFAULT_STANDARD,
+  POLLUTANTS,
+  POLLUTANT_LABELS,
+  calculateAQI,
+  categoryThresholds,
+  getStandard,
+  describeStandard,
+  toMicrograms
+};
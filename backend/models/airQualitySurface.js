@@ -0,0 +1,270 @@
+const { haversineDistance } = require('../lib/geometry');
+const { calculateAQI, categoryThresholds, toMicrograms } = require('./airQualityIndex');
+
+// AIR QUALITY SURFACE - gridded PM2.5 from ground stations by inverse-distance
+// weighting (Shepard), with a per-cell uncertainty and category contours.
+// IDW is exact at stations and has no error model of its own, so uncertainty is
+// derived from how far a cell is from its nearest station relative to the
+// spatial correlation range of urban PM2.5; the weighted spread of the stations
+// contributing to a cell is reported alongside. Cells beyond MAX_DISTANCE of
+// every station are left empty rather than extrapolated.
+
+const DEFAULT_GRID_SIZE = 40;   // cells along the longer side of the bounds
+const MAX_GRID_SIZE = 100;
+const IDW_POWER = 2;
+const CORRELATION_RANGE = 10000; // metres; PM2.5 decorrelates over ~10 km in dense cities
+const MAX_DISTANCE = 25000;      // metres
+const MIN_DISTANCE = 1;          // metres; avoids division by zero at a station
+
+function round(value, digits = 2) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// Stations -> [{ lat, lng, value }] with PM2.5 in µg/m³
+function pm25Samples(locations) {
+  return locations
+    .filter(loc => loc.measurements && loc.measurements.pm25)
+    .map(loc => ({
+      id: loc.id,
+      lat: loc.latitude,
+      lng: loc.longitude,
+      value: toMicrograms('pm25', loc.measurements.pm25.value, loc.measurements.pm25.unit)
+    }))
+    .filter(sample => sample.value != null && sample.value >= 0);
+}
+
+function interpolateCell(lat, lng, samples, power) {
+  let weightSum = 0;
+  let weighted = 0;
+  let nearest = Infinity;
+  const contributions = samples.map(sample => {
+    const distance = Math.max(haversineDistance(lat, lng, sample.lat, sample.lng), MIN_DISTANCE);
+    nearest = Math.min(nearest, distance);
+    const weight = 1 / Math.pow(distance, power);
+    weightSum += weight;
+    weighted += weight * sample.value;
+    return { weight, value: sample.value };
+  });
+
+  if (nearest > MAX_DISTANCE) return null;
+
+  const value = weighted / weightSum;
+  const variance = contributions.reduce((sum, c) => sum + c.weight * (c.value - value) ** 2, 0) / weightSum;
+  return {
+    value,
+    spread: Math.sqrt(variance),
+    nearest,
+    // 0 at a station, 1 at or beyond the correlation range
+    uncertainty: Math.min(nearest / CORRELATION_RANGE, 1)
+  };
+}
+
+// MARCHING SQUARES - closed rings around every region at or above a threshold.
+// The grid is padded with empty nodes so contours always close. Segments keep
+// the high side on their left, which makes outer rings counter-clockwise and
+// holes clockwise once stitched.
+
+function contourRings(values, rows, cols, threshold) {
+  const at = (i, j) => (i < 0 || j < 0 || i >= rows || j >= cols ? null : values[i][j]);
+  const inside = v => v !== null && v >= threshold;
+
+  // Crossing position along an edge from node a to node b (0..1)
+  const fraction = (va, vb) => {
+    if (va === null || vb === null) return 0.5;
+    return Math.min(Math.max((threshold - va) / (vb - va), 0), 1);
+  };
+
+  const points = new Map();
+  const crossing = (key, x, y) => {
+    if (!points.has(key)) points.set(key, [x, y]);
+    return key;
+  };
+
+  const segments = new Map(); // start key -> end key
+
+  for (let i = -1; i < rows; i++) {
+    for (let j = -1; j < cols; j++) {
+      // Corners counter-clockwise: (j,i) (j+1,i) (j+1,i+1) (j,i+1); i grows northwards
+      const corners = [
+        { x: j, y: i, v: at(i, j) },
+        { x: j + 1, y: i, v: at(i, j + 1) },
+        { x: j + 1, y: i + 1, v: at(i + 1, j + 1) },
+        { x: j, y: i + 1, v: at(i + 1, j) }
+      ];
+      const edgeKeys = [`h:${i}:${j}`, `v:${i}:${j + 1}`, `h:${i + 1}:${j}`, `v:${i}:${j}`];
+
+      const ins = [];
+      const outs = [];
+      for (let e = 0; e < 4; e++) {
+        const a = corners[e];
+        const b = corners[(e + 1) % 4];
+        if (inside(a.v) === inside(b.v)) continue;
+        const t = fraction(a.v, b.v);
+        const key = crossing(edgeKeys[e], a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t);
+        (inside(b.v) ? ins : outs).push(key);
+      }
+      if (ins.length === 0) continue;
+
+      if (ins.length === 1) {
+        segments.set(outs[0], ins[0]);
+        continue;
+      }
+
+      // Saddle: crossings alternate in, out, in, out counter-clockwise; the
+      // centre value decides whether the two high corners connect
+      const centreValues = corners.map(c => c.v).filter(v => v !== null);
+      const centre = centreValues.reduce((a, b) => a + b, 0) / centreValues.length;
+      const order = [];
+      for (let e = 0; e < 4; e++) {
+        const a = corners[e];
+        const b = corners[(e + 1) % 4];
+        if (inside(a.v) !== inside(b.v)) order.push({ key: edgeKeys[e], entering: inside(b.v) });
+      }
+      const start = order.findIndex(c => c.entering);
+      const [in1, out1, in2, out2] = [0, 1, 2, 3].map(k => order[(start + k) % 4].key);
+      if (centre >= threshold) {
+        segments.set(out1, in2);
+        segments.set(out2, in1);
+      } else {
+        segments.set(out1, in1);
+        segments.set(out2, in2);
+      }
+    }
+  }
+
+  const rings = [];
+  while (segments.size > 0) {
+    const [first] = segments.keys();
+    const ring = [];
+    let key = first;
+    while (segments.has(key)) {
+      ring.push(points.get(key));
+      const next = segments.get(key);
+      segments.delete(key);
+      key = next;
+    }
+    if (ring.length >= 3) {
+      ring.push(ring[0]);
+      rings.push(ring);
+    }
+  }
+  return rings;
+}
+
+function signedArea(ring) {
+  let area = 0;
+  for (let k = 0; k < ring.length - 1; k++) {
+    area += ring[k][0] * ring[k + 1][1] - ring[k + 1][0] * ring[k][1];
+  }
+  return area / 2;
+}
+
+function pointInRing([x, y], ring) {
+  let isInside = false;
+  for (let a = 0, b = ring.length - 1; a < ring.length; b = a++) {
+    const [xa, ya] = ring[a];
+    const [xb, yb] = ring[b];
+    if ((ya > y) !== (yb > y) && x < (xb - xa) * (y - ya) / (yb - ya) + xa) isInside = !isInside;
+  }
+  return isInside;
+}
+
+// Outer rings with their holes -> GeoJSON MultiPolygon coordinates
+function ringsToPolygons(rings) {
+  const outers = rings.filter(r => signedArea(r) > 0).map(r => [r]);
+  rings.filter(r => signedArea(r) < 0).forEach(hole => {
+    const owner = outers.find(polygon => pointInRing(hole[0], polygon[0]));
+    if (owner) owner.push(hole);
+  });
+  return outers;
+}
+
+// bounds: { north, south, east, west }; locations: fetchOpenAQStations() output
+function interpolateAirQuality(locations, bounds, options = {}) {
+  const standard = options.standard;
+  const power = options.power || IDW_POWER;
+  const gridSize = Math.min(Math.max(Math.round(options.gridSize || DEFAULT_GRID_SIZE), 2), MAX_GRID_SIZE);
+  const samples = pm25Samples(locations);
+  if (samples.length === 0) return null;
+
+  const width = bounds.east - bounds.west;
+  const height = bounds.north - bounds.south;
+  const cellSize = Math.max(width, height) / gridSize;
+  const cols = Math.max(Math.ceil(width / cellSize), 1);
+  const rows = Math.max(Math.ceil(height / cellSize), 1);
+
+  const values = [];
+  const cells = [];
+  for (let i = 0; i < rows; i++) {
+    const row = [];
+    for (let j = 0; j < cols; j++) {
+      const lat = bounds.south + (i + 0.5) * cellSize;
+      const lng = bounds.west + (j + 0.5) * cellSize;
+      const estimate = interpolateCell(lat, lng, samples, power);
+      row.push(estimate ? estimate.value : null);
+      if (!estimate) continue;
+
+      const index = calculateAQI({ pm25: { value: estimate.value, unit: 'µg/m³' } }, standard);
+      cells.push({
+        row: i,
+        col: j,
+        lat: round(lat, 5),
+        lng: round(lng, 5),
+        pm25: round(estimate.value, 1),
+        spread: round(estimate.spread, 1),
+        aqi: index.aqi,
+        aqiCategory: index.category,
+        color: index.color,
+        uncertainty: round(estimate.uncertainty),
+        nearestStationKm: round(estimate.nearest / 1000)
+      });
+    }
+    values.push(row);
+  }
+
+  // Grid node (j, i) -> [lng, lat] at the cell centre
+  const toLngLat = ([x, y]) => [
+    round(Math.min(Math.max(bounds.west + (x + 0.5) * cellSize, bounds.west), bounds.east), 6),
+    round(Math.min(Math.max(bounds.south + (y + 0.5) * cellSize, bounds.south), bounds.north), 6)
+  ];
+
+  const contours = categoryThresholds(standard, 'pm25')
+    .map(threshold => ({
+      threshold,
+      polygons: ringsToPolygons(contourRings(values, rows, cols, threshold.value))
+    }))
+    .filter(c => c.polygons.length > 0)
+    .map(({ threshold, polygons }) => ({
+      type: 'Feature',
+      properties: {
+        pm25Threshold: threshold.value,
+        unit: threshold.unit,
+        category: threshold.category,
+        color: threshold.color
+      },
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: polygons.map(polygon => polygon.map(ring => ring.map(toLngLat)))
+      }
+    }));
+
+  return {
+    method: 'idw',
+    power,
+    pollutant: 'pm25',
+    stationsUsed: samples.length,
+    grid: {
+      rows,
+      cols,
+      cellSize: round(cellSize, 6),
+      west: bounds.west,
+      south: bounds.south,
+      correlationRangeKm: CORRELATION_RANGE / 1000,
+      maxDistanceKm: MAX_DISTANCE / 1000
+    },
+    cells,
+    contours: { type: 'FeatureCollection', features: contours }
+  };
+}
+
+module.exports = { interpolateAirQuality, MAX_GRID_SIZE };
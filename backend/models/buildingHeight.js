@@ -0,0 +1,63 @@
+// BUILDING HEIGHT - resolves height and storey count from OSM tags.
+// Preference order:
+//   1. `height` tag (m above ground), with `min_height` as the base of the volume
+//   2. `building:levels` × LEVEL_HEIGHT
+//   3. fallback: DEFAULT_LEVELS storeys × LEVEL_HEIGHT (low-rise assumption)
+// `source` records which rule applied so callers can flag estimated heights.
+
+const LEVEL_HEIGHT = 3.0;  // metres per storey
+const DEFAULT_LEVELS = 2;
+
+function positive(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function resolveBuildingHeight({ height, levels, minHeight } = {}) {
+  const base = positive(minHeight) || 0;
+  const taggedHeight = positive(height);
+  const taggedLevels = positive(levels);
+
+  if (taggedHeight && taggedHeight > base) {
+    return {
+      height: taggedHeight,
+      minHeight: base,
+      levels: taggedLevels || Math.max(Math.round((taggedHeight - base) / LEVEL_HEIGHT), 1),
+      source: 'height'
+    };
+  }
+  if (taggedLevels) {
+    return {
+      height: parseFloat((base + taggedLevels * LEVEL_HEIGHT).toFixed(1)),
+      minHeight: base,
+      levels: taggedLevels,
+      source: 'levels'
+    };
+  }
+  return {
+    height: base + DEFAULT_LEVELS * LEVEL_HEIGHT,
+    minHeight: base,
+    levels: DEFAULT_LEVELS,
+    source: 'default'
+  };
+}
+
+// Request bodies carry either our own GeoJSON properties (already resolved, with
+// heightSource) or raw OSM-style tags from other tools
+function heightFromProperties(properties = {}) {
+  if (properties.heightSource && positive(properties.height)) {
+    return {
+      height: positive(properties.height),
+      minHeight: positive(properties.minHeight) || 0,
+      levels: positive(properties.levels) || DEFAULT_LEVELS,
+      source: properties.heightSource
+    };
+  }
+  return resolveBuildingHeight({
+    height: properties.height,
+    levels: properties.levels ?? properties['building:levels'],
+    minHeight: properties.minHeight ?? properties.min_height
+  });
+}
+
+module.exports = { resolveBuildingHeight, heightFromProperties, LEVEL_HEIGHT, DEFAULT_LEVELS };
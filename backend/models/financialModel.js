@@ -0,0 +1,272 @@
+// FINANCIAL MODEL - payback, NPV, IRR and levelised cost for solar PV and rainwater systems
+// All money values are in the profile's local currency.
+
+// Country profiles. Every field can be overridden per request via `financial: {...}`.
+const FINANCIAL_PROFILES = {
+  BD: {
+    country: 'Bangladesh',
+    currency: 'BDT',
+    discountRate: 0.09,
+    analysisYears: 25,
+    solar: {
+      capexPerKwp: 65000,
+      omRate: 0.01,             // annual O&M as share of capex
+      degradation: 0.005,       // annual output loss
+      importTariff: 8.5,        // per kWh bought from the grid
+      exportTariff: 5.0,        // per kWh credited under net metering
+      tariffEscalation: 0.03,
+      selfConsumption: 0.7,     // share of generation used on site
+      netMeteringCapKw: 500,    // SREDA Net Metering Guidelines 2018
+      subsidy: null
+    },
+    water: {
+      baseCost: 25000,          // gutters, first-flush diverter, filter, pump
+      tankCostPerM3: 8000,
+      omRate: 0.02,
+      waterTariff: 15,          // per m³ of mains water (Dhaka WASA residential)
+      tariffEscalation: 0.05,
+      utilisation: 0.75,        // share of harvested water actually used
+      lifetime: 20
+    }
+  },
+  IN: {
+    country: 'India',
+    currency: 'INR',
+    discountRate: 0.08,
+    analysisYears: 25,
+    solar: {
+      capexPerKwp: 50000,
+      omRate: 0.01,
+      degradation: 0.005,
+      importTariff: 7.0,
+      exportTariff: 3.5,
+      tariffEscalation: 0.03,
+      selfConsumption: 0.7,
+      netMeteringCapKw: 500,
+      subsidy: { rate: 0.4, capKwp: 3 } // MNRE rooftop programme: 40% up to 3 kW
+    },
+    water: {
+      baseCost: 20000,
+      tankCostPerM3: 6000,
+      omRate: 0.02,
+      waterTariff: 25,
+      tariffEscalation: 0.05,
+      utilisation: 0.75,
+      lifetime: 20
+    }
+  },
+  DEFAULT: {
+    country: 'Generic',
+    currency: 'USD',
+    discountRate: 0.07,
+    analysisYears: 25,
+    solar: {
+      capexPerKwp: 1000,
+      omRate: 0.01,
+      degradation: 0.005,
+      importTariff: 0.15,
+      exportTariff: 0.05,
+      tariffEscalation: 0.02,
+      selfConsumption: 0.7,
+      netMeteringCapKw: null,
+      subsidy: null
+    },
+    water: {
+      baseCost: 300,
+      tankCostPerM3: 100,
+      omRate: 0.02,
+      waterTariff: 1.5,
+      tariffEscalation: 0.03,
+      utilisation: 0.75,
+      lifetime: 20
+    }
+  }
+};
+
+// Rough bounding boxes used when the caller doesn't name a country (Bangladesh checked first)
+const COUNTRY_BOUNDS = [
+  { code: 'BD', south: 20.5, north: 26.7, west: 88.0, east: 92.7 },
+  { code: 'IN', south: 6.5, north: 35.7, west: 68.1, east: 97.4 }
+];
+
+function detectCountry(latitude, longitude) {
+  const match = COUNTRY_BOUNDS.find(b =>
+    latitude >= b.south && latitude <= b.north && longitude >= b.west && longitude <= b.east
+  );
+  return match ? match.code : 'DEFAULT';
+}
+
+// Merge a country profile with per-request overrides (one level deep for solar/water)
+function resolveFinancialProfile(latitude, longitude, country, overrides = {}) {
+  // An unknown country code falls back to the coordinates like a missing one
+  const known = Boolean(country && FINANCIAL_PROFILES[country.toUpperCase()]);
+  const code = known ? country.toUpperCase() : detectCountry(latitude, longitude);
+  const base = FINANCIAL_PROFILES[code];
+
+  return {
+    ...base,
+    ...overrides,
+    code,
+    countrySource: known ? 'specified' : 'estimated from coordinates',
+    solar: { ...base.solar, ...(overrides.solar || {}) },
+    water: { ...base.water, ...(overrides.water || {}) }
+  };
+}
+
+function calculateNPV(cashFlows, rate) {
+  return cashFlows.reduce((sum, cf, year) => sum + cf / Math.pow(1 + rate, year), 0);
+}
+
+// IRR by bisection; null when cash flows never change sign within the search range
+function calculateIRR(cashFlows) {
+  let low = -0.99;
+  let high = 1.0;
+  let npvLow = calculateNPV(cashFlows, low);
+  const npvHigh = calculateNPV(cashFlows, high);
+  if (npvLow * npvHigh > 0) return null;
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = calculateNPV(cashFlows, mid);
+    if (Math.abs(npvMid) < 1e-6) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Years until cumulative (undiscounted) cash flow turns positive, interpolated within the year
+function calculatePayback(cashFlows) {
+  let cumulative = cashFlows[0];
+  for (let year = 1; year < cashFlows.length; year++) {
+    const next = cumulative + cashFlows[year];
+    if (next >= 0 && cashFlows[year] > 0) {
+      return year - 1 + (-cumulative / cashFlows[year]);
+    }
+    cumulative = next;
+  }
+  return null;
+}
+
+function round(value, digits = 0) {
+  if (value === null || !isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Shared NPV/IRR/payback/levelised-cost summary for a capex + yearly flows
+function summarise(capex, yearlyFlows, discountRate) {
+  const cashFlows = [-capex, ...yearlyFlows.map(y => y.savings - y.om)];
+  const discountedOutput = yearlyFlows.reduce((sum, y, i) => sum + y.output / Math.pow(1 + discountRate, i + 1), 0);
+  const discountedCost = capex + yearlyFlows.reduce((sum, y, i) => sum + y.om / Math.pow(1 + discountRate, i + 1), 0);
+  const irr = calculateIRR(cashFlows);
+
+  return {
+    capex: round(capex),
+    firstYearSavings: round(yearlyFlows[0].savings - yearlyFlows[0].om),
+    simplePayback: round(calculatePayback(cashFlows), 1),
+    npv: round(calculateNPV(cashFlows, discountRate)),
+    irr: irr !== null ? round(irr, 4) : null,
+    levelisedCost: discountedOutput > 0 ? round(discountedCost / discountedOutput, 3) : null,
+    lifetimeSavings: round(cashFlows.slice(1).reduce((a, b) => a + b, 0))
+  };
+}
+
+function calculateSolarFinancials(solarPotential, profile) {
+  const cfg = profile.solar;
+  const systemKwp = solarPotential.systemSizeKwp;
+  if (!systemKwp || !solarPotential.annualEnergy) {
+    return { error: 'No installable PV capacity on this roof' };
+  }
+
+  const grossCapex = systemKwp * cfg.capexPerKwp;
+  const subsidy = cfg.subsidy
+    ? Math.min(systemKwp, cfg.subsidy.capKwp ?? systemKwp) * cfg.capexPerKwp * cfg.subsidy.rate
+    : 0;
+  const capex = grossCapex - subsidy;
+
+  // Exports only earn credit when the system is within the net-metering limit
+  const netMeteringEligible = cfg.netMeteringCapKw == null || systemKwp <= cfg.netMeteringCapKw;
+  const exportTariff = netMeteringEligible ? cfg.exportTariff : 0;
+
+  const yearlyFlows = [];
+  for (let year = 1; year <= profile.analysisYears; year++) {
+    const energy = solarPotential.annualEnergy * Math.pow(1 - cfg.degradation, year - 1);
+    const escalation = Math.pow(1 + cfg.tariffEscalation, year - 1);
+    const savings = energy * (cfg.selfConsumption * cfg.importTariff + (1 - cfg.selfConsumption) * exportTariff) * escalation;
+    yearlyFlows.push({ output: energy, savings, om: grossCapex * cfg.omRate });
+  }
+
+  const { levelisedCost, ...summary } = summarise(capex, yearlyFlows, profile.discountRate);
+  return {
+    ...summary,
+    grossCapex: round(grossCapex),
+    subsidy: round(subsidy),
+    lcoe: levelisedCost,
+    netMeteringEligible,
+    assumptions: cfg
+  };
+}
+
+function calculateRainwaterFinancials(rainwaterPotential, profile) {
+  const cfg = profile.water;
+  if (!rainwaterPotential || rainwaterPotential.error || !rainwaterPotential.annualWater) {
+    return { error: 'Rainwater potential unavailable' };
+  }
+
+  const tankSize = rainwaterPotential.storageTankSize || 0;
+  const capex = cfg.baseCost + tankSize * cfg.tankCostPerM3;
+  // Prefer the simulated supply for the recommended tank over a flat utilisation share
+  const usedWaterM3 = rainwaterPotential.annualSupplied != null
+    ? rainwaterPotential.annualSupplied / 1000
+    : rainwaterPotential.annualWater / 1000 * cfg.utilisation;
+
+  const yearlyFlows = [];
+  for (let year = 1; year <= cfg.lifetime; year++) {
+    const escalation = Math.pow(1 + cfg.tariffEscalation, year - 1);
+    yearlyFlows.push({
+      output: usedWaterM3,
+      savings: usedWaterM3 * cfg.waterTariff * escalation,
+      om: capex * cfg.omRate
+    });
+  }
+
+  const { levelisedCost, ...summary } = summarise(capex, yearlyFlows, profile.discountRate);
+  return {
+    ...summary,
+    usedWater: round(usedWaterM3, 1),
+    costPerM3: levelisedCost,
+    assumptions: cfg
+  };
+}
+
+// Calculate financial analysis for both systems
+function calculateFinancials({ solarPotential, rainwaterPotential, latitude, longitude, country, overrides }) {
+  const profile = resolveFinancialProfile(latitude, longitude, country, overrides);
+
+  return {
+    country: profile.country,
+    countryCode: profile.code,
+    countrySource: profile.countrySource,
+    currency: profile.currency,
+    discountRate: profile.discountRate,
+    analysisYears: profile.analysisYears,
+    solar: solarPotential && !solarPotential.error
+      ? calculateSolarFinancials(solarPotential, profile)
+      : { error: 'Solar potential unavailable' },
+    rainwater: calculateRainwaterFinancials(rainwaterPotential, profile)
+  };
+}
+
+module.exports = {
+  FINANCIAL_PROFILES,
+  calculateFinancials,
+  calculateNPV,
+  calculateIRR,
+  calculatePayback,
+  resolveFinancialProfile
+};
@@ -0,0 +1,102 @@
+const { haversineDistance } = require('../lib/geometry');
+
+// URBAN HEAT MODEL - per-building temperature estimate on top of a regional
+// baseline, using the same weighted factors as the map's heat layer
+// (Climate Central methodology: albedo 29%, green space 21%, density 12%, height 8%).
+// `building.height` comes from models/buildingHeight.js, so untagged footprints
+// use its low-rise default.
+// Day and night differ: daytime UHI follows what roofs absorb (albedo, size),
+// nighttime UHI follows what the street canyon keeps (density, height - low sky
+// view and stored heat, Oke 1982). Day uses the mean daily maximum as baseline,
+// night the mean daily minimum.
+
+const NEIGHBOUR_RADIUS = 100;      // metres
+const DENSITY_SATURATION = 15;     // neighbours within the radius for a full density score
+const LARGE_ROOF_AREA = 1000;      // m² for a full albedo score
+const TALL_BUILDING_HEIGHT = 30;   // metres (~10 storeys) for a full urban-canyon score
+
+// Factor weights per period; maximum effects are albedo +3, green space -2, density +2, height +1 °C
+const UHI_WEIGHTS = {
+  day: { albedo: 0.29, greenSpace: 0.21, density: 0.12, height: 0.08 },
+  night: { albedo: 0.08, greenSpace: 0.15, density: 0.30, height: 0.25 }
+};
+
+// Bucket centroids into ~radius-sized cells so neighbour counts stay O(n).
+// A degree of longitude shrinks with cos(lat), so columns are widened for the
+// highest latitude in the set and a 3 × 3 block still covers the radius.
+function buildNeighbourIndex(buildings, radius = NEIGHBOUR_RADIUS) {
+  const maxLat = buildings.reduce((max, b) => Math.max(max, Math.abs(b.centroid.lat)), 0);
+  const latCellDeg = radius / 111000;
+  const lngCellDeg = latCellDeg / Math.max(Math.cos(maxLat * Math.PI / 180), 0.01);
+  const cells = new Map();
+  const cellOf = (lat, lng) => `${Math.floor(lat / latCellDeg)}:${Math.floor(lng / lngCellDeg)}`;
+
+  buildings.forEach(b => {
+    const key = cellOf(b.centroid.lat, b.centroid.lng);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(b);
+  });
+
+  return {
+    countNeighbours(building) {
+      const row = Math.floor(building.centroid.lat / latCellDeg);
+      const col = Math.floor(building.centroid.lng / lngCellDeg);
+      let count = 0;
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          (cells.get(`${row + dr}:${col + dc}`) || []).forEach(other => {
+            if (other.id === building.id) return;
+            const distance = haversineDistance(
+              building.centroid.lat, building.centroid.lng, other.centroid.lat, other.centroid.lng
+            );
+            if (distance < radius) count++;
+          });
+        }
+      }
+      return count;
+    }
+  };
+}
+
+function round(value, digits = 2) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function calculateBuildingHeat(building, neighbourCount, baselineTemperature, period = 'day') {
+  const weights = UHI_WEIGHTS[period];
+  const densityFactor = Math.min(neighbourCount / DENSITY_SATURATION, 1.0);
+  const sizeScore = Math.min(building.area / LARGE_ROOF_AREA, 1.0);
+
+  const adjustments = {
+    albedo: sizeScore * 3.0 * weights.albedo,
+    greenSpace: -densityFactor * 2.0 * weights.greenSpace, // density doubles as green-space deficit proxy
+    density: densityFactor * 2.0 * weights.density,
+    height: Math.min(building.height / TALL_BUILDING_HEIGHT, 1.0) * 1.0 * weights.height
+  };
+  const totalAdjustment = Object.values(adjustments).reduce((a, b) => a + b, 0);
+
+  return {
+    baselineTemperature: round(baselineTemperature, 1),
+    estimatedTemperature: round(baselineTemperature + totalAdjustment, 1),
+    uhiAdjustment: round(totalAdjustment),
+    neighbours: neighbourCount,
+    height: building.height,
+    adjustments: Object.fromEntries(Object.entries(adjustments).map(([k, v]) => [k, round(v)]))
+  };
+}
+
+// baselines: { day: mean Tmax, night: mean Tmin } (models/heatStress.js)
+function calculateDayNightHeat(building, neighbourCount, baselines) {
+  const estimate = period => {
+    const heat = calculateBuildingHeat(building, neighbourCount, baselines[period], period);
+    return {
+      baselineTemperature: heat.baselineTemperature,
+      estimatedTemperature: heat.estimatedTemperature,
+      uhiAdjustment: heat.uhiAdjustment,
+      adjustments: heat.adjustments
+    };
+  };
+  return { neighbours: neighbourCount, height: building.height, day: estimate('day'), night: estimate('night') };
+}
+
+module.exports = { buildNeighbourIndex, calculateBuildingHeat, calculateDayNightHeat, NEIGHBOUR_RADIUS, TALL_BUILDING_HEIGHT, UHI_WEIGHTS };
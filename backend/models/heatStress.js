@@ -0,0 +1,175 @@
+// HEAT STRESS - heat index, wet-bulb temperature, hot days and hot nights from
+// NASA POWER daily T2M, T2M_MAX, T2M_MIN and RH2M (keyed YYYYMMDD, -999 = missing).
+// RH2M is a daily mean; the afternoon humidity that goes with T2M_MAX is
+// estimated by holding the day's dew point constant, which holds well in humid
+// climates and avoids the large overestimate of pairing Tmax with mean RH.
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const THRESHOLDS = {
+  hotDay: 35,           // Tmax °C; Bangladesh Meteorological Department heat waves start at 36
+  tropicalNight: 20,    // Tmin °C, exclusive (ETCCDI "TR")
+  hotNight: 25,         // Tmin °C (the East Asian "tropical night", more telling in South Asia)
+  wetBulb: [28, 31]     // °C; sustained 31 exceeds what young healthy adults tolerate (Vecellio 2022)
+};
+
+// NOAA heat index categories, lower bounds in °C (80, 90, 103, 125 °F)
+const HEAT_INDEX_CATEGORIES = [
+  { id: 'extremeDanger', label: 'Extreme danger', min: 51.7 },
+  { id: 'danger', label: 'Danger', min: 39.4 },
+  { id: 'extremeCaution', label: 'Extreme caution', min: 32.2 },
+  { id: 'caution', label: 'Caution', min: 26.7 }
+];
+
+function round(value, digits = 1) {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Magnus formula (Alduchov & Eskridge 1996)
+function dewPoint(temperature, humidity) {
+  const gamma = Math.log(humidity / 100) + (17.625 * temperature) / (243.04 + temperature);
+  return (243.04 * gamma) / (17.625 - gamma);
+}
+
+function relativeHumidity(temperature, dewPointTemperature) {
+  const saturation = t => Math.exp((17.625 * t) / (243.04 + t));
+  return Math.min(100 * saturation(dewPointTemperature) / saturation(temperature), 100);
+}
+
+// NOAA/NWS heat index (Rothfusz regression with its low/high humidity
+// adjustments, Steadman's simple formula below ~27 °C); °C in, °C out
+function heatIndex(temperature, humidity) {
+  const t = temperature * 9 / 5 + 32;
+  const rh = humidity;
+  let hi = 0.5 * (t + 61.0 + (t - 68.0) * 1.2 + rh * 0.094);
+
+  if ((hi + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh -
+      0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh +
+      0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+  return (hi - 32) * 5 / 9;
+}
+
+// Stull (2011) psychrometric wet-bulb from air temperature (°C) and RH (%),
+// valid for RH 5-99 % and -20..50 °C at sea-level pressure
+function wetBulbTemperature(temperature, humidity) {
+  const rh = Math.min(Math.max(humidity, 5), 99);
+  return temperature * Math.atan(0.151977 * Math.sqrt(rh + 8.313659)) +
+    Math.atan(temperature + rh) - Math.atan(rh - 1.676331) +
+    0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh) - 4.686035;
+}
+
+function heatIndexCategory(value) {
+  return HEAT_INDEX_CATEGORIES.find(category => value >= category.min) || null;
+}
+
+// Joins the four NASA POWER series into per-day records, dropping fill values
+function dailyRecords({ mean: meanSeries, max, min, humidity }) {
+  return Object.keys(max)
+    .sort()
+    .map(date => ({
+      date,
+      mean: meanSeries?.[date],
+      max: max[date],
+      min: min[date],
+      humidity: humidity[date]
+    }))
+    .filter(day => [day.mean, day.max, day.min, day.humidity].every(v => typeof v === 'number' && v !== -999));
+}
+
+// series: { mean, max, min, humidity } daily NASA POWER objects.
+// Returns null when max/min/humidity weren't supplied (older cache entries, partial fixtures).
+function summariseHeatStress(series) {
+  if (!series?.max || !series?.min || !series?.humidity) return null;
+  const days = dailyRecords(series);
+  if (days.length === 0) return null;
+
+  const categoryCounts = Object.fromEntries(HEAT_INDEX_CATEGORIES.map(category => [category.id, 0]));
+  const wetBulbCounts = Object.fromEntries(THRESHOLDS.wetBulb.map(threshold => [threshold, 0]));
+  const months = Array.from({ length: 12 }, () => ({ max: [], min: [], humidity: [], heatIndex: [], wetBulb: [] }));
+
+  const enriched = days.map(day => {
+    // Afternoon humidity at Tmax from the day's dew point
+    const afternoonHumidity = relativeHumidity(day.max, dewPoint(day.mean, day.humidity));
+    const dayHeatIndex = heatIndex(day.max, afternoonHumidity);
+    const dayWetBulb = wetBulbTemperature(day.max, afternoonHumidity);
+
+    const category = heatIndexCategory(dayHeatIndex);
+    if (category) categoryCounts[category.id]++;
+    THRESHOLDS.wetBulb.forEach(threshold => {
+      if (dayWetBulb >= threshold) wetBulbCounts[threshold]++;
+    });
+
+    const month = months[parseInt(day.date.substring(4, 6), 10) - 1];
+    month.max.push(day.max);
+    month.min.push(day.min);
+    month.humidity.push(day.humidity);
+    month.heatIndex.push(dayHeatIndex);
+    month.wetBulb.push(dayWetBulb);
+
+    return { ...day, heatIndex: dayHeatIndex, wetBulb: dayWetBulb };
+  });
+
+  const years = days.length / 365.25;
+  const perYear = count => round(count / Math.max(years, 1), 0);
+  const hotDays = days.filter(d => d.max >= THRESHOLDS.hotDay).length;
+  const tropicalNights = days.filter(d => d.min > THRESHOLDS.tropicalNight).length;
+  const hotNights = days.filter(d => d.min >= THRESHOLDS.hotNight).length;
+  const peak = enriched.reduce((best, day) => (day.heatIndex > best.heatIndex ? day : best));
+
+  return {
+    days: days.length,
+    periodStart: days[0].date,
+    periodEnd: days[days.length - 1].date,
+    avgMaxTemperature: round(mean(days.map(d => d.max))),
+    avgMinTemperature: round(mean(days.map(d => d.min))),
+    avgDiurnalRange: round(mean(days.map(d => d.max - d.min))),
+    avgHumidity: round(mean(days.map(d => d.humidity)), 0),
+    // Counts are per year when the window is longer than one
+    hotDays: perYear(hotDays),
+    tropicalNights: perYear(tropicalNights),
+    hotNights: perYear(hotNights),
+    heatIndex: {
+      max: round(peak.heatIndex),
+      maxDate: peak.date,
+      avgDailyMax: round(mean(enriched.map(d => d.heatIndex))),
+      maxCategory: heatIndexCategory(peak.heatIndex)?.label || 'None',
+      daysByCategory: Object.fromEntries(Object.entries(categoryCounts).map(([id, count]) => [id, perYear(count)]))
+    },
+    wetBulb: {
+      max: round(Math.max(...enriched.map(d => d.wetBulb))),
+      avgDailyMax: round(mean(enriched.map(d => d.wetBulb))),
+      daysAtOrAbove: Object.fromEntries(Object.entries(wetBulbCounts).map(([threshold, count]) => [threshold, perYear(count)]))
+    },
+    monthly: months.map((month, i) => ({
+      month: MONTH_NAMES[i],
+      maxTemperature: round(mean(month.max)),
+      minTemperature: round(mean(month.min)),
+      humidity: round(mean(month.humidity), 0),
+      heatIndex: round(mean(month.heatIndex)),
+      wetBulb: round(mean(month.wetBulb))
+    })),
+    thresholds: THRESHOLDS
+  };
+}
+
+module.exports = {
+  summariseHeatStress,
+  heatIndex,
+  wetBulbTemperature,
+  heatIndexCategory,
+  HEAT_INDEX_CATEGORIES,
+  THRESHOLDS
+};
@@ -0,0 +1,122 @@
+// PRECIPITATION CLIMATOLOGY - annual mean, monthly normals, wet/dry-year
+// percentiles and dry spells from a multi-year daily series
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DRY_DAY_THRESHOLD_MM = 1.0; // WMO convention for a "dry day"
+const MIN_DAYS_FOR_COMPLETE_YEAR = 360;
+const DAY_MS = 86400000;
+
+// Days with a precipitation amount; gaps (null) and fill values such as -999 are dropped
+function cleanPrecipitationSeries(dailySeries) {
+  return dailySeries.filter(d => Number.isFinite(d.precipitation) && d.precipitation >= 0);
+}
+
+// Linear-interpolated percentile (p in 0..1) of an unsorted array
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+function round(value, digits = 0) {
+  if (value === null) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Longest run of consecutive dry days, overall and per year. `series` is the
+// cleaned, date-ordered series; a missing day ends the run, as it may have been wet.
+function findDrySpells(series) {
+  let longest = { days: 0, start: null, end: null };
+  const longestByYear = {};
+  let runStart = null;
+  let runLength = 0;
+  let previousDate = null;
+
+  series.forEach(day => {
+    if (previousDate === null || Date.parse(day.date) - Date.parse(previousDate) !== DAY_MS) runLength = 0;
+    previousDate = day.date;
+
+    if (day.precipitation < DRY_DAY_THRESHOLD_MM) {
+      if (runLength === 0) runStart = day.date;
+      runLength++;
+      if (runLength > longest.days) {
+        longest = { days: runLength, start: runStart, end: day.date };
+      }
+      const year = day.date.substring(0, 4);
+      longestByYear[year] = Math.max(longestByYear[year] || 0, runLength);
+    } else {
+      runLength = 0;
+    }
+  });
+
+  return { longest, longestByYear };
+}
+
+function calculatePrecipitationClimatology(dailySeries) {
+  const series = cleanPrecipitationSeries(dailySeries);
+  if (series.length === 0) {
+    throw new Error('Empty precipitation series');
+  }
+
+  // Per-year and per-year-month totals
+  const years = {};
+  series.forEach(day => {
+    const year = day.date.substring(0, 4);
+    const month = parseInt(day.date.substring(5, 7), 10) - 1;
+    if (!years[year]) years[year] = { total: 0, days: 0, months: Array(12).fill(0), monthDays: Array(12).fill(0) };
+    years[year].total += day.precipitation;
+    years[year].days++;
+    years[year].months[month] += day.precipitation;
+    years[year].monthDays[month]++;
+  });
+
+  const completeYears = Object.entries(years).filter(([, y]) => y.days >= MIN_DAYS_FOR_COMPLETE_YEAR);
+  const annualTotals = completeYears.map(([year, y]) => ({ year: parseInt(year, 10), total: round(y.total, 1) }));
+
+  const totalPrecip = series.reduce((sum, d) => sum + d.precipitation, 0);
+  const avgDaily = totalPrecip / series.length;
+  const annualMean = annualTotals.length > 0
+    ? annualTotals.reduce((sum, y) => sum + y.total, 0) / annualTotals.length
+    : avgDaily * 365; // Short series: annualise the daily mean
+
+  // Monthly normals: mean of each calendar month's total across years that cover most of that month
+  const monthlyNormals = MONTH_NAMES.map((month, m) => {
+    const totals = Object.values(years)
+      .filter(y => y.monthDays[m] >= 25)
+      .map(y => y.months[m]);
+    return {
+      month,
+      precipitation: totals.length > 0 ? round(totals.reduce((a, b) => a + b, 0) / totals.length, 1) : null,
+      yearsOfData: totals.length
+    };
+  });
+
+  const totals = annualTotals.map(y => y.total);
+  const { longest, longestByYear } = findDrySpells(series);
+  const annualLongestSpells = completeYears.map(([year]) => longestByYear[year] || 0);
+
+  return {
+    avgDailyPrecipitation: round(avgDaily, 2),
+    annualPrecipitation: round(annualMean, 0),
+    years: annualTotals.length,
+    periodStart: series[0].date,
+    periodEnd: series[series.length - 1].date,
+    annualTotals,
+    monthlyNormals,
+    percentiles: {
+      p10: round(percentile(totals, 0.1), 0),  // dry year
+      p50: round(percentile(totals, 0.5), 0),
+      p90: round(percentile(totals, 0.9), 0)   // wet year
+    },
+    longestDrySpell: longest,
+    meanAnnualLongestDrySpell: annualLongestSpells.length > 0
+      ? round(annualLongestSpells.reduce((a, b) => a + b, 0) / annualLongestSpells.length, 0)
+      : null
+  };
+}
+
+module.exports = { calculatePrecipitationClimatology, cleanPrecipitationSeries };
@@ -0,0 +1,176 @@
+// PRIORITY SCORING - weighted multi-criteria score for intervention priority zones.
+// Each criterion maps one zone metric onto 0..1 between `min` (scores 0) and
+// `max` (scores 1); a range with min > max scores low values higher. Values
+// outside the range are clamped. Weights are relative: they are rescaled to
+// sum to 1 over the criteria a zone has data for, and the per-criterion
+// contributions (weight share × normalised value) add up to the score.
+
+// `range` is the default normalisation; `metric` documents what the caller measures
+const CRITERIA = {
+  heat: {
+    label: 'Heat',
+    unit: '°C',
+    metric: 'Zone temperature: mean footprint land surface temperature where an LST raster covers the zone, otherwise the modelled urban heat estimate',
+    range: [28, 38]
+  },
+  density: {
+    label: 'Building density',
+    unit: 'buildings/ha',
+    metric: 'Buildings per hectare of zone area',
+    range: [0, 80]
+  },
+  greenDeficit: {
+    label: 'Green deficit',
+    unit: '% built cover',
+    metric: 'Share of the zone covered by building footprints; sealed roof area stands in for missing vegetation',
+    range: [20, 70]
+  },
+  rooftopPotential: {
+    label: 'Rooftop potential',
+    unit: 'roofs > 500 m²',
+    metric: 'Roofs large enough for solar arrays or green roofs',
+    range: [0, 5]
+  },
+  airQuality: {
+    label: 'Air quality',
+    unit: 'µg/m³ PM2.5',
+    // Concentration rather than AQI, so ranges don't change meaning between standards
+    metric: 'PM2.5 from the interpolated air quality surface at the zone centre',
+    range: [15, 150]
+  },
+  population: {
+    label: 'Population exposure',
+    unit: 'residents',
+    metric: 'Residents estimated from floor area (footprint × storeys) at 25 m² per person',
+    range: [0, 5000]
+  }
+};
+
+const PRESETS = {
+  balanced: {
+    name: 'Balanced',
+    description: 'Heat, density, green deficit and rooftop potential at the original 35/25/25/15 split',
+    criteria: {
+      heat: { weight: 35 },
+      density: { weight: 25 },
+      greenDeficit: { weight: 25 },
+      rooftopPotential: { weight: 15 }
+    }
+  },
+  'heat-health': {
+    name: 'Heat & health',
+    description: 'Where heat and polluted air meet the most residents',
+    criteria: {
+      heat: { weight: 35 },
+      airQuality: { weight: 20 },
+      population: { weight: 30 },
+      greenDeficit: { weight: 15 }
+    }
+  },
+  'rooftop-retrofit': {
+    name: 'Rooftop retrofit',
+    description: 'Large hot roofs for solar, cool-roof and green-roof programmes',
+    criteria: {
+      rooftopPotential: { weight: 45 },
+      heat: { weight: 35 },
+      density: { weight: 20 }
+    }
+  },
+  'clean-air': {
+    name: 'Clean air',
+    description: 'Greening and traffic measures where PM2.5 exposure is highest',
+    criteria: {
+      airQuality: { weight: 50 },
+      population: { weight: 30 },
+      greenDeficit: { weight: 20 }
+    }
+  }
+};
+
+const DEFAULT_PRESET = 'balanced';
+
+// Score thresholds, highest first
+const LEVELS = [
+  { min: 0.7, level: 'Critical' },
+  { min: 0.55, level: 'High' },
+  { min: 0, level: 'Medium' }
+];
+
+function round(value, digits = 3) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// { heat: { weight, min?, max? }, ... } -> { heat: { weight, share, min, max }, ... }
+// Criteria left out or weighted 0 are off. Throws on unknown criteria,
+// negative weights, empty ranges or when nothing is switched on.
+function resolveScoringConfig(criteria) {
+  if (!criteria || typeof criteria !== 'object') throw new Error('criteria must be an object keyed by criterion');
+
+  const resolved = {};
+  Object.entries(criteria).forEach(([id, settings]) => {
+    const definition = CRITERIA[id];
+    if (!definition) throw new Error(`Unknown criterion "${id}" (expected ${Object.keys(CRITERIA).join(', ')})`);
+    const weight = settings.weight ?? 0;
+    const min = settings.min ?? definition.range[0];
+    const max = settings.max ?? definition.range[1];
+    if (!Number.isFinite(weight) || weight < 0) throw new Error(`${id}.weight must be a number ≥ 0`);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min === max) {
+      throw new Error(`${id} needs a numeric min and max that differ`);
+    }
+    if (weight > 0) resolved[id] = { weight, min, max };
+  });
+
+  const total = Object.values(resolved).reduce((sum, c) => sum + c.weight, 0);
+  if (total === 0) throw new Error('Give at least one criterion a weight above 0');
+  Object.values(resolved).forEach(c => {
+    c.share = round(c.weight / total);
+  });
+  return resolved;
+}
+
+function normalise(value, { min, max }) {
+  return Math.min(Math.max((value - min) / (max - min), 0), 1);
+}
+
+function priorityLevel(score) {
+  return LEVELS.find(l => score >= l.min).level;
+}
+
+// metrics: { heat: 34.2, density: 41, ... } (null/absent = no data).
+// Returns { score, level, contributions, missing }; score is null when the zone
+// has data for none of the configured criteria.
+function scoreZone(metrics, config) {
+  const available = Object.entries(config).filter(([id]) => Number.isFinite(metrics[id]));
+  const missing = Object.keys(config).filter(id => !Number.isFinite(metrics[id]));
+  const availableWeight = available.reduce((sum, [, c]) => sum + c.weight, 0);
+  if (availableWeight === 0) return { score: null, level: null, contributions: [], missing };
+
+  let total = 0;
+  const contributions = available.map(([id, c]) => {
+    const normalised = normalise(metrics[id], c);
+    const share = c.weight / availableWeight;
+    total += normalised * share;
+    return {
+      criterion: id,
+      label: CRITERIA[id].label,
+      unit: CRITERIA[id].unit,
+      value: metrics[id],
+      normalised: round(normalised),
+      share: round(share),
+      contribution: round(normalised * share)
+    };
+  }).sort((a, b) => b.contribution - a.contribution);
+
+  const score = round(total);
+  return { score, level: priorityLevel(score), contributions, missing };
+}
+
+module.exports = {
+  CRITERIA,
+  PRESETS,
+  DEFAULT_PRESET,
+  LEVELS,
+  resolveScoringConfig,
+  scoreZone,
+  priorityLevel
+};
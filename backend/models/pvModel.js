@@ -0,0 +1,343 @@
+// PLANE-OF-ARRAY PV YIELD MODEL
+// Turns NASA POWER monthly horizontal irradiance (GHI) and air temperature into
+// AC energy for a roof, accounting for panel tilt/azimuth, roof shape, module
+// temperature derating and inverter losses.
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const REPRESENTATIVE_DAYS = [17, 47, 75, 105, 135, 162, 198, 228, 258, 288, 318, 344]; // Klein's mean day per month
+const DAYS_PER_YEAR = 365;
+
+const SOLAR_CONSTANT = 1.367; // kW/m²
+const GROUND_ALBEDO = 0.2;
+const DIURNAL_TEMP_AMPLITUDE = 4; // °C swing around the daily mean, peaking at 15:00 solar time
+const CO2_PER_KWH = 0.5; // kg CO₂ offset per kWh (Bangladesh grid average)
+
+const DEFAULT_MODULE = {
+  name: 'Generic 400 W mono-PERC',
+  ratedPower: 400,        // W at STC
+  efficiency: 0.205,
+  length: 1.72,           // m
+  width: 1.13,            // m
+  tempCoefficient: -0.0035, // per °C above 25°C
+  noct: 45                // °C nominal operating cell temperature
+};
+
+const DEFAULT_SYSTEM = {
+  inverterEfficiency: 0.96,
+  systemLosses: 0.12,     // soiling, wiring, mismatch, availability
+  dcAcRatio: 1.2
+};
+
+// Roof shape → share of the footprint usable for modules, default pitch and mounting.
+// Pitched roofs only use the plane(s) facing the sun; flat roofs use tilted racks in rows.
+const ROOF_SHAPES = {
+  flat: { usableFraction: 0.80, pitch: null, mounting: 'tilted-racks' },
+  skillion: { usableFraction: 0.85, pitch: 15, mounting: 'flush' },
+  gabled: { usableFraction: 0.45, pitch: 30, mounting: 'flush' },
+  hipped: { usableFraction: 0.35, pitch: 25, mounting: 'flush' },
+  pyramidal: { usableFraction: 0.25, pitch: 30, mounting: 'flush' },
+  mansard: { usableFraction: 0.50, pitch: null, mounting: 'tilted-racks' },
+  dome: { usableFraction: 0.30, pitch: 0, mounting: 'flush' }
+};
+
+// OSM roof:shape values mapped onto the shapes above
+const ROOF_SHAPE_ALIASES = {
+  'half-hipped': 'hipped',
+  gambrel: 'gabled',
+  saltbox: 'gabled',
+  quadruple_saltbox: 'hipped',
+  round: 'dome',
+  onion: 'dome',
+  cone: 'pyramidal'
+};
+
+function resolveRoofShape(roofShape) {
+  if (!roofShape) return { shape: 'flat', source: 'default' };
+  const key = String(roofShape).toLowerCase().trim();
+  if (ROOF_SHAPES[key]) return { shape: key, source: 'specified' };
+  if (ROOF_SHAPE_ALIASES[key]) return { shape: ROOF_SHAPE_ALIASES[key], source: 'specified' };
+  return { shape: 'flat', source: 'default' };
+}
+
+function toRad(deg) {
+  return deg * Math.PI / 180;
+}
+
+function getDeclination(dayOfYear) {
+  return toRad(23.45 * Math.sin(2 * Math.PI * (284 + dayOfYear) / 365));
+}
+
+// Sun direction as an (east, north, up) unit vector for a solar-time hour angle
+function getSunVector(latRad, declination, hourAngle) {
+  return {
+    east: -Math.cos(declination) * Math.sin(hourAngle),
+    north: Math.cos(latRad) * Math.sin(declination) - Math.sin(latRad) * Math.cos(declination) * Math.cos(hourAngle),
+    up: Math.sin(latRad) * Math.sin(declination) + Math.cos(latRad) * Math.cos(declination) * Math.cos(hourAngle)
+  };
+}
+
+// Daily extraterrestrial irradiation on a horizontal plane (kWh/m²/day)
+function getExtraterrestrialIrradiance(latRad, dayOfYear) {
+  const declination = getDeclination(dayOfYear);
+  const sunsetAngle = Math.acos(Math.min(Math.max(-Math.tan(latRad) * Math.tan(declination), -1), 1));
+  const eccentricity = 1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365);
+  return (24 / Math.PI) * SOLAR_CONSTANT * eccentricity * (
+    Math.cos(latRad) * Math.cos(declination) * Math.sin(sunsetAngle) +
+    sunsetAngle * Math.sin(latRad) * Math.sin(declination)
+  );
+}
+
+// Erbs et al. (1982) daily diffuse fraction from the clearness index
+function getDiffuseFraction(clearnessIndex, sunsetAngle) {
+  const kt = Math.min(Math.max(clearnessIndex, 0), 1);
+  if (sunsetAngle <= toRad(81.4)) {
+    return kt < 0.715
+      ? 1.0 - 0.2727 * kt + 2.4495 * kt ** 2 - 11.9514 * kt ** 3 + 9.3879 * kt ** 4
+      : 0.143;
+  }
+  return kt < 0.722
+    ? 1.0 + 0.2832 * kt - 2.5557 * kt ** 2 + 0.8448 * kt ** 3
+    : 0.175;
+}
+
+// Split a day's irradiance (kWh/m²) into 24 hourly values (kWh/m² ≈ mean kW/m²)
+// following the sun's elevation in local solar time
+function distributeDailyIrradiance(dailyIrradiance, latitude, dayOfYear) {
+  const latRad = toRad(latitude);
+  const declination = getDeclination(dayOfYear);
+
+  const weights = [];
+  for (let hour = 0; hour < 24; hour++) {
+    const hourAngle = toRad((hour + 0.5 - 12) * 15);
+    weights.push(Math.max(getSunVector(latRad, declination, hourAngle).up, 0));
+  }
+
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+  return weights.map(w => totalWeight > 0 ? dailyIrradiance * w / totalWeight : 0);
+}
+
+// Hourly plane-of-array irradiance (kWh/m²) for a representative day.
+// beamShading (24 values, 0..1) removes that share of the direct component each hour.
+function calculatePOAIrradiance(dailyGHI, latitude, dayOfYear, tilt, azimuth, beamShading = null) {
+  const latRad = toRad(latitude);
+  const declination = getDeclination(dayOfYear);
+  const sunsetAngle = Math.acos(Math.min(Math.max(-Math.tan(latRad) * Math.tan(declination), -1), 1));
+
+  const extraterrestrial = getExtraterrestrialIrradiance(latRad, dayOfYear);
+  const clearnessIndex = extraterrestrial > 0 ? dailyGHI / extraterrestrial : 0;
+  const diffuseFraction = getDiffuseFraction(clearnessIndex, sunsetAngle);
+
+  const tiltRad = toRad(tilt);
+  const azimuthRad = toRad(azimuth);
+  const normal = {
+    east: Math.sin(tiltRad) * Math.sin(azimuthRad),
+    north: Math.sin(tiltRad) * Math.cos(azimuthRad),
+    up: Math.cos(tiltRad)
+  };
+
+  const hourlyGHI = distributeDailyIrradiance(dailyGHI, latitude, dayOfYear);
+
+  return hourlyGHI.map((ghi, hour) => {
+    const sun = getSunVector(latRad, declination, toRad((hour + 0.5 - 12) * 15));
+    if (ghi <= 0 || sun.up <= 0) return 0;
+
+    const diffuse = ghi * diffuseFraction;
+    const beam = ghi - diffuse;
+    const cosIncidence = sun.east * normal.east + sun.north * normal.north + sun.up * normal.up;
+    // Capped so the beam ratio can't explode with the sun on the horizon; a flat
+    // plane keeps a ratio of 1 and so receives exactly GHI
+    const beamRatio = Math.min(Math.max(cosIncidence, 0) / sun.up, 5);
+
+    const unshaded = beamShading ? 1 - beamShading[hour] : 1;
+
+    return beam * beamRatio * unshaded +
+      diffuse * (1 + Math.cos(tiltRad)) / 2 +
+      ghi * GROUND_ALBEDO * (1 - Math.cos(tiltRad)) / 2;
+  });
+}
+
+function getEquatorFacingAzimuth(latitude) {
+  return latitude >= 0 ? 180 : 0;
+}
+
+// Tilt (whole degrees) that maximises annual POA irradiance for an equator-facing array
+function findOptimalTilt(monthlyGHI, latitude, azimuth) {
+  let bestTilt = 0;
+  let bestPOA = -1;
+  const maxTilt = Math.min(Math.round(Math.abs(latitude)) + 15, 60);
+
+  for (let tilt = 0; tilt <= maxTilt; tilt++) {
+    const annualPOA = monthlyGHI.reduce((sum, ghi, i) => {
+      const daily = calculatePOAIrradiance(ghi, latitude, REPRESENTATIVE_DAYS[i], tilt, azimuth)
+        .reduce((a, b) => a + b, 0);
+      return sum + daily * DAYS_IN_MONTH[i];
+    }, 0);
+    if (annualPOA > bestPOA) {
+      bestPOA = annualPOA;
+      bestTilt = tilt;
+    }
+  }
+
+  return bestTilt;
+}
+
+// Row pitch for tilted racks so rows don't shade each other at winter-solstice noon
+function calculateRowPitch(moduleLength, tilt, latitude) {
+  const minElevation = Math.max(90 - Math.abs(latitude) - 23.45, 15);
+  const tiltRad = toRad(tilt);
+  const shadowLength = moduleLength * Math.sin(tiltRad) / Math.tan(toRad(minElevation));
+  return moduleLength * Math.cos(tiltRad) + shadowLength;
+}
+
+// Calculate solar potential
+// options: { roofShape, tilt, azimuth, module, inverterEfficiency, systemLosses,
+//            shading: { beamShading } from models/shadingModel.js }
+function calculateSolarPotential(area, solarData, latitude, options = {}) {
+  if (!solarData.isReal || !solarData.avgIrradiance) {
+    return {
+      error: 'Cannot calculate - no real solar data available'
+    };
+  }
+
+  const module = { ...DEFAULT_MODULE, ...(options.module || {}) };
+  const inverterEfficiency = options.inverterEfficiency ?? DEFAULT_SYSTEM.inverterEfficiency;
+  const systemLosses = options.systemLosses ?? DEFAULT_SYSTEM.systemLosses;
+  const moduleArea = module.length * module.width;
+
+  const avgIrradiance = solarData.avgIrradiance;
+  const monthlyGHI = MONTH_NAMES.map((_, i) => solarData.monthlyIrradiance?.[i] ?? avgIrradiance);
+  const monthlyTemp = MONTH_NAMES.map((_, i) =>
+    solarData.monthlyTemperature?.[i] ?? solarData.avgTemperature ?? 25
+  );
+
+  // Orientation from roof shape, overridable by explicit tilt/azimuth
+  const { shape: roofShape, source: roofShapeSource } = resolveRoofShape(options.roofShape);
+  const shapeSpec = ROOF_SHAPES[roofShape];
+  const azimuth = options.azimuth ?? getEquatorFacingAzimuth(latitude);
+  const tilt = options.tilt ?? shapeSpec.pitch ?? findOptimalTilt(monthlyGHI, latitude, azimuth);
+
+  // Usable module area: racks on flat roofs need row spacing, pitched planes are larger than their footprint
+  const usableArea = area * shapeSpec.usableFraction;
+  let rowPitch = null;
+  let moduleCoverage;
+  if (shapeSpec.mounting === 'tilted-racks') {
+    rowPitch = calculateRowPitch(module.length, tilt, latitude);
+    moduleCoverage = usableArea * module.length / rowPitch;
+  } else {
+    moduleCoverage = usableArea / Math.cos(toRad(tilt));
+  }
+
+  const panelCount = Math.floor(moduleCoverage / moduleArea);
+  const systemSizeKwp = panelCount * module.ratedPower / 1000;
+  const inverterSizeKw = systemSizeKwp / DEFAULT_SYSTEM.dcAcRatio;
+
+  // Hour-by-hour simulation of each month's representative day
+  const beamShading = options.shading?.beamShading || null;
+  const totals = { nominal: 0, afterShading: 0, afterTemperature: 0, afterSystem: 0, afterInverter: 0, ac: 0 };
+  const hourlyTotals = Array(24).fill(0);
+  let peakPower = 0;
+
+  const monthlyProfile = MONTH_NAMES.map((month, i) => {
+    const poaUnshaded = calculatePOAIrradiance(monthlyGHI[i], latitude, REPRESENTATIVE_DAYS[i], tilt, azimuth);
+    const poaHourly = beamShading
+      ? calculatePOAIrradiance(monthlyGHI[i], latitude, REPRESENTATIVE_DAYS[i], tilt, azimuth, beamShading[i])
+      : poaUnshaded;
+    let dailyEnergy = 0;
+
+    poaHourly.forEach((poa, hour) => {
+      const ambient = monthlyTemp[i] + DIURNAL_TEMP_AMPLITUDE * Math.cos(2 * Math.PI * (hour + 0.5 - 15) / 24);
+      const cellTemp = ambient + (module.noct - 20) / 800 * poa * 1000;
+      const tempFactor = Math.max(1 + module.tempCoefficient * (cellTemp - 25), 0);
+
+      const nominal = systemSizeKwp * poa;
+      const dc = nominal * tempFactor * (1 - systemLosses);
+      const beforeClipping = dc * inverterEfficiency;
+      const ac = Math.min(beforeClipping, inverterSizeKw);
+
+      const days = DAYS_IN_MONTH[i];
+      totals.nominal += systemSizeKwp * poaUnshaded[hour] * days;
+      totals.afterShading += nominal * days;
+      totals.afterTemperature += nominal * tempFactor * days;
+      totals.afterSystem += dc * days;
+      totals.afterInverter += beforeClipping * days;
+      totals.ac += ac * days;
+
+      hourlyTotals[hour] += ac * days / DAYS_PER_YEAR;
+      peakPower = Math.max(peakPower, ac);
+      dailyEnergy += ac;
+    });
+
+    return {
+      month,
+      irradiance: parseFloat(monthlyGHI[i].toFixed(2)),
+      poaIrradiance: parseFloat(poaHourly.reduce((a, b) => a + b, 0).toFixed(2)),
+      avgTemperature: parseFloat(monthlyTemp[i].toFixed(1)),
+      energy: Math.round(dailyEnergy * DAYS_IN_MONTH[i])
+    };
+  });
+
+  const annualEnergy = totals.ac;
+  const annualPOA = monthlyProfile.reduce((sum, m, i) => sum + m.poaIrradiance * DAYS_IN_MONTH[i], 0);
+  const lossShare = (before, after) => before > 0 ? parseFloat((1 - after / before).toFixed(3)) : 0;
+
+  return {
+    annualEnergy: Math.round(annualEnergy),
+    avgIrradiance: avgIrradiance,
+    poaIrradiance: parseFloat((annualPOA / DAYS_PER_YEAR).toFixed(2)),
+    panelEfficiency: module.efficiency,
+    performanceRatio: totals.nominal > 0 ? parseFloat((annualEnergy / totals.nominal).toFixed(3)) : 0,
+    estimatedPanels: panelCount,
+    systemSizeKwp: parseFloat(systemSizeKwp.toFixed(2)),
+    inverterSizeKw: parseFloat(inverterSizeKw.toFixed(2)),
+    specificYield: systemSizeKwp > 0 ? Math.round(annualEnergy / systemSizeKwp) : 0,
+    co2Offset: Math.round(annualEnergy * CO2_PER_KWH),
+    roofShape,
+    roofShapeSource,
+    usableArea: Math.round(usableArea),
+    tilt,
+    azimuth,
+    module,
+    inverterEfficiency,
+    losses: {
+      shading: lossShare(totals.nominal, totals.afterShading),
+      temperature: lossShare(totals.afterShading, totals.afterTemperature),
+      system: lossShare(totals.afterTemperature, totals.afterSystem),
+      inverter: lossShare(totals.afterSystem, totals.afterInverter),
+      clipping: lossShare(totals.afterInverter, totals.ac)
+    },
+    layout: {
+      panelCount,
+      tilt,
+      azimuth,
+      mounting: shapeSpec.mounting,
+      moduleLength: module.length,
+      moduleWidth: module.width,
+      rowPitch: rowPitch !== null ? parseFloat(rowPitch.toFixed(2)) : null
+    },
+    monthlyProfile,
+    hourlyProfile: hourlyTotals.map((power, hour) => ({
+      hour,
+      power: parseFloat(power.toFixed(2))
+    })),
+    peakPower: parseFloat(peakPower.toFixed(2)),
+    isReal: true
+  };
+}
+
+module.exports = {
+  MONTH_NAMES,
+  DAYS_IN_MONTH,
+  REPRESENTATIVE_DAYS,
+  ROOF_SHAPES,
+  calculateSolarPotential,
+  calculatePOAIrradiance,
+  calculateRowPitch,
+  distributeDailyIrradiance,
+  findOptimalTilt,
+  getDeclination,
+  getDiffuseFraction,
+  getExtraterrestrialIrradiance,
+  getSunVector,
+  resolveRoofShape
+};
@@ -0,0 +1,63 @@
+// SENSOR CALIBRATION - corrects raw low-cost PM sensor readings before they are
+// indexed. Optical sensors (Plantower in PurpleAir and similar) overestimate
+// PM2.5, most of all in humid air, so the default is the US EPA nationwide
+// PurpleAir correction (Barkjohn et al. 2021):
+//   PM2.5 = 0.524 × raw − 0.0862 × RH + 5.75
+// Each pollutant takes { slope, intercept, humidity }; the humidity term is
+// skipped for readings without relative humidity, and pollutants without an
+// entry pass through unchanged. Readings are stored raw so a sensor's
+// calibration can be changed later.
+
+const CALIBRATIONS = {
+  'epa-purpleair': {
+    pm25: { slope: 0.524, intercept: 5.75, humidity: -0.0862 }
+  },
+  none: {}
+};
+
+const DEFAULT_CALIBRATION = 'epa-purpleair';
+
+// Name or { pm25: { slope, intercept, humidity }, ... } -> validated coefficients
+function resolveCalibration(calibration = DEFAULT_CALIBRATION) {
+  if (typeof calibration === 'string') {
+    if (!CALIBRATIONS[calibration]) {
+      throw new Error(`Unknown calibration "${calibration}" (expected ${Object.keys(CALIBRATIONS).join(', ')} or custom coefficients)`);
+    }
+    return { name: calibration, coefficients: CALIBRATIONS[calibration] };
+  }
+
+  if (!calibration || typeof calibration !== 'object') {
+    throw new Error('calibration must be a name or an object of per-pollutant coefficients');
+  }
+  const coefficients = {};
+  Object.entries(calibration).forEach(([pollutant, c]) => {
+    const slope = c.slope ?? 1;
+    const intercept = c.intercept ?? 0;
+    const humidity = c.humidity ?? 0;
+    if (![slope, intercept, humidity].every(Number.isFinite)) {
+      throw new Error(`calibration.${pollutant} needs numeric slope, intercept and humidity`);
+    }
+    coefficients[pollutant] = { slope, intercept, humidity };
+  });
+  return { name: 'custom', coefficients };
+}
+
+// raw: { pm25: 48.2, ... } -> { pm25: { value, raw }, ... }
+function applyCalibration(raw, relativeHumidity, { coefficients }) {
+  const corrected = {};
+  Object.entries(raw).forEach(([pollutant, value]) => {
+    const c = coefficients[pollutant];
+    if (!c) {
+      corrected[pollutant] = { value, raw: value };
+      return;
+    }
+    const humidityTerm = relativeHumidity != null ? c.humidity * relativeHumidity : 0;
+    corrected[pollutant] = {
+      value: parseFloat(Math.max(c.slope * value + humidityTerm + c.intercept, 0).toFixed(1)),
+      raw: value
+    };
+  });
+  return corrected;
+}
+
+module.exports = { CALIBRATIONS, DEFAULT_CALIBRATION, resolveCalibration, applyCalibration };
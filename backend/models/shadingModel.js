@@ -0,0 +1,197 @@
+const { REPRESENTATIVE_DAYS, getDeclination, getSunVector } = require('./pvModel');
+
+// NEIGHBOUR SHADING - casts shadows from surrounding buildings onto a roof.
+// Roof sample points are ray-traced towards the sun for each month's
+// representative day (two positions per solar hour). A point is shaded when the
+// ray passes through a neighbour's volume (footprint extruded min_height..height).
+// The result is a 12 × 24 beam-shading matrix for the PV model plus per-point
+// annual shading for the roof heatmap. Diffuse (sky) shading is not modelled.
+
+const METRES_PER_DEGREE = 111320;
+const MAX_ROOF_SAMPLES = 150;
+const MIN_SAMPLE_SPACING = 0.5;      // metres
+const MAX_NEIGHBOUR_DISTANCE = 200;  // metres; a 30 m height difference at 9° sun elevation
+const MAX_NEIGHBOURS = 300;
+const SUB_HOUR_OFFSETS = [0.25, 0.75];
+
+function toRad(deg) {
+  return deg * Math.PI / 180;
+}
+
+// [lon, lat] ring -> local east/north metres around an origin
+function projectRing(ring, origin) {
+  const cosLat = Math.cos(toRad(origin.lat));
+  return ring.map(([lon, lat]) => ({
+    x: (lon - origin.lng) * METRES_PER_DEGREE * cosLat,
+    y: (lat - origin.lat) * METRES_PER_DEGREE
+  }));
+}
+
+function unproject(point, origin) {
+  const cosLat = Math.cos(toRad(origin.lat));
+  return {
+    lat: origin.lat + point.y / METRES_PER_DEGREE,
+    lng: origin.lng + point.x / (METRES_PER_DEGREE * cosLat)
+  };
+}
+
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+      point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function bounds(polygon) {
+  const xs = polygon.map(p => p.x);
+  const ys = polygon.map(p => p.y);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
+// Regular grid of points inside the roof outline
+function sampleRoof(polygon, area) {
+  const box = bounds(polygon);
+  const spacing = Math.max(Math.sqrt(area / MAX_ROOF_SAMPLES), MIN_SAMPLE_SPACING);
+  const samples = [];
+  for (let x = box.minX + spacing / 2; x < box.maxX; x += spacing) {
+    for (let y = box.minY + spacing / 2; y < box.maxY; y += spacing) {
+      if (pointInPolygon({ x, y }, polygon)) samples.push({ x, y });
+    }
+  }
+  if (samples.length === 0) {
+    samples.push({ x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 });
+  }
+  return samples;
+}
+
+// Horizontal distances at which a ray from `point` along `dir` enters and leaves a polygon
+function rayCrossing(point, dir, polygon) {
+  let entry = Infinity;
+  let exit = -Infinity;
+  let crossings = 0;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[j];
+    const b = polygon[i];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const denom = dir.x * ey - dir.y * ex;
+    if (Math.abs(denom) < 1e-12) continue;
+
+    const wx = a.x - point.x;
+    const wy = a.y - point.y;
+    const t = (wx * ey - wy * ex) / denom;   // along the ray
+    const u = (wx * dir.y - wy * dir.x) / denom; // along the edge
+    if (t >= 0 && u >= 0 && u <= 1) {
+      entry = Math.min(entry, t);
+      exit = Math.max(exit, t);
+      crossings++;
+    }
+  }
+  if (crossings === 0) return null;
+  // An odd number of crossings means the point is inside the footprint
+  return crossings % 2 === 1 ? { entry: 0, exit } : { entry, exit };
+}
+
+function distanceBetween(a, b) {
+  const dx = Math.max(a.minX - b.maxX, b.minX - a.maxX, 0);
+  const dy = Math.max(a.minY - b.maxY, b.minY - a.maxY, 0);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// roof: { footprint: [[lon, lat], ...], height, area, centroid: { lat, lng } }
+// neighbours: [{ footprint, height, minHeight }]
+function calculateRoofShading(roof, neighbours, latitude) {
+  const origin = roof.centroid;
+  const roofPolygon = projectRing(roof.footprint, origin);
+  const roofBox = bounds(roofPolygon);
+  const samples = sampleRoof(roofPolygon, roof.area);
+
+  // Only neighbours rising above the roof, near enough to matter
+  const obstacles = neighbours
+    .filter(n => Array.isArray(n.footprint) && n.footprint.length >= 3 && n.height > roof.height)
+    .map(n => {
+      const polygon = projectRing(n.footprint, origin);
+      const box = bounds(polygon);
+      return { polygon, box, height: n.height, minHeight: n.minHeight || 0, distance: distanceBetween(roofBox, box) };
+    })
+    .filter(n => n.distance <= MAX_NEIGHBOUR_DISTANCE)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_NEIGHBOURS);
+
+  const latRad = toRad(latitude);
+  const beamShading = [];
+  const sampleShadedWeight = Array(samples.length).fill(0);
+  let totalWeight = 0;
+  let shadedWeight = 0;
+  let sunPositions = 0;
+
+  REPRESENTATIVE_DAYS.forEach(dayOfYear => {
+    const declination = getDeclination(dayOfYear);
+    const hours = [];
+
+    for (let hour = 0; hour < 24; hour++) {
+      let hourShaded = 0;
+      let hourPositions = 0;
+
+      SUB_HOUR_OFFSETS.forEach(offset => {
+        const sun = getSunVector(latRad, declination, toRad((hour + offset - 12) * 15));
+        if (sun.up <= 0) return;
+
+        const horizontal = Math.sqrt(sun.east ** 2 + sun.north ** 2);
+        if (horizontal < 1e-6) return; // sun overhead - nothing casts a shadow
+        const dir = { x: sun.east / horizontal, y: sun.north / horizontal };
+        const rise = sun.up / horizontal; // height gained per metre travelled towards the sun
+
+        // Only obstacles whose shadow reaches the roof at this elevation
+        const active = obstacles.filter(o => (o.height - roof.height) / rise > o.distance);
+
+        let shadedSamples = 0;
+        samples.forEach((point, s) => {
+          const shaded = active.some(o => {
+            const crossing = rayCrossing(point, dir, o.polygon);
+            if (!crossing) return false;
+            const entryHeight = roof.height + crossing.entry * rise;
+            const exitHeight = roof.height + crossing.exit * rise;
+            return entryHeight < o.height && exitHeight > o.minHeight;
+          });
+          if (shaded) {
+            shadedSamples++;
+            sampleShadedWeight[s] += sun.up;
+          }
+        });
+
+        const fraction = shadedSamples / samples.length;
+        hourShaded += fraction;
+        hourPositions++;
+        sunPositions++;
+        totalWeight += sun.up;
+        shadedWeight += fraction * sun.up;
+      });
+
+      hours.push(hourPositions > 0 ? parseFloat((hourShaded / hourPositions).toFixed(3)) : 0);
+    }
+    beamShading.push(hours);
+  });
+
+  return {
+    // Share of direct (beam) sunlight on the roof blocked by neighbours, weighted by sun elevation
+    beamShadingPercent: totalWeight > 0 ? parseFloat((shadedWeight / totalWeight * 100).toFixed(1)) : 0,
+    beamShading,
+    sunPositions,
+    neighboursConsidered: neighbours.length,
+    obstacles: obstacles.length,
+    roofHeight: roof.height,
+    samples: samples.map((point, s) => ({
+      ...unproject(point, origin),
+      shading: totalWeight > 0 ? parseFloat((sampleShadedWeight[s] / totalWeight).toFixed(3)) : 0
+    }))
+  };
+}
+
+module.exports = { calculateRoofShading, MAX_NEIGHBOUR_DISTANCE, MAX_NEIGHBOURS };
@@ -0,0 +1,180 @@
+// RAINWATER HARVESTING - daily water-balance simulation for tank sizing
+// Yield-after-spillage (YAS) model: each day the tank first supplies demand from
+// yesterday's storage, then takes in today's runoff; anything above capacity overflows.
+
+const DEFAULT_RUNOFF_COEFFICIENT = 0.9;
+const DEFAULT_FIRST_FLUSH_MM = 0.5;        // diverted at the start of each rain event (≈0.5 L per m² of roof)
+const RAIN_DAY_THRESHOLD_MM = 0.1;         // a drier day ends the current rain event
+const DEFAULT_OCCUPANTS_PER_100M2 = 5;     // one household per 100 m² of roof
+const DEFAULT_LITRES_PER_PERSON = 50;      // non-potable use: flushing, washing, cleaning
+const DEFAULT_TARGET_RELIABILITY = 0.9;
+const DEFAULT_CANDIDATE_TANKS = [1, 2, 3, 5, 7.5, 10, 15, 20, 30, 50, 75, 100]; // m³
+const HOUSEHOLD_ANNUAL_USE = 50000;        // litres per family per year
+
+// Daily demand in litres; monthlyFactors (12 values) scale it through the year
+function buildDemandProfile(area, demand = {}) {
+  // Occupancy scales with floor area: roof footprint × storeys (1 when unknown)
+  const levels = demand.levels ?? 1;
+  const occupants = demand.occupants ?? Math.max(Math.round(area * levels / 100 * DEFAULT_OCCUPANTS_PER_100M2), 1);
+  const litresPerPerson = demand.litresPerPerson ?? DEFAULT_LITRES_PER_PERSON;
+  const dailyDemand = demand.dailyDemand ?? occupants * litresPerPerson;
+  const monthlyFactors = Array.isArray(demand.monthlyFactors) && demand.monthlyFactors.length === 12
+    ? demand.monthlyFactors
+    : Array(12).fill(1);
+
+  return {
+    occupants,
+    levels,
+    litresPerPerson,
+    dailyDemand,
+    monthlyFactors,
+    forDate: (date) => {
+      const month = date ? new Date(date).getUTCMonth() : 0;
+      return dailyDemand * (monthlyFactors[isNaN(month) ? 0 : month] ?? 1);
+    }
+  };
+}
+
+// Roof runoff per day (litres) after the first-flush diverter
+function calculateDailyRunoff(area, dailySeries, runoffCoefficient, firstFlushMm) {
+  let flushRemaining = firstFlushMm;
+
+  return dailySeries.map(day => {
+    const rain = day.precipitation || 0;
+    if (rain < RAIN_DAY_THRESHOLD_MM) {
+      flushRemaining = firstFlushMm; // diverter drains and resets between events
+      return 0;
+    }
+    const diverted = Math.min(rain, flushRemaining);
+    flushRemaining -= diverted;
+    return area * (rain - diverted) * runoffCoefficient;
+  });
+}
+
+// Simulate one tank size over the series
+function simulateTank(capacityLitres, runoff, demand) {
+  let storage = 0;
+  let daysMet = 0;
+  let supplied = 0;
+  let overflow = 0;
+  let totalDemand = 0;
+
+  for (let i = 0; i < runoff.length; i++) {
+    const yieldToday = Math.min(demand[i], storage);
+    storage = storage - yieldToday + runoff[i];
+    if (storage > capacityLitres) {
+      overflow += storage - capacityLitres;
+      storage = capacityLitres;
+    }
+
+    supplied += yieldToday;
+    totalDemand += demand[i];
+    if (yieldToday >= demand[i]) daysMet++;
+  }
+
+  return { daysMet, supplied, overflow, totalDemand };
+}
+
+// Run the water balance for every candidate tank and pick a recommended size
+function simulateWaterBalance(area, dailySeries, options = {}) {
+  if (!Array.isArray(dailySeries) || dailySeries.length === 0) {
+    return { error: 'No daily precipitation series available for simulation' };
+  }
+
+  const runoffCoefficient = options.runoffCoefficient ?? DEFAULT_RUNOFF_COEFFICIENT;
+  const firstFlushMm = options.firstFlushMm ?? DEFAULT_FIRST_FLUSH_MM;
+  const targetReliability = options.targetReliability ?? DEFAULT_TARGET_RELIABILITY;
+  const candidateTanks = (options.candidateTanks || DEFAULT_CANDIDATE_TANKS)
+    .filter(size => size > 0)
+    .sort((a, b) => a - b);
+
+  const demandProfile = buildDemandProfile(area, options.demand);
+  const runoff = calculateDailyRunoff(area, dailySeries, runoffCoefficient, firstFlushMm);
+  const demand = dailySeries.map(day => demandProfile.forDate(day.date));
+
+  const days = dailySeries.length;
+  const annualise = (litres) => Math.round(litres * 365 / days);
+  const totalRunoff = runoff.reduce((a, b) => a + b, 0);
+  const totalRain = dailySeries.reduce((sum, d) => sum + (d.precipitation || 0), 0);
+
+  const reliabilityCurve = candidateTanks.map(tankSize => {
+    const result = simulateTank(tankSize * 1000, runoff, demand);
+    return {
+      tankSize,
+      reliability: parseFloat((result.daysMet / days).toFixed(3)),
+      volumetricReliability: result.totalDemand > 0
+        ? parseFloat((result.supplied / result.totalDemand).toFixed(3))
+        : 0,
+      annualSupplied: annualise(result.supplied),
+      annualOverflow: annualise(result.overflow)
+    };
+  });
+
+  // Smallest tank meeting the target; otherwise the point of diminishing returns
+  // (smallest tank within 2 percentage points of the best achievable reliability)
+  let recommended = reliabilityCurve.find(c => c.reliability >= targetReliability);
+  let recommendationBasis = `Smallest tank meeting ${Math.round(targetReliability * 100)}% of days`;
+  if (!recommended) {
+    const best = Math.max(...reliabilityCurve.map(c => c.reliability));
+    recommended = reliabilityCurve.find(c => c.reliability >= best - 0.02);
+    recommendationBasis = `Target not reachable with roof runoff; smallest tank within 2% of the best achievable reliability (${Math.round(best * 100)}%)`;
+  }
+
+  return {
+    simulatedDays: days,
+    periodStart: dailySeries[0].date || null,
+    periodEnd: dailySeries[days - 1].date || null,
+    annualRunoff: annualise(totalRunoff),
+    firstFlushLoss: annualise(area * totalRain * runoffCoefficient - totalRunoff),
+    demand: {
+      occupants: demandProfile.occupants,
+      levels: demandProfile.levels,
+      litresPerPerson: demandProfile.litresPerPerson,
+      dailyDemand: Math.round(demandProfile.dailyDemand),
+      monthlyFactors: demandProfile.monthlyFactors,
+      annualDemand: annualise(demand.reduce((a, b) => a + b, 0))
+    },
+    runoffCoefficient,
+    firstFlushMm,
+    targetReliability,
+    reliabilityCurve,
+    recommendedTankSize: recommended.tankSize,
+    recommendedReliability: recommended.reliability,
+    recommendationBasis
+  };
+}
+
+// Calculate rainwater potential
+function calculateRainwaterPotential(area, precipData, options = {}) {
+  if (!precipData.isReal || !precipData.annualPrecipitation) {
+    return {
+      error: 'Cannot calculate - no real precipitation data available'
+    };
+  }
+
+  const runoffCoefficient = options.runoffCoefficient ?? DEFAULT_RUNOFF_COEFFICIENT;
+  const annualRainfall = precipData.annualPrecipitation;
+  const annualWater = area * annualRainfall * runoffCoefficient;
+
+  const waterBalance = simulateWaterBalance(area, precipData.daily, { ...options, runoffCoefficient });
+  const simulated = !waterBalance.error;
+  const recommended = simulated
+    ? waterBalance.reliabilityCurve.find(c => c.tankSize === waterBalance.recommendedTankSize)
+    : null;
+
+  return {
+    annualWater: Math.round(annualWater),
+    avgPrecipitation: precipData.avgDailyPrecipitation,
+    runoffCoefficient,
+    storageTankSize: simulated ? waterBalance.recommendedTankSize : Math.ceil(annualWater / 12 / 1000),
+    annualSupplied: recommended ? recommended.annualSupplied : null,
+    householdsSupported: Math.floor(annualWater / HOUSEHOLD_ANNUAL_USE),
+    waterBalance: simulated ? waterBalance : null,
+    isReal: true
+  };
+}
+
+module.exports = {
+  calculateRainwaterPotential,
+  simulateWaterBalance
+};
@@ -0,0 +1,72 @@
+const { loadFixture, describeFixture } = require('../fixtureLoader');
+
+const STATIONS_FIXTURE_FILE = 'openaq-latest-dhaka.json';
+const MODEL_FIXTURE_FILE = 'cams-dhaka.json';
+const HISTORY_FIXTURE_FILE = 'openaq-history-dhaka.json';
+
+const POINT_RADIUS_KM = 50; // same radius the OpenAQ provider uses for point queries
+
+// OpenAQ and CAMS responses stored on disk. Stations are filtered to the requested
+// bounds (or radius) so panning away from the fixture area falls back to the model.
+function createFixtureAirQualityProvider(fixturesDir) {
+  return {
+    name: 'fixture',
+    stationSource: describeFixture(STATIONS_FIXTURE_FILE),
+    modelSource: describeFixture(MODEL_FIXTURE_FILE),
+    historySource: describeFixture(HISTORY_FIXTURE_FILE),
+    upstreams: [],
+
+    async probe() {
+      [STATIONS_FIXTURE_FILE, MODEL_FIXTURE_FILE, HISTORY_FIXTURE_FILE].forEach(file => loadFixture(fixturesDir, file));
+    },
+
+    async getStationMeasurements({ bounds, latitude: centerLat, longitude: centerLng }) {
+      const results = loadFixture(fixturesDir, STATIONS_FIXTURE_FILE).results || [];
+      return results.filter(m => {
+        const { latitude, longitude } = m.coordinates || {};
+        if (bounds) {
+          return latitude >= bounds.south && latitude <= bounds.north &&
+            longitude >= bounds.west && longitude <= bounds.east;
+        }
+        const dLat = (latitude - centerLat) * 111;
+        const dLng = (longitude - centerLng) * 111 * Math.cos(centerLat * Math.PI / 180);
+        return Math.sqrt(dLat * dLat + dLng * dLng) <= POINT_RADIUS_KM;
+      });
+    },
+
+    async getModelCurrent() {
+      return loadFixture(fixturesDir, MODEL_FIXTURE_FILE).current || null;
+    },
+
+    // Compact hourly series (values every `intervalMinutes` from `start`) cut to the window
+    async getStationHistory({ locationId, parameter, from, to }) {
+      const location = (loadFixture(fixturesDir, HISTORY_FIXTURE_FILE).locations || {})[locationId];
+      const series = location?.series?.[parameter];
+      if (!series) return null;
+
+      const start = Date.parse(series.start);
+      const step = series.intervalMinutes * 60000;
+      const hourly = [];
+      series.values.forEach((value, i) => {
+        const time = start + i * step;
+        if (value == null || time < from.getTime() || time > to.getTime()) return;
+        hourly.push({ time: new Date(time).toISOString(), value });
+      });
+
+      return {
+        location: {
+          id: Number(locationId),
+          name: location.name,
+          latitude: location.latitude,
+          longitude: location.longitude,
+          timezone: location.timezone
+        },
+        parameter,
+        unit: series.units,
+        hourly
+      };
+    }
+  };
+}
+
+module.exports = { createFixtureAirQualityProvider };
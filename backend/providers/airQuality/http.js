@@ -0,0 +1,135 @@
+const { getUpstreamClient } = require('../upstream');
+
+const OPENAQ_BASE_URL = 'https://api.openaq.org/v3';
+const CAMS_AIR_QUALITY_URL = 'https://air-quality-api.open-meteo.com/v1/air-quality';
+const HISTORY_PAGE_SIZE = 1000;
+const HISTORY_MAX_PAGES = 10; // ~416 days of hourly values
+
+// Ground stations from OpenAQ v3 plus the CAMS model via Open-Meteo
+function createHttpAirQualityProvider({ openAQApiKey }) {
+  return {
+    name: 'http',
+    stationSource: 'Ground monitoring stations (OpenAQ v3)',
+    modelSource: 'CAMS Atmospheric Model (Open-Meteo)',
+    historySource: 'Ground monitoring station history (OpenAQ v3)',
+    upstreams: ['openAQ', 'openMeteoAirQuality'],
+
+    // Both upstreams: stations (also checks the API key) and the CAMS fallback
+    async probe() {
+      await Promise.all([
+        getUpstreamClient('openAQ').get(`${OPENAQ_BASE_URL}/parameters`, {
+          headers: { 'X-API-Key': openAQApiKey, 'Accept': 'application/json' },
+          params: { limit: 1 },
+          timeout: 5000
+        }),
+        getUpstreamClient('openMeteoAirQuality').get(CAMS_AIR_QUALITY_URL, {
+          params: { latitude: 23.81, longitude: 90.41, current: 'pm2_5' },
+          timeout: 5000
+        })
+      ]);
+    },
+
+    // Latest raw OpenAQ measurements inside bounds, or within 50 km of a point
+    async getStationMeasurements({ bounds, latitude, longitude }) {
+      const params = {
+        limit: 100,
+        'order_by': 'datetime',
+        'sort_order': 'desc'
+      };
+
+      // Spatial filtering
+      if (bounds) {
+        // OpenAQ v3 uses: west,south,east,north
+        params.bbox = `${bounds.west},${bounds.south},${bounds.east},${bounds.north}`;
+        console.log(`Using bbox: ${params.bbox}`);
+      } else {
+        params.coordinates = `${latitude},${longitude}`;
+        params.radius = 50000; // 50km
+        console.log(`Using coordinates: ${params.coordinates}, radius: ${params.radius}m`);
+      }
+
+      const url = `${OPENAQ_BASE_URL}/latest`;
+      console.log(`Requesting: ${url}`);
+
+      const response = await getUpstreamClient('openAQ').get(url, {
+        headers: {
+          'X-API-Key': openAQApiKey,
+          'Accept': 'application/json'
+        },
+        params,
+        timeout: 20000
+      });
+
+      console.log('OpenAQ Response Status:', response.status);
+      if (!response.data) return [];
+
+      console.log(`OpenAQ Meta:`, JSON.stringify(response.data.meta, null, 2));
+      return response.data.results || [];
+    },
+
+    // Current CAMS concentrations (Open-Meteo `current` block) at a point
+    async getModelCurrent(latitude, longitude) {
+      const response = await getUpstreamClient('openMeteoAirQuality').get(CAMS_AIR_QUALITY_URL, {
+        params: {
+          latitude: latitude.toFixed(4),
+          longitude: longitude.toFixed(4),
+          current: 'pm10,pm2_5,nitrogen_dioxide,ozone,sulphur_dioxide,carbon_monoxide,us_aqi',
+          timezone: 'auto'
+        },
+        timeout: 10000
+      });
+
+      return response.data?.current || null;
+    },
+
+    // Hourly averages for one station and parameter: the location's sensor list
+    // gives the sensor id, whose /hours endpoint is paged through for the window
+    async getStationHistory({ locationId, parameter, from, to }) {
+      const headers = { 'X-API-Key': openAQApiKey, 'Accept': 'application/json' };
+
+      const locationResponse = await getUpstreamClient('openAQ').get(`${OPENAQ_BASE_URL}/locations/${locationId}`, {
+        headers,
+        timeout: 20000
+      });
+      const location = locationResponse.data?.results?.[0];
+      const sensor = location?.sensors?.find(s => s.parameter?.name === parameter);
+      if (!sensor) return null;
+
+      const hourly = [];
+      for (let page = 1; page <= HISTORY_MAX_PAGES; page++) {
+        const response = await getUpstreamClient('openAQ').get(`${OPENAQ_BASE_URL}/sensors/${sensor.id}/hours`, {
+          headers,
+          params: {
+            'datetime_from': from.toISOString(),
+            'datetime_to': to.toISOString(),
+            limit: HISTORY_PAGE_SIZE,
+            page
+          },
+          timeout: 20000
+        });
+
+        const results = response.data?.results || [];
+        results.forEach(r => {
+          const time = r.period?.datetimeFrom?.utc;
+          if (time && r.value != null) hourly.push({ time, value: r.value });
+        });
+        if (results.length < HISTORY_PAGE_SIZE) break;
+      }
+
+      return {
+        location: {
+          id: location.id,
+          name: location.name,
+          latitude: location.coordinates?.latitude,
+          longitude: location.coordinates?.longitude,
+          timezone: location.timezone
+        },
+        parameter,
+        unit: sensor.parameter.units,
+        hourly: hourly.sort((a, b) => a.time.localeCompare(b.time))
+      };
+    }
+  };
+}
+
+module.exports = { createHttpAirQualityProvider };
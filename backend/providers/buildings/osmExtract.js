@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_EXTRACT_FILE = 'buildings-dhaka.osm';
+
+const XML_ENTITIES = { '&amp;': '&', '&quot;': '"', '&apos;': "'", '&lt;': '<', '&gt;': '>' };
+
+function decodeXml(value) {
+  return value.replace(/&(amp|quot|apos|lt|gt);/g, entity => XML_ENTITIES[entity]);
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const [, key, value] of source.matchAll(/(\w+)="([^"]*)"/g)) {
+    attributes[key] = decodeXml(value);
+  }
+  return attributes;
+}
+
+// Minimal OSM XML reader: nodes with coordinates, ways with node refs and tags.
+// Extracts from Geofabrik/osmium/JOSM all use this flat layout.
+function parseOsmXml(xml) {
+  const nodes = new Map();
+  for (const [, attrs] of xml.matchAll(/<node\b([^>]*?)\/?>/g)) {
+    const { id, lat, lon } = parseAttributes(attrs);
+    nodes.set(id, { lat: parseFloat(lat), lon: parseFloat(lon) });
+  }
+
+  const ways = [];
+  for (const [, attrs, body] of xml.matchAll(/<way\b([^>]*)>([\s\S]*?)<\/way>/g)) {
+    const tags = {};
+    for (const [, tagAttrs] of body.matchAll(/<tag\b([^>]*?)\/>/g)) {
+      const { k, v } = parseAttributes(tagAttrs);
+      tags[k] = v;
+    }
+    const geometry = Array.from(body.matchAll(/<nd\s+ref="(\d+)"/g))
+      .map(([, ref]) => nodes.get(ref))
+      .filter(Boolean);
+    ways.push({ id: parseInt(parseAttributes(attrs).id, 10), tags, geometry });
+  }
+  return ways;
+}
+
+// Overpass JSON saved with "out geom"
+function parseOverpassJson(json) {
+  return (JSON.parse(json).elements || [])
+    .filter(element => element.type === 'way')
+    .map(element => ({ id: element.id, tags: element.tags || {}, geometry: element.geometry || [] }));
+}
+
+function elementBounds(geometry) {
+  const lats = geometry.map(n => n.lat);
+  const lons = geometry.map(n => n.lon);
+  return {
+    south: Math.min(...lats), north: Math.max(...lats),
+    west: Math.min(...lons), east: Math.max(...lons)
+  };
+}
+
+// Stand-in for Overpass backed by a local OSM extract (.osm XML or Overpass .json),
+// loaded once and filtered per bounding box. OSM_EXTRACT_FILE is relative to the
+// fixtures directory unless absolute.
+function createOsmExtractBuildingsProvider(fixturesDir, extractFile = DEFAULT_EXTRACT_FILE) {
+  const filePath = path.resolve(__dirname, '..', '..', fixturesDir, extractFile);
+  let buildings = null;
+
+  function load() {
+    if (buildings) return buildings;
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`OSM extract not found: ${filePath}`);
+    }
+
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const ways = filePath.endsWith('.json') ? parseOverpassJson(contents) : parseOsmXml(contents);
+    buildings = ways
+      .filter(way => way.tags.building && way.geometry.length >= 3)
+      .map(way => ({ ...way, bounds: elementBounds(way.geometry) }));
+
+    console.log(`✓ Loaded ${buildings.length} buildings from ${path.basename(filePath)}`);
+    return buildings;
+  }
+
+  return {
+    name: 'fixture',
+    source: `Local OSM extract (${path.basename(filePath)})`,
+    upstreams: [],
+
+    // Parses the extract on first probe, so readiness also covers the load time
+    async probe() {
+      load();
+    },
+
+    async getBuildingElements({ west, south, east, north }) {
+      return load()
+        .filter(({ bounds }) =>
+          bounds.west <= east && bounds.east >= west && bounds.south <= north && bounds.north >= south
+        )
+        .map(({ id, tags, geometry }) => ({ id, tags, geometry }));
+    }
+  };
+}
+
+module.exports = { createOsmExtractBuildingsProvider, parseOsmXml };
@@ -0,0 +1,36 @@
+const { getUpstreamClient } = require('../upstream');
+
+const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+const OVERPASS_STATUS_URL = 'https://overpass-api.de/api/status'; // plain-text slot status, no query cost
+
+// Building footprints from the public Overpass API ("out geom" inlines node coordinates)
+function createOverpassBuildingsProvider() {
+  return {
+    name: 'http',
+    source: 'OpenStreetMap via Overpass API',
+    upstreams: ['overpass'],
+
+    async probe() {
+      await getUpstreamClient('overpass').get(OVERPASS_STATUS_URL, { timeout: 5000 });
+    },
+
+    // bbox: { west, south, east, north } -> [{ id, tags, geometry: [{ lat, lon }] }]
+    async getBuildingElements({ west, south, east, north }) {
+      const query = `[out:json][timeout:25];way["building"](${south},${west},${north},${east});out geom;`;
+      const response = await getUpstreamClient('overpass').post(OVERPASS_URL, `data=${encodeURIComponent(query)}`, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 30000
+      });
+
+      if (!Array.isArray(response.data?.elements)) {
+        throw new Error('Invalid Overpass response structure');
+      }
+
+      return response.data.elements
+        .filter(element => element.type === 'way' && element.geometry?.length > 0)
+        .map(element => ({ id: element.id, tags: element.tags || {}, geometry: element.geometry }));
+    }
+  };
+}
+
+module.exports = { createOverpassBuildingsProvider };
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+// Reads (once) a JSON fixture from the fixtures directory, relative to backend/
+const loaded = new Map();
+
+function loadFixture(fixturesDir, fileName) {
+  const filePath = path.resolve(__dirname, '..', fixturesDir, fileName);
+  if (!loaded.has(filePath)) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Fixture file not found: ${filePath}`);
+    }
+    loaded.set(filePath, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+  return loaded.get(filePath);
+}
+
+function describeFixture(fileName) {
+  return `Local fixture (${fileName})`;
+}
+
+module.exports = { loadFixture, describeFixture };
@@ -0,0 +1,27 @@
+const { loadFixture, describeFixture } = require('../fixtureLoader');
+
+const FIXTURE_FILE = 'forecast-dhaka.json';
+
+// Open-Meteo hourly forecast response stored on disk, trimmed to the requested days
+function createFixtureForecastProvider(fixturesDir) {
+  return {
+    name: 'fixture',
+    source: describeFixture(FIXTURE_FILE),
+    upstreams: [],
+
+    async probe() {
+      loadFixture(fixturesDir, FIXTURE_FILE);
+    },
+
+    async getHourlyForecast(latitude, longitude, { days }) {
+      const hourly = loadFixture(fixturesDir, FIXTURE_FILE).hourly;
+      return hourly.time.slice(0, days * 24).map((time, index) => ({
+        time,
+        precipitation: hourly.precipitation[index],
+        probability: hourly.precipitation_probability[index]
+      }));
+    }
+  };
+}
+
+module.exports = { createFixtureForecastProvider };
@@ -0,0 +1,41 @@
+const { getUpstreamClient } = require('../upstream');
+
+const OPEN_METEO_FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// Hourly precipitation forecast (mm) and probability (%) from Open-Meteo
+function createOpenMeteoForecastProvider() {
+  return {
+    name: 'http',
+    source: 'Open-Meteo API (Real forecast data)',
+    upstreams: ['openMeteoForecast'],
+
+    async probe() {
+      await getUpstreamClient('openMeteoForecast').get(OPEN_METEO_FORECAST_URL, {
+        params: { latitude: 23.81, longitude: 90.41, hourly: 'precipitation', forecast_days: 1 },
+        timeout: 5000
+      });
+    },
+
+    async getHourlyForecast(latitude, longitude, { days }) {
+      const response = await getUpstreamClient('openMeteoForecast').get(OPEN_METEO_FORECAST_URL, {
+        params: {
+          latitude,
+          longitude,
+          hourly: 'precipitation,precipitation_probability',
+          forecast_days: days,
+          timezone: 'auto'
+        },
+        timeout: 10000
+      });
+
+      const hourly = response.data.hourly;
+      return hourly.time.map((time, index) => ({
+        time,
+        precipitation: hourly.precipitation[index],
+        probability: hourly.precipitation_probability[index]
+      }));
+    }
+  };
+}
+
+module.exports = { createOpenMeteoForecastProvider };
@@ -0,0 +1,74 @@
+// DATA PROVIDERS - one provider per data domain, HTTP in production or
+// file-backed fixtures for offline demos, tests and development.
+// Selected by the `providers` section of lib/config.js:
+//
+//   default (DATA_PROVIDER=http|fixture)   kind for every domain
+//   solar, temperature, precipitation,
+//   forecast, airQuality, buildings        per-domain override (SOLAR_PROVIDER, ...)
+//   fixturesDir (FIXTURES_DIR)             fixture directory relative to backend/
+//   osmExtractFile (OSM_EXTRACT_FILE)      .osm or Overpass .json extract standing in for
+//                                          Overpass, relative to fixturesDir
+//
+// Every provider also has `upstreams` (names in providers/upstream.js, empty for
+// fixtures) and `probe()`, a cheap request or fixture read used by readiness.
+
+const { createNasaPowerSolarProvider } = require('./solar/nasaPower');
+const { createFixtureSolarProvider } = require('./solar/fixture');
+const { createNasaPowerTemperatureProvider } = require('./temperature/nasaPower');
+const { createFixtureTemperatureProvider } = require('./temperature/fixture');
+const { createOpenMeteoArchiveProvider } = require('./precipitation/openMeteoArchive');
+const { createFixturePrecipitationProvider } = require('./precipitation/fixture');
+const { createOpenMeteoForecastProvider } = require('./forecast/openMeteo');
+const { createFixtureForecastProvider } = require('./forecast/fixture');
+const { createHttpAirQualityProvider } = require('./airQuality/http');
+const { createFixtureAirQualityProvider } = require('./airQuality/fixture');
+const { createOverpassBuildingsProvider } = require('./buildings/overpass');
+const { createOsmExtractBuildingsProvider } = require('./buildings/osmExtract');
+
+const PROVIDER_FACTORIES = {
+  solar: {
+    http: () => createNasaPowerSolarProvider(),
+    fixture: (dir) => createFixtureSolarProvider(dir)
+  },
+  temperature: {
+    http: () => createNasaPowerTemperatureProvider(),
+    fixture: (dir) => createFixtureTemperatureProvider(dir)
+  },
+  precipitation: {
+    http: () => createOpenMeteoArchiveProvider(),
+    fixture: (dir) => createFixturePrecipitationProvider(dir)
+  },
+  forecast: {
+    http: () => createOpenMeteoForecastProvider(),
+    fixture: (dir) => createFixtureForecastProvider(dir)
+  },
+  airQuality: {
+    http: (dir, options) => createHttpAirQualityProvider(options),
+    fixture: (dir) => createFixtureAirQualityProvider(dir)
+  },
+  buildings: {
+    http: () => createOverpassBuildingsProvider(),
+    fixture: (dir, options) => createOsmExtractBuildingsProvider(dir, options.osmExtractFile)
+  }
+};
+
+// providerConfig: config.providers (kinds are validated by lib/config.js)
+function createProviders(providerConfig, options = {}) {
+  const providers = {};
+  Object.entries(PROVIDER_FACTORIES).forEach(([domain, factory]) => {
+    const kind = providerConfig[domain] || providerConfig.default;
+    providers[domain] = factory[kind](providerConfig.fixturesDir, {
+      osmExtractFile: providerConfig.osmExtractFile,
+      ...options
+    });
+  });
+
+  return providers;
+}
+
+// { solar: 'http', precipitation: 'fixture', ... } for health output and the startup banner
+function describeProviders(providers) {
+  return Object.fromEntries(Object.entries(providers).map(([domain, p]) => [domain, p.name]));
+}
+
+module.exports = { createProviders, describeProviders };
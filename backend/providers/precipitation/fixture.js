@@ -0,0 +1,29 @@
+const { loadFixture, describeFixture } = require('../fixtureLoader');
+
+const FIXTURE_FILE = 'precipitation-dhaka.json';
+
+// File-backed stand-in for the archive API. The fixture uses the Open-Meteo
+// response shape ({ daily: { time, precipitation_sum } }) and is returned for
+// any location; the requested date range is applied when it overlaps the file.
+function createFixturePrecipitationProvider(fixturesDir) {
+  return {
+    name: 'fixture',
+    source: describeFixture(FIXTURE_FILE),
+    upstreams: [],
+
+    async probe() {
+      loadFixture(fixturesDir, FIXTURE_FILE);
+    },
+
+    async getDailyPrecipitation(latitude, longitude, { startDate, endDate } = {}) {
+      const { time, precipitation_sum: values } = loadFixture(fixturesDir, FIXTURE_FILE).daily;
+      const series = time.map((date, i) => ({ date, precipitation: values[i] }));
+      const inRange = series.filter(d =>
+        (!startDate || d.date >= startDate) && (!endDate || d.date <= endDate)
+      );
+      return inRange.length > 0 ? inRange : series;
+    }
+  };
+}
+
+module.exports = { createFixturePrecipitationProvider };
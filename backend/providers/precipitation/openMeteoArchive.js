@@ -0,0 +1,42 @@
+const { getUpstreamClient } = require('../upstream');
+
+const OPEN_METEO_ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+
+// Daily precipitation history from the Open-Meteo ERA5 archive
+function createOpenMeteoArchiveProvider() {
+  return {
+    name: 'http',
+    source: 'Open-Meteo Historical Archive (ERA5)',
+    upstreams: ['openMeteoArchive'],
+
+    async probe() {
+      await getUpstreamClient('openMeteoArchive').get(OPEN_METEO_ARCHIVE_URL, {
+        params: { latitude: 23.81, longitude: 90.41, start_date: '2024-01-01', end_date: '2024-01-01', daily: 'precipitation_sum' },
+        timeout: 5000
+      });
+    },
+
+    async getDailyPrecipitation(latitude, longitude, { startDate, endDate }) {
+      const response = await getUpstreamClient('openMeteoArchive').get(OPEN_METEO_ARCHIVE_URL, {
+        params: {
+          latitude: latitude.toFixed(4),
+          longitude: longitude.toFixed(4),
+          start_date: startDate,
+          end_date: endDate,
+          daily: 'precipitation_sum',
+          timezone: 'auto'
+        },
+        timeout: 20000
+      });
+
+      if (!response.data?.daily?.precipitation_sum) {
+        throw new Error('Invalid response structure');
+      }
+
+      const { time, precipitation_sum: values } = response.data.daily;
+      return time.map((date, i) => ({ date, precipitation: values[i] }));
+    }
+  };
+}
+
+module.exports = { createOpenMeteoArchiveProvider };
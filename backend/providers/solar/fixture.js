@@ -0,0 +1,29 @@
+const { loadFixture, describeFixture } = require('../fixtureLoader');
+
+const FIXTURE_FILE = 'nasa-power-dhaka.json';
+
+// NASA POWER daily response stored on disk; returned for any location
+function createFixtureSolarProvider(fixturesDir) {
+  return {
+    name: 'fixture',
+    source: describeFixture(FIXTURE_FILE),
+    upstreams: [],
+
+    async probe() {
+      loadFixture(fixturesDir, FIXTURE_FILE);
+    },
+
+    async getDailySolar() {
+      const parameter = loadFixture(fixturesDir, FIXTURE_FILE).properties.parameter;
+      return {
+        irradiance: parameter.ALLSKY_SFC_SW_DWN,
+        temperature: parameter.T2M,
+        temperatureMax: parameter.T2M_MAX,
+        temperatureMin: parameter.T2M_MIN,
+        humidity: parameter.RH2M
+      };
+    }
+  };
+}
+
+module.exports = { createFixtureSolarProvider, FIXTURE_FILE };
@@ -0,0 +1,44 @@
+const { getUpstreamClient } = require('../upstream');
+
+const NASA_POWER_BASE_URL = 'https://power.larc.nasa.gov/api/temporal/daily/point';
+
+// Readiness probe: one day of one parameter at a fixed point
+async function probeNasaPower() {
+  const params = { parameters: 'T2M', community: 'RE', latitude: 23.81, longitude: 90.41, start: '20240101', end: '20240101', format: 'JSON' };
+  await getUpstreamClient('nasaPower').get(`${NASA_POWER_BASE_URL}?${new URLSearchParams(params)}`, { timeout: 5000 });
+}
+
+// Daily all-sky irradiance (kWh/m²/day), 2 m air temperature (mean, max, min, °C)
+// and 2 m relative humidity (%) from NASA POWER
+function createNasaPowerSolarProvider() {
+  return {
+    name: 'http',
+    source: 'NASA POWER API',
+    upstreams: ['nasaPower'],
+    probe: probeNasaPower,
+
+    async getDailySolar(latitude, longitude, { start, end }) {
+      const params = {
+        parameters: 'ALLSKY_SFC_SW_DWN,T2M,T2M_MAX,T2M_MIN,RH2M',
+        community: 'RE',
+        latitude,
+        longitude,
+        start,
+        end,
+        format: 'JSON'
+      };
+      const response = await getUpstreamClient('nasaPower').get(`${NASA_POWER_BASE_URL}?${new URLSearchParams(params)}`, { timeout: 15000 });
+      const parameter = response.data.properties.parameter;
+
+      return {
+        irradiance: parameter.ALLSKY_SFC_SW_DWN,
+        temperature: parameter.T2M,
+        temperatureMax: parameter.T2M_MAX,
+        temperatureMin: parameter.T2M_MIN,
+        humidity: parameter.RH2M
+      };
+    }
+  };
+}
+
+module.exports = { createNasaPowerSolarProvider, probeNasaPower, NASA_POWER_BASE_URL };
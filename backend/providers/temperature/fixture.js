@@ -0,0 +1,22 @@
+const { loadFixture, describeFixture } = require('../fixtureLoader');
+const { FIXTURE_FILE } = require('../solar/fixture');
+
+// Reuses the temperature and humidity series of the NASA POWER solar fixture
+function createFixtureTemperatureProvider(fixturesDir) {
+  return {
+    name: 'fixture',
+    source: describeFixture(FIXTURE_FILE),
+    upstreams: [],
+
+    async probe() {
+      loadFixture(fixturesDir, FIXTURE_FILE);
+    },
+
+    async getDailyTemperature() {
+      const parameter = loadFixture(fixturesDir, FIXTURE_FILE).properties.parameter;
+      return { mean: parameter.T2M, max: parameter.T2M_MAX, min: parameter.T2M_MIN, humidity: parameter.RH2M };
+    }
+  };
+}
+
+module.exports = { createFixtureTemperatureProvider };
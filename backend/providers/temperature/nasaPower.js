@@ -0,0 +1,30 @@
+const { getUpstreamClient } = require('../upstream');
+const { NASA_POWER_BASE_URL, probeNasaPower } = require('../solar/nasaPower');
+
+// Daily 2 m air temperature (mean, max, min, °C) and relative humidity (%) from
+// NASA POWER, used for heat-map grid points
+function createNasaPowerTemperatureProvider() {
+  return {
+    name: 'http',
+    source: 'NASA POWER API',
+    upstreams: ['nasaPower'],
+    probe: probeNasaPower,
+
+    async getDailyTemperature(latitude, longitude, { start, end }) {
+      const params = {
+        parameters: 'T2M,T2M_MAX,T2M_MIN,RH2M',
+        community: 'RE',
+        latitude,
+        longitude,
+        start,
+        end,
+        format: 'JSON'
+      };
+      const response = await getUpstreamClient('nasaPower').get(`${NASA_POWER_BASE_URL}?${new URLSearchParams(params)}`, { timeout: 8000 });
+      const parameter = response.data.properties.parameter;
+      return { mean: parameter.T2M, max: parameter.T2M_MAX, min: parameter.T2M_MIN, humidity: parameter.RH2M };
+    }
+  };
+}
+
+module.exports = { createNasaPowerTemperatureProvider };
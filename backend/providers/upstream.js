@@ -0,0 +1,223 @@
+const axios = require('axios');
+
+// UPSTREAM CLIENT - one per external API, shared by the providers that call it.
+// Each client has its own rate limit (minimum gap between request starts) and
+// concurrency pool, retries transient failures (network errors, timeouts, 429,
+// 5xx) with exponential backoff and full jitter, honouring Retry-After, and
+// trips a circuit breaker after `failureThreshold` consecutive failures:
+//   closed -> open (fail fast for cooldownMs) -> half-open (one trial request)
+//   -> closed on success, open again on failure.
+// Other 4xx responses are the caller's problem: not retried, and they count as
+// the upstream being reachable.
+
+// Built-in per-upstream quotas; config.upstream.limits overrides them
+const UPSTREAMS = {
+  nasaPower: { minIntervalMs: 200, maxConcurrent: 4 },        // solar + temperature share one quota
+  openMeteoArchive: { minIntervalMs: 500, maxConcurrent: 2 }, // archive calls are heavy (10 years daily)
+  openMeteoForecast: { minIntervalMs: 200, maxConcurrent: 4 },
+  openMeteoAirQuality: { minIntervalMs: 200, maxConcurrent: 4 },
+  openAQ: { minIntervalMs: 1000, maxConcurrent: 2 },          // free tier: 60 requests/minute
+  overpass: { minIntervalMs: 1000, maxConcurrent: 1 }         // public instance: 2 slots per IP
+};
+
+const DEFAULT_POLICY = {
+  maxRetries: 3,
+  retryBaseMs: 500,
+  retryMaxMs: 8000,
+  failureThreshold: 5,
+  cooldownMs: 30000
+};
+
+const defaultSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isTransient(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return Boolean(error.code) || /timeout/i.test(error.message); // network error or timeout
+}
+
+// Retry-After as seconds or an HTTP date -> ms, or null
+function retryAfterMs(error, now) {
+  const header = error.response?.headers?.['retry-after'];
+  if (header === undefined) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+function createUpstreamClient(name, options = {}, { http = axios, sleep = defaultSleep, random = Math.random, now = Date.now } = {}) {
+  const {
+    minIntervalMs, maxConcurrent, maxRetries, retryBaseMs, retryMaxMs, failureThreshold, cooldownMs
+  } = { ...DEFAULT_POLICY, ...UPSTREAMS[name], ...options };
+
+  const waiting = [];
+  let active = 0;
+  let nextStart = 0;
+
+  const breaker = { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false };
+  // requests: calls to request(); attempts: HTTP calls made, including retries
+  const stats = { requests: 0, attempts: 0, failures: 0, retries: 0, rejected: 0, lastError: null, lastFailureAt: null, lastSuccessAt: null };
+
+  // Concurrency slot, then a start time at least minIntervalMs after the previous one
+  async function acquire() {
+    if (active < maxConcurrent) {
+      active++;
+    } else {
+      await new Promise(resolve => waiting.push(resolve)); // slot handed over by release()
+    }
+    const start = Math.max(now(), nextStart);
+    nextStart = start + minIntervalMs;
+    if (start > now()) await sleep(start - now());
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+
+  function circuitOpenError() {
+    stats.rejected++;
+    const retryIn = Math.max(Math.ceil((breaker.openedAt + cooldownMs - now()) / 1000), 0);
+    const error = new Error(`${name} is unavailable (circuit open after ${breaker.consecutiveFailures} consecutive failures, retry in ${retryIn}s)`);
+    error.code = 'CIRCUIT_OPEN';
+    error.upstream = name;
+    return error;
+  }
+
+  // Throws when the breaker refuses the request; returns whether this is the half-open trial
+  function admit() {
+    if (breaker.state === 'open') {
+      if (now() - breaker.openedAt < cooldownMs) throw circuitOpenError();
+      breaker.state = 'half-open';
+    }
+    if (breaker.state === 'half-open') {
+      if (breaker.trialInFlight) throw circuitOpenError();
+      breaker.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess() {
+    stats.lastSuccessAt = new Date(now()).toISOString();
+    if (breaker.state !== 'closed') console.log(`✓ Upstream ${name} recovered, circuit closed`);
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+  }
+
+  function recordFailure(error) {
+    stats.failures++;
+    stats.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+    stats.lastFailureAt = new Date(now()).toISOString();
+    breaker.consecutiveFailures++;
+    if (breaker.state === 'half-open' || breaker.consecutiveFailures >= failureThreshold) {
+      if (breaker.state !== 'open') {
+        console.error(`✗ Upstream ${name} circuit open for ${cooldownMs / 1000}s after ${breaker.consecutiveFailures} consecutive failures (${stats.lastError})`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = now();
+    }
+  }
+
+  // Full jitter: uniform in [0, min(retryMaxMs, base * 2^attempt)], at least Retry-After.
+  // null when the server asks for a longer wait than we are willing to hold a request.
+  function retryDelay(error, attempt) {
+    const requested = retryAfterMs(error, now());
+    if (requested !== null && requested > retryMaxMs) return null;
+    const backoff = random() * Math.min(retryMaxMs, retryBaseMs * Math.pow(2, attempt));
+    return Math.max(backoff, requested || 0);
+  }
+
+  // axios request config in, axios response out
+  async function request(config) {
+    stats.requests++;
+    for (let attempt = 0; ; attempt++) {
+      await acquire();
+      let isTrial = false;
+      let delay;
+      try {
+        isTrial = admit();
+        stats.attempts++;
+        const response = await http.request(config);
+        recordSuccess();
+        return response;
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') throw error;
+        if (!isTransient(error)) {
+          if (error.response) recordSuccess(); // reachable, just refused this request
+          throw error;
+        }
+        recordFailure(error);
+        delay = attempt < maxRetries && breaker.state !== 'open' ? retryDelay(error, attempt) : null;
+        if (delay === null) throw error;
+        stats.retries++;
+        console.log(`Upstream ${name}: ${stats.lastError}, retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+      } finally {
+        if (isTrial) breaker.trialInFlight = false;
+        release();
+      }
+      await sleep(delay);
+    }
+  }
+
+  function getStatus() {
+    const coolingDown = breaker.state === 'open' && now() - breaker.openedAt < cooldownMs;
+    return {
+      state: breaker.state === 'open' && !coolingDown ? 'half-open' : breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      inFlight: active,
+      queued: waiting.length,
+      ...stats,
+      limits: { minIntervalMs, maxConcurrent, maxRetries, failureThreshold, cooldownMs }
+    };
+  }
+
+  return {
+    name,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    getStatus
+  };
+}
+
+// Shared clients, created on first use with the policy from configureUpstreams()
+const clients = new Map();
+let policy = { ...DEFAULT_POLICY };
+let limits = {};
+
+// upstreamConfig: config.upstream (retry/breaker policy plus per-upstream limit overrides)
+function configureUpstreams({ limits: limitOverrides = {}, ...options } = {}) {
+  policy = { ...DEFAULT_POLICY, ...options };
+  limits = limitOverrides;
+  clients.clear();
+}
+
+function getUpstreamClient(name) {
+  if (!UPSTREAMS[name]) throw new Error(`Unknown upstream ${name}`);
+  if (!clients.has(name)) {
+    const overrides = Object.fromEntries(Object.entries(limits[name] || {}).filter(([, value]) => value != null));
+    clients.set(name, createUpstreamClient(name, { ...policy, ...UPSTREAMS[name], ...overrides }));
+  }
+  return clients.get(name);
+}
+
+// { nasaPower: { state, ... }, ... } for the upstreams in use; degraded when any breaker isn't closed
+function getUpstreamStatus() {
+  const upstreams = Object.fromEntries(Array.from(clients.values()).map(client => [client.name, client.getStatus()]));
+  const degraded = Object.entries(upstreams).filter(([, status]) => status.state !== 'closed').map(([name]) => name);
+  return { degraded, upstreams };
+}
+
+module.exports = {
+  UPSTREAMS,
+  DEFAULT_POLICY,
+  createUpstreamClient,
+  configureUpstreams,
+  getUpstreamClient,
+  getUpstreamStatus
+};
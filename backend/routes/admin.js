@@ -0,0 +1,69 @@
+const express = require('express');
+const { parseBbox } = require('../lib/geometry');
+const { ApiError, requireAdminToken, validateRequest } = require('../lib/validation');
+const { ROUTES } = require('./schemas');
+
+// CACHE ADMIN - list, inspect and purge cached upstream responses.
+// Every request needs X-Admin-Token (see requireAdminToken in lib/validation.js).
+function createAdminRouter(cache, { adminToken, openAdminRoutes } = {}) {
+  const router = express.Router();
+
+  router.use(requireAdminToken({ adminToken, openAdminRoutes }));
+
+  // ?type=solar&bbox=west,south,east,north
+  function parseFilter(query) {
+    const filter = {};
+    if (query.type) filter.type = query.type;
+    if (query.bbox) {
+      try {
+        filter.bbox = parseBbox(query.bbox);
+      } catch (error) {
+        throw new ApiError('VALIDATION_FAILED', error.message, [{ path: 'query.bbox', message: error.message }]);
+      }
+    }
+    return filter;
+  }
+
+  router.get('/cache', validateRequest(ROUTES.listCacheEntries), (req, res) => {
+    const filter = parseFilter(req.query);
+    const entries = cache.list(filter);
+    res.json({
+      stats: cache.getStats(),
+      filter,
+      count: entries.length,
+      entries
+    });
+  });
+
+  router.get('/cache/stats', validateRequest(ROUTES.getCacheStats), (req, res) => {
+    res.json(cache.getStats());
+  });
+
+  router.get('/cache/:key', validateRequest(ROUTES.getCacheEntry), (req, res) => {
+    const entry = cache.inspect(req.params.key);
+    if (!entry) {
+      throw new ApiError('NOT_FOUND', `No cache entry ${req.params.key}`);
+    }
+    res.json(entry);
+  });
+
+  // No filter purges everything
+  router.delete('/cache', validateRequest(ROUTES.purgeCache), (req, res) => {
+    const filter = parseFilter(req.query);
+    const purged = cache.purge(filter);
+    console.log(`✓ Purged ${purged} cache entries`, filter);
+    res.json({ purged, filter, size: cache.size });
+  });
+
+  router.delete('/cache/:key', validateRequest(ROUTES.deleteCacheEntry), (req, res) => {
+    if (!cache.inspect(req.params.key)) {
+      throw new ApiError('NOT_FOUND', `No cache entry ${req.params.key}`);
+    }
+    cache.remove(req.params.key);
+    res.json({ purged: 1, key: req.params.key, size: cache.size });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,46 @@
+const express = require('express');
+const { parseBbox } = require('../lib/geometry');
+const { ApiError, validateRequest } = require('../lib/validation');
+const { ROUTES } = require('./schemas');
+
+// BUILDINGS - OSM footprints as GeoJSON, by bounding box or by slippy-map tile
+function createBuildingsRouter(buildingService) {
+  const router = express.Router();
+
+  // GET /api/buildings?bbox=west,south,east,north
+  router.get('/', validateRequest(ROUTES.getBuildings), async (req, res) => {
+    let bounds;
+    try {
+      bounds = parseBbox(req.query.bbox);
+    } catch (error) {
+      throw new ApiError('VALIDATION_FAILED', error.message, [{ path: 'query.bbox', message: error.message }]);
+    }
+
+    try {
+      res.json(await buildingService.getBuildingsInBounds(bounds));
+    } catch (error) {
+      if (error.code === 'BBOX_TOO_LARGE') {
+        throw new ApiError('BBOX_TOO_LARGE', error.message, [{ path: 'query.bbox', message: error.message }]);
+      }
+      console.error('Error in buildings:', error.message);
+      throw new ApiError('UPSTREAM_FAILED', 'Failed to fetch buildings', error.message);
+    }
+  });
+
+  // GET /api/buildings/tiles/16/:x/:y (zoom and range checked by the route schema)
+  router.get('/tiles/:z/:x/:y', validateRequest(ROUTES.getBuildingTile), async (req, res) => {
+    const x = parseInt(req.params.x, 10);
+    const y = parseInt(req.params.y, 10);
+
+    try {
+      res.json(await buildingService.getTile(x, y));
+    } catch (error) {
+      console.error('Error in building tile:', error.message);
+      throw new ApiError('UPSTREAM_FAILED', 'Failed to fetch buildings', error.message);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBuildingsRouter };
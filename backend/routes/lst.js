@@ -0,0 +1,74 @@
+const express = require('express');
+const { ApiError, requireAdminToken, validateRequest } = require('../lib/validation');
+const { ROUTES } = require('./schemas');
+
+// LAND SURFACE TEMPERATURE - upload, list, delete and sample LST GeoTIFFs.
+// Uploads are the raw file (Content-Type image/tiff or application/octet-stream)
+// with metadata in the query string, e.g. a Landsat Collection 2 ST_B10 band:
+//   curl -X POST -H 'Content-Type: image/tiff' --data-binary @LC09_..._ST_B10.TIF \
+//     '/api/lst?name=Dhaka%202024-05-12&acquired=2024-05-12&units=kelvin&scale=0.00341802&offset=149&noData=0'
+// Uploads and deletes need X-Admin-Token (see requireAdminToken in lib/validation.js).
+function createLstRouter(store, { adminToken, openAdminRoutes, maxUploadMb = 100 } = {}) {
+  const router = express.Router();
+
+  const requireToken = requireAdminToken({ adminToken, openAdminRoutes });
+
+  router.get('/', validateRequest(ROUTES.listLstRasters), (req, res) => {
+    res.json({ count: store.size, rasters: store.list() });
+  });
+
+  const parseRaster = express.raw({ type: ['image/tiff', 'application/octet-stream'], limit: `${maxUploadMb}mb` });
+
+  router.post('/', requireToken, parseRaster, validateRequest(ROUTES.uploadLstRaster), (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      throw new ApiError('VALIDATION_FAILED', 'Send the GeoTIFF as the request body with Content-Type image/tiff',
+        [{ path: 'body', message: 'expected a GeoTIFF file' }]);
+    }
+
+    // Query values arrive as strings; validation has already checked the numbers parse
+    const { name, acquired, period, units, source } = req.query;
+    const number = value => (value === undefined ? undefined : Number(value));
+    let raster;
+    try {
+      raster = store.add(req.body, {
+        name, acquired, period, units, source,
+        scale: number(req.query.scale),
+        offset: number(req.query.offset),
+        noData: number(req.query.noData)
+      });
+    } catch (error) {
+      throw new ApiError('VALIDATION_FAILED', 'Invalid LST raster', [{ path: 'body', message: error.message }]);
+    }
+    console.log(`✓ Imported LST raster ${raster.id} (${raster.width}x${raster.height}, ${raster.crs}, mean ${raster.stats.mean}°C)`);
+    res.status(201).json(raster);
+  });
+
+  router.post('/sample', validateRequest(ROUTES.sampleLst), (req, res) => {
+    const { bounds, period, gridSize, buildings, minCoverage } = req.body;
+    if (bounds.north <= bounds.south || bounds.east <= bounds.west) {
+      throw new ApiError('VALIDATION_FAILED', 'bounds must have north > south and east > west',
+        [{ path: 'body.bounds', message: 'empty area' }]);
+    }
+
+    const result = store.sample({ bounds, period, gridSize, buildings, minCoverage });
+    res.json({
+      ...result,
+      bounds,
+      period,
+      gridSize,
+      ...(result.covered ? {} : { note: 'No uploaded land surface temperature raster covers this area; use the modelled urban heat layer.' }),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  router.delete('/:id', requireToken, validateRequest(ROUTES.deleteLstRaster), (req, res) => {
+    if (!store.remove(req.params.id)) {
+      throw new ApiError('NOT_FOUND', `No LST raster ${req.params.id}`);
+    }
+    res.json({ deleted: req.params.id, count: store.size });
+  });
+
+  return router;
+}
+
+module.exports = { createLstRouter };
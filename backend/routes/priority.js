@@ -0,0 +1,78 @@
+const express = require('express');
+const { CRITERIA, DEFAULT_PRESET, LEVELS, resolveScoringConfig, scoreZone } = require('../models/priorityScoring');
+const { ApiError, requireAdminToken, validateRequest } = require('../lib/validation');
+const { ROUTES } = require('./schemas');
+
+// PRIORITY ZONES - criteria, weight presets and scoring for the map's priority layer.
+// The client measures each zone (heat, density, ...) and posts the metrics with
+// either a preset id or its own { criterion: { weight, min, max } } settings;
+// every zone comes back with its score and per-criterion contributions.
+// Saving presets is open so planners can share links (the store caps their number);
+// deleting needs X-Admin-Token (see requireAdminToken in lib/validation.js).
+function createPriorityRouter(store, { adminToken, openAdminRoutes } = {}) {
+  const router = express.Router();
+
+  const requireToken = requireAdminToken({ adminToken, openAdminRoutes });
+
+  function findPreset(id) {
+    const preset = store.get(id);
+    if (!preset) throw new ApiError('NOT_FOUND', `No priority preset ${id}`);
+    return preset;
+  }
+
+  router.get('/criteria', validateRequest(ROUTES.getPriorityCriteria), (req, res) => {
+    res.json({ criteria: CRITERIA, levels: LEVELS, defaultPreset: DEFAULT_PRESET });
+  });
+
+  router.get('/presets', validateRequest(ROUTES.listPriorityPresets), (req, res) => {
+    const presets = store.list();
+    res.json({ count: presets.length, presets });
+  });
+
+  router.post('/presets', validateRequest(ROUTES.savePriorityPreset), (req, res) => {
+    let result;
+    try {
+      result = store.save(req.body);
+    } catch (error) {
+      throw new ApiError('VALIDATION_FAILED', 'Invalid priority preset', [{ path: 'body.criteria', message: error.message }]);
+    }
+    if (result.created) console.log(`✓ Saved priority preset ${result.preset.id}`);
+    res.status(result.created ? 201 : 200).json(result);
+  });
+
+  router.get('/presets/:id', validateRequest(ROUTES.getPriorityPreset), (req, res) => {
+    res.json(findPreset(req.params.id));
+  });
+
+  router.delete('/presets/:id', requireToken, validateRequest(ROUTES.deletePriorityPreset), (req, res) => {
+    if (findPreset(req.params.id).builtIn) {
+      throw new ApiError('VALIDATION_FAILED', `${req.params.id} is a built-in preset and can't be deleted`,
+        [{ path: 'params.id', message: 'built-in preset' }]);
+    }
+    store.remove(req.params.id);
+    res.json({ deleted: req.params.id, count: store.size });
+  });
+
+  router.post('/score', validateRequest(ROUTES.scorePriorityZones), (req, res) => {
+    const { preset: presetId, criteria, zones } = req.body;
+    const preset = criteria ? null : findPreset(presetId || DEFAULT_PRESET);
+
+    let config;
+    try {
+      config = resolveScoringConfig(criteria || preset.criteria);
+    } catch (error) {
+      throw new ApiError('VALIDATION_FAILED', 'Invalid scoring criteria', [{ path: 'body.criteria', message: error.message }]);
+    }
+
+    res.json({
+      preset: preset?.id ?? null,
+      criteria: config,
+      zones: zones.map(zone => ({ id: zone.id, ...scoreZone(zone.metrics, config) })),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createPriorityRouter };
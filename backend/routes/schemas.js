@@ -0,0 +1,1602 @@
+const { STANDARDS: AQI_STANDARDS, DEFAULT_STANDARD: DEFAULT_AQI_STANDARD } = require('../models/airQualityIndex');
+const { GUIDELINES: AQ_HISTORY_GUIDELINES } = require('../models/airQualityHistory');
+const { CALIBRATIONS } = require('../models/sensorCalibration');
+const { PERIODS: LST_PERIODS, UNITS: LST_UNITS } = require('../lib/lstStore');
+const { CRITERIA: PRIORITY_CRITERIA, PRESETS: PRIORITY_PRESETS, DEFAULT_PRESET: DEFAULT_PRIORITY_PRESET } = require('../models/priorityScoring');
+const { MAX_NEIGHBOURS: SHADING_MAX_NEIGHBOURS, MAX_NEIGHBOUR_DISTANCE: SHADING_MAX_DISTANCE } = require('../models/shadingModel');
+const { NEIGHBOUR_RADIUS: HEAT_NEIGHBOUR_RADIUS, TALL_BUILDING_HEIGHT, UHI_WEIGHTS } = require('../models/heatModel');
+const { DEFAULT_TTLS } = require('../lib/cache');
+const { BUILDING_TILE_ZOOM } = require('../lib/buildings');
+const { ERROR_CODES } = require('../lib/validation');
+
+// ROUTE SCHEMAS - request and response shape of every /api route, checked by
+// lib/validation.js and published as OpenAPI by lib/openapi.js. Keyed by
+// operation; `path` uses Express parameter syntax. Response schemas list the
+// fields clients rely on; extra fields are allowed. `examples` are sent to the
+// real handlers by test/openapi.test.js, so they must work in fixture mode.
+
+const BATCH_MAX_FEATURES = 2000;
+const DENSITY_MAX_BUILDINGS = 20000;
+const LST_MAX_GRID = 100;
+const PRIORITY_MAX_ZONES = 5000;
+const HISTORY_DEFAULT_DAYS = 365;
+const HISTORY_MAX_DAYS = 400; // OpenAQ history is paged to ~416 days of hourly values
+const FORECAST_MAX_DAYS = 16;
+
+// Shared pieces
+const latitude = { type: 'number', minimum: -90, maximum: 90 };
+const longitude = { type: 'number', minimum: -180, maximum: 180 };
+const timestamp = { type: 'string', format: 'date-time' };
+const isReal = { type: 'boolean' };
+const number = { type: 'number' };
+const nullableNumber = { type: ['number', 'null'] };
+const uhiWeights = {
+  type: 'object',
+  required: ['albedo', 'greenSpace', 'density', 'height'],
+  properties: { albedo: number, greenSpace: number, density: number, height: number }
+};
+const object = { type: 'object' };
+const positionList = { type: 'array', minItems: 3, items: { type: 'array', minItems: 2, maxItems: 3, items: number } };
+
+const bounds = {
+  type: 'object',
+  required: ['north', 'south', 'east', 'west'],
+  properties: { north: latitude, south: latitude, east: longitude, west: longitude }
+};
+
+const aqiStandard = { type: 'string', enum: Object.keys(AQI_STANDARDS), default: DEFAULT_AQI_STANDARD };
+
+const aqiStandardDescription = {
+  type: 'object',
+  required: ['id', 'name', 'scale'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    reference: { type: 'string' },
+    scale: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['label', 'color'],
+        properties: { max: nullableNumber, label: { type: 'string' }, color: { type: 'string' } }
+      }
+    }
+  }
+};
+
+const bboxQuery = {
+  type: 'string',
+  pattern: '^\\s*-?[\\d.]+\\s*,\\s*-?[\\d.]+\\s*,\\s*-?[\\d.]+\\s*,\\s*-?[\\d.]+\\s*$',
+  errorMessage: 'must be west,south,east,north in decimal degrees'
+};
+
+const cacheFilterQuery = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: Object.keys(DEFAULT_TTLS) },
+    bbox: bboxQuery
+  }
+};
+
+const cacheEntry = {
+  type: 'object',
+  required: ['key', 'type', 'createdAt', 'expiresAt', 'expired'],
+  properties: {
+    key: { type: 'string' },
+    type: { type: 'string' },
+    createdAt: timestamp,
+    lastAccess: timestamp,
+    expiresAt: timestamp,
+    expired: { type: 'boolean' }
+  }
+};
+
+const cacheStats = {
+  type: 'object',
+  required: ['hits', 'misses', 'size', 'maxEntries', 'persistent'],
+  properties: {
+    hits: { type: 'integer' },
+    misses: { type: 'integer' },
+    hitRatio: nullableNumber,
+    size: { type: 'integer' },
+    maxEntries: { type: 'integer' },
+    entriesByType: object,
+    ttls: object,
+    persistent: { type: 'boolean' }
+  }
+};
+
+const featureCollection = {
+  type: 'object',
+  required: ['type', 'features', 'metadata'],
+  properties: {
+    type: { const: 'FeatureCollection' },
+    features: { type: 'array', items: { type: 'object', required: ['type', 'geometry'] } },
+    metadata: {
+      type: 'object',
+      required: ['count', 'source', 'timestamp'],
+      properties: { count: { type: 'integer' }, source: { type: 'string' }, timestamp }
+    }
+  }
+};
+
+const sensorSummary = {
+  type: 'object',
+  required: ['id', 'name', 'latitude', 'longitude', 'calibration', 'readings'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    latitude,
+    longitude,
+    calibration: object,
+    readings: { type: 'integer' },
+    firstReading: { type: ['string', 'null'] },
+    lastReading: { type: ['string', 'null'] }
+  }
+};
+
+const lstRaster = {
+  type: 'object',
+  required: ['id', 'name', 'period', 'units', 'epsg', 'width', 'height', 'pixelSize', 'bounds', 'stats', 'uploadedAt'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    acquired: { type: ['string', 'null'] },
+    period: { enum: LST_PERIODS },
+    source: { type: ['string', 'null'] },
+    units: { enum: LST_UNITS },
+    scale: number,
+    offset: number,
+    noData: nullableNumber,
+    epsg: { type: 'integer' },
+    crs: { type: 'string' },
+    width: { type: 'integer' },
+    height: { type: 'integer' },
+    pixelSize: number,
+    bounds,
+    stats: {
+      type: 'object',
+      required: ['min', 'max', 'mean', 'validFraction'],
+      properties: { min: number, max: number, mean: number, validFraction: number }
+    },
+    bytes: { type: 'integer' },
+    uploadedAt: timestamp
+  }
+};
+
+const lstRasterExample = {
+  id: 'landsat-9-dhaka-2024-05-12',
+  name: 'Landsat 9 Dhaka 2024-05-12',
+  acquired: '2024-05-12',
+  period: 'day',
+  source: 'Landsat 9 C2 L2 ST_B10',
+  units: 'kelvin',
+  scale: 0.00341802,
+  offset: 149,
+  noData: 0,
+  epsg: 32646,
+  crs: 'WGS 84 / UTM zone 46N',
+  width: 140,
+  height: 151,
+  pixelSize: 30,
+  bounds: { north: 23.820808, south: 23.779241, east: 90.430978, west: 90.38898 },
+  stats: { min: 27.47, max: 45.15, mean: 37.3, validFraction: 0.988 },
+  bytes: 30897,
+  uploadedAt: '2025-01-15T06:00:00.000Z'
+};
+
+// Priority scoring settings keyed by criterion; left-out criteria are off
+const priorityCriteria = {
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(Object.keys(PRIORITY_CRITERIA).map(id => [id, {
+    type: 'object',
+    additionalProperties: false,
+    properties: { weight: { type: 'number', minimum: 0 }, min: number, max: number }
+  }]))
+};
+
+// As stored and returned: every criterion that is on, with its share of the total weight
+const resolvedPriorityCriteria = {
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(PRIORITY_CRITERIA).map(id => [id, {
+    type: 'object',
+    required: ['weight', 'min', 'max', 'share'],
+    properties: { weight: number, min: number, max: number, share: number }
+  }]))
+};
+
+const priorityPreset = {
+  type: 'object',
+  required: ['id', 'name', 'criteria', 'builtIn'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: ['string', 'null'] },
+    criteria: resolvedPriorityCriteria,
+    builtIn: { type: 'boolean' },
+    createdAt: timestamp
+  }
+};
+
+const balancedPresetExample = {
+  id: 'balanced',
+  name: 'Balanced',
+  description: PRIORITY_PRESETS.balanced.description,
+  criteria: {
+    heat: { weight: 35, min: 28, max: 38, share: 0.35 },
+    density: { weight: 25, min: 0, max: 80, share: 0.25 },
+    greenDeficit: { weight: 25, min: 20, max: 70, share: 0.25 },
+    rooftopPotential: { weight: 15, min: 0, max: 5, share: 0.15 }
+  },
+  builtIn: true
+};
+
+const savedPresetExample = {
+  id: 'dhaka-monsoon-heat-03ea3d66',
+  name: 'Dhaka monsoon heat',
+  description: 'Heat and exposure first, rooftops as a tie-breaker',
+  criteria: {
+    heat: { weight: 50, min: 30, max: 40, share: 0.5 },
+    population: { weight: 30, min: 0, max: 5000, share: 0.3 },
+    rooftopPotential: { weight: 20, min: 0, max: 5, share: 0.2 }
+  },
+  builtIn: false,
+  createdAt: '2025-01-15T06:00:00.000Z'
+};
+
+// Roof geometry and system options shared by the single and batch analyses
+const solarOptions = {
+  roofShape: { type: 'string', maxLength: 40 },
+  tilt: { type: 'number', minimum: 0, maximum: 90 },
+  azimuth: { type: 'number', minimum: 0, maximum: 360 },
+  module: object,
+  inverterEfficiency: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+  systemLosses: { type: 'number', minimum: 0, maximum: 0.9 },
+  rainwater: object
+};
+
+// The error envelope (see lib/validation.js)
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message', 'details'],
+      properties: {
+        code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+        message: { type: 'string' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['message'],
+            properties: { path: { type: 'string' }, message: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+const ROUTES = {
+  getRoofData: {
+    method: 'post',
+    path: '/api/getRoofData',
+    summary: 'Solar, rainwater, heat-stress and financial analysis for one roof',
+    tag: 'Roof analysis',
+    examples: {
+      body: { latitude: 23.8103, longitude: 90.4125, area: 250, roofShape: 'flat', country: 'BD' },
+      response: {
+        location: { latitude: 23.8103, longitude: 90.4125, area: 250 },
+        building: { height: 6, minHeight: 0, levels: 2, source: 'default' },
+        solarData: { avgIrradiance: 4.86, avgTemperature: 26.3, source: 'NASA POWER', isReal: true },
+        heatStress: {
+          days: 366,
+          avgMaxTemperature: 31,
+          avgMinTemperature: 22.4,
+          avgHumidity: 75,
+          hotDays: 10,
+          tropicalNights: 257,
+          hotNights: 160,
+          heatIndex: { max: 48, maxDate: '20250602', avgDailyMax: 35.7, maxCategory: 'Danger' },
+          wetBulb: { max: 29.7, avgDailyMax: 24.4, daysAtOrAbove: { 28: 60, 31: 0 } }
+        },
+        heat: {
+          neighbours: 0,
+          height: 6,
+          day: { baselineTemperature: 31, estimatedTemperature: 31.2, uhiAdjustment: 0.23 },
+          night: { baselineTemperature: 22.4, estimatedTemperature: 22.5, uhiAdjustment: 0.11 }
+        },
+        precipData: { annualPrecipitation: 2034, source: 'Open-Meteo Archive (5-year climatology)', isReal: true },
+        solarPotential: { annualEnergy: 44158, systemSizeKwp: 29.6, estimatedPanels: 74, specificYield: 1492, roofShape: 'flat' },
+        shading: null,
+        rainwaterPotential: { annualWater: 457650, storageTankSize: 100, householdsSupported: 9, isReal: true },
+        financialAnalysis: { country: 'Bangladesh', countryCode: 'BD', currency: 'BDT' },
+        timestamp: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    body: {
+      type: 'object',
+      required: ['latitude', 'longitude', 'area'],
+      properties: {
+        latitude,
+        longitude,
+        area: { type: 'number', exclusiveMinimum: 0, maximum: 1000000 },
+        ...solarOptions,
+        country: { type: 'string', maxLength: 40 },
+        financial: object,
+        height: nullableNumber,
+        levels: nullableNumber,
+        minHeight: nullableNumber,
+        heightSource: { type: ['string', 'null'] },
+        footprint: positionList,
+        neighbours: {
+          type: 'array',
+          maxItems: SHADING_MAX_NEIGHBOURS,
+          items: {
+            type: 'object',
+            required: ['footprint'],
+            properties: { footprint: positionList, height: nullableNumber, minHeight: nullableNumber }
+          }
+        }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['location', 'building', 'solarData', 'precipData', 'solarPotential', 'rainwaterPotential', 'financialAnalysis', 'timestamp'],
+      properties: {
+        location: {
+          type: 'object',
+          required: ['latitude', 'longitude', 'area'],
+          properties: { latitude, longitude, area: number }
+        },
+        building: object,
+        solarData: { type: 'object', required: ['isReal', 'source'], properties: { isReal, source: { type: 'string' } } },
+        // Null when NASA POWER returned no T2M_MAX/T2M_MIN/RH2M
+        heatStress: {
+          type: ['object', 'null'],
+          required: ['avgMaxTemperature', 'avgMinTemperature', 'hotDays', 'tropicalNights', 'heatIndex', 'wetBulb'],
+          properties: { avgMaxTemperature: number, avgMinTemperature: number, hotDays: number, tropicalNights: number }
+        },
+        heat: {
+          type: ['object', 'null'],
+          required: ['day', 'night'],
+          properties: {
+            day: { type: 'object', required: ['estimatedTemperature', 'uhiAdjustment'] },
+            night: { type: 'object', required: ['estimatedTemperature', 'uhiAdjustment'] }
+          }
+        },
+        precipData: { type: 'object', required: ['isReal'], properties: { isReal } },
+        solarPotential: { type: 'object', required: ['annualEnergy', 'systemSizeKwp'] },
+        shading: { type: ['object', 'null'] },
+        rainwaterPotential: object,
+        financialAnalysis: object,
+        timestamp
+      }
+    }
+  },
+
+  analyzeBuildings: {
+    method: 'post',
+    path: '/api/analyzeBuildings',
+    summary: 'Batch solar, rainwater and heat metrics for a GeoJSON FeatureCollection of footprints',
+    tag: 'Roof analysis',
+    examples: {
+      body: {
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          id: 'way/1',
+          properties: { 'building:levels': '4' },
+          geometry: {
+            type: 'Polygon',
+            coordinates: [[[90.4065, 23.8066], [90.4067, 23.8066], [90.4067, 23.8069], [90.4065, 23.8069], [90.4065, 23.8066]]]
+          }
+        }]
+      },
+      response: {
+        summary: { features: 1, ok: 1, partial: 0, failed: 0, climateCells: 1, totalRoofArea: 680, totalAnnualEnergy: 121131 },
+        results: [{
+          id: 'way/1',
+          status: 'ok',
+          area: 680,
+          errors: [],
+          solar: { annualEnergy: 121131, systemSizeKwp: 81.2 },
+          heat: {
+            estimatedTemperature: 26.9,
+            day: { estimatedTemperature: 31.2, uhiAdjustment: 0.61 },
+            night: { estimatedTemperature: 22.5, uhiAdjustment: 0.35 }
+          },
+          rainwater: { annualWater: 1245279, storageTankSize: 75 }
+        }],
+        sources: { solar: 'NASA POWER', precipitation: 'Open-Meteo Archive' },
+        timestamp: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    body: {
+      type: 'object',
+      required: ['type', 'features'],
+      properties: {
+        type: { const: 'FeatureCollection' },
+        features: { type: 'array', minItems: 1, maxItems: BATCH_MAX_FEATURES, items: object },
+        options: { type: 'object', properties: solarOptions }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['summary', 'results', 'sources', 'timestamp'],
+      properties: {
+        summary: {
+          type: 'object',
+          required: ['features', 'ok', 'partial', 'failed', 'climateCells'],
+          properties: {
+            features: { type: 'integer' },
+            ok: { type: 'integer' },
+            partial: { type: 'integer' },
+            failed: { type: 'integer' },
+            climateCells: { type: 'integer' }
+          }
+        },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'status', 'errors'],
+            properties: {
+              status: { enum: ['ok', 'partial', 'error'] },
+              errors: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        },
+        sources: object,
+        timestamp
+      }
+    }
+  },
+
+  getHeatMap: {
+    method: 'post',
+    path: '/api/getHeatMap',
+    summary: 'Mean, daytime (mean Tmax) or nighttime (mean Tmin) air temperature on an 11 x 11 grid over the bounds',
+    tag: 'Urban heat',
+    examples: {
+      body: { bounds: { north: 23.82, south: 23.78, east: 90.43, west: 90.39 }, period: 'night' },
+      response: {
+        heatPoints: [{
+          lat: 23.78,
+          lng: 90.39,
+          temperature: 22.4,
+          dayTemperature: 31,
+          nightTemperature: 22.4,
+          heatIndex: 35.7,
+          intensity: 0.12
+        }],
+        bounds: { north: 23.82, south: 23.78, east: 90.43, west: 90.39 },
+        period: 'night',
+        totalPoints: 121,
+        successfulPoints: 121,
+        failedPoints: 0,
+        dataQuality: 'Real NASA POWER data',
+        timestamp: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    body: {
+      type: 'object',
+      required: ['bounds'],
+      properties: { bounds, period: { enum: ['mean', 'day', 'night'], default: 'mean' } }
+    },
+    response: {
+      type: 'object',
+      required: ['heatPoints', 'bounds', 'period', 'totalPoints', 'successfulPoints', 'failedPoints', 'timestamp'],
+      properties: {
+        heatPoints: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['lat', 'lng', 'temperature', 'intensity'],
+            properties: {
+              lat: latitude,
+              lng: longitude,
+              temperature: number,
+              dayTemperature: nullableNumber,
+              nightTemperature: nullableNumber,
+              heatIndex: nullableNumber,
+              intensity: number
+            }
+          }
+        },
+        bounds,
+        period: { enum: ['mean', 'day', 'night'] },
+        totalPoints: { type: 'integer' },
+        successfulPoints: { type: 'integer' },
+        failedPoints: { type: 'integer' },
+        dataQuality: { type: 'string' },
+        timestamp
+      }
+    }
+  },
+
+  getBuildingDensityMap: {
+    method: 'post',
+    path: '/api/getBuildingDensityMap',
+    summary: 'Building density heat points from footprint centroids',
+    tag: 'Urban heat',
+    examples: {
+      body: {
+        bounds: { north: 23.82, south: 23.80, east: 90.42, west: 90.40 },
+        buildings: [
+          { centroid: { lat: 23.8101, lng: 90.4101 } },
+          { centroid: { lat: 23.8102, lng: 90.4103 } }
+        ]
+      },
+      response: {
+        densityPoints: [[23.811, 90.411, 0.1]],
+        bounds: { north: 23.82, south: 23.80, east: 90.42, west: 90.40 },
+        gridSize: 0.002,
+        source: 'Calculated from OpenStreetMap data',
+        timestamp: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    body: {
+      type: 'object',
+      required: ['bounds', 'buildings'],
+      properties: {
+        bounds,
+        buildings: {
+          type: 'array',
+          maxItems: DENSITY_MAX_BUILDINGS,
+          items: {
+            type: 'object',
+            required: ['centroid'],
+            properties: {
+              centroid: { type: 'object', required: ['lat', 'lng'], properties: { lat: latitude, lng: longitude } }
+            }
+          }
+        }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['densityPoints', 'bounds', 'gridSize', 'source', 'timestamp'],
+      properties: {
+        densityPoints: { type: 'array', items: { type: 'array', minItems: 3, maxItems: 3, items: number } },
+        bounds,
+        gridSize: number,
+        source: { type: 'string' },
+        timestamp
+      }
+    }
+  },
+
+  getRainfallForecast: {
+    method: 'post',
+    path: '/api/getRainfallForecast',
+    summary: 'Hourly rainfall forecast and daily totals',
+    tag: 'Rainfall',
+    examples: {
+      body: { latitude: 23.8103, longitude: 90.4125, days: 1 },
+      response: {
+        location: { latitude: 23.8103, longitude: 90.4125 },
+        hourly: [{ time: '2025-07-01T00:00', precipitation: 2.4, probability: 56 }],
+        dailyTotals: { '2025-07-01': 18.6 },
+        totalPrecipitation: 18.6,
+        source: 'Open-Meteo Forecast',
+        isReal: true,
+        timestamp: '2025-07-01T00:00:00.000Z'
+      }
+    },
+    body: {
+      type: 'object',
+      required: ['latitude', 'longitude'],
+      properties: {
+        latitude,
+        longitude,
+        days: { type: 'integer', minimum: 1, maximum: FORECAST_MAX_DAYS, default: 3 }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['location', 'hourly', 'dailyTotals', 'totalPrecipitation', 'source', 'isReal', 'timestamp'],
+      properties: {
+        location: { type: 'object', required: ['latitude', 'longitude'], properties: { latitude, longitude } },
+        hourly: {
+          type: 'array',
+          items: { type: 'object', required: ['time', 'precipitation'], properties: { time: { type: 'string' }, precipitation: number } }
+        },
+        dailyTotals: object,
+        totalPrecipitation: number,
+        source: { type: 'string' },
+        isReal,
+        timestamp
+      }
+    }
+  },
+
+  getAirQuality: {
+    method: 'post',
+    path: '/api/getAirQuality',
+    summary: 'Air quality stations, CAMS estimate and uploaded sensors, indexed under an AQI standard',
+    tag: 'Air quality',
+    examples: {
+      body: { latitude: 23.8103, longitude: 90.4125, standard: 'us-epa' },
+      response: {
+        locations: [{
+          id: 3,
+          name: 'Farmgate',
+          latitude: 23.7591,
+          longitude: 90.389,
+          measurements: { pm25: { value: 136.2, unit: 'µg/m³', lastUpdated: '2025-01-15T06:00:00Z' } },
+          sourceType: 'station',
+          aqi: 212,
+          aqiCategory: 'Very Unhealthy',
+          color: '#8f3f97',
+          dominantPollutant: 'pm25',
+          subIndices: { pm25: { aqi: 212, concentration: 136.2, unit: 'µg/m³', averaging: '24h' } }
+        }],
+        count: 1,
+        sensorCount: 0,
+        source: 'OpenAQ v3',
+        isReal: true,
+        standard: { id: 'us-epa', name: 'US EPA AQI', scale: [{ max: 50, label: 'Good', color: '#00e400' }] },
+        timestamp: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    body: {
+      type: 'object',
+      anyOf: [{ required: ['bounds'] }, { required: ['latitude', 'longitude'] }],
+      errorMessage: 'must provide either bounds or latitude and longitude',
+      properties: { bounds, latitude, longitude, standard: aqiStandard }
+    },
+    response: {
+      type: 'object',
+      required: ['locations', 'count', 'source', 'isReal', 'standard', 'timestamp'],
+      properties: {
+        locations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'latitude', 'longitude', 'measurements', 'aqi', 'aqiCategory', 'sourceType'],
+            properties: {
+              latitude,
+              longitude,
+              measurements: object,
+              aqi: number,
+              aqiCategory: { type: 'string' },
+              sourceType: { enum: ['station', 'model', 'sensor'] },
+              subIndices: object
+            }
+          }
+        },
+        count: { type: 'integer' },
+        sensorCount: { type: 'integer' },
+        source: { type: 'string' },
+        isReal,
+        note: { type: 'string' },
+        standard: aqiStandardDescription,
+        timestamp
+      }
+    }
+  },
+
+  getAirQualitySurface: {
+    method: 'post',
+    path: '/api/getAirQualitySurface',
+    summary: 'IDW-interpolated PM2.5/AQI grid with uncertainty and category contours',
+    tag: 'Air quality',
+    examples: {
+      body: { bounds: { north: 23.85, south: 23.75, east: 90.45, west: 90.35 }, gridSize: 4 },
+      response: {
+        isReal: true,
+        standard: { id: 'us-epa', name: 'US EPA AQI', scale: [{ max: 50, label: 'Good', color: '#00e400' }] },
+        stationsUsed: 6,
+        grid: { rows: 4, cols: 4, cellSize: 0.025, west: 90.35, south: 23.75 },
+        cells: [{ row: 0, col: 0, lat: 23.7625, lng: 90.3625, pm25: 131.1, aqi: 207, uncertainty: 0.27, nearestStationKm: 2.73 }],
+        contours: { type: 'FeatureCollection', features: [] },
+        timestamp: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    body: {
+      type: 'object',
+      required: ['bounds'],
+      properties: {
+        bounds,
+        standard: aqiStandard,
+        gridSize: { type: 'integer', minimum: 2, maximum: 100 },
+        power: { type: 'number', minimum: 0.5, maximum: 5 }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['isReal', 'standard', 'timestamp'],
+      properties: {
+        isReal,
+        standard: aqiStandardDescription,
+        stationsUsed: { type: 'integer' },
+        grid: object,
+        cells: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['lat', 'lng', 'pm25', 'aqi', 'uncertainty'],
+            properties: { lat: latitude, lng: longitude, pm25: number, aqi: number, uncertainty: number }
+          }
+        },
+        contours: { type: 'object', required: ['type', 'features'], properties: { type: { const: 'FeatureCollection' } } },
+        note: { type: 'string' },
+        timestamp
+      }
+    }
+  },
+
+  getAirQualityHistory: {
+    method: 'post',
+    path: '/api/getAirQualityHistory',
+    summary: 'Hourly and daily history of one station with annual mean, exceedance days and trend',
+    tag: 'Air quality',
+    examples: {
+      body: { locationId: 1, parameter: 'pm25', days: 7, to: '2025-01-10T00:00:00Z', includeHourly: false },
+      response: {
+        location: { id: 1, name: 'US Embassy Dhaka', latitude: 23.7963, longitude: 90.4232, timezone: 'Asia/Dhaka' },
+        parameter: 'pm25',
+        unit: 'µg/m³',
+        window: { from: '2025-01-03T00:00:00.000Z', to: '2025-01-10T00:00:00.000Z', days: 7 },
+        statistics: {
+          hours: 169,
+          days: 8,
+          validDays: 7,
+          mean: 144.6,
+          annualMean: { value: 144.6, validDays: 7, coverage: 0.02, representative: false },
+          exceedances: { who24h: { limit: 15, days: 7, percentOfValidDays: 100 } },
+          trend: { direction: 'insufficient data', slopePerYear: null, z: null }
+        },
+        daily: [{ date: '2025-01-04', mean: 146, max: 222.1, hours: 24, valid: true }],
+        source: 'OpenAQ v3 hourly',
+        isReal: true,
+        timestamp: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    body: {
+      type: 'object',
+      required: ['locationId'],
+      properties: {
+        locationId: { type: ['integer', 'string'] },
+        parameter: { type: 'string', enum: Object.keys(AQ_HISTORY_GUIDELINES), default: 'pm25' },
+        days: { type: 'integer', minimum: 1, maximum: HISTORY_MAX_DAYS, default: HISTORY_DEFAULT_DAYS },
+        to: timestamp,
+        latitude,
+        longitude,
+        includeHourly: { type: 'boolean', default: true }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['location', 'parameter', 'unit', 'window', 'statistics', 'daily', 'source', 'isReal', 'timestamp'],
+      properties: {
+        location: object,
+        parameter: { type: 'string' },
+        unit: { type: 'string' },
+        window: {
+          type: 'object',
+          required: ['from', 'to', 'days'],
+          properties: { from: timestamp, to: timestamp, days: { type: 'integer' } }
+        },
+        statistics: {
+          type: 'object',
+          required: ['hours', 'days', 'validDays', 'annualMean'],
+          properties: { hours: { type: 'integer' }, days: { type: 'integer' }, validDays: { type: 'integer' }, annualMean: object }
+        },
+        daily: { type: 'array', items: { type: 'object', required: ['date', 'valid'] } },
+        hourly: { type: 'array', items: { type: 'object', required: ['time', 'value'] } },
+        source: { type: 'string' },
+        isReal,
+        timestamp
+      }
+    }
+  },
+
+  listAqiStandards: {
+    method: 'get',
+    path: '/api/aqiStandards',
+    summary: 'AQI standards selectable on the air quality routes',
+    tag: 'Air quality',
+    examples: {
+      response: {
+        default: 'us-epa',
+        standards: [{ id: 'us-epa', name: 'US EPA AQI', reference: 'US EPA (2024 PM2.5 revision)', scale: [{ max: 50, label: 'Good', color: '#00e400' }] }]
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['default', 'standards'],
+      properties: { default: { type: 'string' }, standards: { type: 'array', items: aqiStandardDescription } }
+    }
+  },
+
+  getBuildings: {
+    method: 'get',
+    path: '/api/buildings',
+    summary: 'OSM building footprints inside a bounding box',
+    tag: 'Buildings',
+    examples: {
+      query: { bbox: '90.4060,23.8060,90.4075,23.8072' },
+      response: {
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          id: 5000,
+          geometry: { type: 'Polygon', coordinates: [[[90.4065, 23.8066], [90.4067, 23.8066], [90.4067, 23.807], [90.4065, 23.8066]]] },
+          properties: { building: 'residential', height: 38.4, levels: 12, roofShape: 'hipped', area: 644.4 }
+        }],
+        metadata: { count: 1, source: 'OpenStreetMap (Overpass)', tileZoom: 16, timestamp: '2025-01-15T06:00:00.000Z' }
+      }
+    },
+    query: { type: 'object', required: ['bbox'], properties: { bbox: bboxQuery } },
+    response: featureCollection
+  },
+
+  getBuildingTile: {
+    method: 'get',
+    path: '/api/buildings/tiles/:z/:x/:y',
+    summary: `OSM building footprints for one zoom-${BUILDING_TILE_ZOOM} slippy-map tile`,
+    tag: 'Buildings',
+    examples: {
+      params: { z: 16, x: 49226, y: 28303 },
+      response: {
+        type: 'FeatureCollection',
+        features: [],
+        metadata: { count: 0, source: 'OpenStreetMap (Overpass)', tileZoom: 16, tile: { x: 49226, y: 28303 }, timestamp: '2025-01-15T06:00:00.000Z' }
+      }
+    },
+    params: {
+      type: 'object',
+      required: ['z', 'x', 'y'],
+      properties: {
+        z: { type: 'integer', enum: [BUILDING_TILE_ZOOM] },
+        x: { type: 'integer', minimum: 0, maximum: Math.pow(2, BUILDING_TILE_ZOOM) - 1 },
+        y: { type: 'integer', minimum: 0, maximum: Math.pow(2, BUILDING_TILE_ZOOM) - 1 }
+      }
+    },
+    response: featureCollection
+  },
+
+  listSensors: {
+    method: 'get',
+    path: '/api/sensors',
+    summary: 'Uploaded low-cost sensors and the available calibrations',
+    tag: 'Sensors',
+    examples: {
+      response: {
+        count: 1,
+        calibrations: { 'epa-purpleair': { pm25: { slope: 0.524, intercept: 5.75, humidity: -0.0862 } }, none: {} },
+        sensors: [{
+          id: 'pa-101',
+          name: 'Gulshan rooftop',
+          latitude: 23.7925,
+          longitude: 90.4078,
+          calibration: { name: 'epa-purpleair' },
+          readings: 1,
+          firstReading: '2025-01-15T06:00:00.000Z',
+          lastReading: '2025-01-15T06:00:00.000Z'
+        }]
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['count', 'calibrations', 'sensors'],
+      properties: { count: { type: 'integer' }, calibrations: object, sensors: { type: 'array', items: sensorSummary } }
+    }
+  },
+
+  uploadSensorReadings: {
+    method: 'post',
+    path: '/api/sensors/readings',
+    summary: 'Upload sensor readings as CSV (text/csv) or JSON',
+    tag: 'Sensors',
+    status: 201,
+    adminToken: true,
+    alternativeContent: {
+      'text/csv': {
+        schema: { type: 'string' },
+        example: 'sensor_id,name,lat,lon,timestamp,pm25,humidity\npa-101,Gulshan rooftop,23.7925,90.4078,2025-01-15T06:00:00Z,180.4,62'
+      }
+    },
+    examples: {
+      body: {
+        calibration: 'epa-purpleair',
+        readings: [{ sensor_id: 'pa-101', name: 'Gulshan rooftop', lat: 23.7925, lon: 90.4078, timestamp: '2025-01-15T06:00:00Z', pm25: 180.4, humidity: 62 }]
+      },
+      response: { added: 1, replaced: 0, sensors: ['pa-101'], rejected: 0, errors: [] }
+    },
+    query: {
+      type: 'object',
+      properties: { calibration: { type: 'string', enum: Object.keys(CALIBRATIONS) } }
+    },
+    // JSON uploads only; CSV bodies are checked row by row by lib/sensorImport.js
+    body: {
+      type: ['array', 'object'],
+      minItems: 1,
+      items: object,
+      properties: {
+        readings: { type: 'array', minItems: 1, items: object },
+        calibration: { type: ['string', 'object'] }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['added', 'replaced', 'sensors', 'rejected', 'errors'],
+      properties: {
+        added: { type: 'integer' },
+        replaced: { type: 'integer' },
+        sensors: { type: 'array', items: { type: 'string' } },
+        rejected: { type: 'integer' },
+        errors: {
+          type: 'array',
+          items: { type: 'object', required: ['line', 'error'], properties: { line: { type: 'integer' }, error: { type: 'string' } } }
+        }
+      }
+    }
+  },
+
+  deleteSensor: {
+    method: 'delete',
+    path: '/api/sensors/:id',
+    summary: 'Delete an uploaded sensor and its readings',
+    tag: 'Sensors',
+    adminToken: true,
+    examples: {
+      params: { id: 'pa-101' },
+      response: { deleted: 'pa-101', count: 0 }
+    },
+    params: { type: 'object', required: ['id'], properties: { id: { type: 'string', minLength: 1 } } },
+    response: {
+      type: 'object',
+      required: ['deleted', 'count'],
+      properties: { deleted: { type: 'string' }, count: { type: 'integer' } }
+    }
+  },
+
+  uploadLstRaster: {
+    method: 'post',
+    path: '/api/lst',
+    summary: 'Upload a land-surface-temperature GeoTIFF (raw body); metadata and unit conversion in the query',
+    tag: 'Land surface temperature',
+    status: 201,
+    adminToken: true,
+    // Raw file body: documented here, sent from this fixture by test/openapi.test.js
+    upload: { 'image/tiff': { schema: { type: 'string', format: 'binary' } } },
+    examples: {
+      upload: 'fixtures/lst-dhaka.tif',
+      query: {
+        name: 'Landsat 9 Dhaka 2024-05-12',
+        acquired: '2024-05-12',
+        source: 'Landsat 9 C2 L2 ST_B10',
+        units: 'kelvin',
+        scale: 0.00341802,
+        offset: 149
+      },
+      response: { ...lstRasterExample, replaced: false }
+    },
+    query: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 120 },
+        acquired: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', errorMessage: 'must be YYYY-MM-DD' },
+        period: { enum: LST_PERIODS },
+        source: { type: 'string', maxLength: 200 },
+        units: { enum: LST_UNITS },
+        scale: { type: 'number', exclusiveMinimum: 0 },
+        offset: number,
+        noData: number
+      }
+    },
+    response: { ...lstRaster, required: [...lstRaster.required, 'replaced'], properties: { ...lstRaster.properties, replaced: { type: 'boolean' } } }
+  },
+
+  listLstRasters: {
+    method: 'get',
+    path: '/api/lst',
+    summary: 'Uploaded land-surface-temperature rasters',
+    tag: 'Land surface temperature',
+    examples: {
+      response: { count: 1, rasters: [lstRasterExample] }
+    },
+    response: {
+      type: 'object',
+      required: ['count', 'rasters'],
+      properties: { count: { type: 'integer' }, rasters: { type: 'array', items: lstRaster } }
+    }
+  },
+
+  sampleLst: {
+    method: 'post',
+    path: '/api/lst/sample',
+    summary: 'Land surface temperature per grid cell and per building footprint from the best-covering raster',
+    tag: 'Land surface temperature',
+    examples: {
+      body: {
+        bounds: { north: 23.814, south: 23.806, east: 90.416, west: 90.406 },
+        gridSize: 4,
+        buildings: [{
+          id: 'way/5001',
+          footprint: [[90.4065453, 23.8065971], [90.4067, 23.8065971], [90.4067, 23.8069645], [90.4065453, 23.8069645]]
+        }]
+      },
+      response: {
+        covered: true,
+        coverage: 1,
+        raster: lstRasterExample,
+        cells: [{ lat: 23.807, lng: 90.40725, temperature: 39.8, min: 39.1, max: 40.5, pixels: 56 }],
+        buildings: [{ id: 'way/5001', temperature: 40.4, min: 40.4, max: 40.4, pixels: 1, method: 'nearest' }],
+        bounds: { north: 23.814, south: 23.806, east: 90.416, west: 90.406 },
+        period: 'day',
+        gridSize: 4,
+        timestamp: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    body: {
+      type: 'object',
+      required: ['bounds'],
+      properties: {
+        bounds,
+        period: { enum: LST_PERIODS, default: 'day' },
+        gridSize: { type: 'integer', minimum: 1, maximum: LST_MAX_GRID, default: 20 },
+        minCoverage: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+        buildings: {
+          type: 'array',
+          maxItems: DENSITY_MAX_BUILDINGS,
+          default: [],
+          items: {
+            type: 'object',
+            required: ['id', 'footprint'],
+            properties: { id: { type: ['string', 'integer'] }, footprint: positionList }
+          }
+        }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['covered', 'coverage', 'raster', 'cells', 'buildings', 'bounds', 'period', 'gridSize', 'timestamp'],
+      properties: {
+        covered: { type: 'boolean' },
+        coverage: number,
+        raster: { anyOf: [lstRaster, { type: 'null' }] },
+        cells: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['lat', 'lng', 'temperature', 'pixels'],
+            properties: { lat: latitude, lng: longitude, temperature: number, min: number, max: number, pixels: { type: 'integer' } }
+          }
+        },
+        buildings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'temperature', 'pixels', 'method'],
+            properties: {
+              id: { type: ['string', 'integer'] },
+              temperature: number,
+              min: number,
+              max: number,
+              pixels: { type: 'integer' },
+              method: { enum: ['footprint', 'nearest'] }
+            }
+          }
+        },
+        bounds,
+        period: { enum: LST_PERIODS },
+        gridSize: { type: 'integer' },
+        note: { type: 'string' },
+        timestamp
+      }
+    }
+  },
+
+  deleteLstRaster: {
+    method: 'delete',
+    path: '/api/lst/:id',
+    summary: 'Delete an uploaded land-surface-temperature raster',
+    tag: 'Land surface temperature',
+    adminToken: true,
+    examples: {
+      params: { id: 'landsat-9-dhaka-2024-05-12' },
+      response: { deleted: 'landsat-9-dhaka-2024-05-12', count: 0 }
+    },
+    params: { type: 'object', required: ['id'], properties: { id: { type: 'string', minLength: 1 } } },
+    response: {
+      type: 'object',
+      required: ['deleted', 'count'],
+      properties: { deleted: { type: 'string' }, count: { type: 'integer' } }
+    }
+  },
+
+  getPriorityCriteria: {
+    method: 'get',
+    path: '/api/priority/criteria',
+    summary: 'Priority-zone criteria with their units and default normalisation ranges, and the score levels',
+    tag: 'Priority zones',
+    examples: {
+      response: {
+        criteria: { heat: PRIORITY_CRITERIA.heat, density: PRIORITY_CRITERIA.density },
+        levels: [{ min: 0.7, level: 'Critical' }, { min: 0.55, level: 'High' }, { min: 0, level: 'Medium' }],
+        defaultPreset: DEFAULT_PRIORITY_PRESET
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['criteria', 'levels', 'defaultPreset'],
+      properties: {
+        criteria: object,
+        levels: {
+          type: 'array',
+          items: { type: 'object', required: ['min', 'level'], properties: { min: number, level: { type: 'string' } } }
+        },
+        defaultPreset: { type: 'string' }
+      }
+    }
+  },
+
+  savePriorityPreset: {
+    method: 'post',
+    path: '/api/priority/presets',
+    summary: 'Save named priority weights; the returned id can be shared (saving identical settings answers 200 with the existing preset)',
+    tag: 'Priority zones',
+    status: 201,
+    examples: {
+      body: {
+        name: 'Dhaka monsoon heat',
+        description: 'Heat and exposure first, rooftops as a tie-breaker',
+        criteria: {
+          heat: { weight: 50, min: 30, max: 40 },
+          population: { weight: 30 },
+          rooftopPotential: { weight: 20 }
+        }
+      },
+      response: { preset: savedPresetExample, created: true }
+    },
+    body: {
+      type: 'object',
+      required: ['name', 'criteria'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 80 },
+        description: { type: 'string', maxLength: 300 },
+        criteria: priorityCriteria
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['preset', 'created'],
+      properties: { preset: priorityPreset, created: { type: 'boolean' } }
+    }
+  },
+
+  listPriorityPresets: {
+    method: 'get',
+    path: '/api/priority/presets',
+    summary: 'Built-in and saved priority presets',
+    tag: 'Priority zones',
+    examples: {
+      response: { count: 2, presets: [balancedPresetExample, savedPresetExample] }
+    },
+    response: {
+      type: 'object',
+      required: ['count', 'presets'],
+      properties: { count: { type: 'integer' }, presets: { type: 'array', items: priorityPreset } }
+    }
+  },
+
+  getPriorityPreset: {
+    method: 'get',
+    path: '/api/priority/presets/:id',
+    summary: 'One priority preset, e.g. from a shared link',
+    tag: 'Priority zones',
+    examples: {
+      params: { id: savedPresetExample.id },
+      response: savedPresetExample
+    },
+    params: { type: 'object', required: ['id'], properties: { id: { type: 'string', minLength: 1 } } },
+    response: priorityPreset
+  },
+
+  scorePriorityZones: {
+    method: 'post',
+    path: '/api/priority/score',
+    summary: 'Score zones from their metrics with a preset or custom weights; returns each criterion\'s contribution',
+    tag: 'Priority zones',
+    examples: {
+      body: {
+        preset: 'balanced',
+        zones: [{ id: 'zone-1', metrics: { heat: 35.2, density: 62, greenDeficit: 58, rooftopPotential: 2, airQuality: null } }]
+      },
+      response: {
+        preset: 'balanced',
+        criteria: balancedPresetExample.criteria,
+        zones: [{
+          id: 'zone-1',
+          score: 0.696,
+          level: 'High',
+          contributions: [
+            { criterion: 'heat', label: 'Heat', unit: '°C', value: 35.2, normalised: 0.72, share: 0.35, contribution: 0.252 },
+            { criterion: 'density', label: 'Building density', unit: 'buildings/ha', value: 62, normalised: 0.775, share: 0.25, contribution: 0.194 },
+            { criterion: 'greenDeficit', label: 'Green deficit', unit: '% built cover', value: 58, normalised: 0.76, share: 0.25, contribution: 0.19 },
+            { criterion: 'rooftopPotential', label: 'Rooftop potential', unit: 'roofs > 500 m²', value: 2, normalised: 0.4, share: 0.15, contribution: 0.06 }
+          ],
+          missing: []
+        }],
+        timestamp: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    body: {
+      type: 'object',
+      required: ['zones'],
+      properties: {
+        // Ignored when `criteria` is given; defaults to the balanced preset
+        preset: { type: 'string', minLength: 1 },
+        criteria: priorityCriteria,
+        zones: {
+          type: 'array',
+          minItems: 1,
+          maxItems: PRIORITY_MAX_ZONES,
+          items: {
+            type: 'object',
+            required: ['id', 'metrics'],
+            properties: {
+              id: { type: ['string', 'integer'] },
+              // null or absent: no data, the zone is scored on the remaining criteria
+              metrics: {
+                type: 'object',
+                additionalProperties: false,
+                properties: Object.fromEntries(Object.keys(PRIORITY_CRITERIA).map(id => [id, nullableNumber]))
+              }
+            }
+          }
+        }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['preset', 'criteria', 'zones', 'timestamp'],
+      properties: {
+        preset: { type: ['string', 'null'] },
+        criteria: resolvedPriorityCriteria,
+        zones: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'score', 'level', 'contributions', 'missing'],
+            properties: {
+              id: { type: ['string', 'integer'] },
+              score: nullableNumber,
+              level: { type: ['string', 'null'] },
+              contributions: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['criterion', 'value', 'normalised', 'share', 'contribution'],
+                  properties: {
+                    criterion: { enum: Object.keys(PRIORITY_CRITERIA) },
+                    label: { type: 'string' },
+                    unit: { type: 'string' },
+                    value: number,
+                    normalised: number,
+                    share: number,
+                    contribution: number
+                  }
+                }
+              },
+              missing: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        },
+        timestamp
+      }
+    }
+  },
+
+  deletePriorityPreset: {
+    method: 'delete',
+    path: '/api/priority/presets/:id',
+    summary: 'Delete a saved priority preset (built-in presets stay)',
+    tag: 'Priority zones',
+    adminToken: true,
+    examples: {
+      params: { id: savedPresetExample.id },
+      response: { deleted: savedPresetExample.id, count: 0 }
+    },
+    params: { type: 'object', required: ['id'], properties: { id: { type: 'string', minLength: 1 } } },
+    response: {
+      type: 'object',
+      required: ['deleted', 'count'],
+      properties: { deleted: { type: 'string' }, count: { type: 'integer' } }
+    }
+  },
+
+  listCacheEntries: {
+    method: 'get',
+    path: '/api/admin/cache',
+    summary: 'Cached upstream responses, optionally filtered by type and area',
+    tag: 'Admin',
+    adminToken: true,
+    examples: {
+      query: { type: 'forecast' },
+      response: {
+        stats: { hits: 0, misses: 1, size: 1, maxEntries: 1000, persistent: false },
+        filter: { type: 'forecast' },
+        count: 1,
+        entries: [{
+          key: 'forecast_23.810_90.412',
+          type: 'forecast',
+          createdAt: '2025-07-01T00:00:00.000Z',
+          lastAccess: '2025-07-01T00:00:00.000Z',
+          expiresAt: '2025-07-01T01:00:00.000Z',
+          expired: false
+        }]
+      }
+    },
+    query: cacheFilterQuery,
+    response: {
+      type: 'object',
+      required: ['stats', 'filter', 'count', 'entries'],
+      properties: { stats: cacheStats, filter: object, count: { type: 'integer' }, entries: { type: 'array', items: cacheEntry } }
+    }
+  },
+
+  getCacheStats: {
+    method: 'get',
+    path: '/api/admin/cache/stats',
+    summary: 'Cache hit/miss counters and sizes',
+    tag: 'Admin',
+    adminToken: true,
+    examples: {
+      response: { hits: 12, misses: 3, hitRatio: 0.8, size: 3, maxEntries: 1000, entriesByType: { solar: 1, precip: 1, forecast: 1 }, persistent: true }
+    },
+    response: cacheStats
+  },
+
+  getCacheEntry: {
+    method: 'get',
+    path: '/api/admin/cache/:key',
+    summary: 'One cache entry including its data',
+    tag: 'Admin',
+    adminToken: true,
+    examples: {
+      params: { key: 'forecast_23.810_90.412' },
+      response: {
+        key: 'forecast_23.810_90.412',
+        type: 'forecast',
+        createdAt: '2025-07-01T00:00:00.000Z',
+        lastAccess: '2025-07-01T00:00:00.000Z',
+        expiresAt: '2025-07-01T01:00:00.000Z',
+        expired: false,
+        data: { totalPrecipitation: 18.6, isReal: true }
+      }
+    },
+    params: { type: 'object', required: ['key'], properties: { key: { type: 'string', minLength: 1 } } },
+    response: { ...cacheEntry, required: [...cacheEntry.required, 'data'] }
+  },
+
+  purgeCache: {
+    method: 'delete',
+    path: '/api/admin/cache',
+    summary: 'Purge cache entries matching the filter (everything without one)',
+    tag: 'Admin',
+    adminToken: true,
+    examples: {
+      query: { type: 'airquality' },
+      response: { purged: 1, filter: { type: 'airquality' }, size: 2 }
+    },
+    query: cacheFilterQuery,
+    response: {
+      type: 'object',
+      required: ['purged', 'filter', 'size'],
+      properties: { purged: { type: 'integer' }, filter: object, size: { type: 'integer' } }
+    }
+  },
+
+  deleteCacheEntry: {
+    method: 'delete',
+    path: '/api/admin/cache/:key',
+    summary: 'Delete one cache entry',
+    tag: 'Admin',
+    adminToken: true,
+    examples: {
+      params: { key: 'forecast_23.810_90.412' },
+      response: { purged: 1, key: 'forecast_23.810_90.412', size: 2 }
+    },
+    params: { type: 'object', required: ['key'], properties: { key: { type: 'string', minLength: 1 } } },
+    response: {
+      type: 'object',
+      required: ['purged', 'key', 'size'],
+      properties: { purged: { type: 'integer' }, key: { type: 'string' }, size: { type: 'integer' } }
+    }
+  },
+
+  getModelParameters: {
+    method: 'get',
+    path: '/api/modelParameters',
+    summary: 'Limits of the backend models that clients prepare requests for, and the urban heat weights the map layer shares',
+    tag: 'Service',
+    examples: {
+      response: {
+        shading: { maxNeighbours: SHADING_MAX_NEIGHBOURS, maxDistance: SHADING_MAX_DISTANCE },
+        heat: { neighbourRadius: HEAT_NEIGHBOUR_RADIUS, tallBuildingHeight: TALL_BUILDING_HEIGHT, weights: UHI_WEIGHTS }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['shading', 'heat'],
+      properties: {
+        shading: {
+          type: 'object',
+          required: ['maxNeighbours', 'maxDistance'],
+          properties: { maxNeighbours: { type: 'integer' }, maxDistance: number }
+        },
+        heat: {
+          type: 'object',
+          required: ['neighbourRadius', 'tallBuildingHeight', 'weights'],
+          properties: {
+            neighbourRadius: number,
+            tallBuildingHeight: number,
+            weights: {
+              type: 'object',
+              required: ['day', 'night'],
+              properties: { day: uhiWeights, night: uhiWeights }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  getOpenApi: {
+    method: 'get',
+    path: '/api/openapi.json',
+    summary: 'This OpenAPI document (browsable at /api/docs)',
+    tag: 'Service',
+    examples: {
+      response: { openapi: '3.1.0', info: { title: 'RoofHarvest API', version: '1.0.0' }, paths: {} }
+    },
+    response: {
+      type: 'object',
+      required: ['openapi', 'info', 'paths'],
+      properties: { openapi: { type: 'string' }, info: object, paths: object }
+    }
+  },
+
+  getHealth: {
+    method: 'get',
+    path: '/api/health',
+    summary: 'Service status, cache statistics, configured providers and upstream circuit breakers',
+    tag: 'Service',
+    examples: {
+      response: {
+        status: 'DEGRADED',
+        environment: 'production',
+        cacheSize: 3,
+        sensors: 1,
+        lstRasters: 1,
+        cache: { hits: 12, misses: 3, size: 3, maxEntries: 5000, persistent: true },
+        providers: { solar: 'http', airQuality: 'http' },
+        degraded: ['openAQ'],
+        readiness: 'NOT_READY',
+        upstreams: {
+          openAQ: {
+            state: 'open',
+            consecutiveFailures: 5,
+            openedAt: '2025-01-15T05:59:40.000Z',
+            inFlight: 0,
+            queued: 0,
+            requests: 42,
+            attempts: 48,
+            failures: 7,
+            retries: 6,
+            rejected: 3,
+            lastError: 'HTTP 503',
+            lastFailureAt: '2025-01-15T05:59:40.000Z',
+            lastSuccessAt: '2025-01-15T05:41:02.000Z',
+            limits: { minIntervalMs: 1000, maxConcurrent: 2, maxRetries: 3, failureThreshold: 5, cooldownMs: 30000 }
+          }
+        },
+        endpoints: ['POST /api/getRoofData', 'GET /api/health'],
+        timestamp: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'environment', 'cache', 'providers', 'degraded', 'upstreams', 'endpoints', 'timestamp'],
+      properties: {
+        // DEGRADED while any upstream circuit breaker is open or half-open,
+        // or the last readiness check found a provider down
+        status: { enum: ['OK', 'DEGRADED'] },
+        environment: { type: 'string' },
+        cacheSize: { type: 'integer' },
+        sensors: { type: 'integer' },
+        lstRasters: { type: 'integer' },
+        cache: cacheStats,
+        providers: object,
+        degraded: { type: 'array', items: { type: 'string' } },
+        // Keyed by upstream name; only upstreams used since startup appear
+        upstreams: object,
+        // Status of the last readiness check (null until /api/health/ready has run)
+        readiness: { enum: ['READY', 'NOT_READY', null] },
+        endpoints: { type: 'array', items: { type: 'string' } },
+        timestamp
+      }
+    }
+  },
+
+  getLiveness: {
+    method: 'get',
+    path: '/api/health/live',
+    summary: 'Liveness: the process is up and serving requests (no dependency checks)',
+    tag: 'Service',
+    examples: {
+      response: { status: 'OK', uptimeSeconds: 3605.2, timestamp: '2025-01-15T06:00:00.000Z' }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'uptimeSeconds', 'timestamp'],
+      properties: { status: { const: 'OK' }, uptimeSeconds: number, timestamp }
+    }
+  },
+
+  getReadiness: {
+    method: 'get',
+    path: '/api/health/ready',
+    summary: 'Readiness: probes every data provider; answers 503 with the same body when any is down',
+    tag: 'Service',
+    query: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        // Probe now instead of reusing a result younger than HEALTH_READINESS_TTL_MS
+        refresh: { type: 'boolean', default: false }
+      }
+    },
+    examples: {
+      query: { refresh: true },
+      response: {
+        status: 'NOT_READY',
+        down: ['solar'],
+        checks: {
+          solar: {
+            status: 'down',
+            provider: 'http',
+            upstreams: { nasaPower: 'open' },
+            latencyMs: 1,
+            lastSuccess: '2025-01-15T05:41:02.000Z',
+            error: 'nasaPower is unavailable (circuit open after 5 consecutive failures, retry in 12s)'
+          },
+          buildings: {
+            status: 'up',
+            provider: 'fixture',
+            upstreams: {},
+            latencyMs: 48,
+            lastSuccess: '2025-01-15T06:00:00.000Z'
+          }
+        },
+        checkedAt: '2025-01-15T06:00:00.000Z'
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'down', 'checks', 'checkedAt'],
+      properties: {
+        status: { enum: ['READY', 'NOT_READY'] },
+        down: { type: 'array', items: { type: 'string' } },
+        checks: object,
+        checkedAt: timestamp
+      }
+    }
+  }
+};
+
+module.exports = {
+  ROUTES,
+  ERROR_SCHEMA,
+  BATCH_MAX_FEATURES,
+  HISTORY_DEFAULT_DAYS,
+  HISTORY_MAX_DAYS
+};
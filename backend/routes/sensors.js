@@ -0,0 +1,67 @@
+const express = require('express');
+const { parseSensorCsv, parseSensorJson } = require('../lib/sensorImport');
+const { CALIBRATIONS } = require('../models/sensorCalibration');
+const { ApiError, requireAdminToken, validateRequest } = require('../lib/validation');
+const { ROUTES } = require('./schemas');
+
+// USER SENSORS - upload, list and delete low-cost sensor readings.
+// Uploads: text/csv with a header row, or JSON [...] / { readings, calibration }.
+// `calibration` (body field or ?calibration=) is a name from CALIBRATIONS or
+// custom { pm25: { slope, intercept, humidity } } coefficients.
+// Uploads and deletes need X-Admin-Token (see requireAdminToken in lib/validation.js).
+function createSensorsRouter(store, { adminToken, openAdminRoutes } = {}) {
+  const router = express.Router();
+
+  const requireToken = requireAdminToken({ adminToken, openAdminRoutes });
+
+  router.get('/', validateRequest(ROUTES.listSensors), (req, res) => {
+    res.json({ count: store.size, calibrations: CALIBRATIONS, sensors: store.list() });
+  });
+
+  const parseText = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+  router.post('/readings', requireToken, parseText, validateRequest(ROUTES.uploadSensorReadings), (req, res) => {
+    let parsed;
+    let calibration = req.query.calibration;
+    try {
+      if (typeof req.body === 'string') {
+        parsed = parseSensorCsv(req.body);
+      } else {
+        parsed = parseSensorJson(req.body);
+        if (req.body && !Array.isArray(req.body) && req.body.calibration !== undefined) {
+          calibration = req.body.calibration;
+        }
+      }
+    } catch (error) {
+      throw new ApiError('VALIDATION_FAILED', 'Invalid sensor upload', error.message);
+    }
+
+    if (parsed.readings.length === 0) {
+      throw new ApiError('VALIDATION_FAILED', `No valid readings in upload (${parsed.rejected} rejected)`,
+        parsed.errors.map(({ line, error }) => ({ path: `line ${line}`, message: error })));
+    }
+
+    try {
+      const result = store.addReadings(parsed.readings, calibration);
+      console.log(`✓ Imported ${result.added + result.replaced} sensor readings for ${result.sensors.length} sensors`);
+      res.status(201).json({
+        ...result,
+        rejected: parsed.rejected,
+        errors: parsed.errors
+      });
+    } catch (error) {
+      throw new ApiError('VALIDATION_FAILED', 'Invalid calibration', [{ path: 'calibration', message: error.message }]);
+    }
+  });
+
+  router.delete('/:id', requireToken, validateRequest(ROUTES.deleteSensor), (req, res) => {
+    if (!store.remove(req.params.id)) {
+      throw new ApiError('NOT_FOUND', `No sensor ${req.params.id}`);
+    }
+    res.json({ deleted: req.params.id, count: store.size });
+  });
+
+  return router;
+}
+
+module.exports = { createSensorsRouter };
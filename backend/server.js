@@ -1,129 +1,385 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
+const { calculateSolarPotential } = require('./models/pvModel');
+const { calculateFinancials } = require('./models/financialModel');
+const { calculateRainwaterPotential } = require('./models/waterBalance');
+const { calculatePrecipitationClimatology, cleanPrecipitationSeries } = require('./models/precipitationClimatology');
+const {
+  buildNeighbourIndex,
+  calculateBuildingHeat,
+  calculateDayNightHeat,
+  NEIGHBOUR_RADIUS,
+  TALL_BUILDING_HEIGHT,
+  UHI_WEIGHTS
+} = require('./models/heatModel');
+const { summariseHeatStress } = require('./models/heatStress');
+const { heightFromProperties } = require('./models/buildingHeight');
+const {
+  calculateRoofShading,
+  MAX_NEIGHBOURS: SHADING_MAX_NEIGHBOURS,
+  MAX_NEIGHBOUR_DISTANCE: SHADING_MAX_DISTANCE
+} = require('./models/shadingModel');
+const {
+  STANDARDS: AQI_STANDARDS,
+  DEFAULT_STANDARD: DEFAULT_AQI_STANDARD,
+  POLLUTANTS: AQI_POLLUTANTS,
+  calculateAQI,
+  describeStandard: describeAQIStandard
+} = require('./models/airQualityIndex');
+const { interpolateAirQuality } = require('./models/airQualitySurface');
+const { summariseHistory } = require('./models/airQualityHistory');
+const { geometryArea, geometryCentroid, haversineDistance } = require('./lib/geometry');
+const { createProviders, describeProviders } = require('./providers');
+const { configureUpstreams, getUpstreamClient, getUpstreamStatus } = require('./providers/upstream');
+const { loadConfig, nasaPowerRange, cacheTtls, redactConfig, ConfigError } = require('./lib/config');
+const { createCache } = require('./lib/cache');
+const { createAdminRouter } = require('./routes/admin');
+const { createBuildingsRouter } = require('./routes/buildings');
+const { createBuildingService } = require('./lib/buildings');
+const { createSensorStore } = require('./lib/sensorStore');
+const { createSensorsRouter } = require('./routes/sensors');
+const { createLstStore } = require('./lib/lstStore');
+const { createLstRouter } = require('./routes/lst');
+const { createPresetStore } = require('./lib/presetStore');
+const { createPriorityRouter } = require('./routes/priority');
+const { ROUTES, ERROR_SCHEMA } = require('./routes/schemas');
+const { ApiError, configureValidation, validateRequest, notFound, errorHandler } = require('./lib/validation');
+const { buildOpenApiDocument, renderDocsPage } = require('./lib/openapi');
+const { createReadinessChecker } = require('./lib/health');
+const { createMetrics } = require('./lib/metrics');
+const { version } = require('./package.json');
+
+// CONFIGURATION - env vars, optional config.json and per-environment profiles (see lib/config.js)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  // Imported (tests): let the caller see the error instead of exiting
+  if (!(error instanceof ConfigError) || require.main !== module) throw error;
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
+configureUpstreams(config.upstream);
+configureValidation({ checkResponses: config.env !== 'production' });
 
 const app = express();
-const PORT = 3001;
+const PORT = config.server.port;
 
 // Middleware
+const metrics = createMetrics({ version });
+app.use(metrics.middleware());
 app.use(cors());
 app.use(express.json({ limit: '5mb' }));
 
-// CACHING SYSTEM - Prevents repeated API calls
-const dataCache = new Map();
-const CACHE_DURATION = 86400000; // 1 hour in milliseconds
+// CACHING SYSTEM - Persistent, per-source TTLs, LRU eviction (see lib/cache.js)
+const cache = createCache({
+  dir: config.cache.dir,
+  maxEntries: config.cache.maxEntries,
+  ttls: cacheTtls(config.cache)
+});
 
-// RATE LIMITING - Prevents hitting API limits
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 500; // milliseconds between requests
+// Cache admin, uploads and deletes: X-Admin-Token, closed when ADMIN_TOKEN is unset
+// unless OPEN_ADMIN_ROUTES opts in (see requireAdminToken in lib/validation.js)
+const adminAccess = { adminToken: config.server.adminToken, openAdminRoutes: config.server.openAdminRoutes };
+app.use('/api/admin', createAdminRouter(cache, adminAccess));
 
-async function throttleRequest() {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    await new Promise(resolve => setTimeout(resolve, MIN_REQUEST_INTERVAL - timeSinceLastRequest));
-  }
-  lastRequestTime = Date.now();
-}
+// API Configuration
+const PRECIPITATION_YEARS = config.precipitation.years;
+const CLIMATE_CELL_DEG = 0.05; // ~5 km - NASA POWER itself is a 0.5° x 0.625° grid
 
-function getCacheKey(type, lat, lng) {
-  return `${type}_${lat.toFixed(3)}_${lng.toFixed(3)}`;
-}
+// DATA PROVIDERS - HTTP or local fixtures, see providers/index.js
+const providers = createProviders(config.providers, { openAQApiKey: config.openAQ.apiKey });
 
-function getFromCache(key) {
-  const cached = dataCache.get(key);
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    console.log(`Cache hit: ${key}`);
-    return cached.data;
-  }
-  return null;
-}
+// READINESS - provider probes for /api/health/ready and /metrics, see lib/health.js
+const readiness = createReadinessChecker(providers, {
+  upstreamStatus: name => getUpstreamClient(name).getStatus(),
+  timeoutMs: config.health.probeTimeoutMs,
+  ttlMs: config.health.readinessTtlMs
+});
 
-function setCache(key, data) {
-  dataCache.set(key, { data, timestamp: Date.now() });
-  // Clean old cache entries
-  if (dataCache.size > 1000) {
-    const oldestKey = dataCache.keys().next().value;
-    dataCache.delete(oldestKey);
-  }
-}
+// BUILDINGS - tiled OSM footprints (Overpass or a local extract), see lib/buildings.js
+const buildingService = createBuildingService({ provider: providers.buildings, cache });
+app.use('/api/buildings', createBuildingsRouter(buildingService));
 
-// API Configuration
-const NASA_POWER_BASE_URL = 'https://power.larc.nasa.gov/api/temporal/daily/point';
-const NASA_POWER_PARAMS = {
-  parameters: 'ALLSKY_SFC_SW_DWN,T2M',
-  community: 'RE',
-  longitude: '',
-  latitude: '',
-  start: '20240901',
-  end: '20250901',
-  format: 'JSON'
-};
+// Uploaded low-cost sensors, merged into /api/getAirQuality as sourceType 'sensor'
+const sensorStore = createSensorStore({
+  dir: config.sensors.dir,
+  maxAgeHours: config.sensors.maxAgeHours
+});
+app.use('/api/sensors', createSensorsRouter(sensorStore, adminAccess));
 
-const OPENAQ_API_KEY = '315d6ce5ea7776db705d50e70fc0d9f2bc5deac47a9c87f55c3529323a0a0c3f';
-const OPENAQ_BASE_URL = 'https://api.openaq.org/v3';
+// Uploaded land-surface-temperature rasters; the map's heat layer uses them where they cover the view
+const lstStore = createLstStore({ dir: config.lst.dir });
+app.use('/api/lst', createLstRouter(lstStore, {
+  ...adminAccess,
+  maxUploadMb: config.lst.maxUploadMb
+}));
+
+// Priority-zone scoring with built-in and saved weight presets
+const presetStore = createPresetStore({ dir: config.priority.dir });
+app.use('/api/priority', createPriorityRouter(presetStore, adminAccess));
 
 // MAIN ROOF DATA ENDPOINT
-app.post('/api/getRoofData', async (req, res) => {
+app.post('/api/getRoofData', validateRequest(ROUTES.getRoofData), async (req, res) => {
   try {
-    const { latitude, longitude, area } = req.body;
+    const {
+      latitude, longitude, area,
+      roofShape, tilt, azimuth, module, inverterEfficiency, systemLosses,
+      rainwater, country, financial,
+      height, levels, minHeight, heightSource,
+      footprint, neighbours
+    } = req.body;
 
     console.log(`Analyzing roof at: ${latitude}, ${longitude} with area: ${area} m²`);
 
-    if (!latitude || !longitude || !area) {
-      return res.status(400).json({ 
-        error: 'Missing required parameters: latitude, longitude, area' 
-      });
-    }
-
     const solarData = await fetchSolarData(latitude, longitude);
     const precipData = await fetchPrecipitationData(latitude, longitude);
 
     // Check if we got real data
     if (!solarData.isReal) {
-      return res.status(503).json({
-        error: 'Unable to fetch real NASA solar data',
-        details: solarData.note || 'NASA POWER API unavailable'
-      });
+      throw new ApiError('UPSTREAM_UNAVAILABLE', 'Unable to fetch real NASA solar data',
+        solarData.note || 'NASA POWER API unavailable');
     }
 
+    const building = heightFromProperties({ height, levels, minHeight, heightSource });
+
+    // Neighbour shading needs the roof outline and the surrounding footprints
+    // (footprint: [[lon, lat], ...], neighbours: [{ footprint, height, minHeight }])
+    const shading = footprint && neighbours
+      ? calculateRoofShading(
+        { footprint, height: building.height, area, centroid: { lat: latitude, lng: longitude } },
+        neighbours,
+        latitude
+      )
+      : null;
+
     // Allow partial success - solar data is critical, precipitation is optional
-    const solarPotential = calculateSolarPotential(area, solarData);
+    const solarPotential = calculateSolarPotential(area, solarData, latitude, {
+      roofShape, tilt, azimuth, module, inverterEfficiency, systemLosses, shading
+    });
+    // Storeys drive occupancy in the rainwater demand model
+    const rainwaterOptions = { ...rainwater, demand: { levels: building.levels, ...rainwater?.demand } };
     const rainwaterPotential = precipData.isReal 
-      ? calculateRainwaterPotential(area, precipData)
+      ? calculateRainwaterPotential(area, precipData, rainwaterOptions)
       : { error: 'Precipitation data unavailable', note: precipData.note };
 
+    const financialAnalysis = calculateFinancials({
+      solarPotential,
+      rainwaterPotential,
+      latitude,
+      longitude,
+      country,
+      overrides: financial
+    });
+
+    // Day/night UHI on the heat-stress baselines; density from the neighbours sent for shading
+    const { heatStress, ...solarSummary } = solarData;
+    const heat = heatStress
+      ? calculateDayNightHeat({ area, height: building.height }, countHeatNeighbours(latitude, longitude, neighbours), {
+        day: heatStress.avgMaxTemperature,
+        night: heatStress.avgMinTemperature
+      })
+      : null;
+
+    // The daily series feeds the water balance; it's too bulky to send back
+    const { daily, ...precipSummary } = precipData;
+
     res.json({
       location: { latitude, longitude, area },
-      solarData,
-      precipData,
+      building,
+      solarData: solarSummary,
+      heatStress: heatStress || null,
+      heat,
+      precipData: precipSummary,
       solarPotential,
+      shading: shading && {
+        beamShadingPercent: shading.beamShadingPercent,
+        energyLossPercent: parseFloat((solarPotential.losses.shading * 100).toFixed(1)),
+        sunPositions: shading.sunPositions,
+        neighboursConsidered: shading.neighboursConsidered,
+        obstacles: shading.obstacles,
+        roofHeight: shading.roofHeight,
+        samples: shading.samples
+      },
       rainwaterPotential,
+      financialAnalysis,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    if (error instanceof ApiError) throw error;
     console.error('Error in getRoofData:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to fetch roof data',
-      details: error.message 
+    throw new ApiError('INTERNAL_ERROR', 'Failed to fetch roof data', error.message);
+  }
+});
+
+// BATCH BUILDING ANALYSIS - GeoJSON FeatureCollection of footprints in,
+// solar / rainwater / heat metrics per feature out. Climate data is fetched once
+// per CLIMATE_CELL_DEG cell and shared by every building inside it.
+app.post('/api/analyzeBuildings', validateRequest(ROUTES.analyzeBuildings), async (req, res) => {
+  try {
+    const { features, options = {} } = req.body;
+
+    console.log(`Batch analysis of ${features.length} buildings`);
+
+    // STEP 1: Footprint geometry
+    const results = [];
+    const buildings = [];
+    features.forEach((feature, index) => {
+      const properties = feature?.properties || {};
+      const id = feature?.id ?? properties.id ?? index;
+      const centroid = geometryCentroid(feature?.geometry);
+      const area = properties.area ?? geometryArea(feature?.geometry);
+
+      if (!centroid || !(area > 0)) {
+        results[index] = {
+          id,
+          status: 'error',
+          errors: ['Feature needs a Polygon or MultiPolygon geometry (or a Point with an area property)']
+        };
+        return;
+      }
+      const { height, minHeight, levels, source: heightSource } = heightFromProperties(properties);
+      buildings.push({ index, id, centroid, area, properties, height, minHeight, levels, heightSource });
+    });
+
+    // STEP 2: Shared climate data per cell
+    const cells = new Map();
+    buildings.forEach(b => {
+      const row = Math.floor(b.centroid.lat / CLIMATE_CELL_DEG);
+      const col = Math.floor(b.centroid.lng / CLIMATE_CELL_DEG);
+      const key = `${row}:${col}`;
+      if (!cells.has(key)) {
+        cells.set(key, {
+          latitude: parseFloat(((row + 0.5) * CLIMATE_CELL_DEG).toFixed(4)),
+          longitude: parseFloat(((col + 0.5) * CLIMATE_CELL_DEG).toFixed(4)),
+          buildings: []
+        });
+      }
+      cells.get(key).buildings.push(b);
+    });
+
+    for (const cell of cells.values()) {
+      cell.solarData = await fetchSolarData(cell.latitude, cell.longitude);
+      cell.precipData = await fetchPrecipitationData(cell.latitude, cell.longitude);
+    }
+
+    // STEP 3: Per-building metrics - failures are reported per feature
+    const neighbourIndex = buildNeighbourIndex(buildings);
+
+    cells.forEach(cell => {
+      const { solarData, precipData } = cell;
+
+      cell.buildings.forEach(b => {
+        const result = {
+          id: b.id,
+          status: 'ok',
+          area: Math.round(b.area),
+          centroid: b.centroid,
+          height: { height: b.height, minHeight: b.minHeight, levels: b.levels, source: b.heightSource },
+          climateCell: { latitude: cell.latitude, longitude: cell.longitude },
+          errors: []
+        };
+
+        if (solarData.isReal) {
+          try {
+            const solar = calculateSolarPotential(b.area, solarData, b.centroid.lat, {
+              ...options,
+              roofShape: b.properties.roofShape ?? b.properties['roof:shape'] ?? options.roofShape
+            });
+            result.solar = {
+              annualEnergy: solar.annualEnergy,
+              systemSizeKwp: solar.systemSizeKwp,
+              estimatedPanels: solar.estimatedPanels,
+              specificYield: solar.specificYield,
+              performanceRatio: solar.performanceRatio,
+              co2Offset: solar.co2Offset,
+              roofShape: solar.roofShape,
+              usableArea: solar.usableArea
+            };
+          } catch (error) {
+            result.errors.push(`Solar: ${error.message}`);
+          }
+
+          const neighbours = neighbourIndex.countNeighbours(b);
+          result.heat = calculateBuildingHeat(b, neighbours, solarData.avgTemperature);
+          if (solarData.heatStress) {
+            const { day, night } = calculateDayNightHeat(b, neighbours, {
+              day: solarData.heatStress.avgMaxTemperature,
+              night: solarData.heatStress.avgMinTemperature
+            });
+            Object.assign(result.heat, { day, night });
+          }
+        } else {
+          result.errors.push(`Solar and heat: ${solarData.note || 'NASA POWER data unavailable'}`);
+        }
+
+        if (precipData.isReal) {
+          try {
+            const rainwater = calculateRainwaterPotential(b.area, precipData, {
+              ...options.rainwater,
+              demand: { levels: b.levels, ...options.rainwater?.demand }
+            });
+            result.rainwater = {
+              annualWater: rainwater.annualWater,
+              runoffCoefficient: rainwater.runoffCoefficient,
+              storageTankSize: rainwater.storageTankSize,
+              annualSupplied: rainwater.annualSupplied,
+              recommendedReliability: rainwater.waterBalance ? rainwater.waterBalance.recommendedReliability : null,
+              householdsSupported: rainwater.householdsSupported
+            };
+          } catch (error) {
+            result.errors.push(`Rainwater: ${error.message}`);
+          }
+        } else {
+          result.errors.push(`Rainwater: ${precipData.note || 'Precipitation data unavailable'}`);
+        }
+
+        if (result.errors.length > 0) {
+          result.status = result.solar || result.rainwater ? 'partial' : 'error';
+        }
+        results[b.index] = result;
+      });
     });
+
+    const succeeded = results.filter(r => r.solar || r.rainwater);
+    const sum = (pick) => Math.round(succeeded.reduce((total, r) => total + (pick(r) || 0), 0));
+
+    res.json({
+      summary: {
+        features: features.length,
+        ok: results.filter(r => r.status === 'ok').length,
+        partial: results.filter(r => r.status === 'partial').length,
+        failed: results.filter(r => r.status === 'error').length,
+        climateCells: cells.size,
+        totalRoofArea: sum(r => r.area),
+        totalAnnualEnergy: sum(r => r.solar?.annualEnergy),
+        totalSystemSizeKwp: parseFloat(succeeded.reduce((t, r) => t + (r.solar?.systemSizeKwp || 0), 0).toFixed(2)),
+        totalAnnualWater: sum(r => r.rainwater?.annualWater)
+      },
+      results,
+      sources: {
+        solar: providers.solar.source,
+        precipitation: providers.precipitation.source
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in analyzeBuildings:', error.message);
+    throw new ApiError('INTERNAL_ERROR', 'Failed to analyze buildings', error.message);
   }
 });
 
 // REAL TEMPERATURE HEAT MAP ENDPOINT
-app.post('/api/getHeatMap', async (req, res) => {
+app.post('/api/getHeatMap', validateRequest(ROUTES.getHeatMap), async (req, res) => {
   try {
-    const { bounds } = req.body;
-    
-    if (!bounds) {
-      return res.status(400).json({ error: 'Missing bounds parameter' });
-    }
+    const { bounds, period } = req.body;
 
     console.log('Fetching heat map data for bounds:', bounds);
 
-    // REDUCED grid size to avoid rate limits
-    const gridSize = 10; // 10x10 grid = 100 points instead of 225
+    // 11x11 points; the NASA POWER client's pool and rate limit pace the uncached ones
+    const gridSize = 10;
     const latStep = (bounds.north - bounds.south) / gridSize;
     const lngStep = (bounds.east - bounds.west) / gridSize;
     
@@ -149,11 +405,15 @@ app.post('/api/getHeatMap', async (req, res) => {
             const tempData = results[pointIndex++];
 
             if (tempData && tempData.isReal) {
+                const temperature = HEAT_MAP_PERIODS[period](tempData);
                 heatPoints.push({
                     lat,
                     lng,
-                    temperature: tempData.avgTemperature,
-                    intensity: normalizeTemperature(tempData.avgTemperature)
+                    temperature,
+                    dayTemperature: tempData.avgMaxTemperature,
+                    nightTemperature: tempData.avgMinTemperature,
+                    heatIndex: tempData.avgDailyMaxHeatIndex,
+                    intensity: normalizeTemperature(temperature)
                 });
             } else {
                 failedPoints.push({ lat, lng });
@@ -164,6 +424,7 @@ app.post('/api/getHeatMap', async (req, res) => {
     res.json({
       heatPoints,
       bounds,
+      period,
       totalPoints: (gridSize + 1) * (gridSize + 1),
       successfulPoints: heatPoints.length,
       failedPoints: failedPoints.length,
@@ -173,52 +434,43 @@ app.post('/api/getHeatMap', async (req, res) => {
 
   } catch (error) {
     console.error('Error in getHeatMap:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to fetch heat map data',
-      details: error.message 
-    });
+    throw new ApiError('INTERNAL_ERROR', 'Failed to fetch heat map data', error.message);
   }
 });
 
 // BUILDING DENSITY HEAT MAP ENDPOINT
-app.post('/api/getBuildingDensityMap', (req, res) => {
+app.post('/api/getBuildingDensityMap', validateRequest(ROUTES.getBuildingDensityMap), (req, res) => {
   try {
     const { bounds, buildings } = req.body;
 
-    if (!bounds || !buildings) {
-      return res.status(400).json({ error: 'Missing bounds or buildings data' });
-    }
-    
     console.log(`Calculating building density for ${buildings.length} buildings`);
 
     const gridSize = 0.002;
+    const maxDensityForNormalization = 20;
+
+    // Count centroids per grid cell in one pass over the buildings
+    const counts = new Map();
+    buildings.forEach(({ centroid }) => {
+      if (centroid.lat < bounds.south || centroid.lat >= bounds.north ||
+          centroid.lng < bounds.west || centroid.lng >= bounds.east) return;
+      const row = Math.floor((centroid.lat - bounds.south) / gridSize);
+      const col = Math.floor((centroid.lng - bounds.west) / gridSize);
+      const key = `${row}:${col}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
     const densityPoints = [];
-    
-    for (let lat = bounds.south; lat < bounds.north; lat += gridSize) {
-      for (let lng = bounds.west; lng < bounds.east; lng += gridSize) {
-        
-        const buildingsInZone = buildings.filter(b => 
-          b.centroid &&
-          b.centroid.lat >= lat && b.centroid.lat < lat + gridSize &&
-          b.centroid.lng >= lng && b.centroid.lng < lng + gridSize
-        );
-        
-        const density = buildingsInZone.length;
-        
-        if (density > 0) {
-          const maxDensityForNormalization = 20;
-          const intensity = Math.min(density / maxDensityForNormalization, 1.0);
-
-          if (intensity > 0.05) {
-            densityPoints.push([
-              lat + gridSize / 2,
-              lng + gridSize / 2,
-              intensity
-            ]);
-          }
-        }
+    counts.forEach((density, key) => {
+      const intensity = Math.min(density / maxDensityForNormalization, 1.0);
+      if (intensity > 0.05) {
+        const [row, col] = key.split(':').map(Number);
+        densityPoints.push([
+          bounds.south + (row + 0.5) * gridSize,
+          bounds.west + (col + 0.5) * gridSize,
+          intensity
+        ]);
       }
-    }
+    });
 
     console.log(`Generated ${densityPoints.length} density points.`);
     
@@ -232,50 +484,24 @@ app.post('/api/getBuildingDensityMap', (req, res) => {
 
   } catch (error) {
     console.error('Error in getBuildingDensityMap:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to calculate building density',
-      details: error.message 
-    });
+    throw new ApiError('INTERNAL_ERROR', 'Failed to calculate building density', error.message);
   }
 });
 
 // RAINFALL FORECAST ENDPOINT
-app.post('/api/getRainfallForecast', async (req, res) => {
+app.post('/api/getRainfallForecast', validateRequest(ROUTES.getRainfallForecast), async (req, res) => {
   try {
-    const { latitude, longitude, days = 3 } = req.body;
+    const { latitude, longitude, days } = req.body;
 
-    if (!latitude || !longitude) {
-      return res.status(400).json({ error: 'Missing latitude or longitude' });
-    }
-
-    const cacheKey = getCacheKey('forecast', latitude, longitude);
-    const cached = getFromCache(cacheKey);
+    const cached = cache.get('forecast', latitude, longitude);
     if (cached) {
       return res.json(cached);
     }
 
     console.log(`Fetching rainfall forecast for: ${latitude}, ${longitude}`);
 
-    await throttleRequest();
-
-    const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
-      params: {
-        latitude,
-        longitude,
-        hourly: 'precipitation,precipitation_probability',
-        forecast_days: days,
-        timezone: 'auto'
-      },
-      timeout: 10000
-    });
-
-    const data = response.data;
-    
-    const rainfallData = data.hourly.time.map((time, index) => ({
-      time,
-      precipitation: data.hourly.precipitation[index],
-      probability: data.hourly.precipitation_probability[index]
-    })).filter(item => item.precipitation > 0);
+    const hourly = await providers.forecast.getHourlyForecast(latitude, longitude, { days });
+    const rainfallData = hourly.filter(item => item.precipitation > 0);
 
     const dailyTotals = {};
     rainfallData.forEach(item => {
@@ -289,72 +515,55 @@ app.post('/api/getRainfallForecast', async (req, res) => {
       hourly: rainfallData,
       dailyTotals,
       totalPrecipitation: rainfallData.reduce((sum, item) => sum + item.precipitation, 0),
-      source: 'Open-Meteo API (Real forecast data)',
+      source: providers.forecast.source,
       isReal: true,
       timestamp: new Date().toISOString()
     };
 
-    setCache(cacheKey, result);
+    cache.set('forecast', latitude, longitude, result);
     res.json(result);
 
   } catch (error) {
     console.error('Error in getRainfallForecast:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to fetch rainfall forecast',
-      details: error.message,
-      isReal: false
-    });
+    throw new ApiError('UPSTREAM_UNAVAILABLE', 'Failed to fetch rainfall forecast', error.message);
   }
 });
 
-// FIXED: Air Quality endpoint with proper OpenAQ v3 implementation
-// Replace your existing /api/getAirQuality endpoint in server.js with this:
-
-// AIR QUALITY ENDPOINT - FIXED VERSION
-app.post('/api/getAirQuality', async (req, res) => {
+// AIR QUALITY ENDPOINT - OpenAQ v3 stations, CAMS fallback and uploaded sensors
+app.post('/api/getAirQuality', validateRequest(ROUTES.getAirQuality), async (req, res) => {
   try {
-    const { bounds, latitude, longitude } = req.body;
+    const { bounds, latitude, longitude, standard } = req.body;
 
     console.log('=== AIR QUALITY REQUEST ===');
     console.log('Bounds:', bounds);
     console.log('Center:', latitude, longitude);
+    console.log('Standard:', standard);
 
     const centerLat = bounds ? (bounds.north + bounds.south) / 2 : latitude;
     const centerLng = bounds ? (bounds.east + bounds.west) / 2 : longitude;
 
-    if (!centerLat || !centerLng) {
-      return res.status(400).json({ 
-        error: 'Must provide either bounds or coordinates',
-        isReal: false 
-      });
+    const data = await loadAirQuality(bounds, centerLat, centerLng);
+    const sensors = sensorStore.getLatest(bounds ? { bounds } : { latitude: centerLat, longitude: centerLng });
+    if (sensors.length > 0) {
+      console.log(`✓ Merging ${sensors.length} uploaded sensors`);
     }
 
-    // Check cache first
-    const cacheKey = getCacheKey('airquality', centerLat, centerLng);
-    const cached = getFromCache(cacheKey);
-    if (cached) {
-      console.log('✓ Returning cached air quality data');
-      return res.json(cached);
+    if (data) {
+      return res.json(applyAQIStandard({
+        ...data,
+        locations: [...data.locations, ...sensors],
+        sensorCount: sensors.length
+      }, standard));
     }
-
-    // Try OpenAQ ground stations first
-    console.log('Attempting OpenAQ ground stations...');
-    const stationData = await fetchOpenAQStations(bounds, centerLat, centerLng);
-
-    if (stationData.locations && stationData.locations.length > 0) {
-      console.log(`✓ SUCCESS: ${stationData.locations.length} ground stations from OpenAQ`);
-      setCache(cacheKey, stationData);
-      return res.json(stationData);
-    }
-
-    // Fallback to CAMS model if no stations found
-    console.log('No OpenAQ stations found. Trying CAMS model...');
-    const modelData = await fetchModelAirQuality(centerLat, centerLng);
-
-    if (modelData.isReal) {
-      console.log('✓ SUCCESS: Model estimate from Open-Meteo (CAMS)');
-      setCache(cacheKey, modelData);
-      return res.json(modelData);
+    if (sensors.length > 0) {
+      return res.json(applyAQIStandard({
+        locations: sensors,
+        sensorCount: sensors.length,
+        source: 'Uploaded low-cost sensors',
+        isReal: true,
+        note: 'No OpenAQ stations or CAMS model data available; showing uploaded sensor readings only.',
+        timestamp: new Date().toISOString()
+      }, standard));
     }
 
     // Both failed - return error
@@ -364,76 +573,150 @@ app.post('/api/getAirQuality', async (req, res) => {
       count: 0,
       source: 'None',
       isReal: false,
+      standard: describeAQIStandard(standard),
       note: 'No air quality data available. Neither ground monitoring stations (OpenAQ) nor atmospheric model data (CAMS) are accessible for this location.',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('✗ Air quality endpoint error:', error.message);
-    res.status(503).json({
-      locations: [],
-      count: 0,
-      error: error.message,
-      isReal: false,
+    throw new ApiError('UPSTREAM_UNAVAILABLE', 'Failed to fetch air quality data', error.message);
+  }
+});
+
+// AIR QUALITY SURFACE - IDW-interpolated PM2.5/AQI grid with uncertainty and
+// category contours, built from the same ground stations as /api/getAirQuality
+app.post('/api/getAirQualitySurface', validateRequest(ROUTES.getAirQualitySurface), async (req, res) => {
+  try {
+    const { bounds, standard, gridSize, power } = req.body;
+
+    const centerLat = (bounds.north + bounds.south) / 2;
+    const centerLng = (bounds.east + bounds.west) / 2;
+    const data = await loadAirQuality(bounds, centerLat, centerLng);
+    const stations = (data?.locations || []).filter(loc => loc.sourceType === 'station');
+
+    const surface = interpolateAirQuality(stations, bounds, { standard, gridSize, power });
+    if (!surface) {
+      return res.json({
+        isReal: false,
+        standard: describeAQIStandard(standard),
+        note: 'No ground stations with PM2.5 in this area; an interpolated surface needs at least one station.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`✓ Air quality surface: ${surface.cells.length} cells from ${surface.stationsUsed} stations`);
+    res.json({
+      ...surface,
+      isReal: true,
+      source: data.source,
+      standard: describeAQIStandard(standard),
       timestamp: new Date().toISOString()
     });
+
+  } catch (error) {
+    console.error('✗ Air quality surface error:', error.message);
+    throw new ApiError('INTERNAL_ERROR', 'Failed to build air quality surface', error.message);
   }
 });
 
-// UPDATED: OpenAQ v3 with correct endpoint and parameters
-// Replace the fetchOpenAQStations function in your server.js
-
-async function fetchOpenAQStations(bounds, centerLat, centerLng) {
+// AIR QUALITY HISTORY - hourly and daily series for one station with annual
+// mean, WHO / Bangladesh 24-hour exceedance days and trend.
+// Body: { locationId, parameter (pm25|pm10), days (window length, default 365),
+//         to (window end, default now), latitude, longitude (station, enables the cache),
+//         includeHourly (default true) }
+app.post('/api/getAirQualityHistory', validateRequest(ROUTES.getAirQualityHistory), async (req, res) => {
   try {
-    console.log('\n=== FETCHING OPENAQ STATIONS ===');
-    
-    // Build request parameters
-    let params = {
-      limit: 100,
-      'order_by': 'datetime',
-      'sort_order': 'desc'
-    };
+    const { locationId, parameter, days, to, latitude, longitude, includeHourly } = req.body;
 
-    // Spatial filtering
-    if (bounds) {
-      // OpenAQ v3 uses: west,south,east,north
-      const bboxString = `${bounds.west},${bounds.south},${bounds.east},${bounds.north}`;
-      params.bbox = bboxString;
-      console.log(`Using bbox: ${bboxString}`);
-    } else {
-      params.coordinates = `${centerLat},${centerLng}`;
-      params.radius = 50000; // 50km
-      console.log(`Using coordinates: ${params.coordinates}, radius: ${params.radius}m`);
-    }
+    const windowEnd = to ? new Date(to) : new Date();
+    // Whole hours so repeated requests within the hour share a cache entry
+    windowEnd.setUTCMinutes(0, 0, 0);
+    const window = { from: new Date(windowEnd.getTime() - days * 86400000), to: windowEnd };
+    const variant = `${locationId}_${parameter}_${days}_${windowEnd.toISOString().slice(0, 13)}`;
 
-    console.log('Full OpenAQ request params:', JSON.stringify(params, null, 2));
+    const canCache = latitude !== undefined && longitude !== undefined;
+    let history = canCache ? cache.get('airqualityhistory', latitude, longitude, variant) : null;
 
-    await throttleRequest();
+    if (!history) {
+      history = await providers.airQuality.getStationHistory({ locationId, parameter, ...window });
+      if (!history) {
+        throw new ApiError('NOT_FOUND', `No ${parameter} sensor found for station ${locationId}`);
+      }
+      if (history.location.latitude != null && history.location.longitude != null) {
+        cache.set('airqualityhistory', history.location.latitude, history.location.longitude, history, variant);
+      }
+    }
 
-    const url = `${OPENAQ_BASE_URL}/latest`;
-    console.log(`Requesting: ${url}`);
+    const statistics = summariseHistory(history, window);
+    const { daily, ...summary } = statistics;
+    console.log(`✓ AQ history for station ${locationId}: ${summary.hours} hours, ${summary.validDays} valid days`);
 
-    const response = await axios.get(url, {
-      headers: {
-        'X-API-Key': OPENAQ_API_KEY,
-        'Accept': 'application/json'
-      },
-      params,
-      timeout: 20000
+    res.json({
+      location: history.location,
+      parameter,
+      unit: history.unit,
+      window: { from: window.from.toISOString(), to: window.to.toISOString(), days },
+      statistics: summary,
+      daily,
+      hourly: includeHourly ? history.hourly : undefined,
+      source: providers.airQuality.historySource,
+      isReal: true,
+      timestamp: new Date().toISOString()
     });
 
-    console.log('OpenAQ Response Status:', response.status);
-    console.log('OpenAQ Response Headers:', response.headers);
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    console.error('✗ Air quality history error:', error.message);
+    throw new ApiError('UPSTREAM_UNAVAILABLE', 'Failed to fetch air quality history', error.message);
+  }
+});
 
-    if (!response.data) {
-      console.log('❌ No data in response');
-      return { locations: [], count: 0 };
-    }
+// Standard-neutral air quality for an area: cached, then OpenAQ ground
+// stations, then the CAMS model estimate. Returns null when neither has data.
+async function loadAirQuality(bounds, centerLat, centerLng) {
+  const cached = cache.get('airquality', centerLat, centerLng);
+  if (cached) {
+    console.log('✓ Returning cached air quality data');
+    return cached;
+  }
+
+  // Try OpenAQ ground stations first
+  console.log('Attempting OpenAQ ground stations...');
+  const stationData = await fetchOpenAQStations(bounds, centerLat, centerLng);
+
+  if (stationData.locations && stationData.locations.length > 0) {
+    console.log(`✓ SUCCESS: ${stationData.locations.length} ground stations from OpenAQ`);
+    cache.set('airquality', centerLat, centerLng, stationData);
+    return stationData;
+  }
+
+  // Fallback to CAMS model if no stations found
+  console.log('No OpenAQ stations found. Trying CAMS model...');
+  const modelData = await fetchModelAirQuality(centerLat, centerLng);
+
+  if (modelData.isReal) {
+    console.log('✓ SUCCESS: Model estimate from Open-Meteo (CAMS)');
+    cache.set('airquality', centerLat, centerLng, modelData);
+    return modelData;
+  }
+
+  return null;
+}
+
+// UPDATED: OpenAQ v3 with correct endpoint and parameters
+// Replace the fetchOpenAQStations function in your server.js
 
-    const meta = response.data.meta;
-    const results = response.data.results || [];
+async function fetchOpenAQStations(bounds, centerLat, centerLng) {
+  try {
+    console.log('\n=== FETCHING OPENAQ STATIONS ===');
     
-    console.log(`OpenAQ Meta:`, JSON.stringify(meta, null, 2));
+    const results = await providers.airQuality.getStationMeasurements({
+      bounds,
+      latitude: centerLat,
+      longitude: centerLng
+    });
+
     console.log(`OpenAQ returned ${results.length} measurements`);
 
     if (results.length === 0) {
@@ -533,36 +816,23 @@ async function fetchOpenAQStations(bounds, centerLat, centerLng) {
 
     console.log(`Grouped into ${locationMap.size} unique locations`);
 
-    // Convert to array and filter
+    // Convert to array and filter; the index itself is applied per request
+    // (see applyAQIStandard) so the cached stations stay standard-neutral
     const locations = Array.from(locationMap.values())
       .filter(loc => {
-        // Must have at least PM2.5
-        const hasPM25 = loc.measurements.pm25;
-        if (!hasPM25) {
-          console.log(`Filtering out ${loc.name}: no PM2.5 data`);
+        // Must have at least one pollutant an index can be computed from
+        const hasIndexPollutant = AQI_POLLUTANTS.some(p => loc.measurements[p]);
+        if (!hasIndexPollutant) {
+          console.log(`Filtering out ${loc.name}: no AQI pollutant data`);
         }
-        return hasPM25;
-      })
-      .map(loc => {
-        const pm25Value = loc.measurements.pm25.value;
-        const aqi = calculateAQI(pm25Value);
-
-        return {
-          ...loc,
-          aqi,
-          aqiCategory: getAQICategory(aqi),
-          color: getAQIColor(aqi)
-        };
-      })
-      .sort((a, b) => b.aqi - a.aqi)
-      .slice(0, 50);
+        return hasIndexPollutant;
+      });
 
-    console.log(`✅ Final result: ${locations.length} valid stations with PM2.5`);
+    console.log(`✅ Final result: ${locations.length} valid stations`);
     
     if (locations.length > 0) {
       console.log('Sample station:', {
         name: locations[0].name,
-        aqi: locations[0].aqi,
         measurements: Object.keys(locations[0].measurements)
       });
     }
@@ -570,7 +840,7 @@ async function fetchOpenAQStations(bounds, centerLat, centerLng) {
     return {
       locations: locations,
       count: locations.length,
-      source: 'Ground monitoring stations (OpenAQ v3)',
+      source: providers.airQuality.stationSource,
       isReal: true,
       timestamp: new Date().toISOString()
     };
@@ -601,25 +871,13 @@ async function fetchModelAirQuality(latitude, longitude) {
   try {
     console.log(`Fetching CAMS model data for ${latitude.toFixed(4)}, ${longitude.toFixed(4)}`);
 
-    await throttleRequest();
+    const current = await providers.airQuality.getModelCurrent(latitude, longitude);
 
-    const response = await axios.get('https://air-quality-api.open-meteo.com/v1/air-quality', {
-      params: {
-        latitude: latitude.toFixed(4),
-        longitude: longitude.toFixed(4),
-        current: 'pm10,pm2_5,nitrogen_dioxide,ozone,sulphur_dioxide,carbon_monoxide,us_aqi',
-        timezone: 'auto'
-      },
-      timeout: 10000
-    });
-
-    if (!response.data || !response.data.current) {
+    if (!current) {
       console.log('CAMS API returned invalid structure');
       return { isReal: false };
     }
 
-    const current = response.data.current;
-
     // Extract pollutants
     const pm25 = current.pm2_5;
     const pm10 = current.pm10;
@@ -628,9 +886,6 @@ async function fetchModelAirQuality(latitude, longitude) {
     const so2 = current.sulphur_dioxide;
     const co = current.carbon_monoxide;
 
-    // Calculate or use provided AQI
-    const modelAQI = current.us_aqi || calculateAQI(pm25);
-
     const location = {
       id: 'cams_model',
       name: 'CAMS Model Estimate',
@@ -639,9 +894,6 @@ async function fetchModelAirQuality(latitude, longitude) {
       measurements: {
         pm25: { value: pm25, unit: 'µg/m³', lastUpdated: new Date().toISOString() }
       },
-      aqi: modelAQI,
-      aqiCategory: getAQICategory(modelAQI),
-      color: getAQIColor(modelAQI),
       sourceType: 'model'
     };
 
@@ -652,12 +904,12 @@ async function fetchModelAirQuality(latitude, longitude) {
     if (so2 != null) location.measurements.so2 = { value: so2, unit: 'µg/m³' };
     if (co != null) location.measurements.co = { value: co, unit: 'µg/m³' };
 
-    console.log(`✓ CAMS model returned AQI ${modelAQI}`);
+    console.log(`✓ CAMS model returned PM2.5 ${pm25} µg/m³`);
 
     return {
       locations: [location],
       count: 1,
-      source: 'CAMS Atmospheric Model (Open-Meteo)',
+      source: providers.airQuality.modelSource,
       isReal: true,
       note: 'No ground monitoring stations found nearby. Showing atmospheric model estimate from Copernicus Atmosphere Monitoring Service (CAMS).',
       timestamp: new Date().toISOString()
@@ -675,26 +927,14 @@ async function fetchModelAirQuality(latitude, longitude) {
 
 // Fetch solar data from NASA POWER with caching
 async function fetchSolarData(latitude, longitude) {
-  const cacheKey = getCacheKey('solar', latitude, longitude);
-  const cached = getFromCache(cacheKey);
-  if (cached) return cached;
+  const cached = cache.get('solar', latitude, longitude);
+  if (cached && cached.heatStress !== undefined) return cached; // entries from before heat stress are refetched
 
   try {
-    const params = {
-      ...NASA_POWER_PARAMS,
-      latitude,
-      longitude
-    };
-
-    const url = `${NASA_POWER_BASE_URL}?${new URLSearchParams(params)}`;
     console.log(`Fetching NASA POWER data for ${latitude}, ${longitude}`);
-    
-    await throttleRequest();
-    
-    const response = await axios.get(url, { timeout: 15000 });
 
-    const irradianceData = response.data.properties.parameter.ALLSKY_SFC_SW_DWN;
-    const tempData = response.data.properties.parameter.T2M;
+    const { irradiance: irradianceData, temperature: tempData, temperatureMax, temperatureMin, humidity } =
+      await providers.solar.getDailySolar(latitude, longitude, nasaPowerRange(config.nasaPower));
 
     const irradianceValues = Object.values(irradianceData).filter(v => v !== -999);
     const avgIrradiance = irradianceValues.reduce((a, b) => a + b, 0) / irradianceValues.length;
@@ -702,17 +942,23 @@ async function fetchSolarData(latitude, longitude) {
     const tempValues = Object.values(tempData).filter(v => v !== -999);
     const avgTemp = tempValues.reduce((a, b) => a + b, 0) / tempValues.length;
 
+    const monthlyIrradiance = calculateMonthlyAverages(irradianceData);
+    const monthlyTemperature = calculateMonthlyAverages(tempData);
+
     console.log(`NASA POWER: ${irradianceValues.length} data points retrieved`);
 
     const result = {
       avgIrradiance: avgIrradiance,
       avgTemperature: avgTemp,
+      monthlyIrradiance,
+      monthlyTemperature,
       dataPoints: irradianceValues.length,
-      source: 'NASA POWER API',
+      heatStress: summariseHeatStress({ mean: tempData, max: temperatureMax, min: temperatureMin, humidity }),
+      source: providers.solar.source,
       isReal: true
     };
 
-    setCache(cacheKey, result);
+    cache.set('solar', latitude, longitude, result);
     return result;
 
   } catch (error) {
@@ -720,8 +966,10 @@ async function fetchSolarData(latitude, longitude) {
     return {
       avgIrradiance: null,
       avgTemperature: null,
+      monthlyIrradiance: null,
+      monthlyTemperature: null,
       dataPoints: 0,
-      source: 'NASA POWER API',
+      source: providers.solar.source,
       isReal: false,
       note: `API Error: ${error.message}`
     };
@@ -730,33 +978,24 @@ async function fetchSolarData(latitude, longitude) {
 
 // Fetch temperature for a single point with caching
 async function fetchTemperaturePoint(latitude, longitude) {
-  const cacheKey = getCacheKey('temp', latitude, longitude);
-  const cached = getFromCache(cacheKey);
-  if (cached) return cached;
+  const cached = cache.get('temp', latitude, longitude);
+  if (cached && cached.avgMaxTemperature !== undefined) return cached;
 
   try {
-    const params = {
-      ...NASA_POWER_PARAMS,
-      latitude,
-      longitude
-    };
-
-    const url = `${NASA_POWER_BASE_URL}?${new URLSearchParams(params)}`;
-    
-    await throttleRequest();
-    
-    const response = await axios.get(url, { timeout: 8000 });
-
-    const tempData = response.data.properties.parameter.T2M;
-    const tempValues = Object.values(tempData).filter(v => v !== -999);
+    const series = await providers.temperature.getDailyTemperature(latitude, longitude, nasaPowerRange(config.nasaPower));
+    const tempValues = Object.values(series.mean).filter(v => v !== -999);
     const avgTemp = tempValues.reduce((a, b) => a + b, 0) / tempValues.length;
+    const heatStress = summariseHeatStress(series);
 
     const result = { 
       avgTemperature: avgTemp,
+      avgMaxTemperature: heatStress ? heatStress.avgMaxTemperature : null,
+      avgMinTemperature: heatStress ? heatStress.avgMinTemperature : null,
+      avgDailyMaxHeatIndex: heatStress ? heatStress.heatIndex.avgDailyMax : null,
       isReal: true 
     };
 
-    setCache(cacheKey, result);
+    cache.set('temp', latitude, longitude, result);
     return result;
   } catch (error) {
     return { 
@@ -767,198 +1006,215 @@ async function fetchTemperaturePoint(latitude, longitude) {
   }
 }
 
-// Fetch precipitation data with caching and rate limiting
+// Fetch multi-year precipitation climatology with caching and rate limiting
 async function fetchPrecipitationData(latitude, longitude) {
-  const cacheKey = getCacheKey('precip', latitude, longitude);
-  const cached = getFromCache(cacheKey);
-  if (cached) {
-    console.log(`✓ Cache hit: ${cacheKey}`);
-    return cached;
-  }
+  const cached = cache.get('precip', latitude, longitude);
+  if (cached) return cached;
 
   try {
-    console.log(`Fetching precipitation forecast for ${latitude.toFixed(4)}, ${longitude.toFixed(4)}`);
-
-    await throttleRequest();
-
-    // Use FORECAST API instead of Archive API - much better rate limits
-    const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
-      params: {
-        latitude: latitude.toFixed(4),
-        longitude: longitude.toFixed(4),
-        daily: 'precipitation_sum',
-        past_days: 92, // Get past 3 months
-        forecast_days: 1,
-        timezone: 'auto'
-      },
-      timeout: 10000
-    });
+    const { startDate, endDate } = getPrecipitationWindow();
+    console.log(`Fetching precipitation history ${startDate}..${endDate} for ${latitude.toFixed(4)}, ${longitude.toFixed(4)} (${providers.precipitation.name})`);
 
-    if (!response.data?.daily?.precipitation_sum) {
-      throw new Error('Invalid response structure');
-    }
+    const daily = await providers.precipitation.getDailyPrecipitation(latitude, longitude, { startDate, endDate });
+    const climatology = calculatePrecipitationClimatology(daily);
 
-    const precipData = response.data.daily.precipitation_sum;
-    const totalPrecip = precipData.reduce((sum, val) => sum + (val || 0), 0);
-    const avgDaily = totalPrecip / precipData.length;
-    const annualPrecip = avgDaily * 365;
-
-    console.log(`✓ Success: ${precipData.length} days of precipitation data (Forecast API)`);
+    console.log(`✓ Success: ${daily.length} days of precipitation data (${climatology.years} complete years)`);
 
     const result = {
-      avgDailyPrecipitation: parseFloat(avgDaily.toFixed(2)),
-      annualPrecipitation: parseFloat(annualPrecip.toFixed(0)),
-      dataPoints: precipData.length,
-      source: 'Open-Meteo Forecast API (3 months historical)',
+      avgDailyPrecipitation: climatology.avgDailyPrecipitation,
+      annualPrecipitation: climatology.annualPrecipitation,
+      dataPoints: daily.length,
+      climatology,
+      daily: cleanPrecipitationSeries(daily),
+      source: `${providers.precipitation.source} (${climatology.years}-year climatology)`,
       isReal: true,
       lastUpdate: new Date().toISOString()
     };
 
-    setCache(cacheKey, result);
+    cache.set('precip', latitude, longitude, result);
     return result;
 
   } catch (error) {
     console.error(`✗ Precipitation fetch failed:`, error.message);
-    
-    // Fallback to typical Bangladesh rainfall if API fails
-    const typicalBangladeshRainfall = 2200; // mm/year
-    
+
+    // No regional stand-in: callers report rainwater as unavailable
     return {
-      avgDailyPrecipitation: parseFloat((typicalBangladeshRainfall / 365).toFixed(2)),
-      annualPrecipitation: typicalBangladeshRainfall,
+      avgDailyPrecipitation: null,
+      annualPrecipitation: null,
       dataPoints: 0,
-      source: 'Typical Bangladesh average (API unavailable)',
+      source: providers.precipitation.source,
       isReal: false,
-      note: error.response?.status === 429 
-        ? 'Rate limit reached. Using regional average.' 
-        : 'Using regional average rainfall data.'
+      note: error.response?.status === 429
+        ? 'Precipitation archive rate limit reached after retries, try again shortly'
+        : `API Error: ${error.message}`
     };
   }
 }
-// Calculate solar potential
-function calculateSolarPotential(area, solarData) {
-  if (!solarData.isReal || !solarData.avgIrradiance) {
-    return {
-      error: 'Cannot calculate - no real solar data available'
-    };
-  }
-
-  const PANEL_EFFICIENCY = 0.20;
-  const PERFORMANCE_RATIO = 0.85;
-  const DAYS_PER_YEAR = 365;
-
-  const avgIrradiance = solarData.avgIrradiance;
-  const annualEnergy = area * avgIrradiance * DAYS_PER_YEAR * PANEL_EFFICIENCY * PERFORMANCE_RATIO;
 
+// Last PRECIPITATION_YEARS complete calendar years
+function getPrecipitationWindow() {
+  const lastYear = new Date().getUTCFullYear() - 1;
   return {
-    annualEnergy: Math.round(annualEnergy),
-    avgIrradiance: avgIrradiance,
-    panelEfficiency: PANEL_EFFICIENCY,
-    performanceRatio: PERFORMANCE_RATIO,
-    estimatedPanels: Math.floor(area / 2),
-    co2Offset: Math.round(annualEnergy * 0.5),
-    isReal: true
+    startDate: `${lastYear - PRECIPITATION_YEARS + 1}-01-01`,
+    endDate: `${lastYear}-12-31`
   };
 }
 
-// Calculate rainwater potential
-function calculateRainwaterPotential(area, precipData) {
-  if (!precipData.isReal || !precipData.annualPrecipitation) {
-    return {
-      error: 'Cannot calculate - no real precipitation data available'
-    };
-  }
+// Average daily NASA POWER values (keyed YYYYMMDD) into 12 calendar months
+function calculateMonthlyAverages(dailyData) {
+  const sums = Array(12).fill(0);
+  const counts = Array(12).fill(0);
 
-  const RUNOFF_COEFFICIENT = 0.9;
-  const annualRainfall = precipData.annualPrecipitation;
-  const annualWater = area * annualRainfall * RUNOFF_COEFFICIENT;
+  Object.entries(dailyData).forEach(([date, value]) => {
+    if (value === -999) return;
+    const month = parseInt(date.substring(4, 6), 10) - 1;
+    sums[month] += value;
+    counts[month]++;
+  });
 
-  return {
-    annualWater: Math.round(annualWater),
-    avgPrecipitation: precipData.avgDailyPrecipitation,
-    runoffCoefficient: RUNOFF_COEFFICIENT,
-    storageTankSize: Math.ceil(annualWater / 12 / 1000),
-    householdsSupported: Math.floor(annualWater / 50000),
-    isReal: true
-  };
+  return sums.map((sum, i) => counts[i] > 0 ? parseFloat((sum / counts[i]).toFixed(3)) : null);
 }
 
 // Normalize temperature for heat map
+// getHeatMap `period`: which temperature colours the grid (day/night fall back to the mean)
+const HEAT_MAP_PERIODS = {
+  mean: point => point.avgTemperature,
+  day: point => point.avgMaxTemperature ?? point.avgTemperature,
+  night: point => point.avgMinTemperature ?? point.avgTemperature
+};
+
+// Neighbours (getRoofData `neighbours`) whose footprint centre is within the heat model's radius
+function countHeatNeighbours(latitude, longitude, neighbours = []) {
+  return neighbours.filter(neighbour => {
+    const centre = geometryCentroid({ type: 'Polygon', coordinates: [neighbour.footprint] });
+    return centre && haversineDistance(latitude, longitude, centre.lat, centre.lng) < NEIGHBOUR_RADIUS;
+  }).length;
+}
+
 function normalizeTemperature(temp) {
   const min = 20;
   const max = 40;
   return Math.min(Math.max((temp - min) / (max - min), 0), 1);
 }
 
-// Calculate AQI from PM2.5
-function calculateAQI(pm25) {
-  const breakpoints = [
-    { cLow: 0, cHigh: 12.0, iLow: 0, iHigh: 50 },
-    { cLow: 12.1, cHigh: 35.4, iLow: 51, iHigh: 100 },
-    { cLow: 35.5, cHigh: 55.4, iLow: 101, iHigh: 150 },
-    { cLow: 55.5, cHigh: 150.4, iLow: 151, iHigh: 200 },
-    { cLow: 150.5, cHigh: 250.4, iLow: 201, iHigh: 300 },
-    { cLow: 250.5, cHigh: 500.4, iLow: 301, iHigh: 500 }
-  ];
-
-  for (const bp of breakpoints) {
-    if (pm25 >= bp.cLow && pm25 <= bp.cHigh) {
-      const aqi = ((bp.iHigh - bp.iLow) / (bp.cHigh - bp.cLow)) * (pm25 - bp.cLow) + bp.iLow;
-      return Math.round(aqi);
-    }
-  }
-  
-  return pm25 > 500.4 ? 500 : 0;
-}
+// AQI STANDARDS - selectable indices for /api/getAirQuality
+app.get('/api/aqiStandards', validateRequest(ROUTES.listAqiStandards), (req, res) => {
+  res.json({
+    default: DEFAULT_AQI_STANDARD,
+    standards: Object.keys(AQI_STANDARDS).map(describeAQIStandard)
+  });
+});
 
-// Get AQI category
-function getAQICategory(aqi) {
-  if (aqi <= 50) return 'Good';
-  if (aqi <= 100) return 'Moderate';
-  if (aqi <= 150) return 'Unhealthy for Sensitive Groups';
-  if (aqi <= 200) return 'Unhealthy';
-  if (aqi <= 300) return 'Very Unhealthy';
-  return 'Hazardous';
-}
+// Apply an AQI standard to standard-neutral air quality data: per-pollutant
+// sub-indices, overall index and dominant pollutant for each location
+function applyAQIStandard(data, standard) {
+  const locations = (data.locations || [])
+    .map(loc => {
+      const index = calculateAQI(loc.measurements, standard);
+      if (!index) return null;
+      return {
+        ...loc,
+        aqi: index.aqi,
+        aqiCategory: index.category,
+        color: index.color,
+        severity: index.severity,
+        dominantPollutant: index.dominantPollutant,
+        dominantPollutantLabel: index.dominantPollutantLabel,
+        subIndices: index.subIndices,
+        aqiNotes: index.notes
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.aqi - a.aqi)
+    .slice(0, 50);
 
-// Get AQI color
-function getAQIColor(aqi) {
-  if (aqi <= 50) return '#00e400';
-  if (aqi <= 100) return '#ffff00';
-  if (aqi <= 150) return '#ff7e00';
-  if (aqi <= 200) return '#ff0000';
-  if (aqi <= 300) return '#8f3f97';
-  return '#7e0023';
+  return {
+    ...data,
+    locations,
+    count: locations.length,
+    standard: describeAQIStandard(standard)
+  };
 }
 
+// MODEL PARAMETERS - limits the frontend applies before calling the models
+// (getRoofData `neighbours`) and the UHI weights its modelled heat layer uses,
+// so both sides read them from the models
+app.get('/api/modelParameters', validateRequest(ROUTES.getModelParameters), (req, res) => {
+  res.json({
+    shading: { maxNeighbours: SHADING_MAX_NEIGHBOURS, maxDistance: SHADING_MAX_DISTANCE },
+    heat: { neighbourRadius: NEIGHBOUR_RADIUS, tallBuildingHeight: TALL_BUILDING_HEIGHT, weights: UHI_WEIGHTS }
+  });
+});
+
+// API DOCUMENTATION - OpenAPI generated from routes/schemas.js, plus a browsable page
+const openApiDocument = buildOpenApiDocument(ROUTES, { errorSchema: ERROR_SCHEMA, version });
+const ENDPOINTS = Object.values(ROUTES).map(route => `${route.method.toUpperCase()} ${route.path}`);
+
+app.get('/api/openapi.json', validateRequest(ROUTES.getOpenApi), (req, res) => {
+  res.json({ ...openApiDocument, servers: [{ url: `${req.protocol}://${req.get('host')}` }] });
+});
+
+app.get('/api/docs', (req, res) => {
+  res.type('html').send(renderDocsPage());
+});
+
 // HEALTH CHECK
-app.get('/api/health', (req, res) => {
+app.get('/api/health', validateRequest(ROUTES.getHealth), (req, res) => {
+  const { degraded, upstreams } = getUpstreamStatus();
+  const notReady = readiness.latest?.status === 'NOT_READY';
   res.json({ 
-    status: 'OK', 
+    status: degraded.length > 0 || notReady ? 'DEGRADED' : 'OK', 
     message: 'RoofHarvest API is running - REAL DATA ONLY',
-    cacheSize: dataCache.size,
-    endpoints: [
-      'POST /api/getRoofData',
-      'POST /api/getHeatMap',
-      'POST /api/getBuildingDensityMap',
-      'POST /api/getRainfallForecast',
-      'POST /api/getAirQuality',
-      'GET /api/health'
-    ],
+    environment: config.env,
+    cacheSize: cache.size,
+    sensors: sensorStore.size,
+    lstRasters: lstStore.size,
+    cache: cache.getStats(),
+    providers: describeProviders(providers),
+    degraded,
+    readiness: readiness.latest?.status ?? null,
+    upstreams,
+    endpoints: ENDPOINTS,
     dataSources: [
       'NASA POWER (Real solar & temperature)',
-      'Open-Meteo Archive (Real historical precipitation)',
+      'Open-Meteo Archive (Multi-year precipitation climatology)',
       'Open-Meteo Forecast (Real rainfall forecast)',
       'OpenAQ v3 (Real air quality monitoring)',
-      'OpenStreetMap (via client for Building Density)'
+      'OpenStreetMap via Overpass (Building footprints, tiled cache)',
+      'Uploaded land surface temperature GeoTIFFs (e.g. Landsat thermal)'
     ],
     timestamp: new Date().toISOString()
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
+// Liveness: answering at all is the check
+app.get('/api/health/live', validateRequest(ROUTES.getLiveness), (req, res) => {
+  res.json({ status: 'OK', uptimeSeconds: parseFloat(process.uptime().toFixed(1)), timestamp: new Date().toISOString() });
+});
+
+// Readiness: 503 while any provider is down, so orchestrators stop routing traffic here
+app.get('/api/health/ready', validateRequest(ROUTES.getReadiness), async (req, res) => {
+  const result = await readiness.check({ force: req.query.refresh === 'true' });
+  res.status(result.status === 'READY' ? 200 : 503).json(result);
+});
+
+// PROMETHEUS METRICS - text exposition, scraped outside /api
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render({
+    cacheStats: cache.getStats(),
+    upstreams: getUpstreamStatus().upstreams,
+    readiness: readiness.latest
+  }));
+});
+
+// Unknown /api routes and every thrown error leave as { error: { code, message, details } }
+app.use('/api', notFound);
+app.use(errorHandler);
+
+// Start server when run directly; tests require the app and listen themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`
 ====================================================
           RoofHarvest Backend Server                   
               NO SYNTHETIC DATA                  
@@ -967,26 +1223,29 @@ app.listen(PORT, () => {
   Port: ${PORT}                                           
   URL: http://localhost:${PORT}                           
                                                        
-  Endpoints:                                           
-    POST /api/getRoofData                              
-    POST /api/getHeatMap                               
-    POST /api/getBuildingDensityMap                    
-    POST /api/getRainfallForecast                      
-    POST /api/getAirQuality                            
-    GET  /api/health                                   
+  Endpoints (${ENDPOINTS.length}, docs at http://localhost:${PORT}/api/docs, metrics at /metrics):
+${ENDPOINTS.map(endpoint => `    ${endpoint}`).join('\n')}
                                                        
   Real Data Sources:                                   
     - NASA POWER (Solar + Temperature)                
     - Open-Meteo Archive (Precipitation History)      
     - Open-Meteo (Rainfall Forecast)                  
     - OpenAQ v3 (Air Quality Monitoring)              
-    - OpenStreetMap (Building data via client)        
+    - OpenStreetMap (Tiled building footprints)       
+    - Uploaded LST rasters (${lstStore.size} loaded)
                                                        
   Features:
-    - Caching: ${dataCache.size} entries
-    - Rate limiting: 100ms between requests
+    - Caching: ${cache.size} persisted entries${config.server.adminToken ? '' : config.server.openAdminRoutes ? ' (admin routes open: OPEN_ADMIN_ROUTES is set)' : ' (admin routes disabled, set ADMIN_TOKEN)'}
+    - Environment: ${config.env}${config.configFile ? ` (${config.configFile})` : ''}
+    - NASA POWER window: ${nasaPowerRange(config.nasaPower).start}-${nasaPowerRange(config.nasaPower).end}
+    - Upstreams: ${config.upstream.maxRetries} retries, circuit opens after ${config.upstream.failureThreshold} failures for ${config.upstream.cooldownMs / 1000}s
+    - Providers: ${JSON.stringify(describeProviders(providers))}
     - All endpoints return isReal flag                 
-    - Failed API calls return 503 or error objects     
+    - Errors: { error: { code, message, details } }    
 ====================================================
-  `);
-});
\ No newline at end of file
+    `);
+    console.log('Configuration:', JSON.stringify(redactConfig(config)));
+  });
+}
+
+module.exports = { app };
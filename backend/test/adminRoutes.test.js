@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const express = require('express');
+
+// Saved presets are logged
+console.log = () => {};
+
+const { createAdminRouter } = require('../routes/admin');
+const { createSensorsRouter } = require('../routes/sensors');
+const { createLstRouter } = require('../routes/lst');
+const { createPriorityRouter } = require('../routes/priority');
+const { createCache } = require('../lib/cache');
+const { createSensorStore } = require('../lib/sensorStore');
+const { createLstStore } = require('../lib/lstStore');
+const { createPresetStore } = require('../lib/presetStore');
+const { errorHandler } = require('../lib/validation');
+
+// Every route behind requireAdminToken; past the guard these answer 200, 400 or 404
+const GUARDED = [
+  ['get', '/api/admin/cache'],
+  ['delete', '/api/admin/cache/missing'],
+  ['post', '/api/sensors/readings'],
+  ['delete', '/api/sensors/missing'],
+  ['post', '/api/lst'],
+  ['delete', '/api/lst/missing'],
+  ['delete', '/api/priority/presets/missing']
+];
+
+// The four routers over in-memory stores, with the given admin access options
+async function serve(t, access) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', createAdminRouter(createCache({ dir: null }), access));
+  app.use('/api/sensors', createSensorsRouter(createSensorStore({ dir: null }), access));
+  app.use('/api/lst', createLstRouter(createLstStore({ dir: null }), access));
+  app.use('/api/priority', createPriorityRouter(createPresetStore({ dir: null }), access));
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  await once(server, 'listening');
+  t.after(() => server.close());
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return async (method, path, { token, body } = {}) => {
+    const headers = {};
+    if (token) headers['X-Admin-Token'] = token;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: method.toUpperCase(),
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+}
+
+test('without ADMIN_TOKEN the guarded routes are closed and say how to open them', async (t) => {
+  const call = await serve(t, {});
+  for (const [method, path] of GUARDED) {
+    const { status, body } = await call(method, path);
+    assert.equal(status, 401, `${method} ${path}`);
+    assert.equal(body.error.code, 'UNAUTHORIZED');
+    assert.match(body.error.message, /set ADMIN_TOKEN \(or OPEN_ADMIN_ROUTES=true/);
+  }
+  // Reads, scoring and preset saves stay open
+  assert.equal((await call('get', '/api/sensors')).status, 200);
+  assert.equal((await call('get', '/api/lst')).status, 200);
+  const saved = await call('post', '/api/priority/presets', { body: { name: 'Heat only', criteria: { heat: { weight: 1 } } } });
+  assert.equal(saved.status, 201);
+});
+
+test('with ADMIN_TOKEN the guarded routes need it in X-Admin-Token', async (t) => {
+  // OPEN_ADMIN_ROUTES doesn't loosen a configured token
+  const call = await serve(t, { adminToken: 'secret', openAdminRoutes: true });
+  for (const [method, path] of GUARDED) {
+    for (const token of [undefined, 'wrong']) {
+      const { status, body } = await call(method, path, { token });
+      assert.equal(status, 401, `${method} ${path} with ${token}`);
+      assert.equal(body.error.message, 'Invalid or missing X-Admin-Token');
+    }
+    assert.notEqual((await call(method, path, { token: 'secret' })).status, 401, `${method} ${path}`);
+  }
+});
+
+test('OPEN_ADMIN_ROUTES opens the guarded routes when no token is configured', async (t) => {
+  const call = await serve(t, { openAdminRoutes: true });
+  for (const [method, path] of GUARDED) {
+    assert.notEqual((await call(method, path)).status, 401, `${method} ${path}`);
+  }
+});
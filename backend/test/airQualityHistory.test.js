@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { summariseHistory } = require('../models/airQualityHistory');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const DHAKA = { timezone: 'Asia/Dhaka' }; // UTC+6, no daylight saving
+
+// `days` local Dhaka days from `firstDate`, with `hoursFor(day)` hourly values of `valueFor(day)`
+function history({ firstDate, days, valueFor = () => 30, hoursFor = () => 24, parameter = 'pm25' }) {
+  const localMidnight = Date.parse(`${firstDate}T00:00:00+06:00`);
+  const hourly = [];
+  for (let day = 0; day < days; day++) {
+    for (let hour = 0; hour < hoursFor(day); hour++) {
+      hourly.push({ time: new Date(localMidnight + day * DAY + hour * HOUR).toISOString(), value: valueFor(day) });
+    }
+  }
+  return { parameter, unit: 'µg/m³', hourly, location: DHAKA };
+}
+
+const windowEnding = (date) => ({ to: new Date(`${date}T23:00:00Z`) });
+
+test('days are calendar days in the station time zone', () => {
+  // 00:00-23:00 Dhaka time is 18:00 UTC the day before to 17:00 UTC
+  const summary = summariseHistory(history({ firstDate: '2024-01-02', days: 1 }), windowEnding('2024-01-02'));
+  assert.equal(summary.hours, 24);
+  assert.deepEqual(summary.daily, [{ date: '2024-01-02', mean: 30, max: 30, hours: 24, valid: true }]);
+
+  const utc = summariseHistory({ ...history({ firstDate: '2024-01-02', days: 1 }), location: {} }, windowEnding('2024-01-02'));
+  assert.deepEqual(utc.daily.map(d => [d.date, d.hours]), [['2024-01-01', 6], ['2024-01-02', 18]]);
+});
+
+test('days with fewer than 18 hours are reported but left out of means and exceedances', () => {
+  const series = history({
+    firstDate: '2024-03-01',
+    days: 3,
+    valueFor: day => [20, 100, 40][day],
+    hoursFor: day => [18, 17, 24][day]
+  });
+  const summary = summariseHistory(series, windowEnding('2024-03-03'));
+  assert.deepEqual(summary.daily.map(d => d.valid), [true, false, true]);
+  assert.equal(summary.validDays, 2);
+  assert.equal(summary.mean, 30);
+  assert.equal(summary.exceedances.bangladesh24h.days, 0, 'the 100 µg/m³ day is incomplete');
+});
+
+test('exceedance days count valid daily means above the 24-hour limits', () => {
+  // Daily means 10, 20, 70 and 15: two above WHO's 15, one above Bangladesh's 65
+  const series = history({ firstDate: '2024-03-01', days: 4, valueFor: day => [10, 20, 70, 15][day] });
+  const { exceedances, guidelines } = summariseHistory(series, windowEnding('2024-03-04'));
+  assert.deepEqual(exceedances.who24h, { limit: guidelines.who24h, days: 2, percentOfValidDays: 50 });
+  assert.deepEqual(exceedances.bangladesh24h, { limit: guidelines.national24h, days: 1, percentOfValidDays: 25 });
+});
+
+test('the annual mean covers the last 365 days and says whether it is representative', () => {
+  // 400 days: the first 35 at 100 µg/m³ fall outside the annual window
+  const full = history({ firstDate: '2023-01-01', days: 400, valueFor: day => (day < 35 ? 100 : 40) });
+  const lastDate = new Date(Date.parse('2023-01-01') + 399 * DAY).toISOString().slice(0, 10);
+  const { annualMean } = summariseHistory(full, windowEnding(lastDate));
+  assert.equal(annualMean.value, 40);
+  assert.equal(annualMean.validDays, 365);
+  assert.equal(annualMean.representative, true);
+  assert.equal(annualMean.exceedsWho, true);
+  assert.equal(annualMean.exceedsNational, true);
+
+  // 200 days of the year is 55% coverage, below the 75% needed
+  const partial = history({ firstDate: '2023-06-01', days: 200, valueFor: () => 20 });
+  const partialEnd = new Date(Date.parse('2023-06-01') + 199 * DAY).toISOString().slice(0, 10);
+  const partialMean = summariseHistory(partial, windowEnding(partialEnd)).annualMean;
+  assert.equal(partialMean.coverage, 0.55);
+  assert.equal(partialMean.representative, false);
+  assert.equal(partialMean.exceedsNational, false);
+});
+
+test('the trend is the Theil-Sen slope, significant only past the Mann-Kendall threshold', () => {
+  const rising = summariseHistory(history({ firstDate: '2024-01-01', days: 30, valueFor: day => 20 + day }), windowEnding('2024-01-30'));
+  assert.equal(rising.trend.direction, 'rising');
+  assert.equal(rising.trend.slopePerYear, 365);
+
+  // One outlier doesn't move the median of pairwise slopes
+  const spiked = summariseHistory(history({ firstDate: '2024-01-01', days: 30, valueFor: day => (day === 29 ? 500 : 80 - day) }), windowEnding('2024-01-30'));
+  assert.equal(spiked.trend.direction, 'falling');
+  assert.equal(spiked.trend.slopePerYear, -365);
+
+  const flat = summariseHistory(history({ firstDate: '2024-01-01', days: 30 }), windowEnding('2024-01-30'));
+  assert.deepEqual(flat.trend, { direction: 'stable', slopePerYear: 0, z: 0 });
+
+  const short = summariseHistory(history({ firstDate: '2024-01-01', days: 9, valueFor: day => day }), windowEnding('2024-01-09'));
+  assert.deepEqual(short.trend, { direction: 'insufficient data', slopePerYear: null, z: null });
+});
+
+test('pollutants without guidelines get means and trend but no exceedances', () => {
+  const summary = summariseHistory(history({ firstDate: '2024-01-01', days: 12, parameter: 'no2' }), windowEnding('2024-01-12'));
+  assert.equal(summary.mean, 30);
+  assert.equal(summary.guidelines, null);
+  assert.equal(summary.exceedances, null);
+  assert.equal(summary.annualMean.exceedsWho, null);
+  assert.equal(summary.trend.direction, 'stable');
+});
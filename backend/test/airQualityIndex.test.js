@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateAQI } = require('../models/airQualityIndex');
+
+const pm25 = (value, standard) => calculateAQI({ pm25: { value, unit: 'µg/m³' } }, standard);
+
+test('sub-indices interpolate within breakpoint rows and jump at their edges', () => {
+  assert.equal(pm25(9.0).aqi, 50);
+  assert.equal(pm25(9.1).aqi, 51);
+  assert.equal(pm25(9.05).aqi, 51); // between rows: the upper row's low index
+  assert.equal(pm25(22.25).aqi, 76); // halfway through 9.1-35.4 -> 51-100
+  assert.equal(pm25(35.4).category, 'Moderate');
+  assert.equal(pm25(35.5).category, 'Unhealthy for Sensitive Groups');
+  assert.equal(pm25(-1), null);
+});
+
+test('values above the top band are capped, except on open-ended scales', () => {
+  const hazardous = pm25(900);
+  assert.equal(hazardous.aqi, 500);
+  assert.equal(hazardous.category, 'Hazardous');
+  assert.equal(hazardous.severity, 1);
+  // CAQI extends its last row (55-110 µg/m³ -> 75-100)
+  assert.equal(pm25(165, 'eu-caqi').aqi, 125);
+  assert.equal(pm25(165, 'eu-caqi').category, 'Very High');
+});
+
+test('the dominant pollutant sets the index and units are converted', () => {
+  const result = calculateAQI({
+    pm25: { value: 5, unit: 'µg/m³' },
+    no2: { value: 0.2, unit: 'ppm' }
+  });
+  assert.equal(result.dominantPollutant, 'no2');
+  assert.equal(result.subIndices.no2.concentration, 200);
+  assert.equal(result.subIndices.no2.unit, 'ppb');
+});
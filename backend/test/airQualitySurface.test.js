@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { interpolateAirQuality } = require('../models/airQualitySurface');
+
+function station(id, latitude, longitude, value) {
+  return { id, latitude, longitude, measurements: { pm25: { value, unit: 'µg/m³' } } };
+}
+
+// One row of three 0.01° cells with a station on the centre of each end cell
+const bounds = { west: 90.0, east: 90.03, south: 23.7, north: 23.709 };
+const stations = [station(1, 23.705, 90.005, 50), station(2, 23.705, 90.025, 10)];
+
+test('IDW returns the station value with no uncertainty on a station cell', () => {
+  const surface = interpolateAirQuality(stations, bounds, { gridSize: 3, standard: 'us-epa' });
+  const [west, middle, east] = surface.cells;
+  assert.equal(surface.cells.length, 3);
+
+  assert.equal(west.pm25, 50);
+  assert.equal(west.spread, 0);
+  assert.equal(west.uncertainty, 0);
+  assert.equal(west.nearestStationKm, 0);
+  assert.equal(east.pm25, 10);
+
+  // Equidistant from both: their mean, with half their difference as spread
+  assert.equal(middle.pm25, 30);
+  assert.equal(middle.spread, 20);
+  assert.equal(middle.uncertainty, 0.1); // ~1.02 km of a 10 km correlation range
+});
+
+test('cells beyond the maximum distance of every station stay empty', () => {
+  const far = interpolateAirQuality([station(1, 24.5, 90.01, 50)], bounds, { gridSize: 3, standard: 'us-epa' });
+  assert.deepEqual(far.cells, []);
+  assert.equal(interpolateAirQuality([], bounds, { standard: 'us-epa' }), null);
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveBuildingHeight, heightFromProperties } = require('../models/buildingHeight');
+
+test('a height tag wins over levels and keeps min_height as the base', () => {
+  assert.deepEqual(resolveBuildingHeight({ height: '38.4', levels: '12' }), { height: 38.4, minHeight: 0, levels: 12, source: 'height' });
+  // Storeys are estimated from the volume above the base when untagged
+  assert.deepEqual(resolveBuildingHeight({ height: '20', minHeight: '8' }), { height: 20, minHeight: 8, levels: 4, source: 'height' });
+  assert.deepEqual(resolveBuildingHeight({ height: 2 }), { height: 2, minHeight: 0, levels: 1, source: 'height' });
+  // OSM values with a unit suffix still parse
+  assert.equal(resolveBuildingHeight({ height: '12 m' }).height, 12);
+});
+
+test('levels give the height when the height tag is missing, unusable or below the base', () => {
+  assert.deepEqual(resolveBuildingHeight({ levels: '5' }), { height: 15, minHeight: 0, levels: 5, source: 'levels' });
+  assert.deepEqual(resolveBuildingHeight({ height: 'tall', levels: 3, minHeight: 4.5 }), { height: 13.5, minHeight: 4.5, levels: 3, source: 'levels' });
+  assert.equal(resolveBuildingHeight({ height: '6', levels: '4', minHeight: '6' }).source, 'levels');
+  assert.equal(resolveBuildingHeight({ height: '-3', levels: '4' }).source, 'levels');
+});
+
+test('untagged footprints fall back to a two-storey low-rise', () => {
+  assert.deepEqual(resolveBuildingHeight(), { height: 6, minHeight: 0, levels: 2, source: 'default' });
+  assert.deepEqual(resolveBuildingHeight({ height: '', levels: '0' }), { height: 6, minHeight: 0, levels: 2, source: 'default' });
+  // A building part starting 10 m up gets the default storeys on top of its base
+  assert.deepEqual(resolveBuildingHeight({ minHeight: '10' }), { height: 16, minHeight: 10, levels: 2, source: 'default' });
+});
+
+test('request properties are taken as resolved, or read as raw OSM tags', () => {
+  // Our own GeoJSON properties carry heightSource and are not re-derived
+  assert.deepEqual(heightFromProperties({ height: 7, levels: 2, minHeight: 1, heightSource: 'levels' }),
+    { height: 7, minHeight: 1, levels: 2, source: 'levels' });
+  assert.deepEqual(heightFromProperties({ height: 9, heightSource: 'height' }), { height: 9, minHeight: 0, levels: 2, source: 'height' });
+  // Tags from other tools use OSM key names
+  assert.deepEqual(heightFromProperties({ 'building:levels': '4', min_height: '3' }), { height: 15, minHeight: 3, levels: 4, source: 'levels' });
+  assert.deepEqual(heightFromProperties({ height: null, heightSource: 'height' }), { height: 6, minHeight: 0, levels: 2, source: 'default' });
+  assert.equal(heightFromProperties().source, 'default');
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createCache } = require('../lib/cache');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofharvest-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('entries deleted right after being set stay deleted after a restart', async (t) => {
+  const dir = tempDir(t);
+  const cache = createCache({ dir });
+  cache.set('solar', 23.81, 90.41, { kwh: 1 });
+  cache.remove(cache.list()[0].key);
+  cache.set('temp', 23.81, 90.41, { celsius: 30 });
+  cache.purge({ type: 'temp' });
+  cache.set('precip', 23.81, 90.41, { mm: 1 });
+  cache.purge({ type: 'precip' });
+  cache.set('precip', 23.81, 90.41, { mm: 2 });
+  await cache.flush();
+
+  const restarted = createCache({ dir });
+  assert.equal(restarted.size, 1);
+  assert.equal(restarted.get('solar', 23.81, 90.41), null);
+  assert.equal(restarted.get('temp', 23.81, 90.41), null);
+  assert.deepEqual(restarted.get('precip', 23.81, 90.41), { mm: 2 });
+});
+
+test('a restart with a lower maxEntries keeps only the most recently set entries', async (t) => {
+  const dir = tempDir(t);
+  const cache = createCache({ dir });
+  for (const [i, lat] of [23.81, 23.82, 23.83, 23.84].entries()) {
+    cache.set('solar', lat, 90.41, { kwh: i });
+    // Distinct lastAccess times, which order the entries on reload
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+  cache.get('solar', 23.81, 90.41); // hits are not persisted
+  await cache.flush();
+
+  const smaller = createCache({ dir, maxEntries: 2 });
+  assert.equal(smaller.size, 2);
+  assert.equal(smaller.getStats().evictions, 2);
+  assert.equal(smaller.get('solar', 23.81, 90.41), null);
+  assert.equal(smaller.get('solar', 23.82, 90.41), null);
+  assert.deepEqual(smaller.get('solar', 23.84, 90.41), { kwh: 3 });
+  await smaller.flush();
+
+  // The evicted entries' files are gone too
+  assert.equal(createCache({ dir }).size, 2);
+});
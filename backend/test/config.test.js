@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, nasaPowerRange, cacheTtls, redactConfig, ConfigError } = require('../lib/config');
+
+// Loads with only the given environment and, when `file` is set, that JSON as CONFIG_FILE
+function load(t, env, file = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofharvest-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configFile = path.join(dir, 'config.json');
+  fs.writeFileSync(configFile, typeof file === 'string' ? file : JSON.stringify(file));
+  return loadConfig({ CONFIG_FILE: configFile, ...env });
+}
+
+function problemsOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    return error.problems;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+test('profiles, the config file and environment variables override in that order', (t) => {
+  const development = load(t, { OPENAQ_API_KEY: 'key' });
+  assert.equal(development.env, 'development');
+  assert.equal(development.providers.default, 'http');
+  assert.equal(development.cache.maxEntries, 1000);
+  assert.equal(development.cache.dir, path.resolve(__dirname, '..', '.cache'));
+  assert.equal(development.server.openAdminRoutes, false, 'admin routes are closed until opted in');
+
+  const testing = load(t, { APP_ENV: 'test' });
+  assert.equal(testing.providers.default, 'fixture');
+  assert.equal(testing.server.openAdminRoutes, true);
+  assert.deepEqual([testing.cache.dir, testing.sensors.dir, testing.lst.dir, testing.priority.dir], [null, null, null, null]);
+
+  const file = {
+    cache: { maxEntries: 200 },
+    environments: { test: { cache: { maxEntries: 300 }, precipitation: { years: 5 } } }
+  };
+  const layered = load(t, { APP_ENV: 'test', PRECIPITATION_YEARS: '3' }, file);
+  assert.equal(layered.cache.maxEntries, 300, 'environments.test beats the top level');
+  assert.equal(layered.precipitation.years, 3, 'the environment variable beats the file');
+  assert.ok(layered.configFile.endsWith('config.json'));
+});
+
+test('every invalid setting is reported at once', (t) => {
+  const problems = problemsOf(() => load(t, {
+    APP_ENV: 'test',
+    PORT: '70000',
+    OPEN_ADMIN_ROUTES: 'yes',
+    DATA_PROVIDER: 'ftp',
+    NASA_POWER_START: '20240230',
+    CACHE_MAX_ENTRIES: '1.5'
+  }, { cache: { maxEntrys: 10 }, sensors: 'off' }));
+  assert.deepEqual(problems, [
+    'PORT must be an integer between 1 and 65535 (got "70000")',
+    'OPEN_ADMIN_ROUTES must be true or false (got "yes")',
+    'DATA_PROVIDER must be one of http, fixture (got "ftp")',
+    'NASA_POWER_START must be a date as YYYYMMDD (got "20240230")',
+    'CACHE_MAX_ENTRIES must be an integer between 1 and 1000000 (got "1.5")',
+    'cache.maxEntrys is not a known setting',
+    'sensors must be an object'
+  ]);
+});
+
+test('settings that only make sense together are checked together', (t) => {
+  assert.deepEqual(problemsOf(() => load(t, { APP_ENV: 'test', NASA_POWER_START: '20240101' })), [
+    'NASA_POWER_START and NASA_POWER_END must be set together (or neither, for a rolling window)'
+  ]);
+  assert.deepEqual(problemsOf(() => load(t, { APP_ENV: 'test', NASA_POWER_START: '20240601', NASA_POWER_END: '20240101' })), [
+    'NASA_POWER_START (20240601) must be before NASA_POWER_END (20240101)'
+  ]);
+  // The OpenAQ provider needs a key; production also needs an admin token
+  const production = problemsOf(() => load(t, { APP_ENV: 'production' }));
+  assert.equal(production.length, 2);
+  assert.match(production[0], /^OPENAQ_API_KEY is required/);
+  assert.match(production[1], /^ADMIN_TOKEN is required in production/);
+  assert.equal(load(t, { APP_ENV: 'production', OPENAQ_API_KEY: 'key', ADMIN_TOKEN: 'secret' }).cache.maxEntries, 5000);
+  // Open admin routes are a development convenience only
+  assert.deepEqual(problemsOf(() => load(t, { APP_ENV: 'production', OPENAQ_API_KEY: 'key', ADMIN_TOKEN: 'secret', OPEN_ADMIN_ROUTES: '1' })), [
+    'OPEN_ADMIN_ROUTES is for local development and can\'t be used in production'
+  ]);
+});
+
+test('an unknown environment or unreadable config file stops startup', (t) => {
+  assert.deepEqual(problemsOf(() => loadConfig({ APP_ENV: 'staging' })), [
+    'APP_ENV/NODE_ENV must be one of development, test, production (got "staging")'
+  ]);
+  const missing = path.join(os.tmpdir(), 'roofharvest-no-such-config.json');
+  assert.deepEqual(problemsOf(() => loadConfig({ APP_ENV: 'test', CONFIG_FILE: missing })), [
+    `CONFIG_FILE ${missing} does not exist`
+  ]);
+  const [invalid] = problemsOf(() => load(t, { APP_ENV: 'test' }, '{ "cache": '));
+  assert.match(invalid, /config\.json is not valid JSON/);
+});
+
+test('secrets are masked and derived settings computed from the loaded config', (t) => {
+  const config = load(t, { APP_ENV: 'test', ADMIN_TOKEN: 'secret', CACHE_TTL_FORECAST: '60', NASA_POWER_WINDOW_DAYS: '30' });
+  const redacted = redactConfig(config);
+  assert.equal(redacted.server.adminToken, '***');
+  assert.equal(redacted.openAQ.apiKey, null);
+  assert.equal(redacted.server.port, 3001);
+  assert.equal(config.server.adminToken, 'secret', 'the loaded config itself is untouched');
+
+  assert.deepEqual(cacheTtls(config.cache), { forecast: 60000 });
+  // Rolling window: 30 days ending 7 days before "now"
+  assert.deepEqual(nasaPowerRange(config.nasaPower, new Date('2025-03-20T12:00:00Z')), { start: '20250211', end: '20250313' });
+  assert.deepEqual(nasaPowerRange({ ...config.nasaPower, start: '20240101', end: '20241231' }), { start: '20240101', end: '20241231' });
+});
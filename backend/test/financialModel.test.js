@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  calculateFinancials,
+  calculateNPV,
+  calculateIRR,
+  calculatePayback,
+  resolveFinancialProfile
+} = require('../models/financialModel');
+
+test('NPV discounts each year from year 0', () => {
+  // -100 + 60/1.1 + 60/1.21
+  assert.ok(Math.abs(calculateNPV([-100, 60, 60], 0.1) - 4.132) < 0.001);
+  assert.equal(calculateNPV([-100, 60, 60], 0), 20);
+});
+
+test('IRR is the rate where NPV is zero, null without a sign change', () => {
+  // 60x + 60x² = 100 with x = 1 / (1 + r)
+  const irr = calculateIRR([-100, 60, 60]);
+  assert.ok(Math.abs(irr - 0.1307) < 0.0001);
+  assert.ok(Math.abs(calculateNPV([-100, 60, 60], irr)) < 1e-4);
+  assert.equal(calculateIRR([100, 60, 60]), null);
+});
+
+test('payback interpolates within the year and is null when savings never cover the cost', () => {
+  assert.ok(Math.abs(calculatePayback([-100, 60, 60]) - 5 / 3) < 1e-9);
+  assert.equal(calculatePayback([-100, 50, 50]), 2);
+  assert.equal(calculatePayback([-100, 10, 10, 10]), null);
+});
+
+test('LCOE is discounted cost over discounted output', () => {
+  const result = calculateFinancials({
+    solarPotential: { systemSizeKwp: 1, annualEnergy: 1000 },
+    rainwaterPotential: null,
+    latitude: 0,
+    longitude: 0,
+    overrides: {
+      discountRate: 0.1,
+      analysisYears: 2,
+      solar: { capexPerKwp: 1000, omRate: 0, degradation: 0, tariffEscalation: 0, subsidy: null }
+    }
+  });
+  // 1000 / (1000 / 1.1 + 1000 / 1.21)
+  assert.equal(result.solar.lcoe, 0.576);
+  assert.equal(result.solar.capex, 1000);
+});
+
+test('unknown country codes fall back to the coordinates and say so', () => {
+  assert.equal(resolveFinancialProfile(23.8, 90.4, 'in').countrySource, 'specified');
+  const unknown = resolveFinancialProfile(23.8, 90.4, 'XX');
+  assert.equal(unknown.code, 'BD');
+  assert.equal(unknown.countrySource, 'estimated from coordinates');
+});
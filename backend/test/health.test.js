@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+
+process.env.APP_ENV = 'test';
+console.log = () => {};
+
+const { app } = require('../server');
+const { createReadinessChecker } = require('../lib/health');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('readiness probes every fixture provider', async () => {
+  const response = await fetch(`${baseUrl}/api/health/ready?refresh=true`);
+  const body = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(body.status, 'READY');
+  assert.deepEqual(Object.keys(body.checks).sort(),
+    ['airQuality', 'buildings', 'forecast', 'precipitation', 'solar', 'temperature']);
+  Object.values(body.checks).forEach(check => {
+    assert.equal(check.status, 'up');
+    assert.equal(check.provider, 'fixture');
+    assert.ok(check.lastSuccess);
+  });
+});
+
+test('a failing provider makes readiness NOT_READY and reports its breaker state', async () => {
+  const providers = {
+    solar: { name: 'http', upstreams: ['nasaPower'], probe: async () => { throw new Error('ENOTFOUND'); } },
+    forecast: { name: 'fixture', upstreams: [], probe: async () => {} }
+  };
+  const checker = createReadinessChecker(providers, { upstreamStatus: () => ({ state: 'open' }) });
+  const result = await checker.check();
+  assert.equal(result.status, 'NOT_READY');
+  assert.deepEqual(result.down, ['solar']);
+  assert.deepEqual(result.checks.solar.upstreams, { nasaPower: 'open' });
+  assert.equal(result.checks.solar.error, 'ENOTFOUND');
+  assert.equal(result.checks.solar.lastSuccess, null);
+  assert.equal(await checker.check(), result, 'results are reused within the TTL');
+});
+
+test('metrics expose request, cache and readiness series in Prometheus format', async () => {
+  await fetch(`${baseUrl}/api/sensors`);
+  const response = await fetch(`${baseUrl}/metrics`);
+  const text = await response.text();
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/plain/);
+
+  assert.match(text, /^# TYPE roofharvest_http_requests_total counter$/m);
+  assert.match(text, /^roofharvest_http_requests_total\{method="GET",route="\/api\/sensors",status="200"\} 1$/m);
+  assert.match(text, /^roofharvest_http_request_duration_seconds_bucket\{method="GET",route="\/api\/sensors",le="\+Inf"\} 1$/m);
+  assert.match(text, /^roofharvest_cache_hit_ratio /m);
+  assert.match(text, /^roofharvest_provider_up\{domain="solar",provider="fixture"\} 1$/m);
+});
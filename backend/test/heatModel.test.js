@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildNeighbourIndex, NEIGHBOUR_RADIUS } = require('../models/heatModel');
+const { haversineDistance } = require('../lib/geometry');
+
+function building(id, lat, lng) {
+  return { id, centroid: { lat, lng } };
+}
+
+// Every building checked against every other one
+function bruteForceCount(buildings, target) {
+  return buildings.filter(other => other.id !== target.id && haversineDistance(
+    target.centroid.lat, target.centroid.lng, other.centroid.lat, other.centroid.lng
+  ) < NEIGHBOUR_RADIUS).length;
+}
+
+// Deterministic scatter of buildings over roughly 600 × 600 m around (lat, lng)
+function scatter(lat, lng, count) {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const lngSpan = 0.0054 / Math.cos(lat * Math.PI / 180);
+  return Array.from({ length: count }, (_, id) => building(id, lat + random() * 0.0054, lng + random() * lngSpan));
+}
+
+test('a building 90 m due west counts as a neighbour away from the equator', () => {
+  // At 51.5°N, 90 m is ~0.0013° of longitude: more than one equator-sized cell
+  const lngOffset = 90 / (111195 * Math.cos(51.5 * Math.PI / 180));
+  const home = building('home', 51.5, -0.1);
+  const west = building('west', 51.5, -0.1 - lngOffset);
+  const index = buildNeighbourIndex([home, west]);
+  assert.equal(index.countNeighbours(home), 1);
+  assert.equal(index.countNeighbours(west), 1);
+});
+
+test('grid counts match the all-pairs count at low and high latitudes', () => {
+  [[23.81, 90.41], [51.5, -0.1], [-33.9, 18.4], [69.65, 18.96]].forEach(([lat, lng]) => {
+    const buildings = scatter(lat, lng, 300);
+    const index = buildNeighbourIndex(buildings);
+    buildings.forEach(b => {
+      assert.equal(index.countNeighbours(b), bruteForceCount(buildings, b), `building ${b.id} near ${lat}, ${lng}`);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { heatIndex, wetBulbTemperature, summariseHeatStress } = require('../models/heatStress');
+const { calculateDayNightHeat } = require('../models/heatModel');
+
+test('heat index follows the NWS table', () => {
+  // 95 °F at 60 % RH reads 113-114 °F; below ~80 °F the simple formula stays near air temperature
+  assert.ok(Math.abs(heatIndex(35, 60) - 45.3) < 0.5);
+  assert.ok(Math.abs(heatIndex(20, 50) - 19.4) < 0.5);
+});
+
+test('wet-bulb temperature matches Stull (2011)', () => {
+  assert.ok(Math.abs(wetBulbTemperature(20, 50) - 13.7) < 0.1);
+});
+
+test('summary counts hot days and nights and skips fill values', () => {
+  const series = { mean: {}, max: {}, min: {}, humidity: {} };
+  ['20240601', '20240602', '20240603', '20240604'].forEach((date, i) => {
+    series.mean[date] = 30;
+    series.max[date] = [36, 34, 37, -999][i];
+    series.min[date] = [27, 24, 19, 26][i];
+    series.humidity[date] = 70;
+  });
+
+  const summary = summariseHeatStress(series);
+  assert.equal(summary.days, 3);
+  assert.equal(summary.hotDays, 2);
+  assert.equal(summary.tropicalNights, 2);
+  assert.equal(summary.hotNights, 1);
+  assert.equal(summary.heatIndex.maxDate, '20240603');
+  assert.equal(summariseHeatStress({ mean: series.mean }), null);
+});
+
+test('nighttime UHI weighs canyon density and height over roof size', () => {
+  const tallDense = calculateDayNightHeat({ area: 100, height: 30 }, 15, { day: 31, night: 22 });
+  assert.ok(tallDense.night.uhiAdjustment > tallDense.day.uhiAdjustment);
+
+  const largeRoof = calculateDayNightHeat({ area: 1000, height: 3 }, 0, { day: 31, night: 22 });
+  assert.ok(largeRoof.day.uhiAdjustment > largeRoof.night.uhiAdjustment);
+  assert.equal(largeRoof.day.baselineTemperature, 31);
+  assert.equal(largeRoof.night.baselineTemperature, 22);
+});
@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { readGeoTiff, GeoTiffError } = require('../lib/geotiff');
+const { getProjection } = require('../lib/projection');
+const { createLstStore } = require('../lib/lstStore');
+
+// Synthetic Landsat-style ST_B10 band: UInt16 scaled Kelvin, UTM 46N, 30 m,
+// Deflate + horizontal predictor, a cool lake and a nodata "cloud" in the south-west
+const FIXTURE = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'lst-dhaka.tif'));
+const LANDSAT = { units: 'kelvin', scale: 0.00341802, offset: 149 };
+
+function storeWithFixture() {
+  const store = createLstStore();
+  store.add(FIXTURE, { name: 'Dhaka', acquired: '2024-05-12', ...LANDSAT });
+  return store;
+}
+
+test('reads the GeoTIFF band, georeferencing and GDAL nodata', () => {
+  const image = readGeoTiff(FIXTURE);
+  assert.equal(image.width, 140);
+  assert.equal(image.height, 151);
+  assert.equal(image.epsg, 32646);
+  assert.deepEqual(image.transform, { originX: 234000, originY: 2636760, pixelWidth: 30, pixelHeight: 30 });
+  assert.equal(image.noData, 0);
+  assert.equal(image.values[image.values.length - image.width], 0, 'south-west corner is masked');
+});
+
+// Minimal little-endian, single-strip Float32 GeoTIFF in EPSG:4326 whose header
+// can claim any size and whose strip holds whatever bytes are passed in
+function syntheticTiff(width, height, strip) {
+  const SHORT = 3, LONG = 4, DOUBLE = 12;
+  const entries = [
+    [256, LONG, [width]],
+    [257, LONG, [height]],
+    [258, SHORT, [32]],
+    [259, SHORT, [8]], // Deflate
+    [273, LONG, [0]], // strip offset, patched below
+    [278, LONG, [height]],
+    [279, LONG, [strip.length]],
+    [339, SHORT, [3]], // IEEE float
+    [33550, DOUBLE, [0.001, 0.001, 0]],
+    [33922, DOUBLE, [0, 0, 0, 90.4, 23.8, 0]],
+    [34735, SHORT, [1, 1, 0, 2, 1024, 0, 1, 2, 2048, 0, 1, 4326]]
+  ];
+  const sizes = { [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8 };
+  const ifdLength = 2 + entries.length * 12 + 4;
+  const extra = entries.reduce((sum, [, type, values]) => {
+    const length = sizes[type] * values.length;
+    return sum + (length > 4 ? length : 0);
+  }, 0);
+  const stripOffset = 8 + ifdLength + extra;
+  const buffer = Buffer.alloc(stripOffset + strip.length);
+  buffer.write('II', 0, 'latin1');
+  buffer.writeUInt16LE(42, 2);
+  buffer.writeUInt32LE(8, 4);
+  buffer.writeUInt16LE(entries.length, 8);
+
+  let extraOffset = 8 + ifdLength;
+  entries.forEach(([tag, type, values], i) => {
+    const entry = 10 + i * 12;
+    const length = sizes[type] * values.length;
+    const at = length > 4 ? extraOffset : entry + 8;
+    buffer.writeUInt16LE(tag, entry);
+    buffer.writeUInt16LE(type, entry + 2);
+    buffer.writeUInt32LE(values.length, entry + 4);
+    if (length > 4) {
+      buffer.writeUInt32LE(extraOffset, entry + 8);
+      extraOffset += length;
+    }
+    values.forEach((value, k) => {
+      const where = at + k * sizes[type];
+      if (tag === 273) buffer.writeUInt32LE(stripOffset, where);
+      else if (type === SHORT) buffer.writeUInt16LE(value, where);
+      else if (type === LONG) buffer.writeUInt32LE(value, where);
+      else buffer.writeDoubleLE(value, where);
+    });
+  });
+  strip.copy(buffer, stripOffset);
+  return buffer;
+}
+
+test('synthetic GeoTIFFs read back, so the limits below are what rejects them', () => {
+  const pixels = Buffer.alloc(8);
+  pixels.writeFloatLE(31.5, 0);
+  pixels.writeFloatLE(-2, 4);
+  const image = readGeoTiff(syntheticTiff(2, 1, zlib.deflateSync(pixels)));
+  assert.equal(image.epsg, 4326);
+  assert.deepEqual(Array.from(image.values), [31.5, -2]);
+});
+
+test('Deflate strips may not inflate past their decoded size', () => {
+  // 4 bytes of pixel data behind a ~50 kB stream that inflates to 50 MB
+  const bomb = zlib.deflateSync(Buffer.alloc(50e6));
+  assert.throws(() => readGeoTiff(syntheticTiff(1, 1, bomb)), err =>
+    err instanceof GeoTiffError && /expands past the 4-byte/.test(err.message));
+});
+
+test('rasters over the pixel limit are refused before decoding', () => {
+  // The header alone claims 900 million pixels; the strip is never read
+  assert.throws(() => readGeoTiff(syntheticTiff(30000, 30000, Buffer.alloc(4))), err =>
+    err instanceof GeoTiffError && /clip or resample it to at most 64 million/.test(err.message));
+});
+
+test('UTM projection round-trips and matches a known Dhaka position', () => {
+  const utm46 = getProjection(32646);
+  const [x, y] = utm46.forward([90.4125, 23.8103]);
+  assert.ok(Math.abs(x - 236377.4) < 0.5 && Math.abs(y - 2635628.6) < 0.5);
+  const [lng, lat] = utm46.inverse([x, y]);
+  assert.ok(Math.abs(lng - 90.4125) < 1e-7 && Math.abs(lat - 23.8103) < 1e-7);
+  assert.throws(() => getProjection(27700), /not supported/);
+});
+
+test('samples footprints and grid cells in °C, skipping nodata', () => {
+  const store = storeWithFixture();
+  const lake = [[90.4150, 23.7920], [90.4170, 23.7920], [90.4170, 23.7980], [90.4150, 23.7980]];
+  const result = store.sample({
+    bounds: { north: 23.80, south: 23.78, east: 90.42, west: 90.39 },
+    gridSize: 10,
+    buildings: [{ id: 'lake', footprint: lake }]
+  });
+
+  assert.equal(result.covered, true);
+  assert.ok(result.coverage < 1, 'cloud-masked cells are left out');
+  const [lakeSample] = result.buildings;
+  assert.equal(lakeSample.method, 'footprint');
+  assert.ok(lakeSample.pixels > 20);
+  assert.ok(lakeSample.temperature < 32 && lakeSample.temperature > 25, `lake at ${lakeSample.temperature}°C`);
+  const warmest = Math.max(...result.cells.map(cell => cell.temperature));
+  assert.ok(warmest > lakeSample.temperature + 5);
+});
+
+test('areas without a raster fall back to the modelled layer', () => {
+  const store = storeWithFixture();
+  const elsewhere = store.sample({ bounds: { north: 22.4, south: 22.3, east: 91.9, west: 91.8 } });
+  assert.equal(elsewhere.covered, false);
+  assert.equal(elsewhere.raster, null);
+  assert.equal(store.sample({ bounds: { north: 23.82, south: 23.80, east: 90.42, west: 90.40 }, period: 'night' }).covered, false);
+});
+
+test('rejects rasters whose units would give implausible temperatures', () => {
+  const store = createLstStore();
+  assert.throws(() => store.add(FIXTURE, { name: 'raw counts' }), /check units, scale and offset/);
+  assert.throws(() => store.add(Buffer.from('not a tiff')), /Not a TIFF/);
+  assert.equal(store.size, 0);
+});
@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const fs = require('fs');
+const path = require('path');
+
+// Fixture providers, in-memory cache and sensor store (see PROFILES in lib/config.js)
+process.env.APP_ENV = 'test';
+// Request logging would interleave with the test runner's own stdout protocol
+console.log = () => {};
+
+const { app } = require('../server');
+const { ROUTES, ERROR_SCHEMA } = require('../routes/schemas');
+const { validate } = require('../lib/validation');
+const { openApiPath } = require('../lib/openapi');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function exampleUrl(route) {
+  const { params = {}, query } = route.examples || {};
+  const path = route.path.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name]));
+  return `${baseUrl}${path}${query ? `?${new URLSearchParams(query)}` : ''}`;
+}
+
+async function call(method, url, body) {
+  const response = await fetch(url, {
+    method: method.toUpperCase(),
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Raw uploads send the example file (relative to backend/) as the route's first content type
+async function upload(route, url) {
+  const response = await fetch(url, {
+    method: route.method.toUpperCase(),
+    headers: { 'Content-Type': Object.keys(route.upload)[0] },
+    body: fs.readFileSync(path.join(__dirname, '..', route.examples.upload))
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function assertMatches(schema, value, label) {
+  const { problems } = validate(schema, value);
+  assert.deepEqual(problems, [], `${label}: ${problems.map(p => `${p.path} ${p.message}`).join('; ')}`);
+}
+
+test('openapi.json documents every route with its examples', async () => {
+  const { status, body: document } = await call('get', `${baseUrl}/api/openapi.json`);
+  assert.equal(status, 200);
+  assert.match(document.openapi, /^3\./);
+
+  Object.entries(ROUTES).forEach(([id, route]) => {
+    const operation = document.paths[openApiPath(route.path)]?.[route.method];
+    assert.ok(operation, `${route.method.toUpperCase()} ${route.path} is missing`);
+    assert.equal(operation.operationId, id);
+    const success = operation.responses[String(route.status || 200)];
+    assert.deepEqual(success.content['application/json'].example, route.examples.response);
+  });
+});
+
+test('docs page is served', async () => {
+  const response = await fetch(`${baseUrl}/api/docs`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/html/);
+  assert.match(await response.text(), /openapi\.json/);
+});
+
+// In declaration order: the sensor, LST and cache examples rely on earlier calls
+Object.entries(ROUTES).forEach(([id, route]) => {
+  test(`${id}: documented examples match the real handler`, async () => {
+    const { examples } = route;
+    assert.ok(examples?.response, 'route has no response example');
+    assertMatches(route.response, examples.response, 'response example');
+    if (route.body) assertMatches(route.body, examples.body, 'request example');
+
+    const { status, body } = route.upload
+      ? await upload(route, exampleUrl(route))
+      : await call(route.method, exampleUrl(route), route.body ? examples.body : undefined);
+    assert.equal(status, route.status || 200, JSON.stringify(body));
+    assertMatches(route.response, body, 'handler response');
+    Object.keys(examples.response).forEach(key => {
+      assert.ok(key in body, `example field ${key} is not in the handler response`);
+    });
+  });
+});
+
+test('invalid requests get the error envelope', async () => {
+  const { status, body } = await call('post', `${baseUrl}/api/getRoofData`, { latitude: 95, longitude: 90.4 });
+  assert.equal(status, 400);
+  assertMatches(ERROR_SCHEMA, body, 'error');
+  assert.equal(body.error.code, 'VALIDATION_FAILED');
+  assert.deepEqual(body.error.details.map(d => d.path).sort(), ['body.area', 'body.latitude']);
+});
+
+test('latitude 0 is a valid coordinate', async () => {
+  const { status, body } = await call('post', `${baseUrl}/api/getRainfallForecast`, { latitude: 0, longitude: 0 });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.location.latitude, 0);
+});
+
+test('an oversized bounding box is a BBOX_TOO_LARGE request error', async () => {
+  const { status, body } = await call('get', `${baseUrl}/api/buildings?bbox=90.30,23.70,90.50,23.90`);
+  assert.equal(status, 422);
+  assertMatches(ERROR_SCHEMA, body, 'error');
+  assert.equal(body.error.code, 'BBOX_TOO_LARGE');
+  assert.equal(body.error.details[0].path, 'query.bbox');
+});
+
+test('unknown routes get NOT_FOUND', async () => {
+  const { status, body } = await call('get', `${baseUrl}/api/nope`);
+  assert.equal(status, 404);
+  assertMatches(ERROR_SCHEMA, body, 'error');
+  assert.equal(body.error.code, 'NOT_FOUND');
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculatePrecipitationClimatology } = require('../models/precipitationClimatology');
+
+// Every day of the given years, 1 mm by default so totals equal day counts
+function dailySeries(fromYear, toYear, precipitationFor = () => 1) {
+  const series = [];
+  for (let t = Date.UTC(fromYear, 0, 1); t < Date.UTC(toYear + 1, 0, 1); t += 86400000) {
+    const date = new Date(t).toISOString().substring(0, 10);
+    series.push({ date, precipitation: precipitationFor(date) });
+  }
+  return series;
+}
+
+test('leap years are complete years and their February counts in the normal', () => {
+  const climatology = calculatePrecipitationClimatology(dailySeries(2023, 2024));
+  assert.deepEqual(climatology.annualTotals, [{ year: 2023, total: 365 }, { year: 2024, total: 366 }]);
+  assert.equal(climatology.annualPrecipitation, 366); // 365.5 rounded
+  assert.equal(climatology.monthlyNormals[1].precipitation, 28.5);
+  assert.equal(climatology.monthlyNormals[1].yearsOfData, 2);
+  assert.deepEqual(climatology.percentiles, { p10: 365, p50: 366, p90: 366 });
+});
+
+test('gaps and fill values are skipped rather than read as dry days', () => {
+  // 2022 loses March to gaps and ten January days to the -999 fill value
+  const series = dailySeries(2022, 2024, date => {
+    if (date.startsWith('2022-03')) return null;
+    if (date >= '2022-01-01' && date <= '2022-01-10') return -999;
+    return 1;
+  });
+  const climatology = calculatePrecipitationClimatology(series);
+
+  assert.equal(climatology.avgDailyPrecipitation, 1);
+  assert.equal(climatology.years, 2); // 2022 has 324 days and isn't a complete year
+  assert.equal(climatology.longestDrySpell.days, 0);
+  const [jan, feb, mar] = climatology.monthlyNormals;
+  assert.deepEqual([jan.yearsOfData, feb.yearsOfData, mar.yearsOfData], [2, 3, 2]);
+  assert.equal(feb.precipitation, 28.3);
+  assert.equal(mar.precipitation, 31);
+});
+
+test('dry spells end at gaps in the series', () => {
+  // 2023 is dry but for 10 wet days in March; 15 June is missing and 1-3 October
+  // carry the -999 fill value, so neither gap is bridged
+  const series = dailySeries(2023, 2024, date => {
+    if (date >= '2023-03-01' && date <= '2023-03-10') return 5;
+    if (date === '2023-06-15') return null;
+    if (date >= '2023-10-01' && date <= '2023-10-03') return -999;
+    return date < '2024-01-01' ? 0 : 5;
+  });
+  const climatology = calculatePrecipitationClimatology(series);
+  assert.deepEqual(climatology.longestDrySpell, { days: 107, start: '2023-06-16', end: '2023-09-30' });
+
+  // A dry run across the new year is one spell
+  const newYear = calculatePrecipitationClimatology(dailySeries(2023, 2024, date => (date >= '2023-12-20' && date <= '2024-01-09' ? 0 : 5)));
+  assert.deepEqual(newYear.longestDrySpell, { days: 21, start: '2023-12-20', end: '2024-01-09' });
+});
+
+test('a series without any amounts is rejected', () => {
+  assert.throws(() => calculatePrecipitationClimatology([{ date: '2024-01-01', precipitation: null }]), /Empty/);
+});
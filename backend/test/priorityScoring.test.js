@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PRESETS, resolveScoringConfig, scoreZone } = require('../models/priorityScoring');
+const { createPresetStore } = require('../lib/presetStore');
+
+const balanced = resolveScoringConfig(PRESETS.balanced.criteria);
+
+test('contributions add up to the score and keep the original 35/25/25/15 split', () => {
+  const result = scoreZone({ heat: 38, density: 40, greenDeficit: 70, rooftopPotential: 0 }, balanced);
+  assert.deepEqual(
+    Object.fromEntries(result.contributions.map(c => [c.criterion, c.share])),
+    { heat: 0.35, density: 0.25, greenDeficit: 0.25, rooftopPotential: 0.15 }
+  );
+  assert.equal(result.score, 0.725);
+  assert.equal(result.level, 'Critical');
+  const sum = result.contributions.reduce((total, c) => total + c.contribution, 0);
+  assert.ok(Math.abs(sum - result.score) < 0.002);
+});
+
+test('custom ranges clamp, reverse and reweight criteria without data', () => {
+  const config = resolveScoringConfig({
+    heat: { weight: 3, min: 30, max: 40 },
+    // Fewer residents scores higher, e.g. for siting a depot
+    population: { weight: 1, min: 1000, max: 0 },
+    airQuality: { weight: 2 }
+  });
+  const result = scoreZone({ heat: 45, population: 250, airQuality: null }, config);
+  assert.deepEqual(result.missing, ['airQuality']);
+  const [heat, population] = result.contributions;
+  assert.equal(heat.normalised, 1);
+  assert.equal(heat.share, 0.75);
+  assert.equal(population.normalised, 0.75);
+  assert.equal(result.score, 0.938);
+  assert.equal(scoreZone({}, config).score, null);
+});
+
+test('rejects unknown criteria, empty ranges and all-zero weights', () => {
+  assert.throws(() => resolveScoringConfig({ noise: { weight: 1 } }), /Unknown criterion "noise"/);
+  assert.throws(() => resolveScoringConfig({ heat: { weight: 1, min: 30, max: 30 } }), /min and max that differ/);
+  assert.throws(() => resolveScoringConfig({ heat: { weight: 0 } }), /at least one criterion/);
+});
+
+test('saved presets get a stable shareable id and built-ins stay', () => {
+  const store = createPresetStore();
+  const criteria = { heat: { weight: 2 }, airQuality: { weight: 1, max: 100 } };
+  const first = store.save({ name: 'Old Dhaka summer', criteria });
+  assert.equal(first.created, true);
+  assert.match(first.preset.id, /^old-dhaka-summer-[0-9a-f]{8}$/);
+  assert.equal(store.save({ name: 'Old Dhaka summer', criteria }).created, false);
+  assert.notEqual(store.save({ name: 'Old Dhaka summer', criteria: { heat: { weight: 1 } } }).preset.id, first.preset.id);
+
+  assert.equal(store.get(first.preset.id).criteria.airQuality.max, 100);
+  assert.equal(store.get('balanced').builtIn, true);
+  assert.equal(store.remove('balanced'), false);
+  assert.equal(store.list().length, Object.keys(PRESETS).length + 2);
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The OSM extract logs its building count when first loaded
+console.log = () => {};
+
+const { createProviders, describeProviders } = require('../providers');
+const { loadConfig } = require('../lib/config');
+
+const FIXTURES = { default: 'fixture', fixturesDir: 'fixtures', osmExtractFile: 'buildings-dhaka.osm' };
+
+test('providers follow the configured default and per-domain overrides', () => {
+  const config = loadConfig({ APP_ENV: 'test', SOLAR_PROVIDER: 'http', AIR_QUALITY_PROVIDER: 'http', OPENAQ_API_KEY: 'key' });
+  const providers = createProviders(config.providers, { openAQApiKey: config.openAQ.apiKey });
+  assert.deepEqual(describeProviders(providers), {
+    solar: 'http',
+    temperature: 'fixture',
+    precipitation: 'fixture',
+    forecast: 'fixture',
+    airQuality: 'http',
+    buildings: 'fixture'
+  });
+  // Only HTTP providers name upstreams for the retry/circuit-breaker clients
+  assert.deepEqual(providers.solar.upstreams, ['nasaPower']);
+  assert.deepEqual(providers.airQuality.upstreams, ['openAQ', 'openMeteoAirQuality']);
+  assert.deepEqual(providers.precipitation.upstreams, []);
+
+  assert.deepEqual(describeProviders(createProviders({ ...FIXTURES, default: 'http' })), {
+    solar: 'http', temperature: 'http', precipitation: 'http', forecast: 'http', airQuality: 'http', buildings: 'http'
+  });
+});
+
+test('fixture providers answer every domain offline in the upstream response shapes', async () => {
+  const providers = createProviders(FIXTURES);
+  await Promise.all(Object.values(providers).map(provider => provider.probe()));
+
+  const solar = await providers.solar.getDailySolar(23.81, 90.41, { start: '20240901', end: '20250901' });
+  assert.deepEqual(Object.keys(solar), ['irradiance', 'temperature', 'temperatureMax', 'temperatureMin', 'humidity']);
+  assert.equal(Object.keys(solar.irradiance).length, 366);
+  const temperature = await providers.temperature.getDailyTemperature(23.81, 90.41);
+  assert.equal(temperature.mean, solar.temperature, 'temperature reuses the solar fixture');
+
+  const forecast = await providers.forecast.getHourlyForecast(23.81, 90.41, { days: 2 });
+  assert.equal(forecast.length, 48);
+  assert.deepEqual(Object.keys(forecast[0]), ['time', 'precipitation', 'probability']);
+
+  const buildings = await providers.buildings.getBuildingElements({ south: 23.80, north: 23.82, west: 90.40, east: 90.42 });
+  assert.ok(buildings.length > 0);
+  assert.ok(buildings.every(b => b.tags.building && b.geometry.length >= 3));
+  assert.deepEqual(await providers.buildings.getBuildingElements({ south: 51.4, north: 51.6, west: -0.2, east: 0 }), []);
+});
+
+test('the precipitation fixture applies a requested range only where it overlaps the file', async () => {
+  const { precipitation } = createProviders(FIXTURES);
+  const june = await precipitation.getDailyPrecipitation(23.81, 90.41, { startDate: '2023-06-01', endDate: '2023-06-30' });
+  assert.equal(june.length, 30);
+  assert.deepEqual(Object.keys(june[0]), ['date', 'precipitation']);
+  assert.equal(june[0].date, '2023-06-01');
+  // Outside the file's 2019-2023 span the whole series stands in
+  const future = await precipitation.getDailyPrecipitation(23.81, 90.41, { startDate: '2030-01-01', endDate: '2030-12-31' });
+  assert.equal(future[0].date, '2019-01-01');
+  assert.equal(future[future.length - 1].date, '2023-12-31');
+});
+
+test('air quality fixtures filter stations by place and history by window', async () => {
+  const { airQuality } = createProviders(FIXTURES);
+  const near = await airQuality.getStationMeasurements({ latitude: 23.75, longitude: 90.4 });
+  assert.ok(near.length > 0);
+  const inBounds = await airQuality.getStationMeasurements({ bounds: { south: 23.79, north: 23.80, west: 90.42, east: 90.43 } });
+  assert.ok(inBounds.length > 0 && inBounds.length < near.length);
+  assert.ok(inBounds.every(m => m.coordinates.latitude === 23.7963 && m.coordinates.longitude === 90.4232));
+  // Far from Dhaka no station matches and the routes fall back to the CAMS model
+  assert.deepEqual(await airQuality.getStationMeasurements({ latitude: 51.5, longitude: 0 }), []);
+  assert.ok(await airQuality.getModelCurrent());
+
+  const day = await airQuality.getStationHistory({
+    locationId: '1',
+    parameter: 'pm25',
+    from: new Date('2024-02-01T00:00:00Z'),
+    to: new Date('2024-02-01T23:00:00Z')
+  });
+  assert.equal(day.location.name, 'US Embassy Dhaka');
+  assert.equal(day.hourly.length, 24);
+  assert.equal(day.hourly[0].time, '2024-02-01T00:00:00.000Z');
+  assert.equal(await airQuality.getStationHistory({ locationId: '1', parameter: 'no2', from: new Date(), to: new Date() }), null);
+});
+
+test('the buildings fixture also reads extracts saved as Overpass JSON', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofharvest-providers-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const square = [[23.81, 90.41], [23.81, 90.4102], [23.8102, 90.4102], [23.8102, 90.41]].map(([lat, lon]) => ({ lat, lon }));
+  fs.writeFileSync(path.join(dir, 'extract.json'), JSON.stringify({
+    elements: [
+      { type: 'way', id: 1, tags: { building: 'yes', name: 'A & B' }, geometry: square },
+      { type: 'way', id: 2, tags: { highway: 'residential' }, geometry: square },
+      { type: 'node', id: 3, lat: 23.81, lon: 90.41 }
+    ]
+  }));
+
+  const { buildings } = createProviders({ ...FIXTURES, fixturesDir: dir, osmExtractFile: 'extract.json' });
+  const elements = await buildings.getBuildingElements({ south: 23.8, north: 23.82, west: 90.4, east: 90.42 });
+  assert.deepEqual(elements, [{ id: 1, tags: { building: 'yes', name: 'A & B' }, geometry: square }]);
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  REPRESENTATIVE_DAYS,
+  calculatePOAIrradiance,
+  calculateRowPitch,
+  calculateSolarPotential,
+  findOptimalTilt,
+  getDiffuseFraction,
+  getExtraterrestrialIrradiance
+} = require('../models/pvModel');
+
+const toRad = deg => deg * Math.PI / 180;
+const sum = values => values.reduce((a, b) => a + b, 0);
+
+// Monthly GHI for a constant clearness index, so the seasons follow the sun
+function clearnessSeries(latitude, clearnessIndex = 0.55) {
+  return REPRESENTATIVE_DAYS.map(day => clearnessIndex * getExtraterrestrialIrradiance(toRad(latitude), day));
+}
+
+function solarData(latitude, clearnessIndex, avgTemperature = 27) {
+  const monthlyIrradiance = clearnessSeries(latitude, clearnessIndex);
+  return { isReal: true, avgIrradiance: sum(monthlyIrradiance) / 12, monthlyIrradiance, avgTemperature };
+}
+
+test('the Erbs correlation splits off the diffuse fraction for each season', () => {
+  // Sunset hour angle ≤ 81.4° (winter-like days) and > 81.4° (summer-like days)
+  const short = toRad(80);
+  const long = toRad(100);
+  assert.ok(Math.abs(getDiffuseFraction(0.5, short) - 0.5688) < 1e-4);
+  assert.ok(Math.abs(getDiffuseFraction(0.5, long) - 0.6083) < 1e-4);
+  assert.equal(getDiffuseFraction(0.8, short), 0.143);
+  assert.equal(getDiffuseFraction(0.8, long), 0.175);
+  // Clearness outside 0..1 is clamped: an overcast day is all diffuse
+  assert.equal(getDiffuseFraction(-0.2, short), 1);
+  assert.equal(getDiffuseFraction(1.4, long), 0.175);
+  // Clearer skies leave less of the light diffuse
+  assert.ok(getDiffuseFraction(0.3, short) > getDiffuseFraction(0.5, short));
+  assert.ok(getDiffuseFraction(0.5, short) > getDiffuseFraction(0.7, short));
+});
+
+test('a horizontal plane receives exactly GHI', () => {
+  [[23.8, 17, 4.1], [23.8, 172, 6.2], [51.5, 344, 0.6], [-33.9, 172, 2.4], [65, 172, 5.5]].forEach(([latitude, day, ghi]) => {
+    const poa = sum(calculatePOAIrradiance(ghi, latitude, day, 0, 180));
+    assert.ok(Math.abs(poa - ghi) < 1e-9, `${poa} vs ${ghi} kWh/m² at ${latitude}° on day ${day}`);
+  });
+});
+
+test('the optimal tilt faces the equator at a little under the latitude', () => {
+  // Rules of thumb put the annual optimum at roughly 0.75-0.9 × latitude
+  [10, 23.8, 35, 45, -30].forEach(latitude => {
+    const azimuth = latitude >= 0 ? 180 : 0;
+    const tilt = findOptimalTilt(clearnessSeries(latitude), latitude, azimuth);
+    assert.ok(tilt >= 0.7 * Math.abs(latitude) && tilt <= Math.abs(latitude), `${tilt}° at ${latitude}°`);
+  });
+});
+
+test('rack rows are spaced to stay unshaded at winter-solstice noon', () => {
+  assert.equal(calculateRowPitch(1.72, 0, 23.8), 1.72);
+  // Sun 90 - 23.8 - 23.45 = 42.75° high at noon on the winter solstice
+  const expected = 1.72 * Math.cos(toRad(20)) + 1.72 * Math.sin(toRad(20)) / Math.tan(toRad(42.75));
+  assert.ok(Math.abs(calculateRowPitch(1.72, 20, 23.8) - expected) < 1e-12);
+  // Near the polar circle the design elevation stops at 15° instead of shrinking to zero
+  assert.equal(calculateRowPitch(1.72, 20, 60), calculateRowPitch(1.72, 20, 66));
+  assert.ok(calculateRowPitch(1.72, 20, 60) > calculateRowPitch(1.72, 20, 50));
+
+  const result = calculateSolarPotential(100, solarData(23.8, 0.55), 23.8, { roofShape: 'flat' });
+  assert.equal(result.layout.mounting, 'tilted-racks');
+  assert.equal(result.layout.rowPitch, parseFloat(calculateRowPitch(1.72, result.tilt, 23.8).toFixed(2)));
+  assert.equal(calculateSolarPotential(100, solarData(23.8, 0.55), 23.8, { roofShape: 'gabled' }).layout.rowPitch, null);
+});
+
+test('hot modules lose output, cold or temperature-neutral ones do not', () => {
+  const data = avgTemperature => solarData(23.8, 0.55, avgTemperature);
+  const neutral = calculateSolarPotential(100, data(27), 23.8, { module: { tempCoefficient: 0 } });
+  const warm = calculateSolarPotential(100, data(20), 23.8);
+  const hot = calculateSolarPotential(100, data(35), 23.8);
+  assert.equal(neutral.losses.temperature, 0);
+  assert.ok(warm.losses.temperature > 0);
+  assert.ok(hot.losses.temperature > warm.losses.temperature);
+  assert.ok(hot.annualEnergy < warm.annualEnergy && warm.annualEnergy < neutral.annualEnergy);
+  // Below 25 °C cells the coefficient raises output, which shows up as a negative loss
+  const frozen = calculateSolarPotential(100, data(-30), 23.8);
+  assert.ok(frozen.losses.temperature < 0);
+});
+
+test('the inverter clips output above its AC rating', () => {
+  // No losses other than clipping, so AC follows POA until the 1.2 DC/AC ratio caps it
+  const lossless = { module: { tempCoefficient: 0 }, systemLosses: 0, inverterEfficiency: 1, roofShape: 'skillion' };
+  const sunny = calculateSolarPotential(100, solarData(10, 0.7), 10, lossless);
+  assert.ok(sunny.losses.clipping > 0);
+  assert.equal(sunny.peakPower, sunny.inverterSizeKw);
+
+  const dull = calculateSolarPotential(100, solarData(10, 0.3), 10, lossless);
+  assert.equal(dull.losses.clipping, 0);
+  assert.ok(dull.peakPower < dull.inverterSizeKw);
+});
+
+test('the loss breakdown multiplies out to the performance ratio', () => {
+  const shading = { beamShading: Array.from({ length: 12 }, () => Array.from({ length: 24 }, (_, hour) => (hour < 9 ? 1 : 0))) };
+  const result = calculateSolarPotential(100, solarData(35, 0.6), 35, { shading, systemLosses: 0.1, inverterEfficiency: 0.95 });
+  const { losses } = result;
+  assert.equal(losses.system, 0.1);
+  assert.equal(losses.inverter, 0.05);
+  assert.ok(losses.shading > 0 && losses.temperature > 0 && losses.clipping >= 0);
+  const retained = Object.values(losses).reduce((product, loss) => product * (1 - loss), 1);
+  assert.ok(Math.abs(retained - result.performanceRatio) < 0.005, `${retained} vs ${result.performanceRatio}`);
+
+  const unshaded = calculateSolarPotential(100, solarData(35, 0.6), 35, { systemLosses: 0.1, inverterEfficiency: 0.95 });
+  assert.equal(unshaded.losses.shading, 0);
+  assert.ok(unshaded.annualEnergy > result.annualEnergy);
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSensorCsv, parseSensorJson } = require('../lib/sensorImport');
+const { createSensorStore } = require('../lib/sensorStore');
+const { resolveCalibration, applyCalibration } = require('../models/sensorCalibration');
+const { calculateAQI } = require('../models/airQualityIndex');
+
+const reading = { sensor_id: 'pa-101', lat: 23.79, lon: 90.41, timestamp: '2025-01-15T06:00:00Z', pm25: 40 };
+
+test('sensor names are limited in length and to plain text', () => {
+  const { readings, errors } = parseSensorJson([
+    { ...reading, name: 'Gulshan rooftop (north), Dhaka' },
+    { ...reading, name: 'Mirpur-10 # 2 / Büro' },
+    { ...reading, name: '<img src=x onerror=alert(1)>' },
+    { ...reading, name: 'x'.repeat(81) },
+    { ...reading, sensor_id: 'pa"101' }
+  ]);
+  assert.deepEqual(readings.map(r => r.name), ['Gulshan rooftop (north), Dhaka', 'Mirpur-10 # 2 / Büro']);
+  assert.deepEqual(errors.map(e => e.line), [3, 4, 5]);
+  assert.match(errors[0].error, /name may only contain/);
+  assert.match(errors[1].error, /at most 80 characters/);
+  assert.match(errors[2].error, /sensor id/);
+});
+
+test('CSV rows are parsed with quoted fields and malformed rows are reported by line', () => {
+  const csv = [
+    'Sensor_ID,Name,Lat,Lon,Time,PM2.5_ATM,RH,NO2',
+    'pa-101,"Gulshan, north roof",23.79,90.41,2025-01-15T12:00:00+06:00,40,50,',
+    'pa-102,,23.80,90.42,2025-01-15T06:00:00Z,,,94.1',
+    'pa-103,,,90.42,2025-01-15T06:00:00Z,12',
+    'pa-104,,23.80,90.42,yesterday,12',
+    'pa-105,,23.80,90.42,2025-01-15T06:00:00Z,-3',
+    'pa-106,,23.80,90.42,2025-01-15T06:00:00Z,12,120',
+    'pa-107,,23.80,90.42,2025-01-15T06:00:00Z',
+    '',
+    ',,23.80,90.42,2025-01-15T06:00:00Z,12'
+  ].join('\r\n');
+
+  const { readings, rejected, errors } = parseSensorCsv(csv);
+  assert.equal(readings.length, 2);
+  assert.deepEqual(readings[0], {
+    sensorId: 'pa-101',
+    name: 'Gulshan, north roof',
+    latitude: 23.79,
+    longitude: 90.41,
+    timestamp: '2025-01-15T06:00:00.000Z',
+    humidity: 50,
+    values: { pm25: 40 }
+  });
+  assert.deepEqual(readings[1].values, { no2: 94.1 });
+  assert.equal(readings[1].humidity, null);
+
+  assert.equal(rejected, 6);
+  assert.deepEqual(errors.map(e => [e.line, e.error.split(' ')[0]]), [
+    [4, 'latitude'], [5, 'timestamp'], [6, 'pm25'], [7, 'humidity'], [8, 'no'], [9, 'missing']
+  ]);
+});
+
+test('uploads without an id column or readings are rejected outright', () => {
+  assert.throws(() => parseSensorCsv('lat,lon,pm25\n23.8,90.4,12'), /sensor id column/);
+  assert.throws(() => parseSensorCsv('sensor_id,lat,lon,pm25\n'), /at least one reading/);
+  assert.throws(() => parseSensorJson({ readings: [] }), /array of readings/);
+});
+
+test('calibration curves: EPA PurpleAir with and without humidity, none and custom', () => {
+  const epa = resolveCalibration('epa-purpleair');
+  // 0.524 × 40 + 5.75, minus 0.0862 × 50 % RH
+  assert.deepEqual(applyCalibration({ pm25: 40 }, null, epa), { pm25: { value: 26.7, raw: 40 } });
+  assert.deepEqual(applyCalibration({ pm25: 40, pm10: 60 }, 50, epa), {
+    pm25: { value: 22.4, raw: 40 },
+    pm10: { value: 60, raw: 60 }
+  });
+  assert.deepEqual(applyCalibration({ pm25: 40 }, 50, resolveCalibration('none')), { pm25: { value: 40, raw: 40 } });
+
+  const custom = resolveCalibration({ pm25: { slope: 0.5 }, pm10: { intercept: -100 } });
+  assert.equal(custom.name, 'custom');
+  assert.deepEqual(applyCalibration({ pm25: 40, pm10: 60 }, 50, custom), {
+    pm25: { value: 20, raw: 40 },
+    pm10: { value: 0, raw: 60 } // never negative
+  });
+
+  assert.throws(() => resolveCalibration('laser-egg'), /Unknown calibration/);
+  assert.throws(() => resolveCalibration({ pm25: { slope: 'steep' } }), /numeric slope/);
+});
+
+test('stored readings come back calibrated in µg/m³ and index after unit conversion', () => {
+  const store = createSensorStore();
+  store.addReadings(parseSensorCsv([
+    'sensor_id,lat,lon,timestamp,pm25,no2,humidity',
+    'pa-101,23.79,90.41,2025-01-15T06:00:00Z,40,94.1,50'
+  ].join('\n')).readings);
+
+  const [location] = store.getLatest({ latitude: 23.79, longitude: 90.41 }, Date.parse('2025-01-15T07:00:00Z'));
+  assert.equal(location.name, 'Sensor pa-101');
+  assert.deepEqual(location.measurements.pm25, { value: 22.4, raw: 40, unit: 'µg/m³', lastUpdated: '2025-01-15T06:00:00.000Z' });
+  // US EPA NO₂ breakpoints are in ppb: 94.1 µg/m³ × 24.45 / 46.01 ≈ 50 ppb
+  const aqi = calculateAQI(location.measurements);
+  assert.equal(aqi.subIndices.no2.concentration, 50);
+  assert.equal(aqi.subIndices.no2.unit, 'ppb');
+
+  // Readings older than the store's maxAgeHours (24 h) drop out of the map layer
+  assert.deepEqual(store.getLatest({ latitude: 23.79, longitude: 90.41 }, Date.parse('2025-01-17T06:00:00Z')), []);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateRoofShading } = require('../models/shadingModel');
+const { REPRESENTATIVE_DAYS, getDeclination, getSunVector } = require('../models/pvModel');
+
+// A 20 × 20 m roof, 3 m high, in Dhaka; neighbours are rectangles given in metres
+// east (x) and north (y) of its centre
+const LAT = 23.81;
+const LNG = 90.41;
+const METRES_PER_DEGREE = 111320;
+const DEC = 11;
+const JUN = 5;
+
+const toRad = deg => deg * Math.PI / 180;
+const lngLat = (x, y) => [LNG + x / (METRES_PER_DEGREE * Math.cos(toRad(LAT))), LAT + y / METRES_PER_DEGREE];
+const rect = (x0, y0, x1, y1) => [lngLat(x0, y0), lngLat(x1, y0), lngLat(x1, y1), lngLat(x0, y1)];
+
+const roof = { footprint: rect(-10, -10, 10, 10), height: 3, area: 400, centroid: { lat: LAT, lng: LNG } };
+const shade = neighbours => calculateRoofShading(roof, neighbours, LAT);
+const morning = hours => hours.slice(0, 12);
+const afternoon = hours => hours.slice(12);
+const sum = values => values.reduce((a, b) => a + b, 0);
+
+test('an open roof is never shaded', () => {
+  const result = shade([]);
+  assert.equal(result.beamShadingPercent, 0);
+  assert.equal(result.obstacles, 0);
+  assert.equal(result.beamShading.length, 12);
+  result.beamShading.forEach(hours => assert.deepEqual(hours, Array(24).fill(0)));
+  assert.ok(result.samples.length > 100 && result.samples.every(s => s.shading === 0));
+});
+
+test('neighbours no taller than the roof or too far away are not obstacles', () => {
+  const result = shade([
+    { footprint: rect(-30, -30, 30, -15), height: 3 },
+    { footprint: rect(-30, -260, 30, -240), height: 80 },
+    { footprint: [lngLat(15, 0), lngLat(20, 0)], height: 50 } // a line, not a footprint
+  ]);
+  assert.equal(result.neighboursConsidered, 3);
+  assert.equal(result.obstacles, 0);
+  assert.equal(result.beamShadingPercent, 0);
+});
+
+test('a block to the south covers as much roof as its noon shadow reaches', () => {
+  // 20 m above the roof, its north face 5 m from the roof's southern edge
+  const result = shade([{ footprint: rect(-30, -30, 30, -15), height: 23 }]);
+  assert.equal(result.obstacles, 1);
+
+  // December noon: two sun positions per hour, at 11:15 and 11:45 solar time
+  const declination = getDeclination(REPRESENTATIVE_DAYS[DEC]);
+  const covered = [11.25, 11.75].map(hour => {
+    const sun = getSunVector(toRad(LAT), declination, toRad((hour - 12) * 15));
+    const tanElevation = sun.up / Math.hypot(sun.east, sun.north);
+    const shadowEdge = -15 + 20 / tanElevation; // northernmost shaded y, ignoring the slight azimuth
+    return Math.min(Math.max((shadowEdge + 10) / 20, 0), 1);
+  });
+  const expected = sum(covered) / covered.length;
+  assert.ok(Math.abs(result.beamShading[DEC][11] - expected) < 0.08, `${result.beamShading[DEC][11]} vs ${expected}`);
+  // The June sun at 23.8°N is almost overhead at noon and the shadow stays off the roof
+  assert.equal(result.beamShading[JUN][11], 0);
+  assert.ok(result.beamShadingPercent > 0);
+});
+
+test('shadows fall away from the sun: east in the morning, north only in summer', () => {
+  const east = shade([{ footprint: rect(15, -30, 30, 30), height: 23 }]).beamShading;
+  [DEC, JUN].forEach(month => {
+    assert.ok(sum(morning(east[month])) > 0);
+    assert.equal(sum(afternoon(east[month])), 0);
+  });
+
+  // North of the roof only matters when the summer sun rises and sets north of east-west
+  const north = shade([{ footprint: rect(-30, 15, 30, 30), height: 23 }]).beamShading;
+  assert.equal(sum(north[DEC]), 0);
+  assert.ok(north[JUN][5] > 0 && north[JUN][18] > 0);
+  assert.equal(north[JUN][11], 0);
+});
+
+test('light passes under a raised volume', () => {
+  // Same block, but the shading part is a slab from 30 to 35 m (e.g. a skybridge)
+  const solid = shade([{ footprint: rect(-30, -30, 30, -15), height: 35 }]);
+  const slab = shade([{ footprint: rect(-30, -30, 30, -15), height: 35, minHeight: 30 }]);
+  assert.equal(solid.beamShading[DEC][11], 1);
+  assert.ok(slab.beamShading[DEC][11] > 0 && slab.beamShading[DEC][11] < 1);
+  // A low morning sun shines under the slab across the whole roof
+  assert.ok(solid.beamShading[DEC][7] > 0);
+  assert.equal(slab.beamShading[DEC][7], 0);
+  assert.ok(slab.beamShadingPercent < solid.beamShadingPercent);
+});
+
+test('per-point shading is highest next to the obstacle', () => {
+  const { samples } = shade([{ footprint: rect(-30, -30, 30, -15), height: 23 }]);
+  const southmost = samples.reduce((a, b) => (b.lat < a.lat ? b : a));
+  const northmost = samples.reduce((a, b) => (b.lat > a.lat ? b : a));
+  assert.ok(southmost.shading > northmost.shading);
+  samples.forEach(s => assert.ok(s.shading >= 0 && s.shading <= 1));
+});
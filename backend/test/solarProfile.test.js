@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+
+// Fixture providers: NASA POWER days from fixtures/nasa-power-dhaka.json
+process.env.APP_ENV = 'test';
+console.log = () => {};
+
+const { app } = require('../server');
+const nasaPower = require('../fixtures/nasa-power-dhaka.json');
+
+let server;
+let roof;
+
+before(async () => {
+  server = app.listen(0);
+  await once(server, 'listening');
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/getRoofData`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ latitude: 23.81, longitude: 90.41, area: 200 })
+  });
+  roof = await response.json();
+});
+
+after(() => server.close());
+
+const sum = values => values.reduce((a, b) => a + b, 0);
+
+test('monthly irradiance is the mean of each calendar month of daily values', () => {
+  const byMonth = Array.from({ length: 12 }, () => []);
+  Object.entries(nasaPower.properties.parameter.ALLSKY_SFC_SW_DWN).forEach(([date, value]) => {
+    if (value !== -999) byMonth[Number(date.substring(4, 6)) - 1].push(value);
+  });
+  const expected = byMonth.map(values => parseFloat((sum(values) / values.length).toFixed(3)));
+
+  assert.deepEqual(roof.solarData.monthlyIrradiance, expected);
+  const { monthlyProfile } = roof.solarPotential;
+  assert.deepEqual(monthlyProfile.map(m => m.month), ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']);
+  monthlyProfile.forEach((month, i) => assert.equal(month.irradiance, parseFloat(expected[i].toFixed(2))));
+});
+
+test('monthly energy adds up to the annual figure and dips in the monsoon', () => {
+  const { monthlyProfile, annualEnergy } = roof.solarPotential;
+  // Each month is rounded to whole kWh
+  assert.ok(Math.abs(sum(monthlyProfile.map(m => m.energy)) - annualEnergy) <= 6);
+  const energy = name => monthlyProfile.find(m => m.month === name).energy;
+  const monsoon = Math.max(...['Jun', 'Jul', 'Aug', 'Sep'].map(energy));
+  const dry = Math.min(...['Dec', 'Jan', 'Feb', 'Mar'].map(energy));
+  assert.ok(monsoon < dry, `monsoon months up to ${monsoon} kWh, dry season from ${dry} kWh`);
+});
+
+test('the typical-day curve is dark at night, peaks at solar noon and integrates to the annual energy', () => {
+  const { hourlyProfile, annualEnergy, peakPower, inverterSizeKw } = roof.solarPotential;
+  assert.deepEqual(hourlyProfile.map(h => h.hour), Array.from({ length: 24 }, (_, hour) => hour));
+  const power = hourlyProfile.map(h => h.power);
+
+  [0, 1, 2, 3, 4, 19, 20, 21, 22, 23].forEach(hour => assert.equal(power[hour], 0, `${hour}:00`));
+  const peakHour = power.indexOf(Math.max(...power));
+  assert.ok(peakHour === 11 || peakHour === 12, `peak at ${peakHour}:00`);
+  // Mornings are cooler than the matching afternoon hours, so never produce less
+  for (let hour = 5; hour < 12; hour++) assert.ok(power[hour] >= power[23 - hour], `${hour}:00 vs ${23 - hour}:00`);
+
+  // Mean kW per hour of the year's days; values are rounded to 0.01 kW
+  assert.ok(Math.abs(sum(power) * 365 - annualEnergy) < annualEnergy * 0.005);
+  // The mean day stays below the best single hour, which the inverter caps
+  assert.ok(Math.max(...power) < peakPower && peakPower <= inverterSizeKw);
+});
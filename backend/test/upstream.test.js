@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Retry and breaker transitions log; keep the test runner's stdout clean
+console.log = () => {};
+console.error = () => {};
+
+const { createUpstreamClient } = require('../providers/upstream');
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+// Fake clock and http: sleeps advance time instantly; `outcomes` are replayed
+// in order (an Error is thrown, anything else is the response)
+function harness(outcomes, options = {}) {
+  let clock = 0;
+  const sleeps = [];
+  const calls = [];
+  const http = {
+    request: async (config) => {
+      calls.push(config);
+      const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    }
+  };
+  const client = createUpstreamClient('test', {
+    minIntervalMs: 0, maxConcurrent: 2, maxRetries: 3, retryBaseMs: 100, retryMaxMs: 1000,
+    failureThreshold: 3, cooldownMs: 10000, ...options
+  }, {
+    http,
+    random: () => 1,
+    now: () => clock,
+    sleep: async ms => { sleeps.push(ms); clock += ms; }
+  });
+  return { client, calls, sleeps, advance: ms => { clock += ms; } };
+}
+
+test('transient failures are retried with exponential backoff', async () => {
+  const { client, calls, sleeps } = harness([httpError(503), httpError(500), { data: 'ok' }]);
+  const response = await client.get('/x');
+  assert.equal(response.data, 'ok');
+  assert.equal(calls.length, 3);
+  assert.deepEqual(sleeps, [100, 200]);
+  assert.equal(client.getStatus().retries, 2);
+});
+
+test('Retry-After is honoured, and a longer one than retryMaxMs is not waited for', async () => {
+  const short = harness([httpError(429, { 'retry-after': '0.5' }), { data: 'ok' }], { retryBaseMs: 1 });
+  await short.client.get('/x');
+  assert.deepEqual(short.sleeps, [500]);
+
+  const long = harness([httpError(429, { 'retry-after': '60' })]);
+  await assert.rejects(long.client.get('/x'), /429/);
+  assert.equal(long.calls.length, 1);
+});
+
+test('other 4xx responses are neither retried nor counted against the upstream', async () => {
+  const { client, calls } = harness([httpError(404)]);
+  for (let i = 0; i < 5; i++) await assert.rejects(client.get('/x'), /404/);
+  assert.equal(calls.length, 5);
+  assert.equal(client.getStatus().state, 'closed');
+  assert.equal(client.getStatus().failures, 0);
+});
+
+test('circuit opens after consecutive failures, then admits one trial after the cooldown', async () => {
+  const outcomes = [httpError(503)];
+  const { client, calls, advance } = harness(outcomes, { maxRetries: 0 });
+
+  for (let i = 0; i < 3; i++) await assert.rejects(client.get('/x'), /503/);
+  assert.equal(client.getStatus().state, 'open');
+
+  await assert.rejects(client.get('/x'), error => error.code === 'CIRCUIT_OPEN');
+  assert.equal(calls.length, 3, 'open circuit fails fast without calling the upstream');
+
+  advance(10000);
+  assert.equal(client.getStatus().state, 'half-open');
+  await assert.rejects(client.get('/x'), /503/);
+  assert.equal(client.getStatus().state, 'open', 'failed trial reopens the circuit');
+
+  advance(10000);
+  outcomes[0] = { data: 'ok' };
+  await client.get('/x');
+  assert.equal(client.getStatus().state, 'closed');
+  assert.equal(client.getStatus().consecutiveFailures, 0);
+});
+
+test('concurrency pool caps requests in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const client = createUpstreamClient('pool', { minIntervalMs: 0, maxConcurrent: 2 }, {
+    http: {
+      request: async () => {
+        peak = Math.max(peak, ++inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        return { data: 'ok' };
+      }
+    }
+  });
+
+  await Promise.all(Array.from({ length: 6 }, () => client.get('/x')));
+  assert.equal(peak, 2);
+  assert.equal(client.getStatus().inFlight, 0);
+  assert.equal(client.getStatus().queued, 0);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { simulateWaterBalance } = require('../models/waterBalance');
+
+// 10 m² roof, no runoff losses, 10 L/day demand and a single 50 L tank, so the
+// figures below can be followed by hand. Four days annualise at × 365 / 4.
+const AREA = 10;
+const options = {
+  runoffCoefficient: 1,
+  firstFlushMm: 0,
+  candidateTanks: [0.05],
+  demand: { dailyDemand: 10 }
+};
+
+function series(rainfall) {
+  return rainfall.map((precipitation, i) => ({ date: `2024-01-0${i + 1}`, precipitation }));
+}
+
+test('a tank refilled every day overflows and only misses the first day', () => {
+  // 100 L of runoff a day. Day 1 supplies from empty storage, then fills to 50 L
+  // and spills 50 L; afterwards 10 L are drawn and 90 L spill each day.
+  const result = simulateWaterBalance(AREA, series([10, 10, 10, 10]), options);
+  const [tank] = result.reliabilityCurve;
+  assert.equal(tank.reliability, 0.75);
+  assert.equal(tank.volumetricReliability, 0.75);
+  assert.equal(tank.annualSupplied, 2738);       // 30 L
+  assert.equal(tank.annualOverflow, 29200);      // 50 + 3 × 90 L
+  assert.equal(result.annualRunoff, 36500);      // 400 L
+  assert.equal(result.recommendedTankSize, 0.05);
+  assert.match(result.recommendationBasis, /Target not reachable/);
+});
+
+test('a tank that never fills meets no demand', () => {
+  const result = simulateWaterBalance(AREA, series([0, 0, 0, 0]), options);
+  assert.deepEqual(result.reliabilityCurve, [{
+    tankSize: 0.05,
+    reliability: 0,
+    volumetricReliability: 0,
+    annualSupplied: 0,
+    annualOverflow: 0
+  }]);
+  assert.equal(result.demand.annualDemand, 3650);
+  assert.equal(result.firstFlushLoss, 0);
+});
+
+test('the first flush is diverted once per rain event', () => {
+  // 2 mm diverted on days 1 and 4; day 3 is dry and resets the diverter.
+  // Runoff: 10 + 10 + 0 + 30 = 50 L of the 90 L that fell on the roof.
+  const result = simulateWaterBalance(AREA, series([3, 1, 0, 5]), { ...options, firstFlushMm: 2 });
+  assert.equal(result.annualRunoff, 4563);       // 50 L
+  assert.equal(result.firstFlushLoss, 3650);     // 40 L
+});
+
+test('an empty series is reported rather than simulated', () => {
+  assert.ok(simulateWaterBalance(AREA, [], options).error);
+});
@@ -1,7 +1,136 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { MapPin, Droplet, Sun, Download, Loader2, Building2, Search, X, Layers, Thermometer, CloudRain, Wind, Info, ChevronRight, Leaf, AlertCircle, FileText, ChevronUp, AlertTriangle, Maximize2 } from 'lucide-react';
 import Building3DVisualization from './components/Building3DVisualization';
+import SolarProfileChart from './components/SolarProfileChart';
+import FinancialSummary from './components/FinancialSummary';
+import TankSizingChart from './components/TankSizingChart';
+import PriorityScoringControls from './components/PriorityScoringControls';
+import runWorkerTask, { TaskAbortedError } from './workers/runWorkerTask';
+import { DEFAULT_CLUSTERING } from './workers/clustering';
+import { API_URL, config, configErrors } from './config';
 // Unified Loading Manager Component
+const ROOF_SHAPE_OPTIONS = [
+  { value: '', label: 'Auto (OSM tag or flat)' },
+  { value: 'flat', label: 'Flat' },
+  { value: 'skillion', label: 'Skillion (mono-pitch)' },
+  { value: 'gabled', label: 'Gabled' },
+  { value: 'hipped', label: 'Hipped' },
+  { value: 'pyramidal', label: 'Pyramidal' },
+  { value: 'dome', label: 'Dome' }
+];
+
+// How the backend resolved each building's height (see backend/models/buildingHeight.js)
+const HEIGHT_SOURCE_LABELS = {
+  height: 'OSM height tag',
+  levels: 'OSM building:levels × 3 m',
+  default: 'estimated - no OSM height tags'
+};
+
+// The backend serves footprints as zoom-16 tiles and refuses requests over 150 tiles
+// (backend/lib/buildings.js); wider views load the centre of the map only
+const BUILDING_TILE_ZOOM = 16;
+const MAX_BUILDING_TILES = 150;
+
+// Viewport bounds, shrunk around the centre until they touch at most MAX_BUILDING_TILES tiles
+const buildingRequestBounds = (map) => {
+  const bounds = map.getBounds();
+  const tileSize = 256;
+  const centre = map.project(bounds.getCenter(), BUILDING_TILE_ZOOM);
+  const northWest = map.project(bounds.getNorthWest(), BUILDING_TILE_ZOOM);
+  const halfWidth = centre.x - northWest.x;
+  const halfHeight = centre.y - northWest.y;
+  // A span of w tiles touches at most ceil(w) + 1 of them
+  const tilesTouched = (scale) =>
+    (Math.ceil(2 * halfWidth * scale / tileSize) + 1) * (Math.ceil(2 * halfHeight * scale / tileSize) + 1);
+
+  let scale = 1;
+  while (scale > 0.01 && tilesTouched(scale) > MAX_BUILDING_TILES) scale *= 0.9;
+  if (scale === 1) return { bounds, clipped: false };
+
+  const offset = window.L.point(halfWidth * scale, halfHeight * scale);
+  return {
+    bounds: window.L.latLngBounds(
+      map.unproject(centre.subtract(offset), BUILDING_TILE_ZOOM),
+      map.unproject(centre.add(offset), BUILDING_TILE_ZOOM)
+    ),
+    clipped: true
+  };
+};
+
+// Day/night UHI (backend/models/heatModel.js): baseline is the mean daily max or
+// min temperature; roofs drive daytime heat, canyon density and height nighttime heat.
+// The factor weights come from the backend (/api/modelParameters `heat.weights`).
+// `range` maps temperature to heat-layer intensity.
+const UHI_PERIODS = {
+  day: {
+    label: 'Day',
+    baseline: 'avgMaxTemperature',
+    range: [28, 40]
+  },
+  night: {
+    label: 'Night',
+    baseline: 'avgMinTemperature',
+    range: [14, 30]
+  }
+};
+// Uploaded land-surface-temperature rasters (backend/lib/lstStore.js) replace the
+// modelled heat layer wherever one covers at least half of the view
+const LST_GRID_SIZE = 40;
+const DEFAULT_AQI_STANDARD = config.aqiStandard;
+const AQ_SURFACE_OPACITY = 0.45; // fill opacity at a station; fades with interpolation uncertainty
+const AQI_POLLUTANT_LABELS = { pm25: 'PM2.5', pm10: 'PM10', no2: 'NO₂', o3: 'O₃', so2: 'SO₂', co: 'CO' };
+
+// Priority zones are measured here and scored by the backend (backend/models/priorityScoring.js)
+// with a preset or custom weights. ?priorityPreset=<id> opens the layer with a shared preset.
+const PRIORITY_MIN_SCORE = 0.4;
+const PRIORITY_MAX_ZONES = 20;
+const PRIORITY_LEVEL_COLORS = { Critical: '#6b21a8', High: '#7c3aed', Medium: '#a78bfa' };
+const FLOOR_AREA_PER_RESIDENT = 25; // m², as in the population criterion
+const STOREY_HEIGHT = 3; // metres, for footprints without a levels tag
+const SHARED_PRIORITY_PRESET = new URLSearchParams(window.location.search).get('priorityPreset');
+// DBSCAN neighbourhood radius (metres between centroids) and minimum buildings per zone
+const CLUSTER_EPS_OPTIONS = [25, 40, 60, 90, 120];
+const CLUSTER_MIN_POINTS_OPTIONS = [3, 5, 8, 12, 20];
+
+// Inline SVG line for popup HTML; `guides` are dashed horizontal reference lines
+const sparklineSvg = (values, { width = 260, height = 48, color = '#2563eb', guides = [] } = {}) => {
+  const max = Math.max(...values, ...guides.map(g => g.value)) * 1.05;
+  const x = i => (values.length > 1 ? i / (values.length - 1) : 0.5) * width;
+  const y = v => height - (v / max) * height;
+  const points = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+  const guideLines = guides
+    .map(g => `<line x1="0" x2="${width}" y1="${y(g.value).toFixed(1)}" y2="${y(g.value).toFixed(1)}" stroke="${g.color}" stroke-width="1" stroke-dasharray="3,3" />`)
+    .join('');
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" class="block">${guideLines}<polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.2" /></svg>`;
+};
+
+// User-editable text (OSM tags, uploaded sensor names) for Leaflet popup/tooltip HTML
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Backend model parameters (/api/modelParameters): request caps and the UHI
+// weights. Fetched once for the whole app; a failed request is retried on next use.
+let modelParametersRequest = null;
+const loadModelParameters = () => {
+  modelParametersRequest ??= fetch(`${API_URL}/api/modelParameters`)
+    .then(response => {
+      if (!response.ok) throw new Error(`Server error (${response.status})`);
+      return response.json();
+    })
+    .catch(error => {
+      console.error('Failed to load model parameters:', error);
+      modelParametersRequest = null;
+      return null;
+    });
+  return modelParametersRequest;
+};
+
+// Message from the backend's error envelope { error: { code, message, details } }
+const apiErrorMessage = async (response) => {
+  const body = await response.json().catch(() => null);
+  return body?.error?.message || `Server error (${response.status})`;
+};
+
 const LoadingManager = ({ operations }) => {
   const activeOps = Object.entries(operations).filter(([_, data]) => data.active);
   if (activeOps.length === 0) return null;
@@ -49,21 +178,21 @@ const InfoModal = ({ type, onClose }) => {
     solar: {
       title: "Solar Energy Potential",
       icon: <Sun className="w-6 h-6 text-amber-600" />,
-      description: "Calculates rooftop solar PV generation capacity using real NASA POWER satellite irradiance data.",
-      formula: "Annual Energy = Roof Area × Daily Irradiance × 365 × 0.20 × 0.85",
-      dataSource: "NASA POWER API (ALLSKY_SFC_SW_DWN)",
+      description: "Calculates rooftop solar PV generation using real NASA POWER irradiance and temperature, transposed onto the tilted panel plane for the roof type.",
+      formula: "Annual Energy = Σ hourly POA Irradiance × System kWp × Temperature Derate × (1 − System Losses) × Inverter Efficiency",
+      dataSource: "NASA POWER API (ALLSKY_SFC_SW_DWN, T2M) + OpenStreetMap roof:shape",
       regulations: [
         "Bangladesh: Net metering up to 500 kW (SREDA 2018)",
         "India: 40% subsidy for residential solar up to 3 kW",
-        "Average payback: 4-7 years, Panel lifespan: 25-30 years"
+        "Payback: years until cumulative savings (net of O&M, with tariff escalation and panel degradation) cover the installed cost, per building; panel lifespan 25-30 years"
       ]
     },
     water: {
       title: "Rainwater Harvesting Potential",
       icon: <Droplet className="w-6 h-6 text-blue-600" />,
-      description: "Calculates collectible rainwater using real historical precipitation data from Open-Meteo Archive.",
-      formula: "Annual Water = Roof Area × Annual Rainfall × 0.90",
-      dataSource: "Open-Meteo Historical Archive - 1 year of data",
+      description: "Calculates collectible rainwater from a multi-year precipitation climatology and sizes the tank with a daily water-balance simulation.",
+      formula: "Annual Water = Roof Area × Mean Annual Rainfall × 0.90; Tank = smallest size meeting demand on 90% of days",
+      dataSource: "Open-Meteo Historical Archive (ERA5) - last 10 complete years",
       regulations: [
         "Bangladesh Building Code 2020: RWH required for buildings >1,000m²",
         "India IS 15797:2008: RWH design standards",
@@ -73,9 +202,9 @@ const InfoModal = ({ type, onClose }) => {
     heat: {
       title: "Urban Heat Island Effect",
       icon: <Thermometer className="w-6 h-6 text-red-600" />,
-      description: "Combined UHI model: NASA satellite temperature + building density + impervious surfaces.",
-      formula: "UHI Risk = (NASA Temp × 0.5) + (Building Density × 0.3) + (Low Green × 0.2)",
-      dataSource: "NASA POWER T2M + OpenStreetMap building footprints",
+      description: "Day/night UHI model on NASA POWER daily max/min temperature, plus heat index, wet-bulb temperature, hot days and hot nights from temperature and humidity.",
+      formula: "Day = mean Tmax + roof albedo 29% / green deficit 21% / density 12% / height 8%; Night = mean Tmin + density 30% / height 25% / green deficit 15% / albedo 8%. Heat index: NOAA Rothfusz at Tmax; wet-bulb: Stull (2011)",
+      dataSource: "NASA POWER T2M, T2M_MAX, T2M_MIN, RH2M + OpenStreetMap building footprints; uploaded land surface temperature GeoTIFFs (e.g. Landsat thermal) replace the model where they cover the map",
       regulations: [
         "India NAPCC: National guidelines for UHI mitigation",
         "LEED v4.1: Cool roof requirements (SRI ≥82)",
@@ -85,9 +214,9 @@ const InfoModal = ({ type, onClose }) => {
     airQuality: {
       title: "Air Quality Monitoring",
       icon: <Wind className="w-6 h-6 text-purple-600" />,
-      description: "Real-time air quality from ground monitoring stations (PM2.5, PM10, NO₂, O₃).",
-      formula: "AQI = EPA breakpoint calculation from PM2.5 concentration",
-      dataSource: "OpenAQ API v3 (Real ground monitoring network)",
+      description: "Real-time air quality from ground monitoring stations (PM2.5, PM10, NO₂, O₃, SO₂, CO) under a selectable index standard.",
+      formula: "AQI = max(sub-index per pollutant), each from the standard's breakpoints (US EPA, India NAQI, Bangladesh DoE or EU CAQI). Between stations: PM2.5 = Σ(wᵢ·cᵢ)/Σwᵢ with wᵢ = 1/dᵢ² (IDW)",
+      dataSource: "OpenAQ API v3 (Real ground monitoring network) + uploaded low-cost sensors (EPA PurpleAir calibration)",
       regulations: [
         "Bangladesh: Annual PM2.5 limit 15 µg/m³",
         "WHO Guidelines: PM2.5 annual mean ≤5 µg/m³",
@@ -109,9 +238,9 @@ const InfoModal = ({ type, onClose }) => {
     priorityZones: {
       title: "Priority Intervention Zones",
       icon: <AlertCircle className="w-6 h-6 text-orange-600" />,
-      description: "Multi-criteria analysis combining NASA temperature data, building density, green space deficit, and rooftop opportunities.",
-      formula: "Priority = (Heat Risk × 0.35) + (Building Density × 0.25) + (Green Deficit × 0.25) + (Rooftop Potential × 0.15)",
-      dataSource: "NASA POWER Temperature + OpenStreetMap buildings + Environmental analysis",
+      description: "Zones are DBSCAN clusters of buildings (tunable radius and minimum size) outlined by a concave or convex hull of their footprints; area, density and built cover are measured inside that outline. Configurable multi-criteria analysis: choose heat, building density, green deficit, rooftop potential, air quality and population exposure, set their weights and normalisation ranges, and save or share the result as a named preset. Each zone popup breaks its score down by criterion.",
+      formula: "Priority = Σ (weight ÷ Σ weights) × clamp((value − min) ÷ (max − min), 0, 1), over the criteria the zone has data for",
+      dataSource: "Land surface temperature rasters or NASA POWER + UHI model, OpenStreetMap buildings (footprints, storeys), interpolated PM2.5 surface",
       regulations: [
         "UN-Habitat: Climate adaptation in rapidly growing cities",
         "Paris Agreement: Urban adaptation strategies in NDCs",
@@ -251,6 +380,7 @@ const LayerControlPanel = ({ layers, activeLayers, toggleLayer, setActiveInfo })
                                 {isActive && (
                                     <div className="mt-3 pt-3 border-t border-slate-200">
                                         <p className="text-xs text-slate-600 mb-2">{layer.description}</p>
+                                        {layer.controls}
                                         <Legend {...layer.legend} />
                                     </div>
                                 )}
@@ -269,18 +399,27 @@ const RoofHarvestApp = () => {
   const [searchQuery, setSearchQuery] = useState('Dhaka');
   const [searchResults, setSearchResults] = useState([]);
   const [searching, setSearching] = useState(false);
-  const [mapCenter, setMapCenter] = useState({ lat: 23.8103, lng: 90.4125 });
+  const [mapCenter, setMapCenter] = useState(config.mapCenter);
   const [buildings, setBuildings] = useState([]);
   const [activeInfo, setActiveInfo] = useState(null);
-  const [dataError, setDataError] = useState(null);
+  const [dataError, setDataError] = useState(configErrors.length > 0 ? `Configuration: ${configErrors.join('; ')}` : null);
   const [show3DView, setShow3DView] = useState(false);
+  const [aqiStandards, setAqiStandards] = useState([]);
+  const [aqiStandard, setAqiStandard] = useState(DEFAULT_AQI_STANDARD);
+  const [aqiScale, setAqiScale] = useState(null);
+  const [uhiPeriod, setUhiPeriod] = useState('day');
+  const [lstCoverage, setLstCoverage] = useState(null); // { name, acquired, range } while the heat layer shows a raster
   const [activeLayers, setActiveLayers] = useState({
     buildings: true,
     heat: false,
     airQuality: false,
     greenSpace: false,
-    priorityZones: false
+    priorityZones: Boolean(SHARED_PRIORITY_PRESET)
   });
+  const [priorityCriteria, setPriorityCriteria] = useState(null);
+  const [priorityPresets, setPriorityPresets] = useState([]);
+  // { preset } or { criteria }; the backend's default preset until the presets load
+  const [priorityScoring, setPriorityScoring] = useState(SHARED_PRIORITY_PRESET ? { preset: SHARED_PRIORITY_PRESET } : {});
   
   const [loadingOperations, setLoadingOperations] = useState({});
 
@@ -292,6 +431,17 @@ const RoofHarvestApp = () => {
   const greenSpaceLayerRef = useRef(null);
   const priorityZoneLayerRef = useRef(null);
   const nasaDataCacheRef = useRef({});
+  const buildingsRef = useRef([]); // latest footprints for click handlers bound at fetch time
+  const shadingLayerRef = useRef(null);
+  const aqiStandardRef = useRef(DEFAULT_AQI_STANDARD); // read by renders bound to map events
+  const uhiPeriodRef = useRef('day');
+  const lstByBuildingRef = useRef({}); // footprint LST from the last heat render, for the analysis card
+  const stationHistoryRef = useRef({}); // rendered popup history per station and reading
+  const priorityScoringRef = useRef(priorityScoring);
+  const [priorityClustering, setPriorityClustering] = useState(DEFAULT_CLUSTERING);
+  const priorityClusteringRef = useRef(DEFAULT_CLUSTERING);
+  const priorityTaskRef = useRef(null); // AbortController of the clustering run in progress
+  const heatTaskRef = useRef(null); // same for the modelled heat layer
 
   const layerConfig = [
     { 
@@ -305,15 +455,50 @@ const RoofHarvestApp = () => {
       id: 'heat', 
       icon: Thermometer, 
       label: 'Urban Heat', 
-      description: 'Combined: NASA temperature + building density.', 
-      legend: { gradient: {from: '#3b82f6', to: '#ef4444', startLabel: 'Cool', endLabel: 'Hot'}}
+      description: lstCoverage
+        ? `Measured land surface temperature: ${lstCoverage.name}${lstCoverage.acquired ? ` (${lstCoverage.acquired})` : ''}, per footprint and ${LST_GRID_SIZE}×${LST_GRID_SIZE} grid.`
+        : uhiPeriod === 'day'
+          ? 'Daytime: NASA mean daily maximum + roof size, density and height.'
+          : 'Nighttime: NASA mean daily minimum + street-canyon density and height, which hold heat after dark.',
+      controls: (
+        <div className="flex mb-2 rounded border border-slate-300 overflow-hidden text-xs">
+          {Object.entries(UHI_PERIODS).map(([id, period]) => (
+            <button
+              key={id}
+              onClick={() => changeUhiPeriod(id)}
+              className={`flex-1 px-2 py-1 ${uhiPeriod === id ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'}`}
+            >
+              {period.label}
+            </button>
+          ))}
+        </div>
+      ),
+      legend: { gradient: {
+        from: '#3b82f6',
+        to: '#ef4444',
+        startLabel: `≤${(lstCoverage?.range || UHI_PERIODS[uhiPeriod].range)[0]}°C`,
+        endLabel: `≥${(lstCoverage?.range || UHI_PERIODS[uhiPeriod].range)[1]}°C`
+      }}
     },
     { 
       id: 'airQuality', 
       icon: Wind, 
       label: 'Air Quality', 
-      description: 'Real-time monitoring stations (OpenAQ).', 
-      legend: { gradient: {from: '#22c55e', to: '#dc2626', startLabel: 'Good', endLabel: 'Hazardous'}}
+      description: 'Real-time monitoring stations (OpenAQ, ●) and uploaded low-cost sensors (◆) with an interpolated PM2.5 surface; shading fades with distance from stations.', 
+      controls: (
+        <select
+          value={aqiStandard}
+          onChange={(e) => changeAqiStandard(e.target.value)}
+          className="w-full mb-2 px-2 py-1 text-xs border border-slate-300 rounded bg-white"
+        >
+          {(aqiStandards.length > 0 ? aqiStandards : [{ id: aqiStandard, name: aqiStandard }]).map(standard => (
+            <option key={standard.id} value={standard.id}>{standard.name}</option>
+          ))}
+        </select>
+      ),
+      legend: aqiScale
+        ? { steps: aqiScale.map(step => ({ color: step.color, label: step.label })) }
+        : { gradient: {from: '#22c55e', to: '#dc2626', startLabel: 'Good', endLabel: 'Hazardous'}}
     },
     { 
       id: 'greenSpace', 
@@ -326,7 +511,55 @@ const RoofHarvestApp = () => {
   id: 'priorityZones', 
   icon: AlertCircle, 
   label: 'Priority Zones', 
-  description: 'Multi-criteria analysis: heat + density + green deficit + rooftop potential.', 
+  description: priorityScoring.preset
+    ? `Multi-criteria analysis with the "${priorityPresets.find(p => p.id === priorityScoring.preset)?.name || priorityScoring.preset}" weights; zone popups show each criterion's share of the score.`
+    : 'Multi-criteria analysis with custom weights; zone popups show each criterion\'s share of the score.',
+  controls: (
+    <>
+    <div className="grid grid-cols-3 gap-1 mb-2 text-xs">
+      <label className="text-slate-500">
+        Radius
+        <select
+          value={priorityClustering.eps}
+          onChange={(e) => changePriorityClustering({ eps: Number(e.target.value) })}
+          className="w-full px-1 py-1 border border-slate-300 rounded bg-white text-slate-800"
+        >
+          {CLUSTER_EPS_OPTIONS.map(eps => <option key={eps} value={eps}>{eps} m</option>)}
+        </select>
+      </label>
+      <label className="text-slate-500">
+        Min. buildings
+        <select
+          value={priorityClustering.minPoints}
+          onChange={(e) => changePriorityClustering({ minPoints: Number(e.target.value) })}
+          className="w-full px-1 py-1 border border-slate-300 rounded bg-white text-slate-800"
+        >
+          {CLUSTER_MIN_POINTS_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+        </select>
+      </label>
+      <label className="text-slate-500">
+        Outline
+        <select
+          value={priorityClustering.hull}
+          onChange={(e) => changePriorityClustering({ hull: e.target.value })}
+          className="w-full px-1 py-1 border border-slate-300 rounded bg-white text-slate-800"
+        >
+          <option value="concave">Concave</option>
+          <option value="convex">Convex</option>
+        </select>
+      </label>
+    </div>
+    <PriorityScoringControls
+      criteria={priorityCriteria}
+      presets={priorityPresets}
+      scoring={priorityScoring}
+      onChange={(scoring, apply) => changePriorityScoring(scoring, apply)}
+      onApply={() => updateLayer('priorityZones')}
+      onSave={(name, criteria) => savePriorityPreset(name, criteria)}
+      onShare={() => sharePriorityPreset()}
+    />
+    </>
+  ),
   legend: { 
     gradient: {
       from: '#ddd6fe',  // Light purple
@@ -360,6 +593,40 @@ const RoofHarvestApp = () => {
     });
   };
 
+  useEffect(() => {
+    loadModelParameters();
+  }, []);
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/aqiStandards`)
+      .then(response => response.ok ? response.json() : null)
+      .then(data => {
+        if (data) setAqiStandards(data.standards);
+      })
+      .catch(error => console.error('Failed to load AQI standards:', error));
+  }, []);
+
+  useEffect(() => {
+    Promise.all([
+      fetch(`${API_URL}/api/priority/criteria`).then(response => response.ok ? response.json() : null),
+      fetch(`${API_URL}/api/priority/presets`).then(response => response.ok ? response.json() : null)
+    ])
+      .then(([criteria, presets]) => {
+        if (!criteria || !presets) return;
+        setPriorityCriteria(criteria.criteria);
+        setPriorityPresets(presets.presets);
+
+        const current = priorityScoringRef.current;
+        const unknownShared = current.preset && !presets.presets.some(p => p.id === current.preset);
+        if (unknownShared) setDataError(`Shared priority preset "${current.preset}" no longer exists; using the default weights.`);
+        if (unknownShared || (!current.preset && !current.criteria)) {
+          priorityScoringRef.current = { preset: criteria.defaultPreset };
+          setPriorityScoring(priorityScoringRef.current);
+        }
+      })
+      .catch(error => console.error('Failed to load priority presets:', error));
+  }, []);
+
   useEffect(() => {
     if (window.L) {
       initMap();
@@ -455,27 +722,24 @@ const RoofHarvestApp = () => {
     if (!leafletMapRef.current) return;
     startLoading('buildings', 'Loading buildings');
     try {
-      const bounds = leafletMapRef.current.getBounds();
-      const bbox = `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
-      const query = `[out:json][timeout:25];way["building"](${bbox});out geom;`;
-      const response = await fetch('https://overpass-api.de/api/interpreter', {
-        method: 'POST',
-        body: query
-      });
-      if (!response.ok) throw new Error('Overpass API unavailable');
+      const { bounds, clipped } = buildingRequestBounds(leafletMapRef.current);
+      const bbox = `${bounds.getWest()},${bounds.getSouth()},${bounds.getEast()},${bounds.getNorth()}`;
+      const response = await fetch(`${API_URL}/api/buildings?bbox=${bbox}`);
+      if (!response.ok) throw new Error(await apiErrorMessage(response));
       const data = await response.json();
       
       buildingLayersRef.current.forEach(layer => leafletMapRef.current?.removeLayer(layer));
       buildingLayersRef.current = [];
 
-      const processedBuildings = data.elements.map((element) => {
-        const nodes = element.geometry || [];
+      // GeoJSON footprints with area/centroid computed by the backend
+      const processedBuildings = data.features.map((feature) => {
+        const nodes = feature.geometry.coordinates[0].map(([lon, lat]) => ({ lat, lon }));
         if (nodes.length === 0) return null;
-        const area = calculatePolygonArea(nodes);
-        const centroid = calculateCentroid(nodes);
+        const { area, centroid, name, roofShape, levels, height, minHeight, heightSource } = feature.properties;
         
         const building = { 
-          id: element.id, nodes, area, centroid, name: `Building ${element.id}`
+          id: feature.id, nodes, area, centroid, name: name || `Building ${feature.id}`,
+          roofShape, levels, height, minHeight, heightSource, buildingType: feature.properties.building
         };
         
         if (leafletMapRef.current && nodes.length > 0) {
@@ -486,7 +750,7 @@ const RoofHarvestApp = () => {
             });
             
             polygon.on('click', () => analyzeBuilding(building));
-            polygon.bindTooltip(`<b>${building.name}</b><br>Area: ${building.area.toLocaleString()} m²`, { sticky: true });
+            polygon.bindTooltip(`<b>${escapeHtml(building.name)}</b><br>Area: ${building.area.toLocaleString()} m²`, { sticky: true });
             
             buildingLayersRef.current.push(polygon);
             if(activeLayers.buildings) polygon.addTo(leafletMapRef.current);
@@ -495,14 +759,18 @@ const RoofHarvestApp = () => {
       }).filter(Boolean);
 
       setBuildings(processedBuildings);
+      buildingsRef.current = processedBuildings;
       Object.keys(activeLayers).forEach(layerId => {
         if(activeLayers[layerId] && layerId !== 'buildings') {
             updateLayer(layerId, processedBuildings);
         }
       });
+      // After the layer updates, which clear earlier messages
+      if (clipped) setDataError('Buildings are loaded for the centre of the map only. Zoom in to load the whole view.');
 
     } catch (error) {
       console.error("Failed to fetch buildings:", error);
+      setDataError(`Unable to load buildings: ${error.message}. Layers still show the previous area.`);
     } finally {
       stopLoading('buildings');
     }
@@ -524,102 +792,73 @@ const RoofHarvestApp = () => {
    if (!leafletMapRef.current) return;
   if (heatLayerRef.current) leafletMapRef.current.removeLayer(heatLayerRef.current);
   
-  startLoading('heat', 'Analyzing urban heat', true);
+  const periodId = uhiPeriodRef.current;
+  const period = UHI_PERIODS[periodId];
+  startLoading('heat', `Analyzing ${period.label.toLowerCase()}time urban heat`, true);
+  // A newer render (map moved, period changed) cancels this one
+  if (heatTaskRef.current) heatTaskRef.current.abort();
+  const task = new AbortController();
+  heatTaskRef.current = task;
   
-  // STEP 1: Get NASA temperature as REGIONAL BASELINE (fetch once for map center)
   const bounds = leafletMapRef.current.getBounds();
+
+  // Measured land surface temperature where an uploaded raster covers the view
+  const lst = await fetchLandSurfaceTemperature(bounds, buildingsData);
+  if (task.signal.aborted) return;
+  if (lst?.covered) {
+    renderLandSurfaceTemperature(lst, buildingsData);
+    stopLoading('heat');
+    return;
+  }
+  setLstCoverage(null);
+  lstByBuildingRef.current = {};
+
+  // STEP 1: Get NASA temperature as REGIONAL BASELINE (fetch once for map center)
   const centerLat = (bounds.getNorth() + bounds.getSouth()) / 2;
   const centerLng = (bounds.getEast() + bounds.getWest()) / 2;
   
-  const baselineTemp = await fetchRealNASATemperature(centerLat, centerLng);
+  const [baselineTemp, parameters] = await Promise.all([
+    fetchRealNASATemperature(centerLat, centerLng),
+    loadModelParameters()
+  ]);
+  if (task.signal.aborted) return;
   
   if (!baselineTemp || !baselineTemp.isReal) {
     setDataError('Unable to fetch NASA temperature data for this region.');
     stopLoading('heat');
     return;
   }
+  if (!parameters) {
+    setDataError('Unable to load the urban heat model from the server.');
+    stopLoading('heat');
+    return;
+  }
+  const { weights, tallBuildingHeight } = parameters.heat;
   
-  console.log(`Regional baseline temperature: ${baselineTemp.avgTemperature}°C`);
-  
-  // STEP 2: Calculate heat for each building using validated factors
-  const buildingHeatPoints = [];
-  let processedBuildings = 0;
-  
-  updateLoadingProgress('heat', 0, buildingsData.length);
+  // Mean daily max (day) or min (night); the annual mean if the backend had no min/max series
+  const baselineTemperature = baselineTemp[period.baseline] ?? baselineTemp.avgTemperature;
+  console.log(`Regional ${period.label.toLowerCase()}time baseline temperature: ${baselineTemperature}°C`);
   
-  for (const building of buildingsData) {
-    processedBuildings++;
-    updateLoadingProgress('heat', processedBuildings, buildingsData.length);
-    
-    // Calculate local urban heat factors (Climate Central methodology)
-    
-    // Factor 1: Building Density (12% influence)
-    // Count buildings within 100m radius
-    const nearbyBuildings = buildingsData.filter(b => {
-      const distance = Math.sqrt(
-        Math.pow((building.centroid.lat - b.centroid.lat) * 111000, 2) +
-        Math.pow((building.centroid.lng - b.centroid.lng) * 111000, 2)
-      );
-      return distance < 100 && b.id !== building.id;
-    });
-    const densityFactor = Math.min(nearbyBuildings.length / 15, 1.0); // Normalize to 15 buildings
-    const densityAdjustment = densityFactor * 2.0; // Max +2°C
-    
-    // Factor 2: Building Size/Albedo (29% influence combined)
-    // Larger buildings = darker roofs = more heat absorption
-    const sizeScore = Math.min(building.area / 1000, 1.0); // Normalize to 1000m²
-    const albedoAdjustment = sizeScore * 3.0; // Max +3°C for large dark roofs
-    
-    // Factor 3: Green Space Deficit (21% influence)
-    // Assume inverse of building density as proxy for green space
-    const greenDeficit = densityFactor; // High density = low green space
-    const greenAdjustment = -greenDeficit * 2.0; // Max -2°C for areas with parks
-    
-    // Factor 4: Building Height (8% influence)
-    // Taller buildings create urban canyons, trap heat
-    // We don't have height data, so use area as proxy
-    const heightProxy = building.area > 500 ? 1.0 : 0.5;
-    const heightAdjustment = heightProxy * 1.0; // Max +1°C
-    
-    // TOTAL ADJUSTMENT (scientifically weighted)
-    const totalAdjustment = 
-      (albedoAdjustment * 0.29) +     // 29% weight
-      (greenAdjustment * 0.21) +      // 21% weight  
-      (densityAdjustment * 0.12) +    // 12% weight
-      (heightAdjustment * 0.08);      // 8% weight
-    
-    const buildingTemperature = baselineTemp.avgTemperature + totalAdjustment;
-    const heatIntensity = normalizeTemperature(buildingTemperature);
-    
-    // Add building center point
-    buildingHeatPoints.push({
-      lat: building.centroid.lat,
-      lng: building.centroid.lng,
-      intensity: heatIntensity,
-      temperature: buildingTemperature,
-      area: building.area
+  // STEP 2: Per-building heat in a worker (grid-indexed neighbour counts), progress per chunk
+  let heat;
+  try {
+    heat = await runWorkerTask('heat', {
+      buildings: buildingsData.map(b => ({ lat: b.centroid.lat, lng: b.centroid.lng, area: b.area, height: b.height })),
+      model: { baselineTemperature, weights: weights[periodId], range: period.range, tallBuildingHeight }
+    }, {
+      signal: task.signal,
+      onProgress: (done, total) => updateLoadingProgress('heat', done, total)
     });
-    
-    // For large buildings, add surrounding points with natural decay
-    if (building.area > 300) {
-      const offset = 0.0003; // About 33 meters
-      const decayFactor = 0.6; // Heat decays away from building
-      
-      // Add 4 cardinal direction points
-      buildingHeatPoints.push(
-        { lat: building.centroid.lat + offset, lng: building.centroid.lng, intensity: heatIntensity * decayFactor },
-        { lat: building.centroid.lat - offset, lng: building.centroid.lng, intensity: heatIntensity * decayFactor },
-        { lat: building.centroid.lat, lng: building.centroid.lng + offset, intensity: heatIntensity * decayFactor },
-        { lat: building.centroid.lat, lng: building.centroid.lng - offset, intensity: heatIntensity * decayFactor }
-      );
-    }
+  } catch (error) {
+    if (error instanceof TaskAbortedError) return;
+    setDataError(`Unable to compute urban heat: ${error.message}`);
+    stopLoading('heat');
+    return;
   }
   
   // STEP 3: Create heatmap from building-based points
-  if (window.L.heatLayer && buildingHeatPoints.length > 0) {
-    const heatmapData = buildingHeatPoints.map(p => [p.lat, p.lng, p.intensity]);
-    
-    heatLayerRef.current = window.L.heatLayer(heatmapData, {
+  if (window.L.heatLayer && heat.points.length > 0) {
+    heatLayerRef.current = window.L.heatLayer(heat.points, {
       radius: 20,              // Smaller radius = less artificial blur
       blur: 12,                // Less blur = follows buildings better
       maxZoom: 19,
@@ -634,19 +873,71 @@ const RoofHarvestApp = () => {
       }
     }).addTo(leafletMapRef.current);
     
-    console.log(`✓ Created heat map from ${buildingHeatPoints.length} building-based points`);
+    console.log(`✓ Created heat map from ${heat.points.length} building-based points (${heat.temperatureRange.map(t => t.toFixed(1)).join('-')}°C)`);
   }
   
   stopLoading('heat');
 };
 
+  // Per-cell and per-footprint LST for the view, or null when the backend has none
+  const fetchLandSurfaceTemperature = async (bounds, buildingsData) => {
+    try {
+      const response = await fetch(`${API_URL}/api/lst/sample`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          bounds: { north: bounds.getNorth(), south: bounds.getSouth(), east: bounds.getEast(), west: bounds.getWest() },
+          period: uhiPeriodRef.current,
+          gridSize: LST_GRID_SIZE,
+          buildings: buildingsData.map(b => ({ id: b.id, footprint: b.nodes.map(n => [n.lon, n.lat]) }))
+        })
+      });
+      if (!response.ok) throw new Error(await apiErrorMessage(response));
+      return await response.json();
+    } catch (error) {
+      console.warn('Land surface temperature unavailable, using the modelled heat layer:', error.message);
+      return null;
+    }
+  };
+
+  const renderLandSurfaceTemperature = (lst, buildingsData) => {
+    // Colour between the 5th and 95th percentile so one hot roof doesn't flatten the map
+    const sorted = lst.cells.map(c => c.temperature).sort((a, b) => a - b);
+    const percentile = p => sorted[Math.min(Math.floor(p * sorted.length), sorted.length - 1)];
+    const range = [Math.floor(percentile(0.05)), Math.ceil(percentile(0.95))];
+    const intensity = t => Math.min(Math.max((t - range[0]) / Math.max(range[1] - range[0], 1), 0), 1);
+
+    const centroids = Object.fromEntries(buildingsData.map(b => [b.id, b.centroid]));
+    lstByBuildingRef.current = Object.fromEntries(lst.buildings.map(b => [b.id, { ...b, raster: lst.raster.name }]));
+
+    const heatmapData = [
+      ...lst.cells.map(c => [c.lat, c.lng, intensity(c.temperature)]),
+      ...lst.buildings
+        .filter(b => centroids[b.id])
+        .map(b => [centroids[b.id].lat, centroids[b.id].lng, intensity(b.temperature)])
+    ];
+
+    if (window.L.heatLayer && heatmapData.length > 0) {
+      heatLayerRef.current = window.L.heatLayer(heatmapData, {
+        radius: 22,
+        blur: 15,
+        maxZoom: 19,
+        max: 1.0,
+        minOpacity: 0.6,
+        gradient: { 0.0: '#3b82f6', 0.25: '#10b981', 0.5: '#fbbf24', 0.75: '#f97316', 1.0: '#ef4444' }
+      }).addTo(leafletMapRef.current);
+    }
+
+    setLstCoverage({ name: lst.raster.name, acquired: lst.raster.acquired, range });
+    console.log(`✓ Heat layer from LST raster ${lst.raster.id}: ${lst.cells.length} cells, ${lst.buildings.length} footprints`);
+  };
+
   const fetchRealNASATemperature = async (latitude, longitude) => {
     const key = `${latitude.toFixed(3)},${longitude.toFixed(3)}`;
     const cached = nasaDataCacheRef.current[key];
     if (cached) return cached;
 
     try {
-      const API_URL = process.env.REACT_APP_API_URL;
       const response = await fetch(`${API_URL}/api/getRoofData`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -662,6 +953,8 @@ const RoofHarvestApp = () => {
       const nasaData = {
         avgIrradiance: data.solarData.avgIrradiance,
         avgTemperature: data.solarData.avgTemperature,
+        avgMaxTemperature: data.heatStress?.avgMaxTemperature ?? null,
+        avgMinTemperature: data.heatStress?.avgMinTemperature ?? null,
         annualPrecipitation: data.precipData.annualPrecipitation,
         isReal: true,
         timestamp: Date.now()
@@ -674,6 +967,33 @@ const RoofHarvestApp = () => {
     }
   };
 
+  // Nearest interpolated PM2.5 cell per zone centre; null where the surface has no stations
+  const fetchPm25Surface = async (bounds) => {
+    try {
+      const response = await fetch(`${API_URL}/api/getAirQualitySurface`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          bounds: { north: bounds.getNorth(), south: bounds.getSouth(), east: bounds.getEast(), west: bounds.getWest() },
+          standard: aqiStandardRef.current
+        })
+      });
+      if (!response.ok) throw new Error(await apiErrorMessage(response));
+      const surface = await response.json();
+      if (!surface.isReal || surface.cells.length === 0) return null;
+      return (lat, lng) => {
+        const nearest = surface.cells.reduce((best, cell) => {
+          const distance = Math.hypot(cell.lat - lat, cell.lng - lng);
+          return distance < best.distance ? { cell, distance } : best;
+        }, { cell: null, distance: Infinity });
+        return nearest.distance <= surface.grid.cellSize ? nearest.cell.pm25 : null;
+      };
+    } catch (error) {
+      console.warn('Air quality surface unavailable for priority scoring:', error.message);
+      return null;
+    }
+  };
+
   const renderPriorityZones = async (buildingsData) => {
       if (!leafletMapRef.current) return;
   if (priorityZoneLayerRef.current) leafletMapRef.current.removeLayer(priorityZoneLayerRef.current);
@@ -681,28 +1001,45 @@ const RoofHarvestApp = () => {
   startLoading('priority', 'Identifying priority zones', true);
   priorityZoneLayerRef.current = window.L.layerGroup().addTo(leafletMapRef.current);
   
-  // STEP 1: Identify building clusters (spatial proximity)
+  // STEP 1: DBSCAN clusters and their hull outlines, in a worker; a newer render cancels this one
   updateLoadingProgress('priority', 1, 5);
-  const clusters = identifyBuildingClusters(buildingsData, 0.0015); // 150m clustering distance
+  if (priorityTaskRef.current) priorityTaskRef.current.abort();
+  const task = new AbortController();
+  priorityTaskRef.current = task;
+  let clustering;
+  try {
+    clustering = await runWorkerTask('clustering', {
+      buildings: buildingsData.map(b => ({ centroid: [b.centroid.lng, b.centroid.lat], footprint: b.nodes.map(n => [n.lon, n.lat]) })),
+      options: priorityClusteringRef.current
+    }, { signal: task.signal });
+  } catch (error) {
+    if (error instanceof TaskAbortedError) return;
+    setDataError(`Unable to cluster buildings: ${error.message}`);
+    stopLoading('priority');
+    return;
+  }
+  const clusters = clustering.zones.map(zone => ({ ...zone, buildings: zone.indices.map(i => buildingsData[i]) }));
   
-  console.log(`Identified ${clusters.length} building clusters`);
+  console.log(`Identified ${clusters.length} building clusters (${clustering.noise} buildings outside any cluster)`);
   
-  // STEP 2: Get baseline temperature
+  // STEP 2: Temperature and air quality inputs. Measured LST where a raster covers
+  // the view, otherwise the NASA baseline + UHI adjustment; a missing source only
+  // drops its criterion from the affected zones' scores.
   updateLoadingProgress('priority', 2, 5);
   const bounds = leafletMapRef.current.getBounds();
   const centerLat = (bounds.getNorth() + bounds.getSouth()) / 2;
   const centerLng = (bounds.getEast() + bounds.getWest()) / 2;
-  const baselineTemp = await fetchRealNASATemperature(centerLat, centerLng);
+  const [lst, baselineTemp, pm25At] = await Promise.all([
+    fetchLandSurfaceTemperature(bounds, buildingsData),
+    fetchRealNASATemperature(centerLat, centerLng),
+    fetchPm25Surface(bounds)
+  ]);
+  if (task.signal.aborted) return;
+  const lstByBuilding = lst?.covered ? Object.fromEntries(lst.buildings.map(b => [b.id, b.temperature])) : {};
   
-  if (!baselineTemp || !baselineTemp.isReal) {
-    setDataError('Unable to calculate priority zones without temperature data.');
-    stopLoading('priority');
-    return;
-  }
-  
-  // STEP 3: Analyze each cluster
+  // STEP 3: Measure each cluster
   updateLoadingProgress('priority', 3, 5);
-  const clusterAnalysis = clusters.map(cluster => {
+  const clusterAnalysis = clusters.map((cluster, index) => {
     const centerLat = cluster.buildings.reduce((sum, b) => sum + b.centroid.lat, 0) / cluster.buildings.length;
     const centerLng = cluster.buildings.reduce((sum, b) => sum + b.centroid.lng, 0) / cluster.buildings.length;
     
@@ -710,81 +1047,105 @@ const RoofHarvestApp = () => {
     const totalArea = cluster.buildings.reduce((sum, b) => sum + b.area, 0);
     const avgBuildingSize = totalArea / cluster.buildings.length;
     const largeRoofs = cluster.buildings.filter(b => b.area > 500).length;
-    const buildingCount = cluster.buildings.length;
-    
-    // Calculate cluster density (buildings per hectare)
-    const clusterAreaKm2 = cluster.areaKm2 || 0.01;
-    const buildingDensity = buildingCount / (clusterAreaKm2 * 100); // per hectare
     
-    // VALIDATED PRIORITY FACTORS
+    // Density and built cover over the hull outline
+    const buildingDensity = cluster.densityPerHa;
+    const builtCover = cluster.builtCover * 100;
     
-    // 1. Heat Risk (35%) - Using validated formula
-    const densityFactor = Math.min(buildingDensity / 50, 1.0);
-    const sizeFactor = Math.min(avgBuildingSize / 1000, 1.0);
-    const estimatedHeatAdjustment = (densityFactor * 2.0) + (sizeFactor * 3.0);
-    const clusterTemp = baselineTemp.avgTemperature + estimatedHeatAdjustment;
-    const heatRisk = Math.min(Math.max((clusterTemp - 28) / 10, 0), 1.0);
-    
-    // 2. Building Density Risk (25%)
-    const densityRisk = Math.min(buildingDensity / 80, 1.0); // Normalize to 80 buildings/hectare
-    
-    // 3. Green Space Deficit (25%)
-    // High building density implies low green space
-    const greenDeficit = densityRisk; // Simplified proxy
-    
-    // 4. Rooftop Intervention Potential (15%)
-    const rooftopPotential = Math.min(largeRoofs / 5, 1.0); // Normalize to 5 large roofs
+    // Measured footprint LST, or the modelled estimate: baseline + density and roof-size adjustment
+    const measured = cluster.buildings.map(b => lstByBuilding[b.id]).filter(t => t !== undefined);
+    let clusterTemp = null;
+    if (measured.length > 0) {
+      clusterTemp = measured.reduce((sum, t) => sum + t, 0) / measured.length;
+    } else if (baselineTemp?.isReal) {
+      const densityFactor = Math.min(buildingDensity / 50, 1.0);
+      const sizeFactor = Math.min(avgBuildingSize / 1000, 1.0);
+      clusterTemp = baselineTemp.avgTemperature + (densityFactor * 2.0) + (sizeFactor * 3.0);
+    }
     
-    // COMPOSITE PRIORITY SCORE (validated weights)
-    const priorityScore = 
-      (heatRisk * 0.35) +
-      (densityRisk * 0.25) +
-      (greenDeficit * 0.25) +
-      (rooftopPotential * 0.15);
+    const residents = cluster.buildings.reduce((sum, b) => {
+      const storeys = b.levels || Math.max(Math.round(b.height / STOREY_HEIGHT), 1);
+      return sum + b.area * storeys;
+    }, 0) / FLOOR_AREA_PER_RESIDENT;
     
     return {
       ...cluster,
+      id: `zone-${index}`,
       centerLat,
       centerLng,
       totalArea,
       avgBuildingSize,
       largeRoofs,
       buildingDensity: buildingDensity.toFixed(1),
+      areaHa: cluster.areaM2 / 10000,
       clusterTemp,
-      scores: {
-        heat: heatRisk,
-        density: densityRisk,
-        green: greenDeficit,
-        rooftop: rooftopPotential,
-        overall: priorityScore
+      heatSource: measured.length > 0 ? 'measured LST' : 'modelled',
+      metrics: {
+        heat: clusterTemp === null ? null : parseFloat(clusterTemp.toFixed(1)),
+        density: parseFloat(buildingDensity.toFixed(1)),
+        greenDeficit: parseFloat(builtCover.toFixed(1)),
+        rooftopPotential: largeRoofs,
+        airQuality: pm25At ? pm25At(centerLat, centerLng) : null,
+        population: Math.round(residents)
       }
     };
   });
   
-  // STEP 4: Filter high-priority clusters
+  // STEP 4: Score with the chosen preset or custom weights, keep the highest-priority clusters
   updateLoadingProgress('priority', 4, 5);
+  if (clusterAnalysis.length === 0) {
+    stopLoading('priority');
+    return;
+  }
+  let scored;
+  try {
+    const response = await fetch(`${API_URL}/api/priority/score`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...priorityScoringRef.current,
+        zones: clusterAnalysis.map(c => ({ id: c.id, metrics: c.metrics }))
+      })
+    });
+    if (!response.ok) throw new Error(await apiErrorMessage(response));
+    scored = await response.json();
+  } catch (error) {
+    if (task.signal.aborted) return;
+    setDataError(`Unable to score priority zones: ${error.message}`);
+    stopLoading('priority');
+    return;
+  }
+  
+  if (task.signal.aborted) return;
+  const scores = Object.fromEntries(scored.zones.map(zone => [zone.id, zone]));
   const highPriorityClusters = clusterAnalysis
-    .filter(c => c.scores.overall > 0.4 && c.buildings.length >= 5)
-    .sort((a, b) => b.scores.overall - a.scores.overall)
-    .slice(0, 20); // Limit to top 20
+    .map(c => ({ ...c, result: scores[c.id] }))
+    .filter(c => c.result.score !== null && c.result.score > PRIORITY_MIN_SCORE)
+    .sort((a, b) => b.result.score - a.result.score)
+    .slice(0, PRIORITY_MAX_ZONES);
   
-  console.log(`Found ${highPriorityClusters.length} high-priority zones`);
+  console.log(`Found ${highPriorityClusters.length} high-priority zones (${scored.preset || 'custom weights'})`);
   
   // STEP 5: Visualize as POLYGONS (not circles!)
   updateLoadingProgress('priority', 5, 5);
   highPriorityClusters.forEach((cluster, index) => {
-    const priorityLevel = 
-      cluster.scores.overall > 0.7 ? 'Critical' :
-      cluster.scores.overall > 0.55 ? 'High' : 'Medium';
-    
-    const color = 
-      priorityLevel === 'Critical' ? '#6b21a8' :
-      priorityLevel === 'High' ? '#7c3aed' : '#a78bfa';
+    const { score, level, contributions, missing } = cluster.result;
+    const color = PRIORITY_LEVEL_COLORS[level];
+    const normalised = Object.fromEntries(contributions.map(c => [c.criterion, c.normalised]));
     
-    // Create convex hull / bounding polygon
-    const polygon = createClusterPolygon(cluster.buildings);
+    const breakdown = contributions.map(c => `
+      <tr>
+        <td class="pr-2">${c.label}</td>
+        <td class="pr-2 text-right whitespace-nowrap">${c.value.toLocaleString()} <span class="text-slate-400">${c.unit}</span></td>
+        <td class="pr-2 w-16">
+          <div class="bg-purple-100 h-1.5 rounded"><div class="bg-purple-600 h-1.5 rounded" style="width: ${c.normalised * 100}%"></div></div>
+        </td>
+        <td class="text-right whitespace-nowrap">${(c.contribution * 100).toFixed(1)} <span class="text-slate-400">/ ${(c.share * 100).toFixed(0)}</span></td>
+      </tr>
+    `).join('');
+    const missingLabels = missing.map(id => priorityCriteria?.[id]?.label || id).join(', ');
     
-    const layer = window.L.polygon(polygon, {
+    const layer = window.L.polygon(cluster.outline, {
       color: color,
       fillColor: color,
       fillOpacity: 0.25,
@@ -795,33 +1156,35 @@ const RoofHarvestApp = () => {
         <h3 class="font-bold text-lg mb-2">Priority Zone #${index + 1}</h3>
         <div class="bg-purple-50 p-2 rounded mb-3">
           <span class="font-semibold">Priority: </span>
-          <span class="text-purple-700 font-bold text-lg">${priorityLevel}</span>
-          <div class="text-xs text-purple-600 mt-1">Score: ${(cluster.scores.overall * 100).toFixed(0)}%</div>
+          <span class="text-purple-700 font-bold text-lg">${level}</span>
+          <div class="text-xs text-purple-600 mt-1">Score: ${(score * 100).toFixed(0)}% • ${scored.preset ? `preset ${scored.preset}` : 'custom weights'}</div>
         </div>
         
         <div class="grid grid-cols-2 gap-2 text-sm mb-3">
           <div><b>Buildings:</b> ${cluster.buildings.length}</div>
+          <div><b>Area:</b> ${cluster.areaHa.toFixed(2)} ha</div>
           <div><b>Density:</b> ${cluster.buildingDensity}/ha</div>
           <div><b>Large Roofs:</b> ${cluster.largeRoofs}</div>
-          <div><b>Est. Temp:</b> ${cluster.clusterTemp.toFixed(1)}°C</div>
+          <div><b>Temp:</b> ${cluster.clusterTemp === null ? 'N/A' : `${cluster.clusterTemp.toFixed(1)}°C (${cluster.heatSource})`}</div>
         </div>
         
         <div class="border-t pt-2">
-          <p class="font-semibold mb-2 text-sm">Why Priority?</p>
-          <div class="space-y-1 text-xs">
-            ${cluster.scores.heat > 0.6 ? '<div>🔥 High heat risk</div>' : ''}
-            ${cluster.scores.density > 0.6 ? '<div>🏢 Dense development</div>' : ''}
-            ${cluster.scores.green > 0.6 ? '<div>🌳 Green space deficit</div>' : ''}
-            ${cluster.scores.rooftop > 0.5 ? '<div>☀️ Solar/green roof potential</div>' : ''}
-          </div>
+          <p class="font-semibold mb-1 text-sm">Score breakdown</p>
+          <table class="w-full text-xs">
+            <tr class="text-slate-400"><td>Criterion</td><td class="text-right pr-2">Value</td><td></td><td class="text-right">Points / weight</td></tr>
+            ${breakdown}
+          </table>
+          ${missing.length > 0 ? `<p class="text-xs text-slate-500 mt-1">No data for ${missingLabels}; its weight is shared among the others.</p>` : ''}
         </div>
         
         <div class="mt-3 pt-2 border-t text-xs">
           <p class="font-semibold mb-1">Recommended Actions:</p>
           <ul class="space-y-1">
-            ${cluster.scores.heat > 0.6 ? '<li>• Cool roof coatings</li>' : ''}
+            ${normalised.heat > 0.6 ? '<li>• Cool roof coatings</li>' : ''}
             ${cluster.largeRoofs >= 3 ? '<li>• Solar panel installation</li>' : ''}
-            ${cluster.scores.green > 0.6 ? '<li>• Urban greening projects</li>' : ''}
+            ${normalised.greenDeficit > 0.6 ? '<li>• Urban greening projects</li>' : ''}
+            ${normalised.airQuality > 0.6 ? '<li>• Roadside planting and traffic measures</li>' : ''}
+            ${normalised.population > 0.6 ? '<li>• Cooling centres and heat alerts</li>' : ''}
             <li>• Rainwater harvesting systems</li>
           </ul>
         </div>
@@ -834,72 +1197,135 @@ const RoofHarvestApp = () => {
   stopLoading('priority');
 }
 
-  // Identify building clusters using spatial proximity (DBSCAN-like approach)
-const identifyBuildingClusters = (buildings, maxDistance = 0.0015) => {
-  const clusters = [];
-  const visited = new Set();
-  
-  buildings.forEach((building, idx) => {
-    if (visited.has(idx)) return;
-    
-    const cluster = {
-      buildings: [building],
-      indices: [idx]
-    };
-    
-    visited.add(idx);
-    
-    // Find all nearby buildings
-    buildings.forEach((other, otherIdx) => {
-      if (visited.has(otherIdx)) return;
-      
-      const distance = Math.sqrt(
-        Math.pow(building.centroid.lat - other.centroid.lat, 2) +
-        Math.pow(building.centroid.lng - other.centroid.lng, 2)
+// Gridded PM2.5/AQI from the backend's IDW surface: cells fade with distance
+// from the nearest station (uncertainty), contours outline each AQI category
+const renderAirQualitySurface = async (bounds) => {
+  try {
+    const response = await fetch(`${API_URL}/api/getAirQualitySurface`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        bounds: {
+          north: bounds.getNorth(),
+          south: bounds.getSouth(),
+          east: bounds.getEast(),
+          west: bounds.getWest()
+        },
+        standard: aqiStandardRef.current
+      })
+    });
+    if (!response.ok) throw new Error(await apiErrorMessage(response));
+
+    const surface = await response.json();
+    if (!surface.isReal || !airQualityLayerRef.current) return;
+
+    const half = surface.grid.cellSize / 2;
+    surface.cells.forEach(cell => {
+      const rect = window.L.rectangle(
+        [[cell.lat - half, cell.lng - half], [cell.lat + half, cell.lng + half]],
+        {
+          stroke: false,
+          fillColor: cell.color,
+          fillOpacity: AQ_SURFACE_OPACITY * (1 - cell.uncertainty) + 0.05
+        }
       );
-      
-      if (distance < maxDistance) {
-        cluster.buildings.push(other);
-        cluster.indices.push(otherIdx);
-        visited.add(otherIdx);
+      rect.bindPopup(`
+        <div class="font-sans p-1">
+          <b class="block">Interpolated estimate</b>
+          <div class="text-sm mt-1"><b>PM2.5:</b> ${cell.pm25} µg/m³ (± ${cell.spread} station spread)</div>
+          <div class="text-sm"><b>AQI:</b> <span style="color: ${cell.color}">${cell.aqi} • ${cell.aqiCategory}</span></div>
+          <div class="text-sm"><b>Nearest station:</b> ${cell.nearestStationKm} km</div>
+          <div class="text-sm"><b>Uncertainty:</b> ${Math.round(cell.uncertainty * 100)}%</div>
+          <div class="text-xs text-slate-500 mt-2">
+            Inverse-distance weighting (power ${surface.power}) of ${surface.stationsUsed} stations.
+            Uncertainty reaches 100% at ${surface.grid.correlationRangeKm} km from a station.
+          </div>
+        </div>
+      `);
+      airQualityLayerRef.current.addLayer(rect);
+      rect.bringToBack();
+    });
+
+    const contours = window.L.geoJSON(surface.contours, {
+      style: feature => ({
+        color: feature.properties.color,
+        weight: 2,
+        fill: false
+      }),
+      onEachFeature: (feature, layer) => {
+        layer.bindTooltip(`${feature.properties.category}: PM2.5 ≥ ${feature.properties.pm25Threshold} ${feature.properties.unit}`);
       }
     });
-    
-    // Only keep clusters with 3+ buildings
-    if (cluster.buildings.length >= 3) {
-      // Calculate cluster bounding box area
-      const lats = cluster.buildings.map(b => b.centroid.lat);
-      const lngs = cluster.buildings.map(b => b.centroid.lng);
-      const latRange = Math.max(...lats) - Math.min(...lats);
-      const lngRange = Math.max(...lngs) - Math.min(...lngs);
-      cluster.areaKm2 = latRange * lngRange * 111 * 111; // Rough km²
-      
-      clusters.push(cluster);
-    }
-  });
-  
-  return clusters;
+    airQualityLayerRef.current.addLayer(contours);
+
+    console.log(`✓ Air quality surface: ${surface.cells.length} cells, ${surface.contours.features.length} contour bands`);
+  } catch (error) {
+    console.error('Air quality surface error:', error);
+  }
 };
 
-// Create polygon boundary around cluster of buildings
-const createClusterPolygon = (buildings) => {
-  const lats = buildings.map(b => b.centroid.lat);
-  const lngs = buildings.map(b => b.centroid.lng);
-  
-  const minLat = Math.min(...lats);
-  const maxLat = Math.max(...lats);
-  const minLng = Math.min(...lngs);
-  const maxLng = Math.max(...lngs);
-  
-  const padding = 0.0005; // Add 55m padding around cluster
-  
-  // Return bounding box coordinates
-  return [
-    [minLat - padding, minLng - padding],
-    [minLat - padding, maxLng + padding],
-    [maxLat + padding, maxLng + padding],
-    [maxLat + padding, minLng - padding]
-  ];
+// Daily PM2.5 sparkline plus annual mean, exceedance days and trend, filled into
+// a station popup when it opens. Leaflet rebuilds popup content on every open,
+// so the rendered summary is kept per station and re-inserted without refetching.
+const loadStationHistory = async (loc, popup) => {
+  const container = popup.getElement()?.querySelector('.aq-history');
+  if (!container) return;
+  const historyKey = `${loc.id}_${loc.lastUpdate}`;
+  const show = (html) => {
+    container.innerHTML = html;
+    popup.update();
+  };
+  if (stationHistoryRef.current[historyKey]) {
+    show(stationHistoryRef.current[historyKey]);
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_URL}/api/getAirQualityHistory`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        locationId: loc.id,
+        parameter: 'pm25',
+        days: 365,
+        to: loc.lastUpdate || undefined,
+        latitude: loc.latitude,
+        longitude: loc.longitude,
+        includeHourly: false
+      })
+    });
+    if (!response.ok) throw new Error(await apiErrorMessage(response));
+    const history = await response.json();
+
+    const { statistics, daily, unit } = history;
+    const validDays = daily.filter(d => d.valid);
+    if (validDays.length === 0) {
+      show('<div class="text-xs text-slate-400">No complete days of PM2.5 history for this station.</div>');
+      return;
+    }
+
+    const { annualMean, exceedances, guidelines, trend } = statistics;
+    const trendIcon = { rising: '↗', falling: '↘', stable: '→' }[trend.direction] || '';
+    stationHistoryRef.current[historyKey] = `
+      <div class="text-xs font-semibold text-slate-700 mb-1">Daily PM2.5, ${validDays[0].date} – ${validDays[validDays.length - 1].date}</div>
+      ${sparklineSvg(validDays.map(d => d.mean), {
+        color: '#7c3aed',
+        guides: [
+          { value: guidelines.who24h, color: '#16a34a' },
+          { value: guidelines.national24h, color: '#dc2626' }
+        ]
+      })}
+      <div class="text-xs text-slate-600 space-y-0.5 mt-1">
+        <div><b>Annual mean:</b> ${annualMean.value} ${unit}${annualMean.representative ? '' : ` (only ${Math.round(annualMean.coverage * 100)}% of days)`} • WHO ${guidelines.whoAnnual}, BD ${guidelines.nationalAnnual}</div>
+        <div><b>Days above 24h limit:</b> <span style="color: #16a34a">WHO ${guidelines.who24h}</span>: ${exceedances.who24h.days} • <span style="color: #dc2626">BD ${guidelines.national24h}</span>: ${exceedances.bangladesh24h.days} of ${statistics.validDays}</div>
+        <div><b>Trend:</b> ${trendIcon} ${trend.direction}${trend.slopePerYear != null ? ` (${trend.slopePerYear > 0 ? '+' : ''}${trend.slopePerYear} ${unit}/yr)` : ''}</div>
+      </div>
+    `;
+    show(stationHistoryRef.current[historyKey]);
+  } catch (error) {
+    console.error('Air quality history error:', error);
+    show(`<div class="text-xs text-slate-400">History unavailable: ${error.message}</div>`);
+  }
 };
 
 // FIXED: renderAirQuality function with proper error handling
@@ -918,9 +1344,6 @@ const renderAirQuality = async () => {
   const bounds = leafletMapRef.current.getBounds();
   
   try {
-    // FIXED: Proper template literal for API URL
-    const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-    
     const response = await fetch(`${API_URL}/api/getAirQuality`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -932,18 +1355,17 @@ const renderAirQuality = async () => {
           west: bounds.getWest()
         },
         latitude: (bounds.getNorth() + bounds.getSouth()) / 2,
-        longitude: (bounds.getEast() + bounds.getWest()) / 2
+        longitude: (bounds.getEast() + bounds.getWest()) / 2,
+        standard: aqiStandardRef.current
       })
     });
     
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `Server error: ${response.status}`);
-    }
+    if (!response.ok) throw new Error(await apiErrorMessage(response));
     
     const data = await response.json();
     
     console.log('Air quality response:', data);
+    if (data.standard) setAqiScale(data.standard.scale);
     
     // Handle different failure scenarios with specific messages
     if (!data.isReal) {
@@ -964,47 +1386,52 @@ const renderAirQuality = async () => {
     
     console.log(`✓ Rendering ${data.locations.length} air quality points`);
     
-    // Prepare heatmap data
-    const aqiPoints = data.locations.map(loc => [
-      loc.latitude, 
-      loc.longitude, 
-      Math.min(loc.aqi / 200, 1)
-    ]).filter(point => point[2] > 0);
-    
     // Render each monitoring station
     data.locations.forEach((loc, idx) => {
       const isStation = loc.sourceType === 'station';
       const isModel = loc.sourceType === 'model';
+      const isSensor = loc.sourceType === 'sensor';
       
-      // Create marker with different styles for station vs model
-      const marker = window.L.circleMarker([loc.latitude, loc.longitude], {
-        radius: isModel ? 30 : 20,
-        fillColor: isStation ? loc.color : 'transparent',
-        color: loc.color,
-        weight: isModel ? 7 : 6,
-        fillOpacity: isStation ? 0.9 : 0,
-        dashArray: isModel ? '10, 10' : null,
-        zIndexOffset: isModel ? 6000 : 5000
-      });
+      // Create marker with different styles for station vs model; uploaded
+      // sensors are small diamonds so they never read as reference stations
+      const marker = isSensor
+        ? window.L.marker([loc.latitude, loc.longitude], {
+            icon: window.L.divIcon({
+              className: '',
+              html: `<div style="width: 18px; height: 18px; transform: rotate(45deg); background: ${loc.color}; border: 3px solid #1e293b; box-shadow: 0 1px 4px rgba(0,0,0,0.4)"></div>`,
+              iconSize: [18, 18],
+              iconAnchor: [9, 9]
+            }),
+            zIndexOffset: 4000
+          })
+        : window.L.circleMarker([loc.latitude, loc.longitude], {
+            radius: isModel ? 30 : 20,
+            fillColor: isStation ? loc.color : 'transparent',
+            color: loc.color,
+            weight: isModel ? 7 : 6,
+            fillOpacity: isStation ? 0.9 : 0,
+            dashArray: isModel ? '10, 10' : null,
+            zIndexOffset: isModel ? 6000 : 5000
+          });
       
       // Enhanced popup with all available data
       const measurements = Object.entries(loc.measurements)
         .map(([param, data]) => {
-          const paramLabels = {
-            pm25: 'PM2.5',
-            pm10: 'PM10',
-            no2: 'NO₂',
-            o3: 'O₃',
-            so2: 'SO₂',
-            co: 'CO'
-          };
-          return `<div class="text-sm"><b>${paramLabels[param] || param}:</b> ${data.value.toFixed(1)} ${data.unit}</div>`;
+          const subIndex = loc.subIndices?.[param];
+          const isDominant = param === loc.dominantPollutant;
+          return `<div class="text-sm flex justify-between ${isDominant ? 'font-semibold' : ''}">
+            <span><b>${AQI_POLLUTANT_LABELS[param] || param}:</b> ${data.value.toFixed(1)} ${data.unit}${data.raw != null && data.raw !== data.value ? ` <span class="text-xs text-slate-400">(raw ${data.raw})</span>` : ''}</span>
+            ${subIndex ? `<span class="text-slate-600">index ${subIndex.aqi} <span class="text-xs text-slate-400">(${subIndex.averaging})</span></span>` : ''}
+          </div>`;
         })
         .join('');
+
+      const notes = (loc.aqiNotes || [])
+        .map(note => `<div class="text-xs text-amber-700">⚠ ${note}</div>`)
+        .join('');
       
-      const lastUpdate = loc.measurements.pm25?.lastUpdated 
-        ? new Date(loc.measurements.pm25.lastUpdated).toLocaleString() 
-        : 'N/A';
+      const latestUpdate = loc.lastUpdate || loc.measurements.pm25?.lastUpdated;
+      const lastUpdate = latestUpdate ? new Date(latestUpdate).toLocaleString() : 'N/A';
       
       marker.bindPopup(`
         <div class="font-sans p-2">
@@ -1019,7 +1446,7 @@ const renderAirQuality = async () => {
           ` : ''}
           
           <div class="mb-3">
-            <b class="text-lg block">${loc.name}</b>
+            <b class="text-lg block">${escapeHtml(loc.name)}</b>
             <div class="text-xs text-slate-500 mt-1">
               ${loc.latitude.toFixed(4)}°N, ${loc.longitude.toFixed(4)}°E
             </div>
@@ -1029,23 +1456,35 @@ const renderAirQuality = async () => {
             <div class="text-center">
               <span class="font-bold text-3xl block" style="color: ${loc.color}">AQI ${loc.aqi}</span>
               <span class="text-base font-semibold text-slate-800 mt-1 block">${loc.aqiCategory}</span>
+              <span class="text-xs text-slate-600 mt-1 block">Dominant: ${loc.dominantPollutantLabel} • ${data.standard.name}</span>
             </div>
           </div>
           
           <div class="space-y-1 mb-3">
             ${measurements}
           </div>
+          ${notes ? `<div class="space-y-1 mb-3">${notes}</div>` : ''}
+          <div class="text-xs text-slate-500">Sub-indices use the latest reading against the standard's averaging periods (indicative).</div>
+          ${isStation ? `
+            <div class="aq-history mt-3 pt-2 border-t">
+              <div class="text-xs text-slate-400">Loading 12-month PM2.5 history...</div>
+            </div>
+          ` : ''}
           
-          <div class="text-xs mt-3 pt-2 border-t ${isStation ? 'text-green-700' : 'text-orange-700'}">
+          <div class="text-xs mt-3 pt-2 border-t ${isStation ? 'text-green-700' : isSensor ? 'text-slate-700' : 'text-orange-700'}">
             <div class="font-semibold flex items-center space-x-1">
-              <span>${isStation ? '✓' : '⚠'}</span>
-              <span>${isStation ? 'Ground Station (OpenAQ)' : 'CAMS Model (Open-Meteo)'}</span>
+              <span>${isStation ? '✓' : isSensor ? '◆' : '⚠'}</span>
+              <span>${isStation ? 'Ground Station (OpenAQ)' : isSensor ? 'Uploaded low-cost sensor' : 'CAMS Model (Open-Meteo)'}</span>
             </div>
+            ${isSensor ? `<div class="text-slate-500 mt-1">Calibration: ${loc.calibration}${loc.humidity != null ? ` • RH ${loc.humidity}%` : ''}</div>` : ''}
             <div class="text-slate-500 mt-1">Last updated: ${lastUpdate}</div>
           </div>
         </div>
       `);
       
+      if (isStation) {
+        marker.on('popupopen', (e) => loadStationHistory(loc, e.popup));
+      }
       airQualityLayerRef.current.addLayer(marker);
       
       // Auto-open first marker
@@ -1054,24 +1493,9 @@ const renderAirQuality = async () => {
       }
     });
     
-    // Add heatmap overlay if we have multiple points
-    if (window.L.heatLayer && aqiPoints.length > 1) {
-      const aqiHeat = window.L.heatLayer(aqiPoints, {
-        radius: 90,
-        blur: 50,
-        maxZoom: 19,
-        max: 1.0,
-        minOpacity: 0.5,
-        gradient: { 
-          0.0: '#22c55e',   // Good - Green
-          0.25: '#84cc16',  // Moderate - Yellow-green
-          0.4: '#eab308',   // Unhealthy for sensitive - Yellow
-          0.6: '#f97316',   // Unhealthy - Orange
-          0.8: '#dc2626',   // Very unhealthy - Red
-          1.0: '#7f1d1d'    // Hazardous - Dark red
-        }
-      });
-      airQualityLayerRef.current.addLayer(aqiHeat);
+    // Interpolated surface between ground stations (not for a single model estimate)
+    if (data.locations.some(loc => loc.sourceType === 'station')) {
+      await renderAirQualitySurface(bounds);
     }
     
     console.log(`✓ Air quality layer rendered successfully`);
@@ -1103,6 +1527,51 @@ const renderAirQuality = async () => {
     stopLoading('green');
   };
 
+  const changeUhiPeriod = (period) => {
+    setUhiPeriod(period);
+    uhiPeriodRef.current = period;
+    if (activeLayers.heat) updateLayer('heat');
+  };
+
+  const changeAqiStandard = (standard) => {
+    setAqiStandard(standard);
+    aqiStandardRef.current = standard;
+    if (activeLayers.airQuality) updateLayer('airQuality');
+  };
+
+  // apply: re-render now (preset picked); edited weights wait for "Apply weights"
+  const changePriorityScoring = (scoring, apply = false) => {
+    setPriorityScoring(scoring);
+    priorityScoringRef.current = scoring;
+    if (apply && activeLayers.priorityZones) updateLayer('priorityZones');
+  };
+
+  const changePriorityClustering = (changes) => {
+    const clustering = { ...priorityClusteringRef.current, ...changes };
+    setPriorityClustering(clustering);
+    priorityClusteringRef.current = clustering;
+    if (activeLayers.priorityZones) updateLayer('priorityZones');
+  };
+
+  const savePriorityPreset = async (name, criteria) => {
+    const response = await fetch(`${API_URL}/api/priority/presets`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, criteria })
+    });
+    if (!response.ok) throw new Error(await apiErrorMessage(response));
+    const { preset } = await response.json();
+    setPriorityPresets(prev => [...prev.filter(p => p.id !== preset.id), preset]);
+    changePriorityScoring({ preset: preset.id });
+    return preset;
+  };
+
+  const sharePriorityPreset = async () => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('priorityPreset', priorityScoringRef.current.preset);
+    await navigator.clipboard.writeText(url.toString());
+  };
+
   const toggleLayer = (layerName) => {
     const newState = !activeLayers[layerName];
     setActiveLayers(prev => ({ ...prev, [layerName]: newState }));
@@ -1117,63 +1586,104 @@ const renderAirQuality = async () => {
     } else {
       switch(layerName) {
         case 'buildings': buildingLayersRef.current.forEach(l => leafletMapRef.current.removeLayer(l)); break;
-        case 'heat': if (heatLayerRef.current) leafletMapRef.current.removeLayer(heatLayerRef.current); break;
+        case 'heat':
+          heatTaskRef.current?.abort();
+          if (heatLayerRef.current) leafletMapRef.current.removeLayer(heatLayerRef.current);
+          stopLoading('heat');
+          break;
         case 'airQuality': if (airQualityLayerRef.current) leafletMapRef.current.removeLayer(airQualityLayerRef.current); break;
         case 'greenSpace': if (greenSpaceLayerRef.current) leafletMapRef.current.removeLayer(greenSpaceLayerRef.current); break;
-        case 'priorityZones': if (priorityZoneLayerRef.current) leafletMapRef.current.removeLayer(priorityZoneLayerRef.current); break;
+        case 'priorityZones':
+          priorityTaskRef.current?.abort();
+          if (priorityZoneLayerRef.current) leafletMapRef.current.removeLayer(priorityZoneLayerRef.current);
+          stopLoading('priority');
+          break;
       }
     }
   };
 
-  const calculatePolygonArea = (nodes) => {
-    if (nodes.length < 3) return 100;
-    let area = 0;
-    const R = 6378137;
-    for (let i = 0; i < nodes.length; i++) {
-        const p1 = nodes[i];
-        const p2 = nodes[(i + 1) % nodes.length];
-        area += ((p1.lon * Math.PI / 180) - (p2.lon * Math.PI / 180)) * (2 + Math.sin(p1.lat * Math.PI / 180) + Math.sin(p2.lat * Math.PI / 180));
+  // Footprints and heights around a building, nearest first and within the
+  // backend's caps. Shading only uses neighbours taller than the roof; the heat
+  // estimate counts every building within its radius, so those are kept too.
+  const getShadingNeighbours = async (building) => {
+    const parameters = await loadModelParameters();
+    if (!parameters) return undefined;
+    const { shading, heat } = parameters;
+    const cosLat = Math.cos(building.centroid.lat * Math.PI / 180);
+    return buildingsRef.current
+      .filter(b => b.id !== building.id)
+      .map(b => ({
+        building: b,
+        distance: Math.sqrt(
+          Math.pow((b.centroid.lat - building.centroid.lat) * 111000, 2) +
+          Math.pow((b.centroid.lng - building.centroid.lng) * 111000 * cosLat, 2)
+        )
+      }))
+      .filter(({ building: b, distance }) => distance < shading.maxDistance &&
+        (b.height > building.height || distance < heat.neighbourRadius))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, shading.maxNeighbours)
+      .map(({ building: b }) => ({
+        footprint: b.nodes.map(n => [n.lon, n.lat]),
+        height: b.height,
+        minHeight: b.minHeight
+      }));
+  };
+
+  const clearShadingLayer = () => {
+    if (shadingLayerRef.current && leafletMapRef.current) {
+      leafletMapRef.current.removeLayer(shadingLayerRef.current);
     }
-    return Math.abs(area * R * R / 2);
+    shadingLayerRef.current = null;
   };
-  
-  const calculateCentroid = (nodes) => {
-    if (!nodes.length) return { lat: 0, lng: 0 };
-    return { 
-      lat: nodes.reduce((s, n) => s + n.lat, 0) / nodes.length,
-      lng: nodes.reduce((s, n) => s + n.lon, 0) / nodes.length
-    };
+
+  // Roof shading heatmap: annual share of direct sun blocked at each roof sample point
+  const renderShadingLayer = (shading) => {
+    clearShadingLayer();
+    if (!leafletMapRef.current || !shading || shading.obstacles === 0) return;
+
+    shadingLayerRef.current = window.L.layerGroup(shading.samples.map(p => {
+      const color = p.shading > 0.3 ? '#1e3a8a' : p.shading > 0.15 ? '#3b82f6' : p.shading > 0.05 ? '#93c5fd' : '#fde047';
+      return window.L.circleMarker([p.lat, p.lng], {
+        radius: 3, stroke: false, fillColor: color, fillOpacity: 0.85
+      }).bindTooltip(`${(p.shading * 100).toFixed(0)}% of direct sun shaded`);
+    })).addTo(leafletMapRef.current);
   };
 
   const analyzeBuilding = async (building) => {
     setSelectedBuilding(building);
     startLoading('analysis', 'Analyzing building');
     setDataError(null);
+    clearShadingLayer();
     
     try {
-      const API_URL = process.env.REACT_APP_API_URL;
+      const neighbours = await getShadingNeighbours(building);
       const response = await fetch(`${API_URL}/api/getRoofData`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           latitude: building.centroid.lat,
           longitude: building.centroid.lng,
-          area: building.area
+          area: building.area,
+          roofShape: building.roofShape,
+          height: building.height,
+          levels: building.levels,
+          minHeight: building.minHeight,
+          heightSource: building.heightSource,
+          footprint: building.nodes.map(n => [n.lon, n.lat]),
+          neighbours
         })
       });
 
       if (!response.ok) {
-        const errorText = await response.text();
-        let errorMessage = 'Failed to fetch data from server';
-        
-        try {
-          const errorJson = JSON.parse(errorText);
-          errorMessage = errorJson.details || errorJson.error || errorMessage;
-        } catch (e) {
-          errorMessage = `Server error (${response.status}): ${errorText.substring(0, 100)}`;
-        }
-        
-        setDataError(errorMessage);
+        const body = await response.json().catch(() => null);
+        const { code, message, details = [] } = body?.error || {};
+        // Upstream outages carry the provider's reason in details; validation
+        // failures already list the offending fields in the message
+        const cause = code === 'UPSTREAM_UNAVAILABLE' && details[0]?.message;
+        setDataError(message
+          ? (cause ? `${message}: ${cause}` : message)
+          : `Server error (${response.status})`);
         setRoofData(null);
         stopLoading('analysis');
         return;
@@ -1203,13 +1713,29 @@ const renderAirQuality = async () => {
           homesPowered: Math.round(data.solarPotential.annualEnergy / 4800),
           co2Offset: data.solarPotential.co2Offset,
           panelEfficiency: (data.solarPotential.panelEfficiency * 100).toFixed(0),
-          performanceRatio: (data.solarPotential.performanceRatio * 100).toFixed(0)
+          performanceRatio: (data.solarPotential.performanceRatio * 100).toFixed(0),
+          poaIrradiance: data.solarPotential.poaIrradiance,
+          systemSizeKwp: data.solarPotential.systemSizeKwp,
+          inverterSizeKw: data.solarPotential.inverterSizeKw,
+          specificYield: data.solarPotential.specificYield,
+          panelCount: data.solarPotential.estimatedPanels,
+          roofShape: data.solarPotential.roofShape,
+          tilt: data.solarPotential.tilt,
+          azimuth: data.solarPotential.azimuth,
+          layout: data.solarPotential.layout,
+          monthly: data.solarPotential.monthlyProfile,
+          hourly: data.solarPotential.hourlyProfile,
+          peakPower: data.solarPotential.peakPower,
+          shading: data.shading
         },
         water: data.precipData.isReal ? {
           annualCollection: data.rainwaterPotential.annualWater,
           annualRainfall: data.precipData.annualPrecipitation.toFixed(0),
           householdsSupported: data.rainwaterPotential.householdsSupported,
-          runoffCoefficient: (data.rainwaterPotential.runoffCoefficient * 100).toFixed(0)
+          runoffCoefficient: (data.rainwaterPotential.runoffCoefficient * 100).toFixed(0),
+          tankSize: data.rainwaterPotential.storageTankSize,
+          climatology: data.precipData.climatology,
+          waterBalance: data.rainwaterPotential.waterBalance
         } : {
           error: true,
           message: data.precipData.note || 'Precipitation data unavailable'
@@ -1217,26 +1743,98 @@ const renderAirQuality = async () => {
         heat: {
           avgTemperature: data.solarData.avgTemperature.toFixed(1),
           riskLevel: building.area > 1000 ? 'High' : building.area > 500 ? 'Medium' : 'Low',
-          temperatureReduction: building.area > 1000 ? '3-5°C' : building.area > 500 ? '2-3°C' : '1-2°C'
+          temperatureReduction: building.area > 1000 ? '3-5°C' : building.area > 500 ? '2-3°C' : '1-2°C',
+          stress: data.heatStress,
+          day: data.heat?.day ?? null,
+          night: data.heat?.night ?? null,
+          surface: lstByBuildingRef.current[building.id] ?? null
         },
+        financial: data.financialAnalysis,
         dataSource: `${data.solarData.source} & ${data.precipData.source}`,
         timestamp: new Date().toISOString()
       };
       
       setRoofData(analysis);
+      renderShadingLayer(data.shading);
     } catch (error) {
       console.error('Network error:', error);
-      setDataError(`Network error: ${error.message}. Make sure the server is running on process.env.REACT_APP_API_URL`);
+      setDataError(`Network error: ${error.message}. Make sure the server is running on ${API_URL}`);
       setRoofData(null);
     } finally {
       stopLoading('analysis');
     }
   };
 
-  const normalizeTemperature = (temp) => {
-    const min = 20;
-    const max = 40;
-    return Math.min(Math.max((temp - min) / (max - min), 0), 1);
+  const formatHeatStress = (heat) => {
+    const { stress, day, night, surface } = heat;
+    if (!stress) return '';
+    const { heatIndex, wetBulb, thresholds } = stress;
+    const uhi = day && night
+      ? `\nRoof Estimate (UHI): Day ${day.estimatedTemperature}°C (+${day.uhiAdjustment}) / Night ${night.estimatedTemperature}°C (+${night.uhiAdjustment})`
+      : '';
+    const lst = surface
+      ? `\nRoof Surface Temperature (LST): ${surface.temperature}°C (${surface.min}-${surface.max}°C, ${surface.raster})`
+      : '';
+    return `
+Mean Daily Max / Min: ${stress.avgMaxTemperature}°C / ${stress.avgMinTemperature}°C (RH ${stress.avgHumidity}%)${uhi}${lst}
+Heat Index: ${heatIndex.avgDailyMax}°C typical afternoon, ${heatIndex.max}°C peak on ${heatIndex.maxDate} (${heatIndex.maxCategory})
+Danger Days (heat index ≥39.4°C): ${heatIndex.daysByCategory.danger + heatIndex.daysByCategory.extremeDanger} per year
+Wet-Bulb Temperature: ${wetBulb.avgDailyMax}°C typical, ${wetBulb.max}°C peak, ${wetBulb.daysAtOrAbove[28]} days ≥28°C
+Hot Days (Tmax ≥${thresholds.hotDay}°C): ${stress.hotDays} per year
+Tropical Nights (Tmin >${thresholds.tropicalNight}°C): ${stress.tropicalNights} • Hot Nights (Tmin ≥${thresholds.hotNight}°C): ${stress.hotNights}`;
+  };
+
+  const formatClimatology = (climatology) => {
+    if (!climatology) return '';
+    const normals = climatology.monthlyNormals
+      .map(m => `${m.month} ${m.precipitation ?? '-'}`)
+      .join(', ');
+    return ` (${climatology.years}-year mean, ${climatology.periodStart} to ${climatology.periodEnd})
+Dry Year (P10) / Median / Wet Year (P90): ${climatology.percentiles.p10} / ${climatology.percentiles.p50} / ${climatology.percentiles.p90} mm
+Monthly Normals (mm): ${normals}
+Longest Dry Spell: ${climatology.longestDrySpell.days} days (${climatology.longestDrySpell.start} to ${climatology.longestDrySpell.end})`;
+  };
+
+  const formatTankSizing = (waterBalance) => {
+    if (!waterBalance) return '';
+    const rows = waterBalance.reliabilityCurve
+      .map(c => `  ${String(c.tankSize).padStart(5)} m³  ${(c.reliability * 100).toFixed(0).padStart(3)}% of days  overflow ${(c.annualOverflow / 1000).toFixed(1)} m³/yr`)
+      .join('\n');
+    return `
+Daily Demand: ${waterBalance.demand.dailyDemand.toLocaleString()} L (${waterBalance.demand.occupants} people, ${waterBalance.demand.levels} storeys)
+Simulation: ${waterBalance.simulatedDays} days (${waterBalance.periodStart} to ${waterBalance.periodEnd}), first flush ${waterBalance.firstFlushMm} mm
+Basis: ${waterBalance.recommendationBasis}
+Reliability Curve:
+${rows}`;
+  };
+
+  const formatFinancialSection = (financial) => {
+    if (!financial) return 'Financial analysis unavailable';
+    const { currency, solar, rainwater } = financial;
+    const money = (v) => v == null ? 'N/A' : `${currency} ${Math.round(v).toLocaleString()}`;
+    const pct = (v) => v == null ? 'N/A' : `${(v * 100).toFixed(1)}%`;
+    const years = (v) => v == null ? 'Not within system lifetime' : `${v} years`;
+
+    const solarLines = solar.error ? `Solar: ${solar.error}` :
+      `Solar PV
+  Net Investment: ${money(solar.capex)}${solar.subsidy > 0 ? ` (after ${money(solar.subsidy)} subsidy)` : ''}
+  Simple Payback: ${years(solar.simplePayback)}
+  NPV (${financial.analysisYears} years): ${money(solar.npv)}
+  IRR: ${pct(solar.irr)}
+  LCOE: ${solar.lcoe == null ? 'N/A' : `${currency} ${solar.lcoe.toFixed(2)}/kWh`}
+  Net Metering: ${solar.netMeteringEligible ? 'Eligible' : 'Exceeds limit - exports not credited'}`;
+
+    const waterLines = rainwater.error ? `Rainwater: ${rainwater.error}` :
+      `Rainwater Harvesting
+  System Cost: ${money(rainwater.capex)}
+  Simple Payback: ${years(rainwater.simplePayback)}
+  NPV: ${money(rainwater.npv)}
+  IRR: ${pct(rainwater.irr)}
+  Levelised Cost of Water: ${rainwater.costPerM3 == null ? 'N/A' : `${currency} ${rainwater.costPerM3.toFixed(1)}/m³`}`;
+
+    return `Tariff Profile: ${financial.country} (${financial.countrySource}), discount rate ${pct(financial.discountRate)}
+${solarLines}
+${waterLines}`;
   };
 
   const downloadReport = () => {
@@ -1245,10 +1843,13 @@ const renderAirQuality = async () => {
     const waterSection = roofData.water.error ? 
       `Annual Collection: Data Unavailable\nReason: ${roofData.water.message}` :
       `Annual Collection: ${roofData.water.annualCollection.toLocaleString()} liters/year
-Annual Rainfall: ${roofData.water.annualRainfall} mm
+Annual Rainfall: ${roofData.water.annualRainfall} mm${formatClimatology(roofData.water.climatology)}
 Runoff Coefficient: ${roofData.water.runoffCoefficient}%
-Households Supported: ${roofData.water.householdsSupported} families`;
+Households Supported: ${roofData.water.householdsSupported} families
+Recommended Tank: ${roofData.water.tankSize} m³${formatTankSizing(roofData.water.waterBalance)}`;
     
+    const financialSection = formatFinancialSection(roofData.financial);
+
     const report = `
 ╔═══════════════════════════════════════════════════════╗
            ROOFHARVEST ANALYSIS REPORT
@@ -1257,6 +1858,7 @@ Households Supported: ${roofData.water.householdsSupported} families`;
 Building: ${selectedBuilding.name}
 Location: ${selectedBuilding.centroid.lat.toFixed(5)}°N, ${selectedBuilding.centroid.lng.toFixed(5)}°E
 Roof Area: ${Math.round(selectedBuilding.area).toLocaleString()} m²
+Height: ${selectedBuilding.height} m, ${selectedBuilding.levels} storeys (${HEIGHT_SOURCE_LABELS[selectedBuilding.heightSource]})
 Report Generated: ${new Date().toLocaleString()}
 Data Source: ${roofData.dataSource}
 
@@ -1264,9 +1866,15 @@ Data Source: ${roofData.dataSource}
 SOLAR ENERGY POTENTIAL
 ───────────────────────────────────────────────────────
 Annual Generation: ${roofData.solar.annualGeneration.toLocaleString()} kWh/year
-Average Solar Irradiance: ${roofData.solar.avgIrradiance} kWh/m²/day
+Average Solar Irradiance: ${roofData.solar.avgIrradiance} kWh/m²/day (horizontal)
+Plane-of-Array Irradiance: ${roofData.solar.poaIrradiance} kWh/m²/day
+Roof Type: ${roofData.solar.roofShape}
+System Size: ${roofData.solar.systemSizeKwp} kWp (${roofData.solar.panelCount} panels), Inverter: ${roofData.solar.inverterSizeKw} kW
+Panel Tilt / Azimuth: ${roofData.solar.tilt}° / ${roofData.solar.azimuth}°
+Specific Yield: ${roofData.solar.specificYield} kWh/kWp
 Panel Efficiency: ${roofData.solar.panelEfficiency}%
 Performance Ratio: ${roofData.solar.performanceRatio}%
+Neighbour Shading: ${roofData.solar.shading ? `${roofData.solar.shading.energyLossPercent}% energy loss (${roofData.solar.shading.beamShadingPercent}% of direct sun blocked by ${roofData.solar.shading.obstacles} taller buildings)` : 'not assessed'}
 Homes Powered: ${roofData.solar.homesPowered} households
 CO₂ Offset: ${roofData.solar.co2Offset.toLocaleString()} kg/year
 
@@ -1275,10 +1883,15 @@ RAINWATER HARVESTING POTENTIAL
 ───────────────────────────────────────────────────────
 ${waterSection}
 
+───────────────────────────────────────────────────────
+FINANCIAL ANALYSIS
+───────────────────────────────────────────────────────
+${financialSection}
+
 ───────────────────────────────────────────────────────
 URBAN HEAT ISLAND ANALYSIS
 ───────────────────────────────────────────────────────
-Average Temperature: ${roofData.heat.avgTemperature}°C
+Average Temperature: ${roofData.heat.avgTemperature}°C${formatHeatStress(roofData.heat)}
 Heat Risk Level: ${roofData.heat.riskLevel}
 Potential Temperature Reduction: ${roofData.heat.temperatureReduction}
 (with cool roof or green roof implementation)
@@ -1347,6 +1960,12 @@ ${!roofData.water.error ? '✓ Implement rainwater harvesting system' : '⚠ Pre
               ))}
             </div>
           )}
+          {/* The building panel shows errors while it's open */}
+          {dataError && !selectedBuilding && (
+            <div className="mt-2">
+              <ErrorAlert message={dataError} onClose={() => setDataError(null)} />
+            </div>
+          )}
         </div>
         
         <LayerControlPanel 
@@ -1362,6 +1981,19 @@ ${!roofData.water.error ? '✓ Implement rainwater harvesting system' : '⚠ Pre
               <div>
                 <h3 className="text-xl font-bold text-slate-900">{selectedBuilding.name}</h3>
                 <p className="text-sm text-slate-600">Roof Area: {Math.round(selectedBuilding.area).toLocaleString()} m²</p>
+                <p className="text-xs text-slate-500">
+                  Height: {selectedBuilding.height} m • {selectedBuilding.levels} storeys ({HEIGHT_SOURCE_LABELS[selectedBuilding.heightSource]})
+                </p>
+                <label className="text-xs text-slate-600 flex items-center space-x-2 mt-1">
+                  <span>Roof type:</span>
+                  <select
+                    value={selectedBuilding.roofShape || ''}
+                    onChange={(e) => analyzeBuilding({ ...selectedBuilding, roofShape: e.target.value || null })}
+                    className="border border-slate-200 rounded px-1 py-0.5 text-xs"
+                  >
+                    {ROOF_SHAPE_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+                  </select>
+                </label>
                 {roofData && <p className="text-xs text-slate-500 mt-1">{roofData.dataSource}</p>}
               </div>
               <div className="flex items-center space-x-2">
@@ -1379,7 +2011,7 @@ ${!roofData.water.error ? '✓ Implement rainwater harvesting system' : '⚠ Pre
                     <Download className="w-4 h-4" /><span>Report</span>
                   </button>
                 )}
-                <button onClick={() => { setSelectedBuilding(null); setRoofData(null); setDataError(null); }} className="text-slate-500 hover:text-slate-800 p-2"><X className="w-5 h-5" /></button>
+                <button onClick={() => { setSelectedBuilding(null); setRoofData(null); setDataError(null); clearShadingLayer(); }} className="text-slate-500 hover:text-slate-800 p-2"><X className="w-5 h-5" /></button>
               </div>
             </div>
 
@@ -1392,8 +2024,15 @@ ${!roofData.water.error ? '✓ Implement rainwater harvesting system' : '⚠ Pre
                     <div className="flex items-center space-x-2 mb-2"><Sun className="w-5 h-5 text-amber-600" /><h4 className="font-bold text-slate-900">Solar Energy</h4></div>
                     <p className="text-2xl font-bold text-slate-800">{(roofData.solar.annualGeneration / 1000).toFixed(1)}k</p>
                     <p className="text-xs text-slate-600">kWh/year</p>
-                    <p className="text-xs text-amber-700 mt-2">{roofData.solar.avgIrradiance} kWh/m²/day</p>
+                    <p className="text-xs text-amber-700 mt-2">{roofData.solar.systemSizeKwp} kWp • {roofData.solar.panelCount} panels</p>
+                    <p className="text-xs text-amber-700">Tilt {roofData.solar.tilt}° • Azimuth {roofData.solar.azimuth}°</p>
                     <p className="text-xs text-amber-700">Powers {roofData.solar.homesPowered} homes</p>
+                    {roofData.solar.shading && (
+                      <p className="text-xs text-slate-500 mt-1">
+                        Neighbour shading: -{roofData.solar.shading.energyLossPercent}% energy
+                        ({roofData.solar.shading.obstacles} taller {roofData.solar.shading.obstacles === 1 ? 'building' : 'buildings'} nearby)
+                      </p>
+                    )}
                   </div>
                   <div className="bg-blue-50 rounded-lg p-4 border border-blue-200">
                     <div className="flex items-center space-x-2 mb-2"><Droplet className="w-5 h-5 text-blue-600" /><h4 className="font-bold text-slate-900">Rainwater</h4></div>
@@ -1408,6 +2047,13 @@ ${!roofData.water.error ? '✓ Implement rainwater harvesting system' : '⚠ Pre
                         <p className="text-xs text-slate-600">liters/year</p>
                         <p className="text-xs text-blue-700 mt-2">{roofData.water.annualRainfall} mm/year</p>
                         <p className="text-xs text-blue-700">Supports {roofData.water.householdsSupported} families</p>
+                        <p className="text-xs text-blue-700">Tank: {roofData.water.tankSize} m³</p>
+                        {roofData.water.climatology && (
+                          <p className="text-xs text-slate-500 mt-1">
+                            Dry/wet year: {roofData.water.climatology.percentiles.p10}–{roofData.water.climatology.percentiles.p90} mm
+                            • Longest dry spell: {roofData.water.climatology.longestDrySpell.days} days
+                          </p>
+                        )}
                       </>
                     )}
                   </div>
@@ -1416,9 +2062,37 @@ ${!roofData.water.error ? '✓ Implement rainwater harvesting system' : '⚠ Pre
                     <p className="text-2xl font-bold text-slate-800">{roofData.heat.riskLevel}</p>
                     <p className="text-xs text-slate-600">Risk Level</p>
                     <p className="text-xs text-red-700 mt-2">Avg: {roofData.heat.avgTemperature}°C</p>
+                    {roofData.heat.day && roofData.heat.night && (
+                      <p className="text-xs text-red-700">
+                        Day {roofData.heat.day.estimatedTemperature}°C • Night {roofData.heat.night.estimatedTemperature}°C
+                      </p>
+                    )}
+                    {roofData.heat.stress && (
+                      <>
+                        <p className="text-xs text-red-700">
+                          Heat index: {roofData.heat.stress.heatIndex.avgDailyMax}°C typical, {roofData.heat.stress.heatIndex.max}°C peak ({roofData.heat.stress.heatIndex.maxCategory})
+                        </p>
+                        <p className="text-xs text-red-700">Wet-bulb peak: {roofData.heat.stress.wetBulb.max}°C</p>
+                        <p className="text-xs text-slate-500 mt-1">
+                          {roofData.heat.stress.hotDays} hot days (≥{roofData.heat.stress.thresholds.hotDay}°C) • {roofData.heat.stress.hotNights} nights ≥{roofData.heat.stress.thresholds.hotNight}°C
+                        </p>
+                      </>
+                    )}
+                    {roofData.heat.surface && (
+                      <p className="text-xs text-red-700">
+                        Surface (LST): {roofData.heat.surface.temperature}°C • {roofData.heat.surface.raster}
+                      </p>
+                    )}
                     <p className="text-xs text-red-700">Reduce by {roofData.heat.temperatureReduction}</p>
                   </div>
                 </div>
+                <SolarProfileChart
+                  monthly={roofData.solar.monthly}
+                  hourly={roofData.solar.hourly}
+                  peakPower={roofData.solar.peakPower}
+                />
+                {!roofData.water.error && <TankSizingChart waterBalance={roofData.water.waterBalance} />}
+                <FinancialSummary financial={roofData.financial} />
               </div>
             )}
           </div>
@@ -1,6 +1,21 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { X, Maximize2, Minimize2, RotateCcw, Sun, Droplet, Thermometer } from 'lucide-react';
 
+const FALLBACK_HEIGHT = 6; // metres - matches the backend's 2-storey default for untagged buildings
+
+// Height and base of the extrusion; buildings loaded before heights were resolved fall back
+const buildingExtent = (building) => ({
+  buildingHeight: building.height || FALLBACK_HEIGHT,
+  baseHeight: building.minHeight || 0
+});
+
+// Pull the camera back for tall buildings so the whole volume stays in frame
+const cameraView = (building) => {
+  const { buildingHeight } = buildingExtent(building);
+  const distance = Math.max(15, buildingHeight * 1.2);
+  return { distance, elevation: Math.max(12, buildingHeight * 1.1), target: buildingHeight / 3 };
+};
+
 const Building3DVisualization = ({ building, roofData, onClose }) => {
   const mountRef = useRef(null);
   const sceneRef = useRef(null);
@@ -18,11 +33,12 @@ const Building3DVisualization = ({ building, roofData, onClose }) => {
     if (!window.THREE || !mountRef.current) return;
 
     const THREE = window.THREE;
+    const view = cameraView(building);
     
     // Scene setup
     const scene = new THREE.Scene();
     scene.background = new THREE.Color(0x87ceeb); // Sky blue background
-    scene.fog = new THREE.Fog(0x87ceeb, 30, 100);
+    scene.fog = new THREE.Fog(0x87ceeb, view.distance * 2, view.distance * 7);
     sceneRef.current = scene;
 
     // Camera setup
@@ -32,8 +48,8 @@ const Building3DVisualization = ({ building, roofData, onClose }) => {
       0.1,
       1000
     );
-    camera.position.set(15, 12, 15);
-    camera.lookAt(0, 0, 0);
+    camera.position.set(view.distance, view.elevation, view.distance);
+    camera.lookAt(0, view.target, 0);
     cameraRef.current = camera;
 
     // Renderer setup
@@ -80,8 +96,8 @@ const Building3DVisualization = ({ building, roofData, onClose }) => {
     gridHelper.position.y = 0;
     scene.add(gridHelper);
 
-    // Create 3D building from polygon
-    const buildingHeight = Math.min(building.area / 100, 15);
+    // Create 3D building from polygon, extruded from min_height to height (metres)
+    const { buildingHeight, baseHeight } = buildingExtent(building);
     
     // Convert lat/lng nodes to local coordinates
     const nodes = building.nodes || [];
@@ -104,12 +120,14 @@ const Building3DVisualization = ({ building, roofData, onClose }) => {
       // Extrude the building
       const extrudeSettings = {
         steps: 1,
-        depth: buildingHeight,
+        depth: buildingHeight - baseHeight,
         bevelEnabled: false
       };
 
+      // Rotate so the extrusion points up (+y)
       const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-      geometry.rotateX(Math.PI / 2);
+      geometry.rotateX(-Math.PI / 2);
+      geometry.translate(0, baseHeight, 0);
       
       const buildingMaterial = new THREE.MeshStandardMaterial({
         color: 0xe5e7eb, // Light gray - modern building
@@ -125,7 +143,7 @@ const Building3DVisualization = ({ building, roofData, onClose }) => {
 
       // Add roof (solar panel surface)
       const roofGeometry = new THREE.ShapeGeometry(shape);
-      roofGeometry.rotateX(Math.PI / 2);
+      roofGeometry.rotateX(-Math.PI / 2);
       
       const roofMaterial = new THREE.MeshStandardMaterial({
         color: showSolarPanels ? 0x0ea5e9 : 0xd1d5db, // Bright blue when solar panels active
@@ -140,13 +158,20 @@ const Building3DVisualization = ({ building, roofData, onClose }) => {
       roof.receiveShadow = true;
       scene.add(roof);
 
-      // Add solar panels grid - MUCH BIGGER AND MORE VISIBLE
+      // Add solar panels laid out by the PV model (count, tilt, azimuth, row pitch)
       if (showSolarPanels && roofData) {
-        const panelCount = Math.floor(building.area / 2);
-        const panelsPerRow = Math.ceil(Math.sqrt(panelCount));
-        
+        const layout = roofData.solar.layout;
+        const panelCount = layout.panelCount;
+        const panelsPerRow = Math.max(Math.ceil(Math.sqrt(panelCount)), 1);
+        const rowSpacing = layout.rowPitch || layout.moduleLength * Math.cos(layout.tilt * Math.PI / 180) + 0.1;
+        const colSpacing = layout.moduleWidth + 0.05;
+
+        // Panels face the model's azimuth; rows run perpendicular to it
+        const panelGroup = new THREE.Group();
+        panelGroup.rotation.y = layout.azimuth * Math.PI / 180 - Math.PI;
+
         for (let i = 0; i < Math.min(panelCount, 100); i++) {
-          const panelGeometry = new THREE.BoxGeometry(0.8, 0.06, 1.2); // BIGGER panels
+          const panelGeometry = new THREE.BoxGeometry(layout.moduleWidth, 0.04, layout.moduleLength);
           const panelMaterial = new THREE.MeshStandardMaterial({
             color: 0x1e293b, // Dark blue/black - realistic solar panel color
             roughness: 0.3,
@@ -159,14 +184,15 @@ const Building3DVisualization = ({ building, roofData, onClose }) => {
           const row = Math.floor(i / panelsPerRow);
           const col = i % panelsPerRow;
           
-          panel.position.x = (col - panelsPerRow / 2) * 1.0; // More spacing
-          panel.position.z = (row - panelsPerRow / 2) * 1.4; // More spacing
-          panel.position.y = buildingHeight + 0.25; // Higher above roof
-          panel.rotation.x = -Math.PI / 6; // Better angle for visibility
+          panel.position.x = (col - panelsPerRow / 2) * colSpacing;
+          panel.position.z = (row - panelsPerRow / 2) * rowSpacing;
+          panel.position.y = buildingHeight + 0.25;
+          panel.rotation.x = -layout.tilt * Math.PI / 180;
           panel.castShadow = true;
           
-          scene.add(panel);
+          panelGroup.add(panel);
         }
+        scene.add(panelGroup);
       }
 
       // Add energy visualization particles - MORE PROMINENT
@@ -251,8 +277,9 @@ const Building3DVisualization = ({ building, roofData, onClose }) => {
 
   const resetCamera = () => {
     if (cameraRef.current) {
-      cameraRef.current.position.set(15, 12, 15);
-      cameraRef.current.lookAt(0, 0, 0);
+      const view = cameraView(building);
+      cameraRef.current.position.set(view.distance, view.elevation, view.distance);
+      cameraRef.current.lookAt(0, view.target, 0);
     }
   };
 
@@ -354,7 +381,7 @@ const Building3DVisualization = ({ building, roofData, onClose }) => {
                 </div>
                 <p className="text-2xl font-bold text-amber-900">{(roofData.solar.annualGeneration / 1000).toFixed(1)}k</p>
                 <p className="text-xs text-amber-700">kWh/year</p>
-                <p className="text-xs text-amber-600 mt-1">{roofData.solar.avgIrradiance} kWh/m²/day</p>
+                <p className="text-xs text-amber-600 mt-1">{roofData.solar.systemSizeKwp} kWp • {roofData.solar.tilt}° tilt</p>
               </div>
 
               <div className="bg-blue-50 rounded-lg p-3">
@@ -396,7 +423,7 @@ const Building3DVisualization = ({ building, roofData, onClose }) => {
             </div>
             <div className="flex items-start space-x-2">
               <span className="font-bold">⚡</span>
-              <span><strong>Dark Blue Panels:</strong> Solar PV modules positioned on rooftop</span>
+              <span><strong>Dark Blue Panels:</strong> Solar PV modules at the modelled tilt, azimuth and row spacing</span>
             </div>
             <div className="flex items-start space-x-2">
               <span className="font-bold">✨</span>
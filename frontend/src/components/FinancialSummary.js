@@ -0,0 +1,71 @@
+import React from 'react';
+import { PiggyBank, Banknote } from 'lucide-react';
+
+const formatMoney = (value, currency) =>
+  value == null ? 'N/A' : `${currency} ${Math.round(value).toLocaleString()}`;
+
+const formatPercent = (value) => (value == null ? 'N/A' : `${(value * 100).toFixed(1)}%`);
+
+const formatYears = (value) => (value == null ? 'Not within lifetime' : `${value} years`);
+
+const MetricRow = ({ label, value }) => (
+  <div className="flex justify-between text-xs">
+    <span className="text-slate-600">{label}</span>
+    <span className="font-semibold text-slate-800">{value}</span>
+  </div>
+);
+
+// Payback / NPV / IRR / levelised cost for the solar and rainwater systems
+const FinancialSummary = ({ financial }) => {
+  if (!financial) return null;
+  const { currency, solar, rainwater } = financial;
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4">
+      <div className="bg-emerald-50 rounded-lg p-4 border border-emerald-200">
+        <div className="flex items-center space-x-2 mb-3">
+          <PiggyBank className="w-4 h-4 text-emerald-600" />
+          <h4 className="font-bold text-sm text-slate-900">Solar Financials</h4>
+        </div>
+        {solar.error ? (
+          <p className="text-xs text-amber-700">{solar.error}</p>
+        ) : (
+          <div className="space-y-1">
+            <MetricRow label="Net cost" value={formatMoney(solar.capex, currency)} />
+            {solar.subsidy > 0 && <MetricRow label="Subsidy" value={formatMoney(solar.subsidy, currency)} />}
+            <MetricRow label="Payback" value={formatYears(solar.simplePayback)} />
+            <MetricRow label={`NPV (${financial.analysisYears} yrs)`} value={formatMoney(solar.npv, currency)} />
+            <MetricRow label="IRR" value={formatPercent(solar.irr)} />
+            <MetricRow label="LCOE" value={solar.lcoe == null ? 'N/A' : `${currency} ${solar.lcoe.toFixed(2)}/kWh`} />
+            {!solar.netMeteringEligible && (
+              <p className="text-xs text-amber-700 mt-1">System exceeds the net-metering limit; exports not credited.</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-cyan-50 rounded-lg p-4 border border-cyan-200">
+        <div className="flex items-center space-x-2 mb-3">
+          <Banknote className="w-4 h-4 text-cyan-600" />
+          <h4 className="font-bold text-sm text-slate-900">Rainwater Financials</h4>
+        </div>
+        {rainwater.error ? (
+          <p className="text-xs text-amber-700">{rainwater.error}</p>
+        ) : (
+          <div className="space-y-1">
+            <MetricRow label="System cost" value={formatMoney(rainwater.capex, currency)} />
+            <MetricRow label="Payback" value={formatYears(rainwater.simplePayback)} />
+            <MetricRow label="NPV" value={formatMoney(rainwater.npv, currency)} />
+            <MetricRow label="IRR" value={formatPercent(rainwater.irr)} />
+            <MetricRow label="Cost of water" value={rainwater.costPerM3 == null ? 'N/A' : `${currency} ${rainwater.costPerM3.toFixed(1)}/m³`} />
+          </div>
+        )}
+      </div>
+      <p className="md:col-span-2 text-xs text-slate-500">
+        {financial.country} tariffs ({financial.countrySource}), {formatPercent(financial.discountRate)} discount rate
+      </p>
+    </div>
+  );
+};
+
+export default FinancialSummary;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Save, Link2 } from 'lucide-react';
+
+// Preset picker and per-criterion weight / normalisation editor for the priority
+// zones layer. `scoring` is { preset } for an unmodified preset or { criteria }
+// once anything is edited; the criteria and presets come from /api/priority.
+const PriorityScoringControls = ({ criteria, presets, scoring, onChange, onApply, onSave, onShare }) => {
+  const [presetName, setPresetName] = useState('');
+  const [notice, setNotice] = useState(null);
+
+  if (!criteria) {
+    return <p className="text-xs text-slate-400 mb-2">Loading scoring criteria…</p>;
+  }
+
+  const selected = scoring.preset ? presets.find(p => p.id === scoring.preset) : null;
+  const settings = scoring.criteria || selected?.criteria || {};
+
+  const updateCriterion = (id, changes) => {
+    // Presets come back with each criterion's `share`; only weight and range are sent
+    const next = Object.fromEntries(Object.entries(settings).map(([key, s]) => [key, { weight: s.weight, min: s.min, max: s.max }]));
+    next[id] = { ...(next[id] || { weight: 0, min: criteria[id].range[0], max: criteria[id].range[1] }), ...changes };
+    onChange({ criteria: next });
+  };
+
+  const numberValue = (value) => (value === '' ? 0 : Number(value));
+
+  const save = async () => {
+    try {
+      const preset = await onSave(presetName.trim(), settings);
+      setPresetName('');
+      setNotice(`Saved as ${preset.name}`);
+    } catch (error) {
+      setNotice(error.message);
+    }
+  };
+
+  const share = async () => {
+    try {
+      await onShare();
+      setNotice('Link copied to clipboard');
+    } catch (error) {
+      setNotice(error.message);
+    }
+  };
+
+  return (
+    <div className="mb-2 space-y-2 text-xs">
+      <select
+        value={scoring.preset || ''}
+        onChange={(e) => e.target.value && onChange({ preset: e.target.value }, true)}
+        className="w-full px-2 py-1 border border-slate-300 rounded bg-white"
+      >
+        {!scoring.preset && <option value="">Custom weights</option>}
+        {presets.map(preset => (
+          <option key={preset.id} value={preset.id}>{preset.name}{preset.builtIn ? '' : ' (saved)'}</option>
+        ))}
+      </select>
+      {selected?.description && <p className="text-slate-500">{selected.description}</p>}
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-slate-500">
+            <th className="text-left font-normal">Criterion</th>
+            <th className="font-normal">Weight</th>
+            <th className="font-normal" colSpan={2}>0 → 1 between</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(criteria).map(([id, criterion]) => {
+            const setting = settings[id];
+            const enabled = Boolean(setting && setting.weight > 0);
+            return (
+              <tr key={id} title={criterion.metric} className={enabled ? 'text-slate-800' : 'text-slate-400'}>
+                <td>
+                  <label className="flex items-center space-x-1">
+                    <input
+                      type="checkbox"
+                      checked={enabled}
+                      onChange={() => updateCriterion(id, { weight: enabled ? 0 : 10 })}
+                    />
+                    <span>{criterion.label}</span>
+                  </label>
+                </td>
+                <td>
+                  <input
+                    type="number" min="0" step="5"
+                    value={setting?.weight ?? 0}
+                    onChange={(e) => updateCriterion(id, { weight: Math.max(numberValue(e.target.value), 0) })}
+                    className="w-12 px-1 border border-slate-300 rounded"
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    value={setting?.min ?? criterion.range[0]}
+                    onChange={(e) => updateCriterion(id, { min: numberValue(e.target.value) })}
+                    className="w-12 px-1 border border-slate-300 rounded"
+                    disabled={!enabled}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    value={setting?.max ?? criterion.range[1]}
+                    onChange={(e) => updateCriterion(id, { max: numberValue(e.target.value) })}
+                    className="w-12 px-1 border border-slate-300 rounded"
+                    disabled={!enabled}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="text-slate-400">Ranges are in each criterion's unit (hover for details); min above max favours low values.</p>
+
+      {scoring.criteria && (
+        <div className="flex space-x-1">
+          <button onClick={onApply} className="flex-1 px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700">
+            Apply weights
+          </button>
+          <input
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            className="w-28 px-2 py-1 border border-slate-300 rounded"
+          />
+          <button
+            onClick={save}
+            disabled={!presetName.trim()}
+            title="Save these weights as a named preset"
+            className="px-2 py-1 rounded border border-slate-300 text-slate-700 hover:bg-slate-50 disabled:opacity-40"
+          >
+            <Save className="w-3 h-3" />
+          </button>
+        </div>
+      )}
+      {scoring.preset && (
+        <button onClick={share} className="flex items-center space-x-1 text-blue-600 hover:text-blue-800">
+          <Link2 className="w-3 h-3" />
+          <span>Copy link to this preset</span>
+        </button>
+      )}
+      {notice && <p className="text-slate-500">{notice}</p>}
+    </div>
+  );
+};
+
+export default PriorityScoringControls;
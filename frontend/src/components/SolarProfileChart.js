@@ -0,0 +1,71 @@
+import React from 'react';
+import { Sun, Clock } from 'lucide-react';
+
+// Monthly production bars + typical-day hourly curve for the building panel
+const SolarProfileChart = ({ monthly, hourly, peakPower }) => {
+  if (!monthly || !hourly) return null;
+
+  const maxMonthly = Math.max(...monthly.map(m => m.energy), 1);
+  const maxHourly = Math.max(...hourly.map(h => h.power), 0.01);
+  const bestMonth = monthly.reduce((best, m) => (m.energy > best.energy ? m : best), monthly[0]);
+  const worstMonth = monthly.reduce((worst, m) => (m.energy < worst.energy ? m : worst), monthly[0]);
+
+  // SVG path for the hourly curve (viewBox 240 x 80)
+  const points = hourly.map(h => [
+    (h.hour / 23) * 240,
+    80 - (h.power / maxHourly) * 72
+  ]);
+  const linePath = points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+  const areaPath = `${linePath} L240,80 L0,80 Z`;
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4">
+      <div className="bg-amber-50 rounded-lg p-4 border border-amber-200">
+        <div className="flex items-center space-x-2 mb-3">
+          <Sun className="w-4 h-4 text-amber-600" />
+          <h4 className="font-bold text-sm text-slate-900">Monthly Production</h4>
+        </div>
+        <div className="flex items-end justify-between h-24 space-x-1">
+          {monthly.map(m => (
+            <div key={m.month} className="flex-1 flex flex-col items-center justify-end h-full">
+              <div
+                className="w-full bg-amber-400 rounded-t"
+                style={{ height: `${(m.energy / maxMonthly) * 100}%` }}
+                title={`${m.month}: ${m.energy.toLocaleString()} kWh (${m.irradiance} kWh/m²/day)`}
+              />
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between text-[10px] text-slate-500 mt-1">
+          {monthly.map(m => <span key={m.month} className="flex-1 text-center">{m.month[0]}</span>)}
+        </div>
+        <p className="text-xs text-amber-700 mt-2">
+          Best: {bestMonth.month} ({bestMonth.energy.toLocaleString()} kWh) • Lowest: {worstMonth.month} ({worstMonth.energy.toLocaleString()} kWh)
+        </p>
+      </div>
+
+      <div className="bg-amber-50 rounded-lg p-4 border border-amber-200">
+        <div className="flex items-center space-x-2 mb-3">
+          <Clock className="w-4 h-4 text-amber-600" />
+          <h4 className="font-bold text-sm text-slate-900">Typical Day Output</h4>
+        </div>
+        <svg viewBox="0 0 240 80" className="w-full h-24" preserveAspectRatio="none">
+          <path d={areaPath} fill="#fcd34d" fillOpacity="0.6" />
+          <path d={linePath} fill="none" stroke="#d97706" strokeWidth="2" />
+        </svg>
+        <div className="flex justify-between text-[10px] text-slate-500 mt-1">
+          <span>00:00</span>
+          <span>06:00</span>
+          <span>12:00</span>
+          <span>18:00</span>
+          <span>23:00</span>
+        </div>
+        <p className="text-xs text-amber-700 mt-2">
+          Midday avg: {maxHourly.toFixed(1)} kW • Peak (best month): {peakPower} kW
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SolarProfileChart;
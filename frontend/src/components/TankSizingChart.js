@@ -0,0 +1,48 @@
+import React from 'react';
+import { Droplet } from 'lucide-react';
+
+// Reliability curve from the daily water-balance simulation (% of days demand is met per tank size)
+const TankSizingChart = ({ waterBalance }) => {
+  if (!waterBalance) return null;
+
+  const curve = waterBalance.reliabilityCurve;
+  const recommended = curve.find(c => c.tankSize === waterBalance.recommendedTankSize);
+
+  return (
+    <div className="bg-blue-50 rounded-lg p-4 border border-blue-200">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <Droplet className="w-4 h-4 text-blue-600" />
+          <h4 className="font-bold text-sm text-slate-900">Tank Sizing</h4>
+        </div>
+        <span className="text-xs text-slate-500">
+          {waterBalance.simulatedDays} days simulated • demand {waterBalance.demand.dailyDemand.toLocaleString()} L/day
+        </span>
+      </div>
+      <div className="flex items-end justify-between h-24 space-x-1">
+        {curve.map(c => (
+          <div key={c.tankSize} className="flex-1 flex flex-col items-center justify-end h-full">
+            <div
+              className={`w-full rounded-t ${c.tankSize === waterBalance.recommendedTankSize ? 'bg-blue-600' : 'bg-blue-300'}`}
+              style={{ height: `${c.reliability * 100}%` }}
+              title={`${c.tankSize} m³: demand met on ${(c.reliability * 100).toFixed(0)}% of days, overflow ${(c.annualOverflow / 1000).toFixed(1)} m³/year`}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-[10px] text-slate-500 mt-1">
+        {curve.map(c => <span key={c.tankSize} className="flex-1 text-center">{c.tankSize}</span>)}
+      </div>
+      <p className="text-[10px] text-slate-500 text-center">Tank size (m³)</p>
+      {recommended && (
+        <p className="text-xs text-blue-700 mt-2">
+          Recommended: <b>{recommended.tankSize} m³</b> — meets demand on {(recommended.reliability * 100).toFixed(0)}% of days,
+          supplies {(recommended.annualSupplied / 1000).toFixed(1)} m³/year, overflows {(recommended.annualOverflow / 1000).toFixed(1)} m³/year
+        </p>
+      )}
+      <p className="text-xs text-slate-500 mt-1">{waterBalance.recommendationBasis}</p>
+    </div>
+  );
+};
+
+export default TankSizingChart;
@@ -0,0 +1,62 @@
+// FRONTEND CONFIGURATION - build-time settings from REACT_APP_* variables.
+// Create React App reads them from the environment and from .env,
+// .env.development / .env.production (and .local variants), which act as the
+// per-environment profiles. Values are validated here; problems are collected
+// in `configErrors` and shown in the app instead of failing silently.
+//
+//   REACT_APP_API_URL         backend base URL (http://localhost:3001)
+//   REACT_APP_AQI_STANDARD    initial AQI standard: us-epa, in-naqi, bd-doe, eu-caqi
+//   REACT_APP_MAP_CENTER      initial map centre as "lat,lng" (Dhaka)
+
+const AQI_STANDARDS = ['us-epa', 'in-naqi', 'bd-doe', 'eu-caqi'];
+
+const DEFAULTS = {
+  apiUrl: 'http://localhost:3001',
+  aqiStandard: 'us-epa',
+  mapCenter: { lat: 23.8103, lng: 90.4125 }
+};
+
+const configErrors = [];
+
+function readApiUrl(value) {
+  if (!value) return DEFAULTS.apiUrl;
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('not http(s)');
+    return value.replace(/\/+$/, '');
+  } catch (error) {
+    configErrors.push(`REACT_APP_API_URL must be an http(s) URL (got "${value}")`);
+    return DEFAULTS.apiUrl;
+  }
+}
+
+function readAqiStandard(value) {
+  if (!value) return DEFAULTS.aqiStandard;
+  if (!AQI_STANDARDS.includes(value)) {
+    configErrors.push(`REACT_APP_AQI_STANDARD must be one of ${AQI_STANDARDS.join(', ')} (got "${value}")`);
+    return DEFAULTS.aqiStandard;
+  }
+  return value;
+}
+
+function readMapCenter(value) {
+  if (!value) return DEFAULTS.mapCenter;
+  const [lat, lng] = value.split(',').map(Number);
+  if (!(lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180)) {
+    configErrors.push(`REACT_APP_MAP_CENTER must be "lat,lng" in decimal degrees (got "${value}")`);
+    return DEFAULTS.mapCenter;
+  }
+  return { lat, lng };
+}
+
+const config = {
+  environment: process.env.NODE_ENV,
+  apiUrl: readApiUrl(process.env.REACT_APP_API_URL),
+  aqiStandard: readAqiStandard(process.env.REACT_APP_AQI_STANDARD),
+  mapCenter: readMapCenter(process.env.REACT_APP_MAP_CENTER)
+};
+
+configErrors.forEach(error => console.error(`Configuration: ${error}`));
+
+export { config, configErrors };
+export const API_URL = config.apiUrl;
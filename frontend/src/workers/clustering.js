@@ -0,0 +1,228 @@
+// DBSCAN clustering of building centroids and zone outlines from the members'
+// footprints. Pure functions: run in clustering.worker.js, or on the main
+// thread where workers are unavailable (see runWorkerTask.js).
+//
+// Coordinates are projected to local metres (equirectangular around the mean
+// latitude), which is accurate to well under 1% across a map view.
+
+const METRES_PER_DEGREE = 111320;
+const PROGRESS_EVERY = 500; // buildings between progress reports
+const NOISE = -1;
+
+export const DEFAULT_CLUSTERING = { eps: 40, minPoints: 5, hull: 'concave' };
+
+const CONCAVITY = 2; // concaveman's default; higher values dig less
+
+function createProjection(latitude) {
+  const kx = METRES_PER_DEGREE * Math.cos(latitude * Math.PI / 180);
+  return {
+    forward: ([lng, lat]) => [lng * kx, lat * METRES_PER_DEGREE],
+    inverse: ([x, y]) => [x / kx, y / METRES_PER_DEGREE]
+  };
+}
+
+// Uniform grid with eps-sized cells: neighbours are in the 3×3 block around a point
+function createGridIndex(points, cellSize) {
+  const cells = new Map();
+  const key = (cx, cy) => `${cx},${cy}`;
+  points.forEach(([x, y], i) => {
+    const k = key(Math.floor(x / cellSize), Math.floor(y / cellSize));
+    if (!cells.has(k)) cells.set(k, []);
+    cells.get(k).push(i);
+  });
+
+  return {
+    within(i, radius) {
+      const [x, y] = points[i];
+      const cx = Math.floor(x / cellSize);
+      const cy = Math.floor(y / cellSize);
+      const radiusSq = radius * radius;
+      const found = [];
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          (cells.get(key(cx + dx, cy + dy)) || []).forEach(j => {
+            const ex = points[j][0] - x;
+            const ey = points[j][1] - y;
+            if (ex * ex + ey * ey <= radiusSq) found.push(j);
+          });
+        }
+      }
+      return found;
+    }
+  };
+}
+
+// Cluster label per point (NOISE for outliers). A point with at least `minPoints`
+// neighbours within `eps` (itself included) is a core point; clusters are core
+// points reachable from each other plus the border points next to them.
+export function dbscan(points, { eps, minPoints }, onProgress) {
+  const index = createGridIndex(points, eps);
+  const labels = new Array(points.length).fill(undefined);
+  let cluster = 0;
+  let visited = 0;
+
+  const report = () => {
+    visited++;
+    if (onProgress && visited % PROGRESS_EVERY === 0) onProgress(visited, points.length);
+  };
+
+  for (let i = 0; i < points.length; i++) {
+    if (labels[i] !== undefined) continue;
+    const neighbours = index.within(i, eps);
+    report();
+    if (neighbours.length < minPoints) {
+      labels[i] = NOISE;
+      continue;
+    }
+
+    labels[i] = cluster;
+    const queue = neighbours.filter(j => j !== i);
+    while (queue.length > 0) {
+      const j = queue.pop();
+      if (labels[j] === NOISE) labels[j] = cluster; // border point
+      if (labels[j] !== undefined) continue;
+      labels[j] = cluster;
+      const reachable = index.within(j, eps);
+      report();
+      if (reachable.length >= minPoints) queue.push(...reachable.filter(k => labels[k] === undefined || labels[k] === NOISE));
+    }
+    cluster++;
+  }
+  if (onProgress) onProgress(points.length, points.length);
+  return labels;
+}
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+const sqDist = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2;
+
+// Counter-clockwise convex hull (Andrew's monotone chain), without collinear points
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+  const lower = [];
+  sorted.forEach(p => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  });
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
+
+function segmentSqDist(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.min(Math.max(((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq, 0), 1);
+  return sqDist(p, [a[0] + t * dx, a[1] + t * dy]);
+}
+
+function segmentsCross(a, b, c, d) {
+  return cross(a, b, c) * cross(a, b, d) < 0 && cross(c, d, a) * cross(c, d, b) < 0;
+}
+
+// Concave hull by digging into the convex hull (as in the concaveman library):
+// an edge longer than `lengthThreshold` is replaced by two edges through the
+// nearest inner point, provided that point is within edge length / CONCAVITY of
+// one end and neither new edge crosses the rest of the outline.
+export function concaveHull(points, lengthThreshold) {
+  const hull = convexHull(points);
+  if (hull.length < 4) return hull;
+  const onHull = new Set(hull);
+  const inner = points.filter(p => !onHull.has(p));
+
+  const ring = [...hull];
+  let i = 0;
+  while (i < ring.length) {
+    const a = ring[i];
+    const b = ring[(i + 1) % ring.length];
+    const edgeSq = sqDist(a, b);
+    if (edgeSq <= lengthThreshold * lengthThreshold) {
+      i++;
+      continue;
+    }
+
+    const maxSq = edgeSq / (CONCAVITY * CONCAVITY);
+    const previous = ring[(i - 1 + ring.length) % ring.length];
+    const next = ring[(i + 2) % ring.length];
+    let best = null;
+    let bestDist = Infinity;
+    inner.forEach(p => {
+      if (onHull.has(p) || Math.min(sqDist(p, a), sqDist(p, b)) > maxSq) return;
+      const d = segmentSqDist(p, a, b);
+      // Points nearer a neighbouring edge belong to that edge's dig
+      if (d >= bestDist || d >= segmentSqDist(p, previous, a) || d >= segmentSqDist(p, b, next)) return;
+      best = p;
+      bestDist = d;
+    });
+
+    const crosses = best && ring.some((q, k) => {
+      const r = ring[(k + 1) % ring.length];
+      if (q === a || q === b || r === a || r === b) return false;
+      return segmentsCross(a, best, q, r) || segmentsCross(best, b, q, r);
+    });
+    if (!best || crosses) {
+      i++;
+      continue;
+    }
+    ring.splice(i + 1, 0, best);
+    onHull.add(best);
+    // Re-examine the new edge a-best before moving on
+  }
+  return ring;
+}
+
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return Math.abs(sum) / 2;
+}
+
+// buildings: [{ centroid: [lng, lat], footprint: [[lng, lat], ...] }]
+// Returns zones [{ indices, outline: [[lat, lng], ...], areaM2, footprintAreaM2,
+// densityPerHa, builtCover }] and the number of buildings left as noise.
+export function clusterBuildings(buildings, options = {}, onProgress) {
+  const { eps, minPoints, hull } = { ...DEFAULT_CLUSTERING, ...options };
+  if (buildings.length === 0) return { zones: [], noise: 0 };
+
+  const meanLat = buildings.reduce((sum, b) => sum + b.centroid[1], 0) / buildings.length;
+  const projection = createProjection(meanLat);
+  const centroids = buildings.map(b => projection.forward(b.centroid));
+  const labels = dbscan(centroids, { eps, minPoints }, onProgress);
+
+  const members = new Map();
+  labels.forEach((label, i) => {
+    if (label === NOISE) return;
+    if (!members.has(label)) members.set(label, []);
+    members.get(label).push(i);
+  });
+
+  const zones = Array.from(members.values()).map(indices => {
+    const footprints = indices.map(i => buildings[i].footprint.map(projection.forward));
+    const vertices = footprints.flat();
+    // Edges shorter than eps aren't dug into: a gap that narrow doesn't split a cluster either
+    const outline = hull === 'convex' ? convexHull(vertices) : concaveHull(vertices, eps);
+    const areaM2 = ringArea(outline);
+    const footprintAreaM2 = footprints.reduce((sum, ring) => sum + ringArea(ring), 0);
+    return {
+      indices,
+      outline: outline.map(point => {
+        const [lng, lat] = projection.inverse(point);
+        return [lat, lng];
+      }),
+      areaM2: Math.round(areaM2),
+      footprintAreaM2: Math.round(footprintAreaM2),
+      densityPerHa: areaM2 > 0 ? indices.length / (areaM2 / 10000) : 0,
+      // Footprints inside the outline; overlapping footprints could push it past 1
+      builtCover: areaM2 > 0 ? Math.min(footprintAreaM2 / areaM2, 1) : 1
+    };
+  });
+
+  return { zones, noise: labels.filter(label => label === NOISE).length };
+}
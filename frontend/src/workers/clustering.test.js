@@ -0,0 +1,82 @@
+import { dbscan, clusterBuildings } from './clustering';
+
+const NOISE = -1;
+const METRES_PER_DEGREE = 111320;
+
+// Square building of `size` metres at (x, y) metres from 0°N 0°E
+function building(x, y, size = 8) {
+  const toLngLat = ([px, py]) => [px / METRES_PER_DEGREE, py / METRES_PER_DEGREE];
+  const half = size / 2;
+  return {
+    centroid: toLngLat([x, y]),
+    footprint: [[x - half, y - half], [x + half, y - half], [x + half, y + half], [x - half, y + half]].map(toLngLat)
+  };
+}
+
+function segmentsCross(a, b, c, d) {
+  const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+  return cross(a, b, c) * cross(a, b, d) < 0 && cross(c, d, a) * cross(c, d, b) < 0;
+}
+
+function isSimple(ring) {
+  const edges = ring.map((p, i) => [p, ring[(i + 1) % ring.length]]);
+  return edges.every(([a, b], i) => edges.every(([c, d], j) => i === j || !segmentsCross(a, b, c, d)));
+}
+
+describe('dbscan', () => {
+  // A 10 m square with its centre: every point has all five within 15 m
+  const core = [[0, 0], [10, 0], [0, 10], [10, 10], [5, 5]];
+
+  it('adds border points to a cluster without expanding through them', () => {
+    const border = [24, 10]; // 14 m from one core point only
+    const beyondBorder = [38, 10]; // 14 m from the border point
+    const outlier = [200, 200];
+    const labels = dbscan([...core, border, beyondBorder, outlier], { eps: 15, minPoints: 4 });
+    expect(labels).toEqual([0, 0, 0, 0, 0, 0, NOISE, NOISE]);
+  });
+
+  it('keeps separate dense groups apart', () => {
+    const far = core.map(([x, y]) => [x + 100, y]);
+    const labels = dbscan([...core, ...far], { eps: 15, minPoints: 4 });
+    expect(new Set(labels.slice(0, 5))).toEqual(new Set([0]));
+    expect(new Set(labels.slice(5))).toEqual(new Set([1]));
+  });
+});
+
+describe('clusterBuildings', () => {
+  const row = [0, 20, 40, 60, 80].map(x => building(x, 0));
+  const lShape = [
+    ...[0, 20, 40, 60, 80].map(x => building(x, 0)),
+    ...[20, 40, 60, 80].map(y => building(0, y))
+  ];
+
+  it('reports zones and noise', () => {
+    const { zones, noise } = clusterBuildings([...row, building(500, 500)], { eps: 25, minPoints: 3 });
+    expect(zones).toHaveLength(1);
+    expect(zones[0].indices).toEqual([0, 1, 2, 3, 4]);
+    expect(noise).toBe(1);
+  });
+
+  it.each(['convex', 'concave'])('gives every zone a non-degenerate %s outline', (hull) => {
+    // Buildings in a line, in an L, and three identical footprints on one spot
+    const stacked = [0, 0, 0].map(() => building(0, 0));
+    [row, lShape, stacked].forEach(buildings => {
+      const { zones } = clusterBuildings(buildings, { eps: 25, minPoints: 3, hull });
+      expect(zones).toHaveLength(1);
+      const [zone] = zones;
+      expect(zone.outline.length).toBeGreaterThanOrEqual(3);
+      expect(isSimple(zone.outline)).toBe(true);
+      expect(zone.builtCover).toBeLessThanOrEqual(1);
+      // At least the footprints' own area, counting the stacked ones once
+      const distinctFootprintArea = buildings === stacked ? zone.footprintAreaM2 / 3 : zone.footprintAreaM2;
+      expect(zone.areaM2).toBeGreaterThanOrEqual(distinctFootprintArea);
+    });
+  });
+
+  it('digs the concave outline into the inside of an L', () => {
+    const convex = clusterBuildings(lShape, { eps: 25, minPoints: 3, hull: 'convex' }).zones[0];
+    const concave = clusterBuildings(lShape, { eps: 25, minPoints: 3, hull: 'concave' }).zones[0];
+    expect(concave.areaM2).toBeLessThan(convex.areaM2 * 0.75);
+    expect(concave.areaM2).toBeGreaterThanOrEqual(concave.footprintAreaM2);
+  });
+});
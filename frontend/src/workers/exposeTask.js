@@ -0,0 +1,14 @@
+/* eslint-env worker, es2020 */
+// Wires a task(payload, onProgress) to worker messages: progress messages while
+// it runs, then { type: 'result', result } or { type: 'error', message }
+export default function exposeTask(task) {
+  const worker = globalThis; // the worker's global scope (`self`)
+  worker.onmessage = ({ data }) => {
+    try {
+      const result = task(data, (done, total) => worker.postMessage({ type: 'progress', done, total }));
+      worker.postMessage({ type: 'result', result });
+    } catch (error) {
+      worker.postMessage({ type: 'error', message: error.message });
+    }
+  };
+}
@@ -0,0 +1,4 @@
+import TASKS from './tasks';
+import exposeTask from './exposeTask';
+
+exposeTask(TASKS.heat);
@@ -0,0 +1,94 @@
+// Building-level urban heat model behind the map's modelled heat layer. The
+// factor weights are backend/models/heatModel.js's, served by /api/modelParameters.
+// Pure functions: run in heat.worker.js, or on the main thread where workers
+// are unavailable (see runWorkerTask.js).
+//
+// Neighbour counts come from a uniform grid of NEIGHBOUR_RADIUS cells, so each
+// building only checks the 3×3 cells around it instead of every other building.
+
+const METRES_PER_DEGREE = 111000;
+const NEIGHBOUR_RADIUS = 100; // metres
+const DENSE_NEIGHBOURS = 15; // buildings within the radius for the full density factor
+const LARGE_ROOF = 300; // m²; larger roofs also warm the ground around them
+const SPREAD_OFFSET = 0.0003; // degrees (~33 m) to the surrounding points
+const SPREAD_DECAY = 0.6;
+const PROGRESS_CHUNK = 1000; // buildings between progress reports
+
+function createNeighbourGrid(buildings) {
+  const cellOf = value => Math.floor(value * METRES_PER_DEGREE / NEIGHBOUR_RADIUS);
+  const cells = new Map();
+  buildings.forEach((b, i) => {
+    const key = `${cellOf(b.lat)},${cellOf(b.lng)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(i);
+  });
+
+  // Other buildings strictly within NEIGHBOUR_RADIUS of building i
+  return function countNeighbours(i) {
+    const { lat, lng } = buildings[i];
+    const row = cellOf(lat);
+    const col = cellOf(lng);
+    let count = 0;
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        for (const j of cells.get(`${row + dr},${col + dc}`) || []) {
+          if (j === i) continue;
+          const dy = (lat - buildings[j].lat) * METRES_PER_DEGREE;
+          const dx = (lng - buildings[j].lng) * METRES_PER_DEGREE;
+          if (Math.sqrt(dx * dx + dy * dy) < NEIGHBOUR_RADIUS) count++;
+        }
+      }
+    }
+    return count;
+  };
+}
+
+// buildings: [{ lat, lng, area, height }]
+// model: { baselineTemperature, weights: { albedo, greenSpace, density, height }, range: [min, max], tallBuildingHeight }
+// Returns heat-layer points [[lat, lng, intensity], ...] and the building temperature range.
+export function computeBuildingHeat(buildings, model, onProgress) {
+  const { baselineTemperature, weights, range: [rangeMin, rangeMax], tallBuildingHeight } = model;
+  const countNeighbours = createNeighbourGrid(buildings);
+  const points = [];
+  let minTemperature = Infinity;
+  let maxTemperature = -Infinity;
+
+  buildings.forEach((building, i) => {
+    // Local urban heat factors (Climate Central methodology; weights per period)
+    const densityFactor = Math.min(countNeighbours(i) / DENSE_NEIGHBOURS, 1.0);
+    const densityAdjustment = densityFactor * 2.0; // Max +2°C
+    // Larger buildings = darker roofs = more heat absorption
+    const albedoAdjustment = Math.min(building.area / 1000, 1.0) * 3.0; // Max +3°C
+    // Inverse of building density as the green space proxy
+    const greenAdjustment = -densityFactor * 2.0; // Max -2°C for areas with parks
+    // Taller buildings create urban canyons and trap heat
+    const heightAdjustment = Math.min(building.height / tallBuildingHeight, 1.0) * 1.0; // Max +1°C
+
+    const temperature = baselineTemperature +
+      (albedoAdjustment * weights.albedo) +
+      (greenAdjustment * weights.greenSpace) +
+      (densityAdjustment * weights.density) +
+      (heightAdjustment * weights.height);
+    const intensity = Math.min(Math.max((temperature - rangeMin) / (rangeMax - rangeMin), 0), 1);
+    minTemperature = Math.min(minTemperature, temperature);
+    maxTemperature = Math.max(maxTemperature, temperature);
+
+    points.push([building.lat, building.lng, intensity]);
+    if (building.area > LARGE_ROOF) {
+      const spread = intensity * SPREAD_DECAY;
+      points.push(
+        [building.lat + SPREAD_OFFSET, building.lng, spread],
+        [building.lat - SPREAD_OFFSET, building.lng, spread],
+        [building.lat, building.lng + SPREAD_OFFSET, spread],
+        [building.lat, building.lng - SPREAD_OFFSET, spread]
+      );
+    }
+
+    if (onProgress && ((i + 1) % PROGRESS_CHUNK === 0 || i === buildings.length - 1)) onProgress(i + 1, buildings.length);
+  });
+
+  return {
+    points,
+    temperatureRange: buildings.length > 0 ? [minTemperature, maxTemperature] : null
+  };
+}
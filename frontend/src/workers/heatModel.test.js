@@ -0,0 +1,83 @@
+import { computeBuildingHeat } from './heatModel';
+
+const model = {
+  baselineTemperature: 33,
+  weights: { albedo: 0.29, greenSpace: 0.21, density: 0.12, height: 0.08 },
+  range: [28, 40],
+  tallBuildingHeight: 30
+};
+
+// The per-building loop the heat layer ran on the main thread before the grid
+// index: every building compared with every other one
+function referenceHeat(buildings, { baselineTemperature, weights, range: [rangeMin, rangeMax], tallBuildingHeight }) {
+  const points = [];
+  const temperatures = [];
+  buildings.forEach(building => {
+    const nearby = buildings.filter(b => {
+      const distance = Math.sqrt(
+        Math.pow((building.lat - b.lat) * 111000, 2) +
+        Math.pow((building.lng - b.lng) * 111000, 2)
+      );
+      return distance < 100 && b.id !== building.id;
+    });
+    const densityFactor = Math.min(nearby.length / 15, 1.0);
+    const temperature = baselineTemperature +
+      (Math.min(building.area / 1000, 1.0) * 3.0 * weights.albedo) +
+      (-densityFactor * 2.0 * weights.greenSpace) +
+      (densityFactor * 2.0 * weights.density) +
+      (Math.min(building.height / tallBuildingHeight, 1.0) * 1.0 * weights.height);
+    const intensity = Math.min(Math.max((temperature - rangeMin) / (rangeMax - rangeMin), 0), 1);
+    temperatures.push(temperature);
+
+    points.push([building.lat, building.lng, intensity]);
+    if (building.area > 300) {
+      points.push(
+        [building.lat + 0.0003, building.lng, intensity * 0.6],
+        [building.lat - 0.0003, building.lng, intensity * 0.6],
+        [building.lat, building.lng + 0.0003, intensity * 0.6],
+        [building.lat, building.lng - 0.0003, intensity * 0.6]
+      );
+    }
+  });
+  return { points, temperatureRange: [Math.min(...temperatures), Math.max(...temperatures)] };
+}
+
+// Deterministic scatter of 400 buildings over ~500 m, dense enough to saturate the density factor
+function fixture() {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  return Array.from({ length: 400 }, (_, id) => ({
+    id,
+    lat: 23.81 + random() * 0.0045,
+    lng: 90.41 + random() * 0.0045,
+    area: 50 + random() * 1200,
+    height: 3 + random() * 40
+  }));
+}
+
+describe('computeBuildingHeat', () => {
+  it('matches the all-pairs loop it replaced', () => {
+    const buildings = fixture();
+    const expected = referenceHeat(buildings, model);
+    const actual = computeBuildingHeat(buildings, model);
+    expect(actual.points).toHaveLength(expected.points.length);
+    actual.points.forEach((point, i) => {
+      point.forEach((value, k) => expect(value).toBeCloseTo(expected.points[i][k], 12));
+    });
+    expect(actual.temperatureRange[0]).toBeCloseTo(expected.temperatureRange[0], 12);
+    expect(actual.temperatureRange[1]).toBeCloseTo(expected.temperatureRange[1], 12);
+  });
+
+  it('reports progress per chunk and once at the end', () => {
+    const progress = [];
+    computeBuildingHeat(fixture().concat(fixture()).concat(fixture()), model, (done, total) => progress.push([done, total]));
+    expect(progress).toEqual([[1000, 1200], [1200, 1200]]);
+  });
+
+  it('has no temperature range without buildings', () => {
+    expect(computeBuildingHeat([], model)).toEqual({ points: [], temperatureRange: null });
+  });
+});
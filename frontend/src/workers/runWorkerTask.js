@@ -0,0 +1,48 @@
+import TASKS from './tasks';
+
+// Runs a long computation in a Web Worker so the map stays responsive. Each task
+// gets its own worker, which is terminated when it finishes or `signal` aborts
+// (e.g. the map moved and the layer is re-rendering). Without Worker support
+// (tests, very old browsers) the same function runs on the main thread.
+// Worker messages are described in exposeTask.js.
+
+export class TaskAbortedError extends Error {
+  constructor() {
+    super('Task aborted');
+    this.name = 'TaskAbortedError';
+  }
+}
+
+const runOnMainThread = async (name, payload, { onProgress, signal }) => {
+  const result = TASKS[name](payload, onProgress);
+  if (signal?.aborted) throw new TaskAbortedError();
+  return result;
+};
+
+const runWorkerTask = async (name, payload, { onProgress, signal } = {}) => {
+  if (signal?.aborted) throw new TaskAbortedError();
+  if (typeof Worker === 'undefined') return runOnMainThread(name, payload, { onProgress, signal });
+
+  const { default: WORKERS } = await import('./workerEntries');
+  const worker = WORKERS[name]();
+
+  return new Promise((resolve, reject) => {
+    const finish = (settle, value) => {
+      worker.terminate();
+      signal?.removeEventListener('abort', abort);
+      settle(value);
+    };
+    const abort = () => finish(reject, new TaskAbortedError());
+
+    signal?.addEventListener('abort', abort);
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') onProgress?.(data.done, data.total);
+      else if (data.type === 'result') finish(resolve, data.result);
+      else finish(reject, new Error(data.message));
+    };
+    worker.onerror = (event) => finish(reject, new Error(event.message || `${name} worker failed`));
+    worker.postMessage(payload);
+  });
+};
+
+export default runWorkerTask;
@@ -0,0 +1,11 @@
+import { clusterBuildings } from './clustering';
+import { computeBuildingHeat } from './heatModel';
+
+// Worker tasks by name: (payload, onProgress) -> result. Each has a worker
+// entry in workerEntries.js; runWorkerTask.js calls them directly as a fallback.
+const TASKS = {
+  clustering: ({ buildings, options }, onProgress) => clusterBuildings(buildings, options, onProgress),
+  heat: ({ buildings, model }, onProgress) => computeBuildingHeat(buildings, model, onProgress)
+};
+
+export default TASKS;
@@ -0,0 +1,9 @@
+// Worker constructors in the form webpack bundles (new URL(..., import.meta.url)).
+// Only reached through the dynamic import in runWorkerTask.js: Jest compiles
+// modules to CommonJS and can't parse import.meta.
+const WORKERS = {
+  clustering: () => new Worker(new URL('./clustering.worker.js', import.meta.url)),
+  heat: () => new Worker(new URL('./heat.worker.js', import.meta.url))
+};
+
+export default WORKERS;